@@ -4,6 +4,7 @@
  */
 
 import React, { useState, useEffect } from 'react';
+import { getDifficultyName } from '../engine/DifficultyProfiles.js';
 
 const AchievementViewer = ({ 
   endingSystem, 
@@ -80,6 +81,7 @@ const AchievementViewer = ({
           ...ending,
           isUnlocked: !!achievement,
           timesAchieved: achievement?.timesAchieved || 0,
+          byDifficulty: achievement?.byDifficulty || {},
           firstAchieved: achievement?.firstAchieved,
           lastAchieved: achievement?.lastAchieved
         });
@@ -265,6 +267,12 @@ const AchievementViewer = ({
                       <span className="text-gray-400">Last Achieved:</span>
                       <span className="text-white">{formatDate(ending.lastAchieved)}</span>
                     </div>
+                    {Object.entries(ending.byDifficulty).map(([difficulty, count]) => (
+                      <div key={difficulty} className="flex justify-between">
+                        <span className="text-gray-400">{getDifficultyName(difficulty)}:</span>
+                        <span className="text-white">{count}</span>
+                      </div>
+                    ))}
                   </div>
                 )}
 
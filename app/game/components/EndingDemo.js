@@ -5,6 +5,7 @@
 
 import React, { useState, useEffect } from 'react';
 import { GameEngine } from '../engine/GameEngine.js';
+import { gameStorage } from '../utils/GameStorage.js';
 import EndingScreen from './EndingScreen.js';
 import AchievementViewer from './AchievementViewer.js';
 
@@ -15,17 +16,25 @@ const EndingDemo = () => {
   const [gameState, setGameState] = useState(null);
 
   useEffect(() => {
-    // Initialize game engine
-    const engine = new GameEngine();
-    setGameEngine(engine);
-    setGameState(engine.getGameState());
-
-    // Set up ending callback
-    engine.getEndingSystem().onEnding((ending, content) => {
-      setCurrentEnding({ ending, content, canRestart: true });
+    let engine = null;
+    let cancelled = false;
+
+    // Initialize game engine once storage is ready, so the ending system sees saved achievements
+    gameStorage.ready().then(() => {
+      if (cancelled) return;
+
+      engine = new GameEngine();
+      setGameEngine(engine);
+      setGameState(engine.getGameState());
+
+      // Set up ending callback
+      engine.getEndingSystem().onEnding((ending, content) => {
+        setCurrentEnding({ ending, content, canRestart: true });
+      });
     });
 
     return () => {
+      cancelled = true;
       if (engine) {
         engine.stop();
       }
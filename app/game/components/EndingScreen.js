@@ -1,6 +1,7 @@
 /**
  * EndingScreen - Displays game ending results, statistics, and restart options
  * Shows ending-specific content, achievements, and provides restart functionality
+ * After a death it can also offer recent checkpoints to rewind to, while the run has rewinds left
  */
 
 import React, { useState, useEffect } from 'react';
@@ -9,6 +10,8 @@ const EndingScreen = ({
   endingResult, 
   onRestart, 
   onViewAchievements, 
+  onRewind,
+  rewindPoints = [],
   isVisible = false 
 }) => {
   const [showStatistics, setShowStatistics] = useState(false);
@@ -29,7 +32,8 @@ const EndingScreen = ({
     return null;
   }
 
-  const { ending, content, achievements } = endingResult;
+  const { ending, content, achievements, rewindsRemaining = 0 } = endingResult;
+  const canRewind = ending.type === 'death' && onRewind && rewindsRemaining > 0 && rewindPoints.length > 0;
 
   const getRarityColor = (rarity) => {
     const colors = {
@@ -51,6 +55,16 @@ const EndingScreen = ({
     return borders[rarity] || 'border-gray-400';
   };
 
+  const handleRewind = (id) => {
+    setAnimationPhase('exiting');
+    setTimeout(async () => {
+      // Stay on the ending if the checkpoint could not be restored
+      if (!(await onRewind(id))) {
+        setAnimationPhase('visible');
+      }
+    }, 300);
+  };
+
   const handleRestart = () => {
     setAnimationPhase('exiting');
     setTimeout(() => {
@@ -86,6 +100,11 @@ const EndingScreen = ({
               <span className={`px-3 py-1 rounded-full text-sm font-medium bg-gray-800 ${getRarityColor(ending.rarity)}`}>
                 {ending.rarity.charAt(0).toUpperCase() + ending.rarity.slice(1)}
               </span>
+              {content.difficultyName && (
+                <span className="px-3 py-1 rounded-full text-sm font-medium bg-gray-800 text-orange-300">
+                  {content.difficultyName}
+                </span>
+              )}
             </div>
           </div>
         </div>
@@ -199,6 +218,30 @@ const EndingScreen = ({
           )}
         </div>
 
+        {/* Rewind */}
+        {canRewind && (
+          <div className="px-6 pb-6">
+            <h3 className="text-xl font-semibold text-white mb-1">Rewind</h3>
+            <p className="text-sm text-gray-400 mb-3">
+              Go back to a recent checkpoint. {rewindsRemaining} {rewindsRemaining === 1 ? 'rewind' : 'rewinds'} left this run.
+            </p>
+            <div className="space-y-2">
+              {rewindPoints.map(point => (
+                <button
+                  key={point.id}
+                  onClick={() => handleRewind(point.id)}
+                  className="w-full flex justify-between p-2 bg-gray-800 hover:bg-gray-700 border border-gray-700 rounded text-left text-gray-300"
+                >
+                  <span>⏪ {point.gameTime}</span>
+                  <span className="text-sm text-gray-400">
+                    fear {Math.round(point.fearLevel)}%, health {Math.round(point.health)}%
+                  </span>
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Footer */}
         <div className="p-6 border-t border-gray-700 flex flex-col sm:flex-row gap-4 justify-center">
           <button
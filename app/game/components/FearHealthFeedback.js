@@ -107,11 +107,8 @@ export const FearHealthFeedback = ({
   useEffect(() => {
     if (!gameEngine) return;
 
-    const fearSystem = gameEngine.getFearSystem();
-    const healthSystem = gameEngine.getHealthSystem();
-
-    // Set up fear change callbacks
-    const unsubscribeFear = fearSystem.onFearChange((changeType, data, fearLevel, newFearState) => {
+    // Subscribed on the engine's bus, so feedback keeps coming after a restart rebuilds the systems
+    const unsubscribeFear = gameEngine.on('fear:changed', ({ changeType, data, fearLevel, fearState: newFearState }) => {
       setFearState(newFearState);
       
       // Add visual feedback
@@ -131,7 +128,7 @@ export const FearHealthFeedback = ({
     });
 
     // Set up health change callbacks
-    const unsubscribeHealth = healthSystem.onHealthChange((changeType, data, healthLevel, newHealthState) => {
+    const unsubscribeHealth = gameEngine.on('health:changed', ({ changeType, data, health: healthLevel, healthState: newHealthState }) => {
       setHealthState(newHealthState);
       
       // Add visual feedback
@@ -241,7 +241,7 @@ export default function GameDemo() {
           <div className="text-xs max-h-20 overflow-y-auto">
             {gameState.commandsIssued.slice(-5).map((cmd, index) => (
               <div key={index}>
-                [{cmd.timestamp}] {cmd.command}
+                [{cmd.gameTime}] {cmd.command}
               </div>
             ))}
           </div>
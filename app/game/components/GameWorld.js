@@ -1,51 +1,44 @@
 "use client";
 
-import { useState, useEffect, useCallback, useRef } from 'react';
+import { useState, useEffect } from 'react';
 import { useGame } from '../context/GameContext';
 
+const MONSTER_STATUS_LABELS = {
+  wander: ' 🟡 Wandering',
+  hunt: ' 🔴 HUNTING!',
+  search: ' 🟠 Searching',
+  retreat: ' ⚪ Retreating'
+};
+
 const GameWorld = () => {
-  const { gameState, isGameRunning, handleCommand } = useGame();
+  const { gameState, gameEngine, isGameRunning, handleCommand } = useGame();
+  
+  // Monster AI lives in the engine's MonsterSystem - this component only renders it.
+  // gameState updates every engine frame, so reading here keeps the grid in sync.
+  const monsterSystem = gameEngine?.getMonsterSystem?.();
+  const monsters = monsterSystem ? monsterSystem.getMonsters() : [];
+  const isHiding = monsterSystem ? monsterSystem.getPlayer().isHiding : false;
   
   // Game world state
   const [player, setPlayer] = useState({ x: 5, y: 5, facing: 'north' });
-  const [monsters, setMonsters] = useState([
-    { id: 1, x: 12, y: 8, type: 'ghost', lastSeen: 0, hunting: false },
-    { id: 2, x: 3, y: 12, type: 'shadow', lastSeen: 0, hunting: false }
-  ]);
   const [rooms, setRooms] = useState([
     { id: 'living_room', x: 4, y: 4, width: 4, height: 4, name: 'Living Room', items: ['flashlight'] },
     { id: 'kitchen', x: 9, y: 4, width: 3, height: 3, name: 'Kitchen', items: ['knife'] },
     { id: 'bedroom', x: 4, y: 9, width: 3, height: 3, name: 'Bedroom', items: ['phone'] },
     { id: 'basement', x: 9, y: 9, width: 4, height: 4, name: 'Basement', items: ['key'] }
   ]);
-  const [gameTime, setGameTime] = useState(0);
-  const [isHiding, setIsHiding] = useState(false);
   const [lastPlayerMove, setLastPlayerMove] = useState(0);
   
-  const gameLoopRef = useRef();
   const WORLD_WIDTH = 16;
   const WORLD_HEIGHT = 16;
   const CELL_SIZE = 30;
 
-  // Game loop
+  // Keep the monster system's view of the player in sync with the grid
   useEffect(() => {
-    if (!isGameRunning) return;
-
-    const gameLoop = () => {
-      setGameTime(prev => prev + 1);
-      updateMonsters();
-      checkCollisions();
-      gameLoopRef.current = requestAnimationFrame(gameLoop);
-    };
-
-    gameLoopRef.current = requestAnimationFrame(gameLoop);
-    
-    return () => {
-      if (gameLoopRef.current) {
-        cancelAnimationFrame(gameLoopRef.current);
-      }
-    };
-  }, [isGameRunning]);
+    if (monsterSystem) {
+      monsterSystem.setPlayerPosition(player.x, player.y);
+    }
+  }, [monsterSystem, player.x, player.y]);
 
   // Handle keyboard input
   useEffect(() => {
@@ -93,13 +86,9 @@ const GameWorld = () => {
       }
 
       if (newX !== player.x || newY !== player.y) {
+        // Movement noise is handled by the monster system when the position syncs
         setPlayer(prev => ({ ...prev, x: newX, y: newY, facing: newFacing }));
         setLastPlayerMove(now);
-        
-        // Movement makes noise and can attract monsters
-        if (!isHiding) {
-          alertMonsters(newX, newY);
-        }
       }
     };
 
@@ -107,69 +96,9 @@ const GameWorld = () => {
     return () => window.removeEventListener('keydown', handleKeyPress);
   }, [player, isGameRunning, isHiding, lastPlayerMove]);
 
-  const updateMonsters = useCallback(() => {
-    setMonsters(prev => prev.map(monster => {
-      let newX = monster.x;
-      let newY = monster.y;
-      let hunting = monster.hunting;
-
-      // Monster AI
-      if (hunting || Math.random() < 0.1) {
-        // Move towards player if hunting or randomly
-        const dx = player.x - monster.x;
-        const dy = player.y - monster.y;
-        
-        if (Math.abs(dx) > Math.abs(dy)) {
-          newX += dx > 0 ? 1 : -1;
-        } else {
-          newY += dy > 0 ? 1 : -1;
-        }
-
-        // Keep monsters in bounds
-        newX = Math.max(0, Math.min(WORLD_WIDTH - 1, newX));
-        newY = Math.max(0, Math.min(WORLD_HEIGHT - 1, newY));
-
-        // Stop hunting if too far from player
-        const distance = Math.abs(player.x - newX) + Math.abs(player.y - newY);
-        if (distance > 8) {
-          hunting = false;
-        }
-      }
-
-      return { ...monster, x: newX, y: newY, hunting };
-    }));
-  }, [player.x, player.y]);
-
-  const checkCollisions = useCallback(() => {
-    monsters.forEach(monster => {
-      const distance = Math.abs(monster.x - player.x) + Math.abs(monster.y - player.y);
-      
-      if (monster.x === player.x && monster.y === player.y && !isHiding) {
-        // Player caught by monster!
-        handleCommand('caught by monster');
-      } else if (distance <= 2 && !isHiding) {
-        // Monster is very close - increase fear
-        if (Math.random() < 0.1) { // 10% chance per frame
-          handleCommand('monster nearby');
-        }
-      }
-    });
-  }, [monsters, player, isHiding, handleCommand]);
-
-  const alertMonsters = useCallback((x, y) => {
-    setMonsters(prev => prev.map(monster => {
-      const distance = Math.abs(monster.x - x) + Math.abs(monster.y - y);
-      if (distance < 5) {
-        return { ...monster, hunting: true, lastSeen: gameTime };
-      }
-      return monster;
-    }));
-  }, [gameTime]);
-
   const toggleHide = () => {
     const inRoom = getCurrentRoom();
     if (inRoom) {
-      setIsHiding(!isHiding);
       handleCommand(isHiding ? 'stop hiding' : 'hide');
     }
   };
@@ -197,16 +126,14 @@ const GameWorld = () => {
     );
   };
 
+  // LightingSystem keeps the light level up to date, so this does not look through the inventory
   const isLightOn = () => {
-    return gameState?.inventory?.some(item => 
-      item.id === 'flashlight' && item.isActive && item.durability > 0
-    );
+    return (gameState?.lightLevel ?? 0) > 0;
   };
 
+  // One tile in the dark, up to four in full light (a flashlight); a phone lights two
   const getVisibilityRadius = () => {
-    if (isLightOn()) return 4;
-    if (gameState?.inventory?.some(item => item.id === 'phone' && item.isActive)) return 2;
-    return 1;
+    return 1 + Math.round((gameState?.lightLevel ?? 0) * 3);
   };
 
   const isVisible = (x, y) => {
@@ -226,7 +153,7 @@ const GameWorld = () => {
       const monster = monsters.find(m => m.x === x && m.y === y);
       if (monster) {
         const char = monster.type === 'ghost' ? '👻' : '👤';
-        const color = monster.hunting ? '#ff0000' : '#ff6600';
+        const color = monster.state === 'hunt' ? '#ff0000' : '#ff6600';
         return { type: 'monster', char, color };
       }
     }
@@ -272,6 +199,7 @@ const GameWorld = () => {
           <div>Position: ({player.x}, {player.y}) | Facing: {player.facing}</div>
           <div>Room: {currentRoom ? currentRoom.name : 'Hallway'}</div>
           <div>Status: {isHiding ? '🫥 Hiding' : '👁️ Visible'}</div>
+          <div>Noise: {Math.round(gameState?.noiseLevel || 0)}% {gameState?.noiseLevel > 40 ? '🔊 They can hear you' : '🤫 Quiet'}</div>
           <div>Light: {isLightOn() ? '🔦 On' : '🌑 Dark'} | Visibility: {getVisibilityRadius()} tiles</div>
         </div>
       </div>
@@ -348,7 +276,7 @@ const GameWorld = () => {
           {monsters.map(monster => (
             <div key={monster.id}>
               {monster.type === 'ghost' ? '👻' : '👤'} {monster.type} at ({monster.x}, {monster.y}) - 
-              {monster.hunting ? ' 🔴 HUNTING!' : ' 🟡 Wandering'}
+              {MONSTER_STATUS_LABELS[monster.state] || MONSTER_STATUS_LABELS.wander}
             </div>
           ))}
         </div>
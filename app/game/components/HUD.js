@@ -1,6 +1,6 @@
 /**
  * HUD - Main heads-up display component
- * Combines all HUD components (Timer, FearMeter, HealthBar, Inventory, VoiceIndicator)
+ * Combines all HUD components (Timer, FearMeter, HealthBar, SanityMeter, Inventory, VoiceIndicator)
  * Provides a unified interface for game status display
  */
 
@@ -11,6 +11,7 @@ import { useGame } from '../context/GameContext';
 import Timer from './Timer';
 import FearMeter from './FearMeter';
 import HealthBar from './HealthBar';
+import SanityMeter from './SanityMeter';
 import Inventory from './Inventory';
 import VoiceIndicator from './VoiceIndicator';
 
@@ -35,11 +36,13 @@ const HUD = ({
       showTimer: true,
       showFearMeter: true,
       showHealthBar: true,
+      showSanityMeter: true,
       showInventory: true,
       showVoiceIndicator: true,
       timerPosition: 'top-center',
       fearMeterPosition: 'top-left',
       healthBarPosition: 'top-left',
+      sanityMeterPosition: 'top-left',
       inventoryPosition: 'bottom-center',
       voiceIndicatorPosition: 'bottom-right'
     },
@@ -47,6 +50,7 @@ const HUD = ({
       showTimer: true,
       showFearMeter: false,
       showHealthBar: false,
+      showSanityMeter: false,
       showInventory: false,
       showVoiceIndicator: true,
       timerPosition: 'top-center',
@@ -56,11 +60,13 @@ const HUD = ({
       showTimer: true,
       showFearMeter: true,
       showHealthBar: true,
+      showSanityMeter: true,
       showInventory: true,
       showVoiceIndicator: true,
       timerPosition: 'top-left',
       fearMeterPosition: 'top-left',
       healthBarPosition: 'top-left',
+      sanityMeterPosition: 'top-left',
       inventoryPosition: 'top-right',
       voiceIndicatorPosition: 'bottom-right'
     },
@@ -68,11 +74,13 @@ const HUD = ({
       showTimer: true,
       showFearMeter: true,
       showHealthBar: true,
+      showSanityMeter: true,
       showInventory: true,
       showVoiceIndicator: true,
       timerPosition: 'top-center',
       fearMeterPosition: 'top-left',
       healthBarPosition: 'top-left',
+      sanityMeterPosition: 'top-left',
       inventoryPosition: 'bottom-left',
       voiceIndicatorPosition: 'bottom-right'
     }
@@ -299,6 +307,27 @@ const HUD = ({
         </div>
       ))}
 
+      {/* Sanity Meter Component */}
+      {(showAll || currentLayout.showSanityMeter) && (customComponents.SanityMeter || (
+        <div
+          className="hud-sanity-meter"
+          style={{
+            position: 'absolute',
+            pointerEvents: 'auto',
+            ...getPositionStyle(currentLayout.sanityMeterPosition),
+            ...(currentLayout.healthBarPosition === currentLayout.sanityMeterPosition && {
+              transform: 'translateY(240px)' // Offset below health bar
+            })
+          }}
+        >
+          <SanityMeter
+            size={getComponentSize()}
+            showLabel={layout !== 'minimal'}
+            showPercentage={layout === 'debug'}
+          />
+        </div>
+      ))}
+
       {/* Inventory Component */}
       {(showAll || currentLayout.showInventory) && (customComponents.Inventory || (
         <div
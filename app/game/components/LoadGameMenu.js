@@ -0,0 +1,171 @@
+/**
+ * LoadGameMenu - Lists the manual save slots so the player can save, load, rename or delete them
+ * Voice commands "save game" and "load slot two" work on the same slots
+ */
+
+"use client";
+
+import React, { useState } from 'react';
+import { useGame } from '../context/GameContext';
+
+const LoadGameMenu = ({ isVisible = false, onClose, onMessage }) => {
+  const { getSaveSlots, saveToSlot, loadSlot, renameSlot, deleteSlot, saveSlotCount } = useGame();
+  const [editingSlot, setEditingSlot] = useState(null);
+  const [editName, setEditName] = useState('');
+  const [busySlot, setBusySlot] = useState(null);
+  const [, setRevision] = useState(0);
+
+  if (!isVisible) {
+    return null;
+  }
+
+  // Slots live in storage and can change by voice, so read them fresh on every render
+  const slots = getSaveSlots();
+  const refreshSlots = () => setRevision(revision => revision + 1);
+
+  const report = (text) => {
+    if (onMessage) onMessage(text);
+  };
+
+  const handleSave = async (slot) => {
+    setBusySlot(slot);
+    const metadata = await saveToSlot(slot);
+    setBusySlot(null);
+    report(metadata ? `💾 Saved to slot ${slot}` : `⚠ Could not save to slot ${slot}`);
+    refreshSlots();
+  };
+
+  const handleLoad = async (slot) => {
+    setBusySlot(slot);
+    const restored = await loadSlot(slot);
+    setBusySlot(null);
+    report(restored ? `📂 Loaded slot ${slot}` : `⚠ Could not load slot ${slot}`);
+    if (restored && onClose) onClose();
+  };
+
+  const handleRename = (slot) => {
+    try {
+      renameSlot(slot, editName);
+      setEditingSlot(null);
+      refreshSlots();
+    } catch (error) {
+      report(`⚠ ${error.message}`);
+    }
+  };
+
+  const handleDelete = (slot) => {
+    if (deleteSlot(slot)) {
+      report(`🗑 Deleted slot ${slot}`);
+    }
+    refreshSlots();
+  };
+
+  const formatDate = (timestamp) => new Date(timestamp).toLocaleString();
+
+  // Show every slot, including the empty ones a save can go to
+  const rows = Array.from({ length: saveSlotCount }, (_, i) =>
+    slots.find(saved => saved.slot === i + 1) || { slot: i + 1, empty: true }
+  );
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-90">
+      <div className="max-w-2xl w-full mx-4 bg-black border border-green-500 rounded-lg text-green-300 font-mono">
+
+        {/* Header */}
+        <div className="p-4 border-b border-green-500 flex items-center justify-between">
+          <h2 className="text-2xl">Saved Games</h2>
+          <button
+            onClick={onClose}
+            className="text-green-500 hover:text-green-200 text-2xl font-bold"
+          >
+            ×
+          </button>
+        </div>
+
+        {/* Slots */}
+        <div className="p-4 space-y-3 max-h-[70vh] overflow-y-auto">
+          {saveSlotCount === 0 && (
+            <div className="text-center text-gray-400 py-8">Saving is not available in this browser.</div>
+          )}
+
+          {rows.map((row) => (
+            <div key={row.slot} className="p-3 border border-green-800 rounded bg-gray-900 bg-opacity-50">
+              <div className="flex items-start justify-between gap-4">
+                <div className="flex-1">
+                  {editingSlot === row.slot ? (
+                    <input
+                      value={editName}
+                      onChange={(e) => setEditName(e.target.value)}
+                      onKeyDown={(e) => e.key === 'Enter' && handleRename(row.slot)}
+                      className="bg-black border border-green-500 px-2 py-1 text-sm w-full"
+                      autoFocus
+                    />
+                  ) : (
+                    <div className="text-lg">
+                      {row.slot}. {row.empty ? <span className="text-gray-500">Empty</span> : row.name}
+                    </div>
+                  )}
+                  {!row.empty && (
+                    <>
+                      <div className="text-sm text-green-400">{row.thumbnail}</div>
+                      <div className="text-xs text-gray-500">Saved {formatDate(row.updatedAt)}</div>
+                    </>
+                  )}
+                </div>
+
+                <div className="flex flex-wrap gap-2 justify-end text-xs">
+                  {!row.empty && (
+                    <button
+                      onClick={() => handleLoad(row.slot)}
+                      disabled={busySlot !== null}
+                      className="px-2 py-1 border border-green-400 hover:bg-green-400 hover:text-black disabled:opacity-50"
+                    >
+                      Load
+                    </button>
+                  )}
+                  <button
+                    onClick={() => handleSave(row.slot)}
+                    disabled={busySlot !== null}
+                    className="px-2 py-1 border border-green-400 hover:bg-green-400 hover:text-black disabled:opacity-50"
+                  >
+                    {row.empty ? 'Save here' : 'Overwrite'}
+                  </button>
+                  {!row.empty && (editingSlot === row.slot ? (
+                    <button
+                      onClick={() => handleRename(row.slot)}
+                      className="px-2 py-1 border border-green-400 hover:bg-green-400 hover:text-black"
+                    >
+                      OK
+                    </button>
+                  ) : (
+                    <button
+                      onClick={() => { setEditingSlot(row.slot); setEditName(row.name); }}
+                      className="px-2 py-1 border border-green-400 hover:bg-green-400 hover:text-black"
+                    >
+                      Rename
+                    </button>
+                  ))}
+                  {!row.empty && (
+                    <button
+                      onClick={() => handleDelete(row.slot)}
+                      className="px-2 py-1 border border-red-400 text-red-400 hover:bg-red-400 hover:text-black"
+                    >
+                      Delete
+                    </button>
+                  )}
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {/* Footer */}
+        <div className="p-4 border-t border-green-500 text-xs text-gray-400">
+          Say &quot;save game&quot; or &quot;load slot two&quot; at any time.
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LoadGameMenu;
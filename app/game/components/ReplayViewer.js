@@ -0,0 +1,267 @@
+/**
+ * ReplayViewer - Plays back a recorded night and charts its fear and health over time
+ * Replays the current night or a replay file from a bug report, in real time or fast-forward
+ */
+
+"use client";
+
+import React, { useState, useEffect, useRef } from 'react';
+import { useGame } from '../context/GameContext';
+import { SessionPlayer, parseSession } from '../engine/SessionReplay';
+
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 160;
+
+const ReplayViewer = ({ isVisible = false, onClose, onMessage }) => {
+  const { getRecordedSession, exportReplay } = useGame();
+  const [session, setSession] = useState(null);
+  const [result, setResult] = useState(null);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const playerRef = useRef(null);
+  const fileInputRef = useRef(null);
+
+  // The replay engine belongs to the viewer; stop it when the viewer closes
+  useEffect(() => {
+    if (!isVisible) return undefined;
+    return () => {
+      playerRef.current?.stop();
+      playerRef.current = null;
+      setSession(null);
+      setResult(null);
+      setIsPlaying(false);
+    };
+  }, [isVisible]);
+
+  if (!isVisible) {
+    return null;
+  }
+
+  const report = (text) => {
+    if (onMessage) onMessage(text);
+  };
+
+  // Replays start from the beginning with a fresh player
+  const openSession = (nextSession) => {
+    playerRef.current?.stop();
+
+    const player = new SessionPlayer(nextSession);
+    try {
+      player.load();
+    } catch (error) {
+      report(`⚠ ${error.message}`);
+      return;
+    }
+    player.onProgress(setResult);
+
+    playerRef.current = player;
+    setSession(nextSession);
+    setResult(player.getResult());
+    setIsPlaying(false);
+  };
+
+  const handleOpenCurrent = () => {
+    const current = getRecordedSession();
+    if (!current) {
+      report('⚠ Nothing has been recorded yet');
+      return;
+    }
+    // Copied so the recording can carry on while it is replayed
+    openSession(JSON.parse(JSON.stringify(current)));
+  };
+
+  const handleOpenFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      openSession(parseSession(await file.text()));
+    } catch (error) {
+      report(`⚠ ${error.message}`);
+    }
+  };
+
+  const handleDownload = () => {
+    const file = exportReplay();
+    if (!file) {
+      report('⚠ Nothing has been recorded yet');
+      return;
+    }
+
+    const url = URL.createObjectURL(new Blob([file.contents], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = file.fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+    report(`🎞 Saved ${file.fileName}`);
+  };
+
+  const handlePlay = async (speed) => {
+    const player = playerRef.current;
+    if (!player) return;
+
+    setIsPlaying(true);
+    setResult(await player.play({ speed }));
+    setIsPlaying(false);
+  };
+
+  const handlePause = () => playerRef.current?.pause();
+
+  const handleSkipToEnd = () => {
+    const player = playerRef.current;
+    if (!player) return;
+
+    player.pause();
+    setResult(player.runToEnd());
+  };
+
+  const formatTime = (ms) => {
+    const seconds = Math.floor(ms / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+  };
+
+  // Chart coordinates: session time across, 0-100 up
+  const duration = Math.max(1, result?.duration || 0);
+  const x = (at) => (at / duration) * CHART_WIDTH;
+  const y = (value) => CHART_HEIGHT - (Math.max(0, Math.min(100, value)) / 100) * CHART_HEIGHT;
+  const line = (key) => (result?.timeline || []).map(sample => `${x(sample.at)},${y(sample[key])}`).join(' ');
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-90">
+      <div className="max-w-3xl w-full mx-4 bg-black border border-green-500 rounded-lg text-green-300 font-mono">
+
+        {/* Header */}
+        <div className="p-4 border-b border-green-500 flex items-center justify-between">
+          <h2 className="text-2xl">Session Replay</h2>
+          <button
+            onClick={onClose}
+            className="text-green-500 hover:text-green-200 text-2xl font-bold"
+          >
+            ×
+          </button>
+        </div>
+
+        {/* Source */}
+        <div className="p-4 flex flex-wrap gap-2 text-xs border-b border-green-800">
+          <button
+            onClick={handleOpenCurrent}
+            className="px-2 py-1 border border-green-400 hover:bg-green-400 hover:text-black"
+          >
+            Replay this night
+          </button>
+          <button
+            onClick={() => fileInputRef.current?.click()}
+            className="px-2 py-1 border border-green-400 hover:bg-green-400 hover:text-black"
+          >
+            Open replay file
+          </button>
+          <button
+            onClick={handleDownload}
+            className="px-2 py-1 border border-green-400 hover:bg-green-400 hover:text-black"
+          >
+            Save this night
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="application/json,.json"
+            onChange={handleOpenFile}
+            className="hidden"
+          />
+        </div>
+
+        {!session ? (
+          <div className="text-center text-gray-400 py-12">Pick a night to replay.</div>
+        ) : (
+          <div className="p-4 space-y-4">
+            <div className="flex justify-between text-sm">
+              <span>Seed {session.seed} · {session.engineOptions.difficulty}</span>
+              <span>{formatTime(result?.currentTime || 0)} / {formatTime(result?.duration || 0)}</span>
+            </div>
+
+            {/* Fear and health timeline, with a tick for each event */}
+            <svg
+              viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+              className="w-full h-40 bg-gray-900 border border-green-800"
+              preserveAspectRatio="none"
+            >
+              {(result?.events || []).map((event, index) => (
+                <line key={index} x1={x(event.at)} x2={x(event.at)} y1={0} y2={CHART_HEIGHT} stroke="#555" strokeDasharray="2,2">
+                  <title>{`${event.gameTime} ${event.id}`}</title>
+                </line>
+              ))}
+              {result?.divergence && (
+                <line x1={x(result.divergence.at)} x2={x(result.divergence.at)} y1={0} y2={CHART_HEIGHT} stroke="#facc15" strokeWidth="2" />
+              )}
+              <polyline points={line('fearLevel')} fill="none" stroke="#f87171" strokeWidth="2" />
+              <polyline points={line('health')} fill="none" stroke="#4ade80" strokeWidth="2" />
+              <line x1={x(result?.currentTime || 0)} x2={x(result?.currentTime || 0)} y1={0} y2={CHART_HEIGHT} stroke="#86efac" />
+            </svg>
+            <div className="flex gap-4 text-xs">
+              <span className="text-red-400">— Fear</span>
+              <span className="text-green-400">— Health</span>
+              <span className="text-gray-400">┆ Events ({result?.events.length || 0})</span>
+            </div>
+
+            {/* Controls */}
+            <div className="flex gap-2 text-xs">
+              {isPlaying ? (
+                <button onClick={handlePause} className="px-2 py-1 border border-green-400 hover:bg-green-400 hover:text-black">
+                  ⏸ Pause
+                </button>
+              ) : (
+                <>
+                  <button
+                    onClick={() => handlePlay(1)}
+                    disabled={result?.finished}
+                    className="px-2 py-1 border border-green-400 hover:bg-green-400 hover:text-black disabled:opacity-50"
+                  >
+                    ▶ Play
+                  </button>
+                  <button
+                    onClick={() => handlePlay(8)}
+                    disabled={result?.finished}
+                    className="px-2 py-1 border border-green-400 hover:bg-green-400 hover:text-black disabled:opacity-50"
+                  >
+                    ⏩ 8×
+                  </button>
+                </>
+              )}
+              <button
+                onClick={handleSkipToEnd}
+                disabled={result?.finished}
+                className="px-2 py-1 border border-green-400 hover:bg-green-400 hover:text-black disabled:opacity-50"
+              >
+                ⏭ End
+              </button>
+              <button
+                onClick={() => openSession(session)}
+                className="px-2 py-1 border border-green-400 hover:bg-green-400 hover:text-black"
+              >
+                ↺ Restart
+              </button>
+            </div>
+
+            {result?.ending && (
+              <div className="text-sm">Ending: {result.ending.title} ({result.ending.type})</div>
+            )}
+            {result?.divergence && (
+              <div className="p-2 border border-yellow-400 text-yellow-300 text-xs">
+                Replay stopped matching the recording at {formatTime(result.divergence.at)}:
+                expected {result.divergence.expected?.id ?? 'no event'}, got {result.divergence.actual?.id ?? 'no event'}.
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Footer */}
+        <div className="p-4 border-t border-green-500 text-xs text-gray-400">
+          Replays rerun every command and frame from the night&apos;s seed; achievements are not awarded.
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ReplayViewer;
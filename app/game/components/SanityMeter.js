@@ -0,0 +1,168 @@
+/**
+ * SanityMeter - Sanity level indicator that wavers as the player's mind slips
+ * States follow SanitySystem, so the meter and the hallucinations agree on how bad things are
+ */
+
+"use client";
+
+import React from 'react';
+import { useGame } from '../context/GameContext';
+import { SANITY_STATES } from '../engine/SanitySystem';
+
+const SanityMeter = ({
+  className = '',
+  showLabel = true,
+  showPercentage = true,
+  size = 'medium' // 'small', 'medium', 'large'
+}) => {
+  const { gameState } = useGame();
+  const sanity = gameState?.sanity ?? 100;
+
+  // Sanity state configuration
+  const sanityStates = {
+    lucid: {
+      color: '#38bdf8',
+      borderColor: 'rgba(56, 189, 248, 0.3)',
+      label: 'Lucid',
+      waver: false
+    },
+    shaken: {
+      color: '#a78bfa',
+      borderColor: 'rgba(167, 139, 250, 0.3)',
+      label: 'Shaken',
+      waver: false
+    },
+    disturbed: {
+      color: '#c026d3',
+      borderColor: 'rgba(192, 38, 211, 0.3)',
+      label: 'Disturbed',
+      waver: true
+    },
+    unhinged: {
+      color: '#701a75',
+      borderColor: 'rgba(112, 26, 117, 0.3)',
+      label: 'Unhinged',
+      waver: true
+    }
+  };
+
+  // Size configurations
+  const sizeConfig = {
+    small: { width: '120px', height: '20px', fontSize: '12px', padding: '8px' },
+    medium: { width: '180px', height: '24px', fontSize: '14px', padding: '12px' },
+    large: { width: '240px', height: '28px', fontSize: '16px', padding: '16px' }
+  };
+
+  // Determine sanity state with the engine's thresholds
+  const getSanityState = (level) =>
+    Object.keys(SANITY_STATES).find(state => level >= SANITY_STATES[state]) || 'unhinged';
+
+  const sanityState = getSanityState(sanity);
+  const currentConfig = sanityStates[sanityState];
+  const currentSize = sizeConfig[size];
+
+  return (
+    <div
+      className={`sanity-meter-container ${className}`}
+      style={{ padding: currentSize.padding }}
+    >
+      {/* Label */}
+      {showLabel && (
+        <div
+          className="sanity-meter-label"
+          style={{
+            fontSize: currentSize.fontSize,
+            color: currentConfig.color,
+            marginBottom: '4px',
+            fontWeight: 'bold',
+            textShadow: `0 0 8px ${currentConfig.color}`,
+            display: 'flex',
+            justifyContent: 'space-between',
+            alignItems: 'center'
+          }}
+        >
+          <span>SANITY</span>
+          {showPercentage && (
+            <span className="sanity-percentage">
+              {Math.round(sanity)}%
+            </span>
+          )}
+        </div>
+      )}
+
+      {/* Sanity meter bar */}
+      <div
+        className="sanity-meter-bar"
+        style={{
+          width: currentSize.width,
+          height: currentSize.height,
+          backgroundColor: 'rgba(0, 0, 0, 0.7)',
+          border: `2px solid ${currentConfig.borderColor}`,
+          borderRadius: '12px',
+          position: 'relative',
+          overflow: 'hidden',
+          boxShadow: `0 0 15px ${currentConfig.borderColor}`,
+          // The meter itself can't be trusted once the mind is going
+          animation: currentConfig.waver ? `sanityWaver ${0.5 + sanity / 25}s infinite` : 'none'
+        }}
+      >
+        <div
+          className="sanity-meter-fill"
+          style={{
+            position: 'absolute',
+            top: 0,
+            left: 0,
+            bottom: 0,
+            width: `${Math.min(sanity, 100)}%`,
+            background: `linear-gradient(90deg, ${currentConfig.color}dd 0%, ${currentConfig.color} 100%)`,
+            borderRadius: '8px',
+            transition: 'width 0.8s cubic-bezier(0.4, 0, 0.2, 1)',
+            boxShadow: `inset 0 0 10px ${currentConfig.color}aa`
+          }}
+        />
+      </div>
+
+      {/* Sanity state label */}
+      {showLabel && (
+        <div
+          className="sanity-state-label"
+          style={{
+            fontSize: `${parseInt(currentSize.fontSize) - 2}px`,
+            color: currentConfig.color,
+            marginTop: '4px',
+            textAlign: 'center',
+            opacity: 0.8,
+            textTransform: 'uppercase',
+            letterSpacing: '1px'
+          }}
+        >
+          {currentConfig.label}
+        </div>
+      )}
+
+      {/* CSS Animations */}
+      <style jsx>{`
+        @keyframes sanityWaver {
+          0%, 100% {
+            transform: translateX(0) skewX(0deg);
+          }
+          25% {
+            transform: translateX(-2px) skewX(-2deg);
+          }
+          75% {
+            transform: translateX(2px) skewX(2deg);
+          }
+        }
+
+        /* Responsive adjustments */
+        @media (max-width: 768px) {
+          .sanity-meter-container {
+            padding: 8px !important;
+          }
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default SanityMeter;
@@ -7,10 +7,12 @@
 
 import React, { useState, useEffect } from 'react';
 import { useGame } from '../context/GameContext';
+import { NightSchedule } from '../engine/NightSchedule.js';
 
 const Timer = ({ className = '', showProgress = true, showCountdown = true }) => {
   const { gameState, gameEngine } = useGame();
-  const [timeUntilSunrise, setTimeUntilSunrise] = useState({ hours: 7, minutes: 0, percentage: 0 });
+  const schedule = new NightSchedule(gameState?.nightSchedule);
+  const [timeUntilSunrise, setTimeUntilSunrise] = useState({ hours: schedule.gameHours, minutes: 0, percentage: 0 });
   const [isNearSunrise, setIsNearSunrise] = useState(false);
   const [pulseIntensity, setPulseIntensity] = useState(0);
 
@@ -46,11 +48,12 @@ const Timer = ({ className = '', showProgress = true, showCountdown = true }) =>
 
   // Format time for display
   const formatDisplayTime = (time) => {
-    if (!time) return "23:00";
+    if (!time) return schedule.nightfallTime;
     
-    // Add visual emphasis for certain times
+    // Add visual emphasis from midnight until sunrise
     const hour = parseInt(time.split(':')[0]);
-    const isSpecialHour = [0, 1, 2, 3, 4, 5].includes(hour); // Midnight to 5 AM
+    const isSpecialHour = schedule.getMinutesSinceNightfall('00:00') <= schedule.getMinutesSinceNightfall(time) &&
+      hour !== schedule.endHour;
     
     return (
       <span className={isSpecialHour ? 'text-yellow-300' : 'text-green-300'}>
@@ -87,7 +90,7 @@ const Timer = ({ className = '', showProgress = true, showCountdown = true }) =>
     return (
       <div className={`timer-container ${className}`}>
         <div className="timer-display">
-          <div className="time-text">23:00</div>
+          <div className="time-text">{schedule.nightfallTime}</div>
           <div className="sunrise-label">Until Sunrise</div>
         </div>
       </div>
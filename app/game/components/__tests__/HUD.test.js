@@ -12,6 +12,7 @@ const mockGameContext = {
     currentTime: '23:30',
     fearLevel: 45,
     health: 75,
+    sanity: 40,
     inventory: [
       { id: '1', name: 'Flashlight', type: 'light', durability: 80, isActive: true },
       { id: '2', name: 'Key', type: 'key', quantity: 1 }
@@ -52,6 +53,7 @@ jest.mock('../../context/GameContext', () => ({
 import Timer from '../Timer';
 import FearMeter from '../FearMeter';
 import HealthBar from '../HealthBar';
+import SanityMeter from '../SanityMeter';
 import Inventory from '../Inventory';
 import VoiceIndicator from '../VoiceIndicator';
 import HUD from '../HUD';
@@ -72,6 +74,12 @@ describe('HUD Components', () => {
     expect(screen.getByText('75%')).toBeInTheDocument();
   });
 
+  test('SanityMeter renders sanity level and state', () => {
+    render(<SanityMeter showPercentage={true} />);
+    expect(screen.getByText('40%')).toBeInTheDocument();
+    expect(screen.getByText('Disturbed')).toBeInTheDocument();
+  });
+
   test('Inventory renders items', () => {
     render(<Inventory showLabel={true} />);
     expect(screen.getByText('INVENTORY')).toBeInTheDocument();
@@ -88,6 +96,7 @@ describe('HUD Components', () => {
     expect(screen.getByText('23:30')).toBeInTheDocument();
     expect(screen.getByText('FEAR')).toBeInTheDocument();
     expect(screen.getByText('HEALTH')).toBeInTheDocument();
+    expect(screen.getByText('SANITY')).toBeInTheDocument();
     expect(screen.getByText('INVENTORY')).toBeInTheDocument();
   });
 });
\ No newline at end of file
@@ -8,6 +8,8 @@
 import React, { createContext, useContext, useEffect, useState, useCallback, useRef } from 'react';
 import { GameEngine } from '../engine/GameEngine.js';
 import { GameInitializer } from '../engine/GameInitializer.js';
+import { NightSchedule } from '../engine/NightSchedule.js';
+import { SessionRecorder } from '../engine/SessionReplay.js';
 
 // Create the context
 const GameContext = createContext(null);
@@ -33,12 +35,14 @@ export const GameProvider = ({ children }) => {
   // Game initializer instance (persistent across re-renders)
   const gameInitializerRef = useRef(null);
   const gameEngineRef = useRef(null);
+  const sessionRecorderRef = useRef(null); // Records the current night for replays and bug reports
   
   // Game state that triggers re-renders
   const [gameState, setGameState] = useState(null);
   const [isEngineReady, setIsEngineReady] = useState(false);
   const [initializationProgress, setInitializationProgress] = useState(null);
   const [initializationError, setInitializationError] = useState(null);
+  const [endingResult, setEndingResult] = useState(null);
 
   // Initialize game systems
   useEffect(() => {
@@ -72,10 +76,20 @@ export const GameProvider = ({ children }) => {
           gameEngineRef.current = systems.gameEngine;
           
           // Subscribe to game state updates
-          const unsubscribe = systems.gameEngine.onUpdate((deltaTime, currentGameState) => {
+          const handleUpdate = (deltaTime, currentGameState) => {
             // Update React state to trigger re-renders
             setGameState({ ...currentGameState.serialize() });
-          });
+          };
+          const unsubscribeUpdates = systems.gameEngine.onUpdate(handleUpdate);
+          const unsubscribeEnding = systems.gameEngine.on('game:ending', (result) => setEndingResult(result));
+          const unsubscribe = () => {
+            unsubscribeUpdates();
+            unsubscribeEnding();
+          };
+
+          // Subscribed before the engine starts, so the recording covers the night from nightfall
+          sessionRecorderRef.current = new SessionRecorder(systems.gameEngine);
+          sessionRecorderRef.current.start();
 
           console.log('Game systems ready and connected');
           
@@ -96,6 +110,7 @@ export const GameProvider = ({ children }) => {
           if (gameInitializerRef.current.unsubscribeGameUpdates) {
             gameInitializerRef.current.unsubscribeGameUpdates();
           }
+          sessionRecorderRef.current?.stop();
           gameInitializerRef.current.destroy();
         }
       };
@@ -139,6 +154,45 @@ export const GameProvider = ({ children }) => {
       gameEngineRef.current.reset();
       setGameState({ ...gameEngineRef.current.getGameState().serialize() });
     }
+    sessionRecorderRef.current?.start();
+  }, []);
+
+  /**
+   * Restart after an ending
+   */
+  const restartAfterEnding = useCallback(async () => {
+    setEndingResult(null);
+    if (gameEngineRef.current) {
+      await gameEngineRef.current.restartGame();
+      sessionRecorderRef.current?.start();
+      setGameState({ ...gameEngineRef.current.getGameState().serialize() });
+    }
+  }, []);
+
+  /**
+   * List the checkpoints the current run can rewind to
+   * @returns {Array} Rewind points, newest first
+   */
+  const getRewindPoints = useCallback(() => {
+    return gameInitializerRef.current?.gameStateManager?.getRewindPoints() ?? [];
+  }, []);
+
+  /**
+   * Rewind to a checkpoint after dying
+   * @param {number} id - Rewind point id
+   * @returns {Promise<boolean>} True if the game was rewound
+   */
+  const rewindTo = useCallback(async (id) => {
+    const gameStateManager = gameInitializerRef.current?.gameStateManager;
+    if (!gameStateManager) return false;
+
+    const rewound = await gameStateManager.rewindTo(id);
+    if (rewound && gameEngineRef.current) {
+      sessionRecorderRef.current?.start();
+      setEndingResult(null);
+      setGameState({ ...gameEngineRef.current.getGameState().serialize() });
+    }
+    return rewound;
   }, []);
 
   /**
@@ -287,6 +341,123 @@ export const GameProvider = ({ children }) => {
     }
   }, []);
 
+  /**
+   * List the manual save slots
+   * @returns {Array} Slot metadata, empty when checkpoints are disabled
+   */
+  const getSaveSlots = useCallback(() => {
+    return gameInitializerRef.current?.gameStateManager?.getSaveSlots() ?? [];
+  }, []);
+
+  /**
+   * Save the current game into a slot
+   * @param {number} slot - Slot number
+   * @param {string} name - Optional slot name
+   * @returns {Promise<Object|null>} Slot metadata or null if the save failed
+   */
+  const saveToSlot = useCallback(async (slot, name) => {
+    const gameStateManager = gameInitializerRef.current?.gameStateManager;
+    return gameStateManager ? gameStateManager.saveToSlot(slot, name) : null;
+  }, []);
+
+  /**
+   * Load a slot into the running game
+   * @param {number} slot - Slot number
+   * @returns {Promise<boolean>} True if the slot was loaded
+   */
+  const loadSlot = useCallback(async (slot) => {
+    const gameStateManager = gameInitializerRef.current?.gameStateManager;
+    if (!gameStateManager) return false;
+
+    const restored = await gameStateManager.restoreSlot(slot);
+    if (restored && gameEngineRef.current) {
+      sessionRecorderRef.current?.start();
+      setGameState({ ...gameEngineRef.current.getGameState().serialize() });
+    }
+    return restored;
+  }, []);
+
+  /**
+   * Rename a save slot
+   * @param {number} slot - Slot number
+   * @param {string} name - New name
+   * @returns {boolean} True if the slot was renamed
+   */
+  const renameSlot = useCallback((slot, name) => {
+    return gameInitializerRef.current?.gameStateManager?.renameSlot(slot, name) ?? false;
+  }, []);
+
+  /**
+   * Delete a save slot
+   * @param {number} slot - Slot number
+   * @returns {boolean} True if the slot was deleted
+   */
+  const deleteSlot = useCallback((slot) => {
+    return gameInitializerRef.current?.gameStateManager?.deleteSlot(slot) ?? false;
+  }, []);
+
+  /**
+   * Export the current game as a save file
+   * @returns {Promise<Object|null>} {fileName, contents} or null if there is nothing to export
+   */
+  const exportSave = useCallback(async () => {
+    const gameStateManager = gameInitializerRef.current?.gameStateManager;
+    const file = gameStateManager ? await gameStateManager.exportSave() : null;
+    if (!file) return null;
+
+    return {
+      fileName: gameStateManager.getSaveFileName(file),
+      contents: JSON.stringify(file, null, 2)
+    };
+  }, []);
+
+  /**
+   * Import a save file into the running game
+   * @param {string} contents - Save file JSON
+   * @returns {Promise<Object>} {success, error}
+   */
+  const importSave = useCallback(async (contents) => {
+    const gameStateManager = gameInitializerRef.current?.gameStateManager;
+    if (!gameStateManager) {
+      return { success: false, error: 'Saving is not available' };
+    }
+
+    try {
+      await gameStateManager.importSave(contents);
+      if (gameEngineRef.current) {
+        sessionRecorderRef.current?.start();
+        setGameState({ ...gameEngineRef.current.getGameState().serialize() });
+      }
+      return { success: true };
+    } catch (error) {
+      console.error('Failed to import save:', error);
+      return { success: false, error: error.message };
+    }
+  }, []);
+
+  /**
+   * Get the session recorded for the current night
+   * @returns {Object|null} Session, or null before the night has started
+   */
+  const getRecordedSession = useCallback(() => {
+    const session = sessionRecorderRef.current?.getSession();
+    return session?.startedAt != null ? session : null;
+  }, []);
+
+  /**
+   * Export the current night as a replay file
+   * @returns {Object|null} {fileName, contents} or null if nothing has been recorded
+   */
+  const exportReplay = useCallback(() => {
+    const recorder = sessionRecorderRef.current;
+    if (!recorder || !getRecordedSession()) return null;
+
+    return {
+      fileName: recorder.getFileName(),
+      contents: recorder.exportSession()
+    };
+  }, [getRecordedSession]);
+
   /**
    * Subscribe to game updates
    * @param {Function} callback - Callback function to call on updates
@@ -299,6 +470,16 @@ export const GameProvider = ({ children }) => {
     return () => {}; // No-op unsubscribe
   }, []);
 
+  /**
+   * Listen for engine events such as 'fear:changed' or 'item:*'
+   */
+  const onGameEvent = useCallback((type, listener) => {
+    if (gameEngineRef.current) {
+      return gameEngineRef.current.on(type, listener);
+    }
+    return () => {}; // No-op unsubscribe
+  }, []);
+
   // Context value
   const contextValue = {
     // Game state (read-only)
@@ -306,6 +487,7 @@ export const GameProvider = ({ children }) => {
     isEngineReady,
     initializationProgress,
     initializationError,
+    endingResult,
     
     // Game engine reference (for advanced usage)
     gameEngine: gameEngineRef.current,
@@ -315,6 +497,11 @@ export const GameProvider = ({ children }) => {
     startGame,
     stopGame,
     resetGame,
+    restartAfterEnding,
+    
+    // Rewinds
+    getRewindPoints,
+    rewindTo,
     
     // Command handling
     handleCommand,
@@ -337,14 +524,31 @@ export const GameProvider = ({ children }) => {
     getAvailableItemCommands,
     getInventoryStats,
     
+    // Save slots
+    getSaveSlots,
+    saveToSlot,
+    loadSlot,
+    renameSlot,
+    deleteSlot,
+    
+    // Save files
+    exportSave,
+    importSave,
+    
+    // Session replays
+    getRecordedSession,
+    exportReplay,
+    
     // Subscriptions
     onGameUpdate,
+    onGameEvent,
     
     // Computed properties
+    saveSlotCount: gameInitializerRef.current?.gameStateManager?.options.maxSlots ?? 0,
     isGameRunning: gameState?.gameStarted && gameState?.isAlive,
     canPerformActions: gameState?.isAlive && (gameState?.fearLevel || 0) < 90,
     gameProgress: gameState ? 
-      Math.min(100, ((gameState.realTimeElapsed || 0) / (7 * 60 * 1000)) * 100) : 0,
+      new NightSchedule(gameState.nightSchedule).getProgress(gameState.realTimeElapsed || 0) : 0,
     actionSuccessRate: gameState?.isAlive ? 
       Math.max(10, 100 - (gameState.fearLevel || 0) * 0.5) : 0
   };
@@ -0,0 +1,109 @@
+/**
+ * DifficultyProfiles - Named tuning presets applied to every engine system
+ * One profile replaces the rates and timings that used to live as constants in each system
+ */
+
+export const DIFFICULTY_SETTINGS = [
+  'fearDecayRate', // FearSystem - fear points per second when no events
+  'healthRegenRate', // HealthSystem - health points per second when regenerating
+  'regenDelay', // HealthSystem - ms after damage before regeneration starts
+  'eventCooldown', // EventSystem - ms minimum between events
+  'responseTimeout', // EventSystem - ms the player has to respond to an event
+  'nightLengthMinutes', // GameTimer - real minutes from nightfall to sunrise
+  'maxRewinds' // GameEngine - times a run can rewind to a checkpoint after dying
+];
+
+export const DIFFICULTY_PROFILES = {
+  story: {
+    id: 'story',
+    name: 'Story',
+    description: 'Fear fades fast, wounds heal quickly and you have plenty of time to react.',
+    fearDecayRate: 0.3,
+    healthRegenRate: 0.15,
+    regenDelay: 5000,
+    eventCooldown: 45000,
+    responseTimeout: 25000,
+    nightLengthMinutes: 7,
+    maxRewinds: 5
+  },
+  normal: {
+    id: 'normal',
+    name: 'Normal',
+    description: 'The night as it was meant to be survived.',
+    fearDecayRate: 0.1,
+    healthRegenRate: 0.05,
+    regenDelay: 10000,
+    eventCooldown: 30000,
+    responseTimeout: 15000,
+    nightLengthMinutes: 7,
+    maxRewinds: 3
+  },
+  nightmare: {
+    id: 'nightmare',
+    name: 'Nightmare',
+    description: 'Fear lingers, wounds barely heal and the night drags on.',
+    fearDecayRate: 0.05,
+    healthRegenRate: 0.02,
+    regenDelay: 20000,
+    eventCooldown: 18000,
+    responseTimeout: 8000,
+    nightLengthMinutes: 10,
+    maxRewinds: 1
+  }
+};
+
+export const DEFAULT_DIFFICULTY = 'normal';
+
+/**
+ * Build the profile for a difficulty
+ * 'custom' starts from the normal profile and applies the given settings on top
+ * @param {string} difficulty - 'story', 'normal', 'nightmare' or 'custom'
+ * @param {Object} settings - Setting overrides for the custom profile
+ * @returns {Object} Resolved difficulty profile
+ * @throws {Error} If the difficulty or a setting is unknown or invalid
+ */
+export function createDifficultyProfile(difficulty = DEFAULT_DIFFICULTY, settings = {}) {
+  if (difficulty !== 'custom') {
+    const profile = DIFFICULTY_PROFILES[difficulty];
+    if (!profile) {
+      throw new Error(`Unknown difficulty "${difficulty}"`);
+    }
+    if (Object.keys(settings).length > 0) {
+      console.warn(`Difficulty settings are only used by the custom profile, ignoring them for "${difficulty}"`);
+    }
+    return { ...profile };
+  }
+
+  Object.entries(settings).forEach(([key, value]) => {
+    if (!DIFFICULTY_SETTINGS.includes(key)) {
+      throw new Error(`Unknown difficulty setting "${key}"`);
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      throw new Error(`Difficulty setting "${key}" must be a non-negative number`);
+    }
+  });
+
+  if (settings.nightLengthMinutes === 0) {
+    throw new Error('Difficulty setting "nightLengthMinutes" must be greater than 0');
+  }
+
+  return {
+    ...DIFFICULTY_PROFILES[DEFAULT_DIFFICULTY],
+    id: 'custom',
+    name: 'Custom',
+    description: 'Hand-tuned settings.',
+    ...settings
+  };
+}
+
+/**
+ * Get the display name of a difficulty id
+ * @param {string} difficulty - Difficulty id
+ * @returns {string} Display name
+ */
+export function getDifficultyName(difficulty) {
+  if (difficulty === 'custom') return 'Custom';
+  return DIFFICULTY_PROFILES[difficulty]?.name || 'Normal';
+}
+
+export default DIFFICULTY_PROFILES;
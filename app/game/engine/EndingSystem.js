@@ -3,16 +3,25 @@
  * Evaluates player actions, survival time, fear level, and choices to determine appropriate endings
  */
 
+import { getDifficultyName } from './DifficultyProfiles.js';
+import { gameStorage } from '../utils/GameStorage.js';
+import { EventBus } from './EventBus.js';
+
 export class EndingSystem {
-  constructor(gameState, audioManager = null, voiceNarrator = null) {
+  constructor(gameState, audioManager = null, voiceNarrator = null, options = {}, events = new EventBus()) {
     this.gameState = gameState;
+    this.events = events; // GameEngine's bus, so listeners outlive a reset
     this.audioManager = audioManager;
     this.voiceNarrator = voiceNarrator;
+    this.options = {
+      recordAchievements: options.recordAchievements ?? true,
+      ...options
+    };
     
     // Ending tracking
     this.currentEnding = null;
+    this.achievementsUnreadable = false; // Set by loadAchievements if storage could not be read
     this.endingAchievements = this.loadAchievements();
-    this.endingCallbacks = new Set();
     
     // Ending evaluation criteria
     this.endingCriteria = this.initializeEndingCriteria();
@@ -64,6 +73,16 @@ export class EndingSystem {
           },
           rarity: 'uncommon'
         },
+        haunted_survivor: {
+          type: 'victory',
+          title: 'Haunted Survivor',
+          description: 'Saw the sunrise, but not clearly',
+          criteria: {
+            survived: true,
+            sanity: { max: 25 }
+          },
+          rarity: 'rare'
+        },
         resourceful_survivor: {
           type: 'victory',
           title: 'Resourceful Survivor',
@@ -110,6 +129,17 @@ export class EndingSystem {
           },
           rarity: 'common'
         },
+        madness_death: {
+          type: 'death',
+          title: 'Lost to the House',
+          description: 'The mind broke before the body did',
+          criteria: {
+            survived: false,
+            deathCause: 'sanity',
+            sanity: { max: 0 }
+          },
+          rarity: 'uncommon'
+        },
         early_death: {
           type: 'death',
           title: 'Quick Demise',
@@ -151,7 +181,7 @@ export class EndingSystem {
    * @returns {Object} Ending data
    */
   evaluateEnding() {
-    const survived = this.gameState.isAlive && this.gameState.currentTime === "06:00";
+    const survived = this.gameState.isAlive && this.isSunrise();
     const endingType = survived ? 'victory' : 'death';
     const endings = this.endingCriteria[endingType];
     
@@ -192,16 +222,18 @@ export class EndingSystem {
     const itemsUsed = this.countItemsUsed();
     
     return {
-      survived: this.gameState.isAlive && this.gameState.currentTime === "06:00",
+      survived: this.gameState.isAlive && this.isSunrise(),
       fearLevel: this.gameState.fearLevel,
       health: this.gameState.health,
+      sanity: this.gameState.sanity ?? 100,
       survivalTime: survivalTimeHours,
       commandsUsed: this.gameState.commandsIssued.length,
-      inventorySize: this.gameState.inventory.length,
+      inventorySize: this.getRealItems().length,
       secretsFound: secretsFound,
       itemsUsed: itemsUsed,
       deathCause: this.getDeathCause(),
       eventsTriggered: this.gameState.eventsTriggered.length,
+      rewindsUsed: this.gameState.rewindsUsed || 0,
       survivalScore: this.gameState.survivalScore || this.gameState.calculateSurvivalScore()
     };
   }
@@ -212,11 +244,24 @@ export class EndingSystem {
   calculateSurvivalTime() {
     if (!this.gameState.gameStartTime) return 0;
     
-    // Convert real time to game time (1 real minute = 1 game hour)
+    // Convert real time to game time on the night schedule (capped at sunrise)
     const realTimeElapsed = this.gameState.realTimeElapsed || 0;
-    const gameHours = realTimeElapsed / (60 * 1000); // Convert ms to minutes (game hours)
-    
-    return Math.min(gameHours, 7); // Max 7 hours (11 PM to 6 AM)
+    return this.gameState.getNightSchedule().getGameTime(realTimeElapsed).totalGameMinutes / 60;
+  }
+
+  /**
+   * Check whether the game clock has reached sunrise
+   * @returns {boolean} True at sunrise
+   */
+  isSunrise() {
+    return this.gameState.getNightSchedule().isSunrise(this.gameState.currentTime);
+  }
+
+  /**
+   * Get the items the player really holds, leaving out ones imagined at low sanity
+   */
+  getRealItems() {
+    return this.gameState.inventory.filter(item => !item.fake);
   }
 
   /**
@@ -224,7 +269,7 @@ export class EndingSystem {
    */
   countSecretsFound() {
     const secretItems = ['hidden_key', 'secret_note', 'ancient_artifact', 'mysterious_photo'];
-    return this.gameState.inventory.filter(item => 
+    return this.getRealItems().filter(item => 
       secretItems.includes(item.id) || item.type === 'secret'
     ).length;
   }
@@ -233,7 +278,7 @@ export class EndingSystem {
    * Count items that were actually used
    */
   countItemsUsed() {
-    return this.gameState.inventory.filter(item => 
+    return this.getRealItems().filter(item => 
       item.durability < 100 || item.timesUsed > 0
     ).length;
   }
@@ -246,6 +291,7 @@ export class EndingSystem {
     
     if (this.gameState.fearLevel >= 100) return 'fear';
     if (this.gameState.health <= 0) return 'health';
+    if (this.gameState.sanity <= 0) return 'sanity';
     return 'event'; // Death from specific event
   }
 
@@ -308,7 +354,9 @@ export class EndingSystem {
     this.currentEnding = ending;
     
     // Record achievement
-    this.recordAchievement(ending);
+    if (this.options.recordAchievements) {
+      this.recordAchievement(ending);
+    }
     
     // Generate ending content
     const endingContent = this.generateEndingContent(ending);
@@ -323,14 +371,7 @@ export class EndingSystem {
       this.playEndingAudio(ending);
     }
     
-    // Notify callbacks
-    this.endingCallbacks.forEach(callback => {
-      try {
-        callback(ending, endingContent);
-      } catch (error) {
-        console.error('Error in ending callback:', error);
-      }
-    });
+    this.events.emit('ending:triggered', { ending, content: endingContent });
     
     console.log(`Ending triggered: ${ending.title} (${ending.type})`);
     
@@ -353,6 +394,8 @@ export class EndingSystem {
       description: ending.description,
       type: ending.type,
       rarity: ending.rarity,
+      difficulty: this.gameState.difficulty,
+      difficultyName: getDifficultyName(this.gameState.difficulty),
       narration: this.generateEndingNarration(ending, stats),
       statistics: this.formatStatistics(stats),
       achievements: this.getRecentAchievements(),
@@ -373,6 +416,8 @@ export class EndingSystem {
       
       lucky_survivor: `By the skin of your teeth, you've made it through. With only ${stats.health} health remaining and fear coursing through your veins, luck was your greatest ally tonight. Sometimes survival isn't about skill - it's about refusing to give up when all seems lost.`,
       
+      haunted_survivor: `The sun is up. You think it is, anyway. With your sanity down to ${stats.sanity.toFixed(0)}%, you no longer trust what you see, and the house has not quite let go of you. Something followed you out into the morning. It is probably nothing. It is probably nothing.`,
+      
       resourceful_survivor: `Your resourcefulness saved you. By cleverly using ${stats.itemsUsed} different items and maintaining an inventory of ${stats.inventorySize} tools, you turned the odds in your favor. Intelligence and preparation triumph over brute force once again.`,
       
       basic_survivor: `You survived. That's what matters. The night tested you, but you endured. As dawn breaks, you can finally breathe easy knowing you've conquered your fears and lived through the nightmare.`,
@@ -381,6 +426,8 @@ export class EndingSystem {
       
       health_death: `Your body gave out before your spirit did. The physical toll of the night proved too much, and despite your efforts, your health reached zero. You fought bravely, but sometimes courage isn't enough to overcome mortal limitations.`,
       
+      madness_death: `Your body was still whole when your mind gave way. The whispers stopped being outside your head, and the house stopped needing to chase you. When they find you, you are sitting in the dark, perfectly calm, talking to someone who isn't there.`,
+      
       early_death: `The night claimed you quickly. After only ${stats.survivalTime.toFixed(1)} hours, your journey came to an abrupt end. Perhaps rushing into danger wasn't the wisest choice, but at least your suffering was brief.`,
       
       coward_death: `Paralyzed by terror, you could barely act. With only ${stats.commandsUsed} attempts to save yourself and fear levels at ${stats.fearLevel}%, you became your own worst enemy. Sometimes inaction is the most dangerous action of all.`,
@@ -399,11 +446,13 @@ export class EndingSystem {
       'Survival Time': `${stats.survivalTime.toFixed(1)} hours`,
       'Final Fear Level': `${stats.fearLevel.toFixed(0)}%`,
       'Final Health': `${stats.health.toFixed(0)}%`,
+      'Final Sanity': `${(stats.sanity ?? 100).toFixed(0)}%`,
       'Commands Used': stats.commandsUsed,
       'Items Collected': stats.inventorySize,
       'Items Used': stats.itemsUsed,
       'Secrets Found': stats.secretsFound,
       'Events Survived': stats.eventsTriggered,
+      'Rewinds Used': stats.rewindsUsed,
       'Survival Score': stats.survivalScore
     };
   }
@@ -466,9 +515,11 @@ export class EndingSystem {
   }
 
   /**
-   * Record achievement for this ending
+   * Record achievement for this ending, counted per difficulty
    */
   recordAchievement(ending) {
+    const difficulty = this.gameState.difficulty || 'normal';
+
     if (!this.endingAchievements[ending.id]) {
       this.endingAchievements[ending.id] = {
         id: ending.id,
@@ -476,12 +527,20 @@ export class EndingSystem {
         description: ending.description,
         rarity: ending.rarity,
         firstAchieved: Date.now(),
-        timesAchieved: 0
+        timesAchieved: 0,
+        byDifficulty: {} // Times achieved per difficulty id
       };
     }
     
-    this.endingAchievements[ending.id].timesAchieved++;
-    this.endingAchievements[ending.id].lastAchieved = Date.now();
+    const achievement = this.endingAchievements[ending.id];
+    achievement.timesAchieved++;
+    achievement.lastAchieved = Date.now();
+
+    // Achievements saved before difficulties existed were all earned on normal
+    if (!achievement.byDifficulty) {
+      achievement.byDifficulty = { normal: achievement.timesAchieved - 1 };
+    }
+    achievement.byDifficulty[difficulty] = (achievement.byDifficulty[difficulty] || 0) + 1;
     
     // Save achievements
     this.saveAchievements();
@@ -503,6 +562,16 @@ export class EndingSystem {
     };
   }
 
+  /**
+   * Check whether an ending has been achieved on a difficulty
+   * @param {string} endingId - Ending id
+   * @param {string} difficulty - Difficulty id
+   * @returns {boolean} True if achieved at least once on that difficulty
+   */
+  hasAchievement(endingId, difficulty) {
+    return (this.endingAchievements[endingId]?.byDifficulty?.[difficulty] || 0) > 0;
+  }
+
   /**
    * Get recently achieved endings
    */
@@ -529,16 +598,7 @@ export class EndingSystem {
     // Reset current ending
     this.currentEnding = null;
     
-    // Notify callbacks about restart
-    this.endingCallbacks.forEach(callback => {
-      try {
-        if (callback.onRestart) {
-          callback.onRestart();
-        }
-      } catch (error) {
-        console.error('Error in restart callback:', error);
-      }
-    });
+    this.events.emit('ending:restart');
     
     console.log('Game restart initiated');
     
@@ -549,11 +609,27 @@ export class EndingSystem {
   }
 
   /**
-   * Load achievements from localStorage
+   * Clear the current ending so the run can carry on after a rewind
+   */
+  dismissEnding() {
+    this.currentEnding = null;
+  }
+
+  /**
+   * Load achievements from game storage
    */
   loadAchievements() {
+    let saved;
+    try {
+      saved = gameStorage.getItem('survive-achievements');
+    } catch (error) {
+      // Storage was not ready; writing now would replace achievements we never read
+      console.error('Achievements unavailable, they will not be saved this session:', error);
+      this.achievementsUnreadable = true;
+      return {};
+    }
+
     try {
-      const saved = localStorage.getItem('survive-achievements');
       return saved ? JSON.parse(saved) : {};
     } catch (error) {
       console.error('Error loading achievements:', error);
@@ -562,27 +638,34 @@ export class EndingSystem {
   }
 
   /**
-   * Save achievements to localStorage
+   * Save achievements to game storage
+   * Skipped if they could not be read, so the stored ones are not overwritten
    */
   saveAchievements() {
+    if (this.achievementsUnreadable) return;
+
     try {
-      localStorage.setItem('survive-achievements', JSON.stringify(this.endingAchievements));
+      gameStorage.setItem('survive-achievements', JSON.stringify(this.endingAchievements));
     } catch (error) {
       console.error('Error saving achievements:', error);
     }
   }
 
   /**
-   * Register callback for ending events
-   * @param {Function} callback - Function to call when ending is triggered
+   * Register callback for ending events - shorthand for the 'ending:triggered' event
+   * An onRestart hook set on the callback before registering hears 'ending:restart'
+   * @param {Function} callback - Function to call with (ending, content)
+   * @returns {Function} Unsubscribe function
    */
   onEnding(callback) {
-    this.endingCallbacks.add(callback);
-    
-    // Return unsubscribe function
-    return () => {
-      this.endingCallbacks.delete(callback);
-    };
+    const unsubscribes = [
+      this.events.on('ending:triggered', ({ ending, content }) => callback(ending, content))
+    ];
+    if (typeof callback.onRestart === 'function') {
+      unsubscribes.push(this.events.on('ending:restart', () => callback.onRestart()));
+    }
+
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
   }
 
   /**
@@ -597,7 +680,7 @@ export class EndingSystem {
    */
   shouldTriggerEnding() {
     // Game ends if player dies or reaches sunrise
-    return !this.gameState.isAlive || this.gameState.currentTime === "06:00";
+    return !this.gameState.isAlive || this.isSunrise();
   }
 
   /**
@@ -628,6 +711,56 @@ export class EndingSystem {
     };
   }
 
+  /**
+   * Copy the achievements for a save file
+   * @returns {Object} Achievements by ending id
+   */
+  exportAchievements() {
+    return JSON.parse(JSON.stringify(this.endingAchievements));
+  }
+
+  /**
+   * Merge achievements from a save file into this player's
+   * Counts per difficulty take the higher of the two, so importing the same file twice changes nothing
+   * @param {Object} achievements - Achievements by ending id
+   * @returns {number} Number of endings added or updated
+   */
+  importAchievements(achievements) {
+    let changed = 0;
+
+    Object.values(achievements || {}).forEach(imported => {
+      if (!imported?.id) return;
+
+      const existing = this.endingAchievements[imported.id];
+      if (!existing) {
+        this.endingAchievements[imported.id] = JSON.parse(JSON.stringify(imported));
+        changed++;
+        return;
+      }
+
+      // Achievements saved before difficulties existed were all earned on normal
+      const countsOf = (achievement) => achievement.byDifficulty || { normal: achievement.timesAchieved || 0 };
+      const byDifficulty = { ...countsOf(existing) };
+      Object.entries(countsOf(imported)).forEach(([difficulty, count]) => {
+        byDifficulty[difficulty] = Math.max(byDifficulty[difficulty] || 0, count);
+      });
+      const timesAchieved = Object.values(byDifficulty).reduce((total, count) => total + count, 0);
+
+      if (timesAchieved !== existing.timesAchieved) {
+        changed++;
+      }
+      Object.assign(existing, {
+        byDifficulty,
+        timesAchieved,
+        firstAchieved: Math.min(existing.firstAchieved, imported.firstAchieved ?? existing.firstAchieved),
+        lastAchieved: Math.max(existing.lastAchieved || 0, imported.lastAchieved || 0)
+      });
+    });
+
+    this.saveAchievements();
+    return changed;
+  }
+
   /**
    * Reset all achievements (for testing or fresh start)
    */
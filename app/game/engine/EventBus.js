@@ -0,0 +1,175 @@
+/**
+ * EventBus - One place to hear everything that happens in a night
+ * Event types are namespaced ('fear:changed', 'item:used'); listeners can take one type,
+ * a whole namespace ('fear:*') or everything ('*'), and each gets (payload, type)
+ */
+
+// Every type the engine and its systems emit, with the payload each carries
+export const ENGINE_EVENTS = {
+  'game:started': '{resumed} - resumed is true for a restored night',
+  'game:paused': '{}',
+  'game:resumed': '{}',
+  'game:stopped': '{}',
+  'game:update': '{deltaTime, gameState} - once a frame, after every system has updated',
+  'game:ending': '{ending, content, rewindsRemaining, ...} - from GameEngine.triggerGameEnding()',
+  'ending:triggered': '{ending, content} - from EndingSystem.triggerEnding(), before game:ending',
+  'ending:restart': '{} - EndingSystem.restartGame() was called',
+  'engine:error': '{errorType, error, context} - from GameEngine.handleError()',
+  'performance:issue': '{fps, frameTime, suggestion} - the frame rate dropped and settings were adjusted',
+  'performance:changed': '{metrics, issues, recommendations} - the PerformanceOptimizer found issues',
+  'performance:optimized': '{previousLevel, currentLevel, settings, reason} - the PerformanceOptimizer applied new settings',
+  'command:received': '{command} - every command given, before it is handled',
+  'fear:changed': "{changeType, data, fearLevel, fearState} - changeType is 'event' or 'state'",
+  'health:changed': "{changeType, data, health, healthState} - changeType is 'damage', 'heal', 'regeneration' or 'state'",
+  'health:damaged': '{changeType, data, health, healthState}',
+  'health:healed': '{changeType, data, health, healthState} - healing and regeneration',
+  'stamina:changed': "{changeType, data, stamina, staminaState} - changeType is 'spent', 'recovered' or 'state'",
+  'stamina:exhausted': '{stamina} - repeats while exhausted; GameEngine turns it into exhaustion damage',
+  'light:changed': '{level, previousLevel, source, lightState} - level is 0-1, source the brightest light',
+  'light:darkness': '{duration} - repeats while the player is in the dark; GameEngine turns it into fear',
+  'light:burned_out': '{item, fuel} - a light source ran out of battery or wax',
+  'event:started': '{event}',
+  'event:resolved': '{event, response, command}',
+  'event:timed_out': '{event}',
+  'item:used': '{item, result}',
+  'item:vanished': '{item} - an item imagined at low sanity was reached for',
+  'time:changed': '{hour, minute, formattedTime, totalGameMinutes}',
+  'time:hour': '{hour, previousHour}',
+  'time:sunrise': '{}',
+  'monster:state_change': '{monster, previousState, state}',
+  'monster:player_caught': '{monster}',
+  'monster:monster_nearby': '{monster, distance}',
+  'plugin:registered': '{name}',
+  'plugin:error': '{name, hook, error} - a plugin hook threw; the engine carries on',
+  'plugin:disabled': '{name, reason}'
+};
+
+export class EventBus {
+  constructor(types = Object.keys(ENGINE_EVENTS)) {
+    this.types = new Set(types);
+    this.listeners = new Map(); // Type, 'namespace:*' or '*' -> Set of listeners
+  }
+
+  /**
+   * Add event types, such as a plugin's own events
+   * @param {...string} types - Namespaced event types ('namespace:name')
+   * @throws {Error} If a type has no namespace
+   */
+  define(...types) {
+    types.forEach(type => {
+      if (!/^[\w-]+:[\w-]+$/.test(type)) {
+        throw new Error(`Event types look like "namespace:name", got "${type}"`);
+      }
+      this.types.add(type);
+    });
+  }
+
+  /**
+   * Check whether an event type or pattern can be listened to
+   * @param {string} pattern - Event type, 'namespace:*' or '*'
+   * @returns {boolean} True if known
+   */
+  isKnown(pattern) {
+    if (pattern === '*') return true;
+    if (pattern.endsWith(':*')) {
+      const namespace = pattern.slice(0, -1);
+      return [...this.types].some(type => type.startsWith(namespace));
+    }
+    return this.types.has(pattern);
+  }
+
+  /**
+   * Listen for an event type, a namespace or everything
+   * @param {string} pattern - Event type, 'namespace:*' or '*'
+   * @param {Function} listener - Called with (payload, type)
+   * @returns {Function} Unsubscribe function
+   * @throws {Error} If the type is unknown, which is usually a typo
+   */
+  on(pattern, listener) {
+    if (!this.isKnown(pattern)) {
+      throw new Error(`Unknown event type: ${pattern}`);
+    }
+
+    if (!this.listeners.has(pattern)) {
+      this.listeners.set(pattern, new Set());
+    }
+    this.listeners.get(pattern).add(listener);
+
+    return () => this.off(pattern, listener);
+  }
+
+  /**
+   * Listen for the next matching event only
+   * @param {string} pattern - Event type, 'namespace:*' or '*'
+   * @param {Function} listener - Called with (payload, type)
+   * @returns {Function} Unsubscribe function
+   */
+  once(pattern, listener) {
+    const unsubscribe = this.on(pattern, (payload, type) => {
+      unsubscribe();
+      listener(payload, type);
+    });
+    return unsubscribe;
+  }
+
+  /**
+   * Stop listening
+   * @param {string} pattern - Pattern the listener was added with
+   * @param {Function} listener - Listener to remove
+   */
+  off(pattern, listener) {
+    const listeners = this.listeners.get(pattern);
+    if (!listeners) return;
+
+    listeners.delete(listener);
+    if (listeners.size === 0) {
+      this.listeners.delete(pattern);
+    }
+  }
+
+  /**
+   * Send an event to its own listeners, then its namespace's, then the '*' listeners
+   * A listener that throws is logged and the rest still hear the event
+   * @param {string} type - Event type
+   * @param {Object} payload - Event data
+   * @throws {Error} If the type is unknown
+   */
+  emit(type, payload = {}) {
+    if (!this.types.has(type)) {
+      throw new Error(`Unknown event type: ${type}`);
+    }
+
+    const namespace = `${type.slice(0, type.indexOf(':'))}:*`;
+    [type, namespace, '*'].forEach(pattern => {
+      const listeners = this.listeners.get(pattern);
+      if (!listeners) return;
+
+      // Copied so listeners can unsubscribe while the event is being sent
+      [...listeners].forEach(listener => {
+        try {
+          listener(payload, type);
+        } catch (error) {
+          console.error(`Error in ${type} listener:`, error);
+        }
+      });
+    });
+  }
+
+  /**
+   * Count the listeners for a pattern
+   * @param {string} pattern - Event type, 'namespace:*' or '*'
+   * @returns {number} Listener count
+   */
+  listenerCount(pattern) {
+    return this.listeners.get(pattern)?.size ?? 0;
+  }
+
+  /**
+   * Remove every listener
+   */
+  clear() {
+    this.listeners.clear();
+  }
+}
+
+export default EventBus;
@@ -0,0 +1,340 @@
+/**
+ * EventPackLoader - Validates and merges data-driven event packs
+ * Event packs are versioned JSON files so new nights of content can be written without engine changes
+ */
+
+export const EVENT_PACK_SCHEMA_VERSION = 1;
+
+export const EVENT_TYPES = ['ambient', 'threat', 'discovery', 'choice'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+export class EventPackLoader {
+  constructor() {
+    this.loadedPacks = new Map(); // pack id -> { id, name, version, eventIds }
+  }
+
+  /**
+   * Validate an event pack against the current schema
+   * @param {Object} pack - Parsed event pack JSON
+   * @returns {Array} Validation errors [{eventId, field, message}] - empty if valid
+   */
+  validatePack(pack) {
+    const errors = [];
+
+    if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+      errors.push({ eventId: null, field: 'pack', message: 'must be an object' });
+      return errors;
+    }
+
+    if (pack.schemaVersion !== EVENT_PACK_SCHEMA_VERSION) {
+      errors.push({
+        eventId: null,
+        field: 'schemaVersion',
+        message: `unsupported schema version ${pack.schemaVersion} (expected ${EVENT_PACK_SCHEMA_VERSION})`
+      });
+    }
+
+    if (typeof pack.id !== 'string' || pack.id.trim() === '') {
+      errors.push({ eventId: null, field: 'id', message: 'must be a non-empty string' });
+    }
+
+    if (!Array.isArray(pack.events)) {
+      errors.push({ eventId: null, field: 'events', message: 'must be an array' });
+      return errors;
+    }
+
+    const seenIds = new Set();
+    pack.events.forEach((event, index) => {
+      const eventId = event && typeof event.id === 'string' ? event.id : `#${index}`;
+
+      if (seenIds.has(eventId)) {
+        errors.push({ eventId, field: 'id', message: 'is duplicated within the pack' });
+      }
+      seenIds.add(eventId);
+
+      errors.push(...this.validateEvent(event, eventId));
+    });
+
+    return errors;
+  }
+
+  /**
+   * Validate a single event definition
+   * @param {Object} event - Event definition
+   * @param {string} eventId - Event id (or index placeholder) used in error messages
+   * @returns {Array} Validation errors
+   */
+  validateEvent(event, eventId) {
+    const errors = [];
+    const fail = (field, message) => errors.push({ eventId, field, message });
+
+    if (!event || typeof event !== 'object') {
+      fail('event', 'must be an object');
+      return errors;
+    }
+
+    if (typeof event.id !== 'string' || event.id.trim() === '') {
+      fail('id', 'must be a non-empty string');
+    }
+
+    if (!EVENT_TYPES.includes(event.type)) {
+      fail('type', `must be one of ${EVENT_TYPES.join(', ')}`);
+    }
+
+    // Trigger conditions (follow-up only events are scheduled by their chain instead)
+    const trigger = event.trigger;
+    if (!trigger || typeof trigger !== 'object') {
+      fail('trigger', 'must be an object');
+    } else {
+      if (trigger.followUpOnly !== undefined && typeof trigger.followUpOnly !== 'boolean') {
+        fail('trigger.followUpOnly', 'must be a boolean');
+      }
+      if (!trigger.followUpOnly) {
+        if (!Array.isArray(trigger.timeRange) || trigger.timeRange.length !== 2 ||
+            !trigger.timeRange.every(time => typeof time === 'string' && TIME_PATTERN.test(time))) {
+          fail('trigger.timeRange', 'must be two HH:MM times');
+        }
+        if (!this.isNumberInRange(trigger.fearThreshold, 0, 100)) {
+          fail('trigger.fearThreshold', 'must be a number between 0 and 100');
+        }
+        if (!this.isNumberInRange(trigger.probability, 0, 1)) {
+          fail('trigger.probability', 'must be a number between 0 and 1');
+        }
+      }
+      if (trigger.noiseThreshold !== undefined && !this.isNumberInRange(trigger.noiseThreshold, 0, 100)) {
+        fail('trigger.noiseThreshold', 'must be a number between 0 and 100');
+      }
+      ['minLightLevel', 'maxLightLevel'].forEach(field => {
+        if (trigger[field] !== undefined && !this.isNumberInRange(trigger[field], 0, 1)) {
+          fail(`trigger.${field}`, 'must be a number between 0 and 1');
+        }
+      });
+      if (trigger.requiresFlags !== undefined && !this.isStringArray(trigger.requiresFlags)) {
+        fail('trigger.requiresFlags', 'must be an array of strings');
+      }
+    }
+
+    // Presentation
+    const content = event.content;
+    if (!content || typeof content !== 'object') {
+      fail('content', 'must be an object');
+    } else {
+      if (typeof content.narration !== 'string' || content.narration.trim() === '') {
+        fail('content.narration', 'must be a non-empty string');
+      }
+      if (content.audioFile !== undefined && typeof content.audioFile !== 'string') {
+        fail('content.audioFile', 'must be a string');
+      }
+      if (content.duration !== undefined && !this.isNumberInRange(content.duration, 0, Infinity)) {
+        fail('content.duration', 'must be a non-negative number');
+      }
+    }
+
+    // Player responses
+    if (event.responses !== undefined) {
+      if (!Array.isArray(event.responses)) {
+        fail('responses', 'must be an array');
+      } else {
+        event.responses.forEach((response, index) => {
+          const field = `responses[${index}]`;
+          if (!response || typeof response.command !== 'string' || response.command.trim() === '') {
+            fail(`${field}.command`, 'must be a non-empty string');
+          }
+          if (!response || !response.outcome || typeof response.outcome !== 'object') {
+            fail(`${field}.outcome`, 'must be an object');
+          } else {
+            this.validateOutcome(response.outcome, `${field}.outcome`, fail);
+          }
+        });
+      }
+    }
+
+    // Consequences (immediate deltas and timeout outcome)
+    if (event.consequences !== undefined) {
+      if (!event.consequences || typeof event.consequences !== 'object') {
+        fail('consequences', 'must be an object');
+      } else {
+        this.validateOutcome(event.consequences, 'consequences', fail);
+        if (event.consequences.timeout !== undefined) {
+          if (!event.consequences.timeout || typeof event.consequences.timeout !== 'object') {
+            fail('consequences.timeout', 'must be an object');
+          } else {
+            this.validateOutcome(event.consequences.timeout, 'consequences.timeout', fail);
+          }
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate the shared outcome fields used by responses and consequences
+   * @param {Object} outcome - Outcome definition
+   * @param {string} field - Field path prefix for error messages
+   * @param {Function} fail - Error collector (field, message)
+   */
+  validateOutcome(outcome, field, fail) {
+    ['fearDelta', 'healthDelta', 'sanityDelta'].forEach(key => {
+      if (outcome[key] !== undefined && (typeof outcome[key] !== 'number' || !Number.isFinite(outcome[key]))) {
+        fail(`${field}.${key}`, 'must be a number');
+      }
+    });
+
+    if (outcome.narration !== undefined && typeof outcome.narration !== 'string') {
+      fail(`${field}.narration`, 'must be a string');
+    }
+
+    if (outcome.itemGained !== undefined && typeof outcome.itemGained !== 'string') {
+      fail(`${field}.itemGained`, 'must be a string');
+    }
+
+    // Event chain branching
+    if (outcome.setFlags !== undefined && !this.isStringArray(outcome.setFlags)) {
+      fail(`${field}.setFlags`, 'must be an array of strings');
+    }
+
+    if (outcome.followUps !== undefined) {
+      if (!Array.isArray(outcome.followUps)) {
+        fail(`${field}.followUps`, 'must be an array');
+      } else {
+        outcome.followUps.forEach((followUp, index) => {
+          const followUpField = `${field}.followUps[${index}]`;
+          if (!followUp || typeof followUp.eventId !== 'string' || followUp.eventId.trim() === '') {
+            fail(`${followUpField}.eventId`, 'must be a non-empty string');
+          }
+          if (followUp && followUp.delayMinutes !== undefined && !this.isNumberInRange(followUp.delayMinutes, 0, Infinity)) {
+            fail(`${followUpField}.delayMinutes`, 'must be a non-negative number');
+          }
+        });
+      }
+    }
+  }
+
+  /**
+   * Check that a value is an array of strings
+   * @param {*} value - Value to check
+   * @returns {boolean} True if valid
+   */
+  isStringArray(value) {
+    return Array.isArray(value) && value.every(item => typeof item === 'string');
+  }
+
+  /**
+   * Check that a value is a finite number within bounds
+   * @param {*} value - Value to check
+   * @param {number} min - Minimum (inclusive)
+   * @param {number} max - Maximum (inclusive)
+   * @returns {boolean} True if valid
+   */
+  isNumberInRange(value, min, max) {
+    return typeof value === 'number' && !Number.isNaN(value) && value >= min && value <= max;
+  }
+
+  /**
+   * Format validation errors into a readable message
+   * @param {string} packId - Pack identifier
+   * @param {Array} errors - Validation errors
+   * @returns {string} Error message
+   */
+  formatErrors(packId, errors) {
+    const lines = errors.map(({ eventId, field, message }) =>
+      eventId ? `event "${eventId}" field "${field}" ${message}` : `field "${field}" ${message}`
+    );
+    return `Invalid event pack "${packId || 'unknown'}": ${lines.join('; ')}`;
+  }
+
+  /**
+   * Validate a pack and merge its events into an event configuration
+   * Events with an id that already exists replace the earlier definition
+   * @param {Object} eventConfig - Event configuration keyed by event type
+   * @param {Object} pack - Parsed event pack JSON
+   * @returns {Object} Merged event configuration
+   * @throws {Error} If the pack fails validation (error.validationErrors lists each problem)
+   */
+  mergePack(eventConfig, pack) {
+    const errors = this.validatePack(pack);
+    if (errors.length > 0) {
+      const error = new Error(this.formatErrors(pack?.id, errors));
+      error.validationErrors = errors;
+      throw error;
+    }
+
+    const merged = {};
+    EVENT_TYPES.forEach(type => {
+      merged[type] = [...(eventConfig[type] || [])];
+    });
+
+    pack.events.forEach(definition => {
+      const event = JSON.parse(JSON.stringify(definition)); // Packs are plain JSON - keep them immutable
+
+      // Remove any earlier definition with the same id (packs can override core events)
+      EVENT_TYPES.forEach(type => {
+        merged[type] = merged[type].filter(existing => existing.id !== event.id);
+      });
+
+      merged[event.type].push({ ...event, pack: pack.id });
+    });
+
+    // Every follow-up must point at an event that exists once this pack is merged
+    const referenceErrors = this.validateFollowUpReferences(merged);
+    if (referenceErrors.length > 0) {
+      const error = new Error(this.formatErrors(pack.id, referenceErrors));
+      error.validationErrors = referenceErrors;
+      throw error;
+    }
+
+    this.loadedPacks.set(pack.id, {
+      id: pack.id,
+      name: pack.name || pack.id,
+      version: pack.version || '1.0.0',
+      eventIds: pack.events.map(event => event.id)
+    });
+
+    return merged;
+  }
+
+  /**
+   * Check that follow-up event ids resolve within a merged configuration
+   * @param {Object} eventConfig - Merged event configuration keyed by type
+   * @returns {Array} Validation errors
+   */
+  validateFollowUpReferences(eventConfig) {
+    const errors = [];
+    const allEvents = Object.values(eventConfig).flat();
+    const knownIds = new Set(allEvents.map(event => event.id));
+
+    const checkOutcome = (event, outcome, field) => {
+      (outcome?.followUps || []).forEach((followUp, index) => {
+        if (!knownIds.has(followUp.eventId)) {
+          errors.push({
+            eventId: event.id,
+            field: `${field}.followUps[${index}].eventId`,
+            message: `references unknown event "${followUp.eventId}"`
+          });
+        }
+      });
+    };
+
+    allEvents.forEach(event => {
+      (event.responses || []).forEach((response, index) => {
+        checkOutcome(event, response.outcome, `responses[${index}].outcome`);
+      });
+      checkOutcome(event, event.consequences, 'consequences');
+      checkOutcome(event, event.consequences?.timeout, 'consequences.timeout');
+    });
+
+    return errors;
+  }
+
+  /**
+   * Get metadata for every pack merged so far
+   * @returns {Array} Loaded pack metadata
+   */
+  getLoadedPacks() {
+    return Array.from(this.loadedPacks.values());
+  }
+}
+
+export default EventPackLoader;
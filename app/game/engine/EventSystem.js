@@ -3,255 +3,72 @@
  * Handles event generation based on time and fear level
  */
 
+import { SeededRandom } from './SeededRandom.js';
+import { EventPackLoader } from './EventPackLoader.js';
+import { NightSchedule } from './NightSchedule.js';
+import { realClock } from './GameClock.js';
+import { EventBus } from './EventBus.js';
+import coreEventPack from '../data/events/core.json';
+
 class EventSystem {
-  constructor(gameState, audioManager, voiceController) {
+  constructor(gameState, audioManager, voiceController, rng = new SeededRandom(), clock = realClock, events = new EventBus()) {
     this.gameState = gameState;
     this.audioManager = audioManager;
     this.voiceController = voiceController;
+    this.rng = rng;
+    this.clock = clock; // Cooldowns and response windows stop counting while paused
+    this.events = events;
     this.eventQueue = [];
     this.eventHistory = [];
     this.lastEventTime = null;
     this.eventCooldown = 30000; // 30 seconds minimum between events
+    this.responseTimeout = 15000; // 15 seconds to respond to an event
+    this.noiseThreatWeight = 0.5; // Fear points a threat's threshold drops per point of noise
     
-    // Event configuration with probability-based triggers
+    // Event configuration with probability-based triggers, loaded from event packs
+    this.packLoader = new EventPackLoader();
     this.eventConfig = this.initializeEventConfig();
   }
 
   /**
-   * Initialize event configuration with all possible events
+   * Initialize event configuration from the bundled core event pack
    */
   initializeEventConfig() {
-    return {
-      ambient: [
-        {
-          id: 'distant_howl',
-          type: 'ambient',
-          trigger: {
-            timeRange: ['23:00', '05:00'],
-            fearThreshold: 0,
-            probability: 0.3
-          },
-          content: {
-            narration: 'A distant howl echoes through the darkness, sending chills down your spine.',
-            audioFile: 'howl_distant',
-            duration: 3000
-          },
-          consequences: {
-            fearDelta: 15,
-            healthDelta: 0
-          }
-        },
-        {
-          id: 'creaking_floorboards',
-          type: 'ambient',
-          trigger: {
-            timeRange: ['23:30', '04:30'],
-            fearThreshold: 20,
-            probability: 0.4
-          },
-          content: {
-            narration: 'The floorboards creak ominously above you. Something is moving up there.',
-            audioFile: 'creaking_wood',
-            duration: 4000
-          },
-          consequences: {
-            fearDelta: 10,
-            healthDelta: 0
-          }
-        },
-        {
-          id: 'whispers_in_walls',
-          type: 'ambient',
-          trigger: {
-            timeRange: ['00:00', '03:00'],
-            fearThreshold: 40,
-            probability: 0.25
-          },
-          content: {
-            narration: 'Faint whispers seem to emanate from within the walls themselves.',
-            audioFile: 'whispers_faint',
-            duration: 5000
-          },
-          consequences: {
-            fearDelta: 20,
-            healthDelta: 0
-          }
-        }
-      ],
-      threat: [
-        {
-          id: 'shadow_figure',
-          type: 'threat',
-          trigger: {
-            timeRange: ['01:00', '04:00'],
-            fearThreshold: 30,
-            probability: 0.2
-          },
-          content: {
-            narration: 'A dark figure moves in your peripheral vision. You need to decide quickly - hide or run?',
-            audioFile: 'shadow_movement',
-            duration: 6000
-          },
-          responses: [
-            {
-              command: 'hide',
-              outcome: {
-                fearDelta: -5,
-                healthDelta: 0,
-                narration: 'You quickly duck behind cover. The shadow passes by without noticing you.'
-              }
-            },
-            {
-              command: 'run',
-              outcome: {
-                fearDelta: 10,
-                healthDelta: -10,
-                narration: 'You bolt from your hiding spot. Something crashes behind you as you flee.'
-              }
-            }
-          ],
-          consequences: {
-            timeout: {
-              fearDelta: 25,
-              healthDelta: -15,
-              narration: 'Your hesitation costs you. The shadow figure draws closer.'
-            }
-          }
-        },
-        {
-          id: 'door_rattling',
-          type: 'threat',
-          trigger: {
-            timeRange: ['02:00', '05:00'],
-            fearThreshold: 25,
-            probability: 0.3
-          },
-          content: {
-            narration: 'Something is violently rattling the door handle. Do you want to listen carefully or move away?',
-            audioFile: 'door_rattle',
-            duration: 4000
-          },
-          responses: [
-            {
-              command: 'listen',
-              outcome: {
-                fearDelta: 5,
-                healthDelta: 0,
-                narration: 'You hear heavy breathing on the other side. Whatever it is, it knows you are here.'
-              }
-            },
-            {
-              command: 'run',
-              outcome: {
-                fearDelta: -10,
-                healthDelta: 0,
-                narration: 'You quietly move away from the door. The rattling continues for a few more moments, then stops.'
-              }
-            }
-          ],
-          consequences: {
-            timeout: {
-              fearDelta: 20,
-              healthDelta: 0,
-              narration: 'The rattling stops abruptly. An eerie silence fills the air.'
-            }
-          }
-        }
-      ],
-      discovery: [
-        {
-          id: 'find_flashlight',
-          type: 'discovery',
-          trigger: {
-            timeRange: ['23:00', '02:00'],
-            fearThreshold: 0,
-            probability: 0.15
-          },
-          content: {
-            narration: 'You notice something glinting in the corner. There appears to be a flashlight here.',
-            audioFile: 'item_discovery',
-            duration: 3000
-          },
-          responses: [
-            {
-              command: 'take',
-              outcome: {
-                fearDelta: -10,
-                healthDelta: 0,
-                narration: 'You pick up the flashlight. Its beam cuts through the darkness, making you feel safer.',
-                itemGained: 'flashlight'
-              }
-            }
-          ],
-          consequences: {
-            timeout: {
-              fearDelta: 0,
-              healthDelta: 0,
-              narration: 'You decide to leave the flashlight where it is.'
-            }
-          }
-        },
-        {
-          id: 'old_diary',
-          type: 'discovery',
-          trigger: {
-            timeRange: ['00:30', '03:30'],
-            fearThreshold: 15,
-            probability: 0.1
-          },
-          content: {
-            narration: 'An old diary lies open on a dusty table. The last entry mentions something about midnight visitors.',
-            audioFile: 'paper_rustle',
-            duration: 4000
-          },
-          consequences: {
-            fearDelta: 5,
-            healthDelta: 0
-          }
-        }
-      ],
-      choice: [
-        {
-          id: 'mysterious_phone',
-          type: 'choice',
-          trigger: {
-            timeRange: ['01:30', '04:00'],
-            fearThreshold: 35,
-            probability: 0.1
-          },
-          content: {
-            narration: 'An old rotary phone begins to ring. The sound is jarring in the silence. Do you answer it?',
-            audioFile: 'phone_ring',
-            duration: 8000
-          },
-          responses: [
-            {
-              command: 'answer',
-              outcome: {
-                fearDelta: 15,
-                healthDelta: 0,
-                narration: 'Heavy breathing fills the line, followed by a whispered warning: "They are coming for you."'
-              }
-            },
-            {
-              command: 'ignore',
-              outcome: {
-                fearDelta: 5,
-                healthDelta: 0,
-                narration: 'You let it ring. After what feels like an eternity, it finally stops.'
-              }
-            }
-          ],
-          consequences: {
-            timeout: {
-              fearDelta: 10,
-              healthDelta: 0,
-              narration: 'The phone stops ringing on its own, leaving an unsettling silence.'
-            }
-          }
-        }
-      ]
-    };
+    return this.packLoader.mergePack({}, coreEventPack);
+  }
+
+  /**
+   * Load an event pack and merge its events into the current configuration
+   * Events reusing an existing id replace the earlier definition
+   * @param {Object} pack - Parsed event pack JSON
+   * @returns {Object} Loaded pack metadata
+   * @throws {Error} If the pack fails schema validation
+   */
+  loadEventPack(pack) {
+    this.eventConfig = this.packLoader.mergePack(this.eventConfig, pack);
+    console.log(`Event pack loaded: ${pack.id} (${pack.events.length} events)`);
+    return this.packLoader.loadedPacks.get(pack.id);
+  }
+
+  /**
+   * Fetch an event pack JSON file and merge it
+   * @param {string} url - URL of the event pack (e.g. '/events/night-two.json')
+   * @returns {Promise<Object>} Loaded pack metadata
+   */
+  async fetchEventPack(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch event pack ${url}: ${response.status}`);
+    }
+    return this.loadEventPack(await response.json());
+  }
+
+  /**
+   * Get metadata for all loaded event packs
+   * @returns {Array} Loaded pack metadata
+   */
+  getLoadedEventPacks() {
+    return this.packLoader.getLoadedPacks();
   }
 
   /**
@@ -259,7 +76,7 @@ class EventSystem {
    */
   generateRandomEvent() {
     // Check cooldown
-    if (this.lastEventTime && Date.now() - this.lastEventTime < this.eventCooldown) {
+    if (this.lastEventTime && this.clock.now() - this.lastEventTime < this.eventCooldown) {
       return null;
     }
 
@@ -285,10 +102,10 @@ class EventSystem {
     const selectedEvent = this.selectEventByProbability(eligibleEvents);
     
     if (selectedEvent) {
-      this.lastEventTime = Date.now();
+      this.lastEventTime = this.clock.now();
       this.eventHistory.push({
         ...selectedEvent,
-        triggeredAt: Date.now(),
+        triggeredAt: this.clock.now(),
         gameTime: currentTime,
         fearLevelAtTrigger: fearLevel
       });
@@ -301,9 +118,20 @@ class EventSystem {
    * Check if an event is eligible to trigger
    */
   isEventEligible(event, currentTime, fearLevel) {
+    // Follow-up events only fire when scheduled by an earlier event in their chain
+    if (event.trigger.followUpOnly) {
+      return false;
+    }
+
+    // Branch events require flags set by earlier outcomes
+    const requiredFlags = event.trigger.requiresFlags || [];
+    if (requiredFlags.some(flag => !this.gameState.hasChainFlag?.(flag))) {
+      return false;
+    }
+
     // Check if event was already triggered recently
     const recentHistory = this.eventHistory.filter(
-      h => h.id === event.id && Date.now() - h.triggeredAt < 120000 // 2 minutes
+      h => h.id === event.id && this.clock.now() - h.triggeredAt < 120000 // 2 minutes
     );
     if (recentHistory.length > 0) {
       return false;
@@ -314,8 +142,27 @@ class EventSystem {
       return false;
     }
 
+    // Noisy players attract threats: noise counts towards a threat's fear threshold
+    const noiseLevel = this.gameState.noiseLevel || 0;
+    if (event.trigger.noiseThreshold !== undefined && noiseLevel < event.trigger.noiseThreshold) {
+      return false;
+    }
+
+    // Some things only show themselves in the dark, others need light to be seen at all
+    const lightLevel = this.gameState.lightLevel ?? 0;
+    if (event.trigger.maxLightLevel !== undefined && lightLevel > event.trigger.maxLightLevel) {
+      return false;
+    }
+    if (event.trigger.minLightLevel !== undefined && lightLevel < event.trigger.minLightLevel) {
+      return false;
+    }
+
+    const effectiveFear = event.type === 'threat'
+      ? fearLevel + noiseLevel * this.noiseThreatWeight
+      : fearLevel;
+
     // Check fear threshold
-    if (fearLevel < event.trigger.fearThreshold) {
+    if (effectiveFear < event.trigger.fearThreshold) {
       return false;
     }
 
@@ -324,10 +171,11 @@ class EventSystem {
 
   /**
    * Check if current time is within event's time range
+   * Ranges are written for the default 11 PM - 6 AM night and stretch to fit the night schedule
    */
   isTimeInRange(currentTime, timeRange) {
     const [startTime, endTime] = timeRange;
-    const current = this.timeToMinutes(currentTime);
+    const current = this.timeToMinutes(this.getNightSchedule().toReferenceTime(currentTime));
     const start = this.timeToMinutes(startTime);
     const end = this.timeToMinutes(endTime);
 
@@ -355,7 +203,7 @@ class EventSystem {
     const totalWeight = events.reduce((sum, event) => sum + event.trigger.probability, 0);
     
     // Generate random number
-    const random = Math.random() * totalWeight;
+    const random = this.rng.next() * totalWeight;
     
     // Select event based on weighted probability
     let currentWeight = 0;
@@ -378,7 +226,7 @@ class EventSystem {
     // Add to event queue for processing
     this.eventQueue.push({
       ...event,
-      startTime: Date.now(),
+      startTime: this.clock.now(),
       processed: false,
       awaitingResponse: event.responses && event.responses.length > 0
     });
@@ -396,11 +244,109 @@ class EventSystem {
     // Apply immediate consequences for ambient events
     if (event.type === 'ambient' || event.type === 'discovery') {
       this.applyEventConsequences(event.consequences);
+      this.advanceEventChain(event, event.consequences);
     }
 
+    this.events.emit('event:started', { event });
+
     return event;
   }
 
+  /**
+   * Register a callback for every event this system processes - shorthand for 'event:started'
+   * @param {Function} callback - Function to call with the event
+   * @returns {Function} Unsubscribe function
+   */
+  onEventProcessed(callback) {
+    return this.events.on('event:started', ({ event }) => callback(event));
+  }
+
+  /**
+   * Record chain flags and schedule follow-up events declared by an outcome
+   * @param {Object} event - Event whose outcome was applied
+   * @param {Object} outcome - Response outcome, timeout or immediate consequences
+   */
+  advanceEventChain(event, outcome) {
+    if (!outcome) return;
+
+    (outcome.setFlags || []).forEach(flag => {
+      this.gameState.setChainFlag(flag);
+    });
+
+    const followUps = outcome.followUps || [];
+    if (followUps.length === 0) return;
+
+    const now = this.getGameMinutesElapsed();
+    followUps.forEach(followUp => {
+      this.gameState.scheduleFollowUp(followUp.eventId, now + (followUp.delayMinutes || 0), event.id);
+      console.log(`Follow-up scheduled: ${followUp.eventId} in ${followUp.delayMinutes || 0} game minutes (from ${event.id})`);
+    });
+  }
+
+  /**
+   * Trigger scheduled follow-up events that are now due
+   * Follow-ups bypass the cooldown and trigger conditions - their chain already decided they happen
+   * @returns {Array} Follow-up events that were triggered
+   */
+  processDueFollowUps() {
+    if (!this.gameState.eventChains || this.gameState.eventChains.scheduled.length === 0) {
+      return [];
+    }
+
+    const triggered = [];
+    const dueFollowUps = this.gameState.takeDueFollowUps(this.getGameMinutesElapsed());
+
+    dueFollowUps.forEach(followUp => {
+      const event = this.findEventById(followUp.eventId);
+      if (!event) {
+        console.warn(`Follow-up event not found: ${followUp.eventId}`);
+        return;
+      }
+
+      this.lastEventTime = this.clock.now();
+      this.eventHistory.push({
+        ...event,
+        triggeredAt: this.clock.now(),
+        gameTime: this.gameState.currentTime,
+        fearLevelAtTrigger: this.gameState.fearLevel,
+        chainSource: followUp.sourceEventId
+      });
+      this.processEvent(event);
+      triggered.push(event);
+    });
+
+    return triggered;
+  }
+
+  /**
+   * Find an event definition by id across all event types
+   * @param {string} eventId - Event identifier
+   * @returns {Object|null} Event definition
+   */
+  findEventById(eventId) {
+    for (const events of Object.values(this.eventConfig)) {
+      const event = events.find(e => e.id === eventId);
+      if (event) return event;
+    }
+    return null;
+  }
+
+  /**
+   * Get game minutes elapsed since nightfall, based on the current game clock
+   * @returns {number} Minutes since nightfall
+   */
+  getGameMinutesElapsed() {
+    return this.getNightSchedule().getMinutesSinceNightfall(this.gameState.currentTime);
+  }
+
+  /**
+   * Get the night schedule event times are measured against
+   * @returns {NightSchedule} Schedule from GameState, or the default night
+   */
+  getNightSchedule() {
+    return this.gameState?.getNightSchedule?.() || new NightSchedule();
+  }
+
   /**
    * Evaluate player response to an event
    */
@@ -428,6 +374,9 @@ class EventSystem {
         this.gameState.addToInventory(response.outcome.itemGained);
       }
 
+      // Branch the event chain
+      this.advanceEventChain(event, response.outcome);
+
       // Mark event as processed
       const queuedEvent = this.eventQueue.find(e => e.id === event.id && !e.processed);
       if (queuedEvent) {
@@ -435,6 +384,7 @@ class EventSystem {
         queuedEvent.awaitingResponse = false;
       }
 
+      this.events.emit('event:resolved', { event, response, command });
       return response;
     }
 
@@ -454,18 +404,21 @@ class EventSystem {
     if (consequences.healthDelta) {
       this.gameState.updateHealth(consequences.healthDelta);
     }
+
+    if (consequences.sanityDelta) {
+      this.gameState.updateSanity(consequences.sanityDelta);
+    }
   }
 
   /**
    * Handle event timeouts for events awaiting player response
    */
   handleEventTimeouts() {
-    const now = Date.now();
-    const timeoutDuration = 15000; // 15 seconds to respond
+    const now = this.clock.now();
 
     this.eventQueue.forEach(event => {
       if (event.awaitingResponse && !event.processed) {
-        if (now - event.startTime > timeoutDuration) {
+        if (now - event.startTime > this.responseTimeout) {
           // Apply timeout consequences
           if (event.consequences && event.consequences.timeout) {
             this.applyEventConsequences(event.consequences.timeout);
@@ -473,11 +426,14 @@ class EventSystem {
             if (event.consequences.timeout.narration && this.voiceController) {
               this.voiceController.speak(event.consequences.timeout.narration);
             }
+
+            this.advanceEventChain(event, event.consequences.timeout);
           }
 
           // Mark as processed
           event.processed = true;
           event.awaitingResponse = false;
+          this.events.emit('event:timed_out', { event });
         }
       }
     });
@@ -502,6 +458,15 @@ class EventSystem {
     return [...this.eventHistory];
   }
 
+  /**
+   * Apply a difficulty profile's event pacing
+   * @param {Object} profile - Difficulty profile from DifficultyProfiles
+   */
+  applyDifficulty(profile) {
+    this.eventCooldown = profile.eventCooldown;
+    this.responseTimeout = profile.responseTimeout;
+  }
+
   /**
    * Clear event history (for game restart)
    */
@@ -528,6 +493,33 @@ class EventSystem {
     return this.gameState && this.gameState.isAlive;
   }
 
+  /**
+   * Capture queued events, history and cooldown for a save
+   * Wall-clock times become ages so cooldowns and response windows carry over a reload
+   * @returns {Object} Event system snapshot
+   */
+  snapshot() {
+    const now = this.clock.now();
+
+    return {
+      timeSinceLastEvent: this.lastEventTime ? now - this.lastEventTime : null,
+      eventQueue: this.eventQueue.map(({ startTime, ...event }) => ({ ...event, age: now - startTime })),
+      eventHistory: this.eventHistory.map(({ triggeredAt, ...event }) => ({ ...event, age: now - triggeredAt }))
+    };
+  }
+
+  /**
+   * Restore queued events, history and cooldown from a snapshot
+   * @param {Object} snapshot - Data from snapshot()
+   */
+  restore(snapshot) {
+    const now = this.clock.now();
+
+    this.lastEventTime = snapshot.timeSinceLastEvent === null ? null : now - snapshot.timeSinceLastEvent;
+    this.eventQueue = snapshot.eventQueue.map(({ age, ...event }) => ({ ...event, startTime: now - age }));
+    this.eventHistory = snapshot.eventHistory.map(({ age, ...event }) => ({ ...event, triggeredAt: now - age }));
+  }
+
   /**
    * Get event system statistics
    * @returns {Object} System statistics
@@ -549,11 +541,14 @@ class EventSystem {
     // Handle event timeouts
     this.handleEventTimeouts();
 
+    // Trigger any follow-up events whose time has come
+    this.processDueFollowUps();
+
     // Randomly generate new events with frequency adjustment
     const baseChance = 0.1; // 10% base chance per update cycle
     const adjustedChance = baseChance * (this.eventFrequency || 1.0);
     
-    if (Math.random() < adjustedChance) {
+    if (this.rng.chance(adjustedChance)) {
       const newEvent = this.generateRandomEvent();
       if (newEvent) {
         this.processEvent(newEvent);
@@ -3,14 +3,18 @@
  * Handles fear events, decay, and action success rate modifications
  */
 
+import { realClock } from './GameClock.js';
+import { EventBus } from './EventBus.js';
+
 export class FearSystem {
-  constructor(gameState) {
+  constructor(gameState, clock = realClock, events = new EventBus()) {
     this.gameState = gameState;
+    this.clock = clock; // Fear events run on game time, so they hold still while paused
+    this.events = events; // GameEngine's bus, so listeners outlive a reset
     this.fearDecayRate = 0.1; // Fear points per second when no events
     this.fearEvents = new Map(); // Track active fear events
     this.fearModifiers = new Map(); // Temporary fear modifiers
     this.lastFearLevel = 0;
-    this.fearChangeCallbacks = new Set();
     
     // Fear event types and their base values
     this.fearEventTypes = {
@@ -46,6 +50,9 @@ export class FearSystem {
     
     // Process active fear events
     this.processFearEvents(deltaTime);
+
+    // Drop modifiers that have run out
+    this.expireFearModifiers();
     
     // Apply natural fear decay
     this.applyFearDecay(deltaSeconds);
@@ -74,13 +81,13 @@ export class FearSystem {
     const source = options.source || 'unknown';
 
     const fearEvent = {
-      id: `${eventType}_${Date.now()}`,
+      id: `${eventType}_${this.clock.now()}`,
       type: eventType,
       intensity: intensity,
       baseFear: eventConfig.base * intensity,
       duration: duration,
       decay: eventConfig.decay,
-      startTime: Date.now(),
+      startTime: this.clock.now(),
       source: source,
       isActive: true
     };
@@ -102,7 +109,7 @@ export class FearSystem {
    * @param {number} deltaTime - Time elapsed in milliseconds
    */
   processFearEvents(deltaTime) {
-    const currentTime = Date.now();
+    const currentTime = this.clock.now();
     const eventsToRemove = [];
 
     for (const [eventId, fearEvent] of this.fearEvents) {
@@ -156,6 +163,10 @@ export class FearSystem {
     const timeModifier = this.getTimeFearModifier();
     fearIncrease *= timeModifier;
 
+    // Apply the night's weather
+    const weatherModifier = this.getWeatherFearModifier();
+    fearIncrease *= weatherModifier;
+
     // Apply current fear state modifier (compound fear)
     const stateModifier = this.getFearStateModifier();
     fearIncrease *= stateModifier;
@@ -238,6 +249,15 @@ export class FearSystem {
     return 1.0;
   }
 
+  /**
+   * Get weather-based fear modifier
+   * Only WeatherSystem's modifier scales fear events; the others are kept but not applied here
+   * @returns {number} - Multiplier for fear events
+   */
+  getWeatherFearModifier() {
+    return this.fearModifiers.get('weather')?.multiplier ?? 1.0;
+  }
+
   /**
    * Get fear state modifier (compound fear effect)
    * @returns {number} - Multiplier for fear events
@@ -352,29 +372,27 @@ export class FearSystem {
   }
 
   /**
-   * Register a callback for fear changes
-   * @param {Function} callback - Function to call when fear changes
+   * Register a callback for fear changes - shorthand for the 'fear:changed' event
+   * @param {Function} callback - Function to call with (changeType, data, fearLevel, fearState)
+   * @returns {Function} Unsubscribe function
    */
   onFearChange(callback) {
-    this.fearChangeCallbacks.add(callback);
-    
-    return () => {
-      this.fearChangeCallbacks.delete(callback);
-    };
+    return this.events.on('fear:changed', ({ changeType, data, fearLevel, fearState }) => {
+      callback(changeType, data, fearLevel, fearState);
+    });
   }
 
   /**
-   * Notify all registered callbacks of fear changes
+   * Emit a 'fear:changed' event
    * @param {string} changeType - Type of change ('event', 'state', 'decay')
    * @param {Object} data - Additional data about the change
    */
   notifyFearChange(changeType, data) {
-    this.fearChangeCallbacks.forEach(callback => {
-      try {
-        callback(changeType, data, this.gameState.fearLevel, this.currentFearState);
-      } catch (error) {
-        console.error('Error in fear change callback:', error);
-      }
+    this.events.emit('fear:changed', {
+      changeType,
+      data,
+      fearLevel: this.gameState.fearLevel,
+      fearState: this.currentFearState
     });
   }
 
@@ -396,23 +414,30 @@ export class FearSystem {
    * Add a temporary fear modifier
    * @param {string} id - Unique identifier for the modifier
    * @param {number} multiplier - Fear multiplier
-   * @param {number} duration - Duration in milliseconds
+   * @param {number} duration - Duration in milliseconds, 0 to keep it until removed
    */
   addFearModifier(id, multiplier, duration) {
     const modifier = {
       id: id,
       multiplier: multiplier,
-      startTime: Date.now(),
+      startTime: this.clock.now(),
       duration: duration
     };
 
     this.fearModifiers.set(id, modifier);
+  }
 
-    // Auto-remove after duration
-    if (duration > 0) {
-      setTimeout(() => {
+  /**
+   * Remove modifiers whose duration has passed on the game clock
+   * Checked each frame rather than on a timer, so a paused game doesn't use them up
+   */
+  expireFearModifiers() {
+    const now = this.clock.now();
+
+    for (const [id, modifier] of this.fearModifiers) {
+      if (modifier.duration > 0 && now - modifier.startTime >= modifier.duration) {
         this.fearModifiers.delete(id);
-      }, duration);
+      }
     }
   }
 
@@ -441,6 +466,49 @@ export class FearSystem {
     return this.gameState && this.gameState.isAlive;
   }
 
+  /**
+   * Apply a difficulty profile's fear tuning
+   * @param {Object} profile - Difficulty profile from DifficultyProfiles
+   */
+  applyDifficulty(profile) {
+    this.fearDecayRate = profile.fearDecayRate;
+  }
+
+  /**
+   * Capture active fear events and modifiers for a save
+   * Timestamps are stored as ages so they survive a reload
+   * @returns {Object} Fear system snapshot
+   */
+  snapshot() {
+    const now = this.clock.now();
+    const withAge = ({ startTime, ...entry }) => ({ ...entry, age: now - startTime });
+
+    return {
+      currentFearState: this.currentFearState,
+      lastFearLevel: this.lastFearLevel,
+      fearEvents: [...this.fearEvents.values()].map(withAge),
+      fearModifiers: [...this.fearModifiers.values()].map(withAge)
+    };
+  }
+
+  /**
+   * Restore fear events and modifiers from a snapshot
+   * @param {Object} snapshot - Data from snapshot()
+   */
+  restore(snapshot) {
+    const now = this.clock.now();
+
+    this.currentFearState = snapshot.currentFearState;
+    this.lastFearLevel = snapshot.lastFearLevel;
+    this.fearEvents = new Map(snapshot.fearEvents.map(({ age, ...event }) =>
+      [event.id, { ...event, startTime: now - age }]
+    ));
+
+    this.fearModifiers = new Map(snapshot.fearModifiers.map(({ age, ...modifier }) =>
+      [modifier.id, { ...modifier, startTime: now - age }]
+    ));
+  }
+
   /**
    * Get fear system statistics
    * @returns {Object} System statistics
@@ -0,0 +1,93 @@
+/**
+ * GameClock - Clocks the engine systems read the time from
+ * RealClock follows the wall clock, GameClock stands still while the game is paused,
+ * and ManualClock only moves when told to, for tests, replays and simulations
+ */
+
+export class RealClock {
+  /**
+   * Get the current time
+   * @returns {number} Milliseconds since the epoch
+   */
+  now() {
+    return Date.now();
+  }
+}
+
+// Shared default for systems built without a clock
+export const realClock = new RealClock();
+
+export class GameClock {
+  constructor(source = realClock) {
+    this.source = source;
+    this.pausedAt = null; // Source time the clock stopped at
+    this.pausedTotal = 0; // Source time spent paused, left out of now()
+  }
+
+  /**
+   * Get the current game time - source time less every pause
+   * @returns {number} Milliseconds
+   */
+  now() {
+    return (this.pausedAt ?? this.source.now()) - this.pausedTotal;
+  }
+
+  /**
+   * Whether the clock is stopped
+   * @returns {boolean} True while paused
+   */
+  get isPaused() {
+    return this.pausedAt !== null;
+  }
+
+  /**
+   * Stop the clock
+   */
+  pause() {
+    if (this.isPaused) return;
+    this.pausedAt = this.source.now();
+  }
+
+  /**
+   * Start the clock again from where it stopped
+   */
+  resume() {
+    if (!this.isPaused) return;
+    this.pausedTotal += this.source.now() - this.pausedAt;
+    this.pausedAt = null;
+  }
+}
+
+export class ManualClock {
+  constructor(time = 0) {
+    this.time = time;
+  }
+
+  /**
+   * Get the current time
+   * @returns {number} Milliseconds
+   */
+  now() {
+    return this.time;
+  }
+
+  /**
+   * Move the clock forward
+   * @param {number} ms - Milliseconds to advance
+   * @returns {number} The new time
+   */
+  advance(ms) {
+    this.time += ms;
+    return this.time;
+  }
+
+  /**
+   * Set the clock to a time
+   * @param {number} time - Milliseconds
+   */
+  set(time) {
+    this.time = time;
+  }
+}
+
+export default GameClock;
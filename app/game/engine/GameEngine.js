@@ -7,21 +7,81 @@ import { GameState } from './GameState.js';
 import { GameTimer } from './GameTimer.js';
 import { FearSystem } from './FearSystem.js';
 import { HealthSystem } from './HealthSystem.js';
+import { StaminaSystem } from './StaminaSystem.js';
+import { LightingSystem } from './LightingSystem.js';
 import { InventorySystem } from './InventorySystem.js';
 import { EndingSystem } from './EndingSystem.js';
 import EventSystem from './EventSystem.js';
 import GameLoop from './GameLoop.js';
+import { SeededRandom } from './SeededRandom.js';
+import { GameClock, realClock } from './GameClock.js';
+import { EventBus } from './EventBus.js';
+import { PluginManager } from './PluginManager.js';
+import { SanitySystem } from './SanitySystem.js';
+import { WeatherSystem } from './WeatherSystem.js';
+import { HouseMap } from './HouseMap.js';
+import { MonsterSystem } from './MonsterSystem.js';
+import { createDifficultyProfile } from './DifficultyProfiles.js';
 import PerformanceOptimizer from '../utils/PerformanceOptimizer.js';
+import { SAVE_VERSION, migrateSave } from '../utils/SaveMigrations.js';
+import { CommandParser } from '../utils/CommandParser.js';
+
+// Hooks an onUpdate() callback can carry, with the bus event each listens to and the arguments it gets
+const UPDATE_HOOKS = {
+  onGameEnding: ['game:ending', (payload) => [payload]],
+  onFearChange: ['fear:changed', ({ changeType, data, fearLevel, fearState }) => [changeType, data, fearLevel, fearState]],
+  onHealthChange: ['health:changed', ({ changeType, data, health, healthState }) => [changeType, data, health, healthState]],
+  onMonsterEvent: ['monster:*', (payload, type) => [type.slice('monster:'.length), payload]],
+  onError: ['engine:error', ({ errorType, error, context }) => [errorType, error, context]],
+  onPerformanceIssue: ['performance:issue', (payload) => [payload]],
+  onPerformanceChange: ['performance:changed', (payload) => [payload]],
+  onOptimizationApplied: ['performance:optimized', (payload) => [payload]]
+};
 
 export class GameEngine {
-  constructor(audioManager = null, voiceController = null, voiceNarrator = null) {
-    this.gameState = new GameState();
-    this.gameTimer = new GameTimer(this.gameState);
-    this.fearSystem = new FearSystem(this.gameState);
-    this.healthSystem = new HealthSystem(this.gameState);
-    this.inventorySystem = new InventorySystem(this.gameState, audioManager, voiceNarrator);
-    this.endingSystem = new EndingSystem(this.gameState, audioManager, voiceNarrator);
-    this.eventSystem = new EventSystem(this.gameState, audioManager, voiceController);
+  constructor(audioManager = null, voiceController = null, voiceNarrator = null, options = {}) {
+    this.options = {
+      seed: options.seed ?? null, // Fixed seed replays the same night on every start
+      difficulty: options.difficulty ?? 'normal', // 'story', 'normal', 'nightmare' or 'custom'
+      difficultySettings: options.difficultySettings ?? {}, // Overrides used by the custom profile
+      nightSchedule: options.nightSchedule ?? null, // {startHour, endHour, realMinutes} - overrides the profile's night length
+      manualUpdates: options.manualUpdates ?? false, // Caller drives update() itself instead of requestAnimationFrame
+      recordAchievements: options.recordAchievements ?? true, // Off for replays, which must not award endings twice
+      clock: options.clock ?? realClock, // Time source under the game clock - a ManualClock for tests and headless runs
+      plugins: options.plugins ?? [], // Extra systems, registered once the engine is built (see PluginManager)
+      sanity: options.sanity ?? true, // Run SanitySystem; off for tests that want the plugin list to themselves
+      weather: options.weather ?? true, // Run WeatherSystem: true rolls each night's weather, a weather type fixes it, false turns it off
+      ...options
+    };
+
+    // One profile tunes every system; resolved up front so a bad profile fails construction
+    this.difficulty = createDifficultyProfile(this.options.difficulty, this.options.difficultySettings);
+
+    // Single RNG shared by every system so a night is reproducible from its seed
+    this.rng = new SeededRandom(this.options.seed ?? SeededRandom.generateSeed());
+
+    // Every timed system reads this clock, and pause() stops it, so nothing counts down while paused
+    this.clock = new GameClock(this.options.clock);
+
+    // Systems emit onto one bus that outlives reset(), so UI, audio and analytics subscribe once
+    this.events = new EventBus();
+
+    this.gameState = new GameState(this.clock);
+    this.gameState.seed = this.rng.getSeed();
+    this.gameTimer = new GameTimer(this.gameState, this.clock, this.events);
+    this.fearSystem = new FearSystem(this.gameState, this.clock, this.events);
+    this.healthSystem = new HealthSystem(this.gameState, this.clock, this.events);
+    this.staminaSystem = new StaminaSystem(this.gameState, this.clock, this.events);
+    this.lightingSystem = new LightingSystem(this.gameState, this.clock, this.events);
+    this.inventorySystem = new InventorySystem(this.gameState, audioManager, voiceNarrator, this.rng, this.clock, this.events);
+    this.endingSystem = new EndingSystem(this.gameState, audioManager, voiceNarrator, {
+      recordAchievements: this.options.recordAchievements
+    }, this.events);
+    this.eventSystem = new EventSystem(this.gameState, audioManager, voiceController, this.rng, this.clock, this.events);
+    this.houseMap = new HouseMap(this.gameState, this.options.houseLayout);
+    this.monsterSystem = new MonsterSystem(this.gameState, this.rng, {}, this.events);
+    this.applyDifficulty();
+    this.applyNightSchedule();
     
     // Game loop management
     this.gameLoop = new GameLoop(this, {
@@ -40,8 +100,18 @@ export class GameEngine {
     });
     
     this.isRunning = false;
-    this.updateCallbacks = new Set();
+    this.resumeOnStart = false; // Set by restoreSnapshot so start() carries on the restored night
     this.commandHandlers = new Map();
+    this.commandParser = new CommandParser(); // Extracts modifiers like "quietly" from commands
+    this.commandModifiers = []; // Modifiers of the command being handled
+
+    // Noise each action adds to GameState.noiseLevel before modifiers are applied
+    this.actionNoise = {
+      run: 50,
+      sprint: 70,
+      move: 10,
+      drop: 30
+    };
     
     // External system references
     this.audioManager = audioManager;
@@ -59,6 +129,9 @@ export class GameEngine {
     
     // Set up basic command handlers
     this.setupBasicCommandHandlers();
+
+    // Plugins go last so they can use every system and see the built-in commands
+    this.plugins = new PluginManager(this);
     
     // Bind methods to preserve context
     this.update = this.update.bind(this);
@@ -67,6 +140,12 @@ export class GameEngine {
     this.stop = this.stop.bind(this);
     this.handleError = this.handleError.bind(this);
     this.handlePerformanceIssue = this.handlePerformanceIssue.bind(this);
+
+    const builtInPlugins = [
+      this.options.sanity && new SanitySystem(),
+      this.options.weather && new WeatherSystem({ forecast: this.options.weather === true ? null : this.options.weather })
+    ].filter(Boolean);
+    this.plugins.registerAll([...builtInPlugins, ...this.options.plugins]);
   }
 
   /**
@@ -76,17 +155,29 @@ export class GameEngine {
     if (this.isRunning) return;
     
     this.isRunning = true;
-    this.gameState.startGame();
-    this.gameTimer.start();
-    
-    // Initialize starting inventory
-    this.inventorySystem.initializeStartingInventory();
-    
-    // Start the advanced game loop
-    this.gameLoop.start();
+    const resumed = this.resumeOnStart;
+
+    if (resumed) {
+      // A restored night keeps its clock and inventory
+      this.resumeOnStart = false;
+      this.gameTimer.startFrom(this.gameState.realTimeElapsed);
+    } else {
+      this.gameState.startGame();
+      this.gameTimer.start();
+
+      // Initialize starting inventory
+      this.inventorySystem.initializeStartingInventory();
+    }
+
+    this.events.emit('game:started', { resumed });
     
-    // Start performance monitoring
-    this.performanceOptimizer.startMonitoring();
+    if (!this.options.manualUpdates) {
+      // Start the advanced game loop
+      this.gameLoop.start();
+
+      // Start performance monitoring
+      this.performanceOptimizer.startMonitoring();
+    }
     
     console.log('GameEngine started with advanced game loop and performance optimization');
   }
@@ -98,13 +189,15 @@ export class GameEngine {
     this.isRunning = false;
     this.gameState.endGame();
     this.gameTimer.stop();
+    this.clock.resume(); // A night stopped while paused must not leave the next one frozen
     
     // Stop the game loop
     this.gameLoop.stop();
     
     // Stop performance monitoring
     this.performanceOptimizer.stopMonitoring();
-    
+
+    this.events.emit('game:stopped');
     console.log('GameEngine stopped');
   }
 
@@ -116,6 +209,8 @@ export class GameEngine {
     
     this.gameLoop.pause();
     this.gameTimer.pause();
+    this.clock.pause();
+    this.events.emit('game:paused');
     console.log('GameEngine paused');
   }
 
@@ -125,11 +220,21 @@ export class GameEngine {
   resume() {
     if (!this.isRunning) return;
     
+    this.clock.resume();
     this.gameLoop.resume();
     this.gameTimer.resume();
+    this.events.emit('game:resumed');
     console.log('GameEngine resumed');
   }
 
+  /**
+   * Check whether the game is paused
+   * @returns {boolean} True while the game clock is stopped
+   */
+  isPaused() {
+    return this.clock.isPaused;
+  }
+
   /**
    * Update game state and notify all registered callbacks
    * @param {number} deltaTime - Time elapsed since last update in milliseconds
@@ -141,9 +246,15 @@ export class GameEngine {
     // Update game state timing
     this.gameState.update(deltaTime);
 
+    // Light comes first: fear, events and sanity all read the light level it sets
+    this.lightingSystem.update(deltaTime);
+
     // Update fear and health systems
     this.fearSystem.update(deltaTime);
     this.healthSystem.update(deltaTime);
+
+    // Stamina scales the movement penalty HealthSystem just set
+    this.staminaSystem.update(deltaTime);
     
     // Update inventory system
     this.inventorySystem.update(deltaTime);
@@ -151,19 +262,27 @@ export class GameEngine {
     // Update event system
     this.eventSystem.update();
 
+    // Update plugins, which may set up an ending of their own
+    this.plugins.update(deltaTime);
+
     // Check for ending conditions
     if (this.endingSystem.shouldTriggerEnding() && !this.endingSystem.getCurrentEnding()) {
       this.triggerGameEnding();
     }
 
-    // Notify all registered update callbacks
-    this.updateCallbacks.forEach(callback => {
-      try {
-        callback(deltaTime, this.gameState);
-      } catch (error) {
-        console.error('Error in update callback:', error);
-      }
-    });
+    this.events.emit('game:update', { deltaTime, gameState: this.gameState });
+  }
+
+  /**
+   * Run one frame of the game loop by hand, for engines created with manualUpdates
+   * Processes queued events, then updates the engine and everything listening for 'game:update' (like monster AI)
+   * Frames are skipped while paused, as the game loop does
+   * @param {number} deltaTime - Time elapsed since last frame in milliseconds
+   */
+  tick(deltaTime) {
+    if (this.isPaused()) return;
+    this.gameLoop.processEvents();
+    this.gameLoop.updateGame(deltaTime);
   }
 
   /**
@@ -171,6 +290,8 @@ export class GameEngine {
    * @param {string} command - The command to process
    */
   handleCommand(command) {
+    this.events.emit('command:received', { command });
+
     if (!this.isRunning || !this.gameState.isAlive) {
       return false;
     }
@@ -186,6 +307,14 @@ export class GameEngine {
     // Record command in game state
     this.gameState.addCommand(normalizedCommand);
 
+    // Modifiers shape how much noise the action makes; "loudly" is noisy on its own
+    const modifiers = this.commandParser.extractModifiers(normalizedCommand.split(/\s+/));
+    this.commandModifiers = modifiers; // Read by handlers while this command is dispatched
+    const modifierNoise = modifiers.reduce((sum, modifier) => sum + (modifier.noise || 0), 0);
+    if (modifierNoise > 0) {
+      this.makeNoise(modifierNoise, 'voice');
+    }
+
     // Check if command responds to active events first
     const activeEvents = this.eventSystem.getActiveEvents();
     for (const event of activeEvents) {
@@ -204,6 +333,9 @@ export class GameEngine {
     });
     
     if (inventoryResult.success) {
+      if (inventoryResult.droppedItem) {
+        this.makeNoise(this.actionNoise.drop, 'drop', modifiers);
+      }
       console.log(`Command "${command}" handled by inventory system`);
       return true;
     }
@@ -228,16 +360,95 @@ export class GameEngine {
   }
 
   /**
-   * Register a callback to be called on each update
+   * Register a callback to be called on each update - shorthand for the 'game:update' event
+   * Hooks set on the callback before registering (onFearChange, onGameEnding, ... see UPDATE_HOOKS)
+   * listen to their own events
    * @param {Function} callback - Function to call with (deltaTime, gameState)
+   * @returns {Function} Unsubscribe function
    */
   onUpdate(callback) {
-    this.updateCallbacks.add(callback);
-    
-    // Return unsubscribe function
-    return () => {
-      this.updateCallbacks.delete(callback);
-    };
+    const unsubscribes = [
+      this.events.on('game:update', ({ deltaTime, gameState }) => callback(deltaTime, gameState))
+    ];
+
+    Object.entries(UPDATE_HOOKS).forEach(([hook, [type, toArgs]]) => {
+      if (typeof callback[hook] === 'function') {
+        unsubscribes.push(this.events.on(type, (payload, eventType) => callback[hook](...toArgs(payload, eventType))));
+      }
+    });
+
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+  }
+
+  /**
+   * Register a callback for every command passed to handleCommand, before it is handled
+   * Shorthand for the 'command:received' event
+   * @param {Function} callback - Function to call with the command as given
+   * @returns {Function} Unsubscribe function
+   */
+  onCommand(callback) {
+    return this.events.on('command:received', ({ command }) => callback(command));
+  }
+
+  /**
+   * Listen for engine events - see ENGINE_EVENTS in EventBus.js for the types and payloads
+   * @param {string} type - Event type ('fear:changed'), a namespace ('fear:*') or '*'
+   * @param {Function} listener - Called with (payload, type)
+   * @returns {Function} Unsubscribe function
+   */
+  on(type, listener) {
+    return this.events.on(type, listener);
+  }
+
+  /**
+   * Listen for the next matching engine event only
+   * @param {string} type - Event type, a namespace or '*'
+   * @param {Function} listener - Called with (payload, type)
+   * @returns {Function} Unsubscribe function
+   */
+  once(type, listener) {
+    return this.events.once(type, listener);
+  }
+
+  /**
+   * Get the engine's event bus, which keeps its listeners across reset()
+   * @returns {EventBus} Event bus
+   */
+  getEventBus() {
+    return this.events;
+  }
+
+  /**
+   * Make a noise the monsters and threat events can react to
+   * @param {number} amount - Base noise amount
+   * @param {string} source - What made the noise
+   * @param {Array} modifiers - Command modifiers scaling the noise (from CommandParser)
+   */
+  makeNoise(amount, source, modifiers = []) {
+    const multiplier = modifiers.reduce((total, modifier) => total * (modifier.noiseMultiplier ?? 1), 1);
+    this.monsterSystem.makeNoise(amount * multiplier, source);
+  }
+
+  /**
+   * Put the player in or out of hiding, for the monsters and for stamina
+   * @param {boolean} isHiding - Hiding state
+   */
+  setPlayerHiding(isHiding) {
+    this.monsterSystem.setPlayerHiding(isHiding);
+    this.staminaSystem.setHiding(isHiding);
+  }
+
+  /**
+   * Narrate a command's outcome, if there is a narrator
+   * @param {string} text - Narration
+   */
+  narrate(text) {
+    if (!this.voiceNarrator) return;
+    try {
+      this.voiceNarrator.speak(text);
+    } catch (error) {
+      console.warn('Voice narration error:', error);
+    }
   }
 
   /**
@@ -257,6 +468,42 @@ export class GameEngine {
     this.commandHandlers.delete(pattern);
   }
 
+  /**
+   * Add a plugin system - see PluginManager for the hooks a plugin can have
+   * @param {Object} plugin - Plugin to add
+   * @returns {boolean} True if the plugin is running, false if its init hook failed
+   * @throws {Error} If the plugin is malformed or a dependency is missing
+   */
+  registerPlugin(plugin) {
+    return this.plugins.register(plugin);
+  }
+
+  /**
+   * Remove a plugin system
+   * @param {string} name - Plugin name
+   * @returns {boolean} True if the plugin was registered
+   */
+  unregisterPlugin(name) {
+    return this.plugins.unregister(name);
+  }
+
+  /**
+   * Get a registered plugin
+   * @param {string} name - Plugin name
+   * @returns {Object|null} The plugin
+   */
+  getPlugin(name) {
+    return this.plugins.get(name);
+  }
+
+  /**
+   * Get the plugin manager, for ordering and error status
+   * @returns {PluginManager} Plugin manager
+   */
+  getPluginManager() {
+    return this.plugins;
+  }
+
   /**
    * Get current game state (read-only)
    */
@@ -264,6 +511,117 @@ export class GameEngine {
     return this.gameState;
   }
 
+  /**
+   * Get the game clock every timed system reads
+   * @returns {GameClock} Clock that stands still while the game is paused
+   */
+  getClock() {
+    return this.clock;
+  }
+
+  /**
+   * Get the shared random number generator
+   */
+  getRng() {
+    return this.rng;
+  }
+
+  /**
+   * Reseed the shared random number generator to replay a specific night
+   * @param {number|string} seed - Seed to replay
+   */
+  setSeed(seed) {
+    this.rng.setSeed(seed);
+    this.gameState.seed = this.rng.getSeed();
+  }
+
+  /**
+   * Push the difficulty profile into every system it tunes
+   */
+  applyDifficulty() {
+    this.gameState.difficulty = this.difficulty.id;
+    this.gameTimer.applyDifficulty(this.difficulty);
+    this.fearSystem.applyDifficulty(this.difficulty);
+    this.healthSystem.applyDifficulty(this.difficulty);
+    this.eventSystem.applyDifficulty(this.difficulty);
+  }
+
+  /**
+   * Apply the configured night schedule on top of the difficulty's night length
+   */
+  applyNightSchedule() {
+    if (this.options.nightSchedule) {
+      this.gameState.setNightSchedule(this.options.nightSchedule);
+    }
+  }
+
+  /**
+   * Get the active difficulty profile
+   * @returns {Object} Difficulty profile
+   */
+  getDifficulty() {
+    return { ...this.difficulty };
+  }
+
+  /**
+   * Capture the game state and every system's internal state as a versioned save
+   * @returns {Object} Composite snapshot that restoreSnapshot() reproduces exactly
+   */
+  createSnapshot() {
+    return {
+      saveVersion: SAVE_VERSION,
+      savedAt: Date.now(),
+      difficulty: this.getDifficulty(),
+      rng: this.rng.snapshot(),
+      gameState: this.gameState.serialize(),
+      systems: {
+        timer: this.gameTimer.snapshot(),
+        fear: this.fearSystem.snapshot(),
+        health: this.healthSystem.snapshot(),
+        stamina: this.staminaSystem.snapshot(),
+        lighting: this.lightingSystem.snapshot(),
+        inventory: this.inventorySystem.snapshot(),
+        events: this.eventSystem.snapshot(),
+        monsters: this.monsterSystem.snapshot()
+      },
+      plugins: this.plugins.serialize()
+    };
+  }
+
+  /**
+   * Restore a snapshot from createSnapshot(), upgrading saves from older versions first
+   * If the engine is stopped, the next start() continues the restored night instead of a new one
+   * @param {Object} save - Composite snapshot, or a bare GameState from version 1
+   * @throws {Error} If the save is newer than this game supports
+   */
+  restoreSnapshot(save) {
+    const snapshot = migrateSave(save);
+
+    // Difficulty first: it resets the night length that the saved game state then overrides
+    this.difficulty = { ...snapshot.difficulty };
+    this.applyDifficulty();
+    this.gameState.deserialize(snapshot.gameState);
+    this.inventorySystem.hydrateInventory(); // Items migrated from bare ids only carry their id
+    if (snapshot.rng) {
+      this.rng.restore(snapshot.rng);
+    }
+
+    // Saves migrated from version 1 have no system state; those systems keep their own
+    const { systems } = snapshot;
+    if (systems.timer) this.gameTimer.restore(systems.timer);
+    if (systems.fear) this.fearSystem.restore(systems.fear);
+    if (systems.health) this.healthSystem.restore(systems.health);
+    if (systems.stamina) this.staminaSystem.restore(systems.stamina);
+    if (systems.lighting) this.lightingSystem.restore(systems.lighting);
+    if (systems.inventory) this.inventorySystem.restore(systems.inventory);
+    if (systems.events) this.eventSystem.restore(systems.events);
+    if (systems.monsters) this.monsterSystem.restore(systems.monsters);
+    if (snapshot.plugins) this.plugins.deserialize(snapshot.plugins);
+
+    this.resumeOnStart = !this.isRunning;
+  }
+
+
   /**
    * Get fear system instance
    */
@@ -278,6 +636,20 @@ export class GameEngine {
     return this.healthSystem;
   }
 
+  /**
+   * Get stamina system instance
+   */
+  getStaminaSystem() {
+    return this.staminaSystem;
+  }
+
+  /**
+   * Get lighting system instance
+   */
+  getLightingSystem() {
+    return this.lightingSystem;
+  }
+
   /**
    * Get event system instance
    */
@@ -292,6 +664,29 @@ export class GameEngine {
     return this.inventorySystem;
   }
 
+  /**
+   * Get monster system instance
+   */
+  getMonsterSystem() {
+    return this.monsterSystem;
+  }
+
+  /**
+   * Get sanity system instance
+   * @returns {SanitySystem|null} Null when the engine was built with sanity off
+   */
+  getSanitySystem() {
+    return this.getPlugin('sanity');
+  }
+
+  /**
+   * Get weather system instance
+   * @returns {WeatherSystem|null} Null when the engine was built with weather off
+   */
+  getWeatherSystem() {
+    return this.getPlugin('weather');
+  }
+
   /**
    * Get ending system instance
    */
@@ -368,20 +763,13 @@ export class GameEngine {
       this.stop();
       
       // Trigger the ending system
-      const endingResult = await this.endingSystem.triggerEnding();
+      const endingResult = {
+        ...(await this.endingSystem.triggerEnding()),
+        rewindsRemaining: this.getRewindsRemaining()
+      };
       
       console.log('Game ending triggered:', endingResult.ending.title);
-      
-      // Notify callbacks about game ending
-      this.updateCallbacks.forEach(callback => {
-        try {
-          if (callback.onGameEnding) {
-            callback.onGameEnding(endingResult);
-          }
-        } catch (error) {
-          console.error('Error in game ending callback:', error);
-        }
-      });
+      this.events.emit('game:ending', endingResult);
       
       return endingResult;
       
@@ -420,20 +808,67 @@ export class GameEngine {
     }
   }
 
+  /**
+   * Get how many more times this run can rewind to a checkpoint after dying
+   * @returns {number} Rewinds left under the difficulty's maxRewinds
+   */
+  getRewindsRemaining() {
+    return Math.max(0, (this.difficulty.maxRewinds ?? 0) - (this.gameState.rewindsUsed || 0));
+  }
+
+  /**
+   * Continue the run from an earlier save after dying, using up one rewind
+   * The rewind count carries over, since the save was made before the rewind happened
+   * @param {Object} save - Composite snapshot from the run's checkpoint history
+   * @throws {Error} If the run has no rewinds left
+   */
+  rewind(save) {
+    if (this.getRewindsRemaining() <= 0) {
+      throw new Error('No rewinds left this run');
+    }
+
+    const rewindsUsed = (this.gameState.rewindsUsed || 0) + 1;
+
+    this.stop();
+    this.restoreSnapshot(save);
+    this.gameState.rewindsUsed = rewindsUsed;
+    this.endingSystem.dismissEnding();
+    this.start();
+
+    console.log(`Rewound to ${this.gameState.currentTime} (${this.getRewindsRemaining()} rewinds left)`);
+  }
+
   /**
    * Reset game to initial state
    */
   reset() {
     this.stop();
-    this.gameState = new GameState();
-    this.gameTimer = new GameTimer(this.gameState);
-    this.fearSystem = new FearSystem(this.gameState);
-    this.healthSystem = new HealthSystem(this.gameState);
-    this.inventorySystem = new InventorySystem(this.gameState, this.audioManager, this.voiceNarrator);
-    this.endingSystem = new EndingSystem(this.gameState, this.audioManager, this.voiceNarrator);
+    this.resumeOnStart = false;
+
+    // A new night gets a new seed unless one was fixed at construction
+    this.rng.setSeed(this.options.seed ?? SeededRandom.generateSeed());
+
+    this.gameState = new GameState(this.clock);
+    this.gameState.seed = this.rng.getSeed();
+    this.gameTimer = new GameTimer(this.gameState, this.clock, this.events);
+    this.fearSystem = new FearSystem(this.gameState, this.clock, this.events);
+    this.healthSystem = new HealthSystem(this.gameState, this.clock, this.events);
+    this.staminaSystem = new StaminaSystem(this.gameState, this.clock, this.events);
+    this.lightingSystem = new LightingSystem(this.gameState, this.clock, this.events);
+    this.inventorySystem = new InventorySystem(this.gameState, this.audioManager, this.voiceNarrator, this.rng, this.clock, this.events);
+    this.endingSystem = new EndingSystem(this.gameState, this.audioManager, this.voiceNarrator, {
+      recordAchievements: this.options.recordAchievements
+    }, this.events);
+    this.houseMap = new HouseMap(this.gameState, this.options.houseLayout);
+    this.monsterSystem = new MonsterSystem(this.gameState, this.rng, {}, this.events);
     this.eventSystem.clearEventHistory();
-    this.setupTimerEvents();
-    this.setupSystemIntegrations();
+    this.eventSystem.gameState = this.gameState;
+    this.applyDifficulty();
+    this.applyNightSchedule();
+
+    // Integrations listen on the bus, which carries over; only the new timer's schedule needs registering
+    this.registerTimeBasedEvents();
+    this.plugins.reset();
     console.log('GameEngine reset');
   }
 
@@ -451,8 +886,9 @@ export class GameEngine {
     this.gameTimer.onHourChange((currentHour, previousHour) => {
       console.log(`Hour changed from ${previousHour}:00 to ${currentHour}:00`);
       
-      // Trigger hour-specific events
-      this.triggerHourlyEvent(currentHour);
+      // Trigger hour-specific events for the matching hour of the default night
+      const referenceTime = this.gameState.getNightSchedule().toReferenceTime(this.gameTimer.formatTime(currentHour, 0));
+      this.triggerHourlyEvent(this.gameTimer.parseTime(referenceTime).hour);
     });
 
     // Register time-based events
@@ -463,12 +899,6 @@ export class GameEngine {
    * Set up game loop callbacks
    */
   setupGameLoopCallbacks() {
-    // Register update callback with the game loop
-    this.gameLoop.onUpdate((deltaTime, performanceStats) => {
-      // This will call our update method
-      // The game loop handles the timing and performance monitoring
-    });
-
     // Register performance monitoring callback
     this.gameLoop.onPostUpdate((deltaTime, performanceStats) => {
       // Check for performance issues and adjust game settings if needed
@@ -481,6 +911,13 @@ export class GameEngine {
       }
     });
 
+    // Monster AI runs on every frame, so it pauses with the game loop
+    this.events.on('game:update', ({ deltaTime }) => {
+      if (this.isRunning) {
+        this.monsterSystem.update(deltaTime);
+      }
+    });
+
     // Register event processing
     this.gameLoop.registerEventProcessor('game-event', (event) => {
       this.triggerEvent(event.data);
@@ -504,17 +941,6 @@ export class GameEngine {
           source: 'extreme_fear' 
         });
       }
-
-      // Notify update callbacks about fear changes
-      this.updateCallbacks.forEach(callback => {
-        try {
-          if (callback.onFearChange) {
-            callback.onFearChange(changeType, data, fearLevel, fearState);
-          }
-        } catch (error) {
-          console.error('Error in fear change callback:', error);
-        }
-      });
     });
 
     // Set up health system callbacks
@@ -526,17 +952,39 @@ export class GameEngine {
           source: 'low_health' 
         });
       }
+    });
 
-      // Notify update callbacks about health changes
-      this.updateCallbacks.forEach(callback => {
-        try {
-          if (callback.onHealthChange) {
-            callback.onHealthChange(changeType, data, healthLevel, healthState);
-          }
-        } catch (error) {
-          console.error('Error in health change callback:', error);
-        }
-      });
+    // Running on empty wears the body down
+    this.events.on('stamina:exhausted', () => {
+      this.healthSystem.applyDamage('exhaustion', { source: 'stamina' });
+    });
+
+    // Lighting burns the fuel; the inventory puts the dead light out
+    this.events.on('light:burned_out', ({ item, fuel }) => {
+      this.inventorySystem.burnOut(item, fuel);
+    });
+
+    // Sitting in the dark is frightening
+    this.events.on('light:darkness', () => {
+      this.fearSystem.triggerFearEvent('darkness', { intensity: 0.6, source: 'no_light' });
+    });
+
+    // A struck match lights the room until it burns down
+    this.events.on('item:used', ({ item, result }) => {
+      if (item.effects?.lightSource && result.success !== false) {
+        this.lightingSystem.addTemporaryLight(item.id, 0.4, item.effects.duration);
+      }
+    });
+
+    // Set up monster system callbacks
+    this.monsterSystem.onMonsterEvent((eventType, data) => {
+      if (eventType === 'player_caught') {
+        this.gameState.addEvent('monster_caught');
+        this.healthSystem.applyDamage('physical', { amount: 50, source: `monster_${data.monster.type}` });
+        this.fearSystem.triggerFearEvent('jump_scare', { intensity: 1.2, source: `monster_${data.monster.type}` });
+      } else if (eventType === 'monster_nearby') {
+        this.fearSystem.triggerFearEvent('footsteps', { intensity: 0.8, source: `monster_${data.monster.type}` });
+      }
     });
   }
 
@@ -544,20 +992,23 @@ export class GameEngine {
    * Register time-based events that trigger at specific times
    */
   registerTimeBasedEvents() {
+    // Times are for the default night and move with the night schedule
+    const schedule = this.gameState.getNightSchedule();
+
     // Midnight event
-    this.gameTimer.registerTimeBasedEvent('midnight', '00:00', () => {
+    this.gameTimer.registerTimeBasedEvent('midnight', schedule.fromReferenceTime('00:00'), () => {
       this.gameState.updateFear(10);
       console.log('Midnight strikes - fear increases');
     });
 
     // Witching hour event
-    this.gameTimer.registerTimeBasedEvent('witching_hour', '03:00', () => {
+    this.gameTimer.registerTimeBasedEvent('witching_hour', schedule.fromReferenceTime('03:00'), () => {
       this.gameState.updateFear(15);
       console.log('The witching hour - supernatural activity peaks');
     });
 
     // Dawn approaches event
-    this.gameTimer.registerTimeBasedEvent('dawn_approaches', '05:30', () => {
+    this.gameTimer.registerTimeBasedEvent('dawn_approaches', schedule.fromReferenceTime('05:30'), () => {
       this.gameState.updateFear(-20);
       console.log('Dawn approaches - hope returns');
     });
@@ -654,16 +1105,7 @@ export class GameEngine {
         console.warn(`Unhandled error type: ${errorType}`);
     }
 
-    // Notify update callbacks about the error
-    this.updateCallbacks.forEach(callback => {
-      try {
-        if (callback.onError) {
-          callback.onError(errorType, error, context);
-        }
-      } catch (callbackError) {
-        console.error('Error in error callback:', callbackError);
-      }
-    });
+    this.events.emit('engine:error', { errorType, error, context });
   }
 
   /**
@@ -710,16 +1152,7 @@ export class GameEngine {
         break;
     }
 
-    // Notify callbacks about performance adjustments
-    this.updateCallbacks.forEach(callback => {
-      try {
-        if (callback.onPerformanceIssue) {
-          callback.onPerformanceIssue(performanceData);
-        }
-      } catch (error) {
-        console.error('Error in performance issue callback:', error);
-      }
-    });
+    this.events.emit('performance:issue', performanceData);
   }
 
   /**
@@ -761,6 +1194,8 @@ export class GameEngine {
       systems: {
         fearSystem: this.fearSystem.getStats?.() || {},
         healthSystem: this.healthSystem.getStats?.() || {},
+        staminaSystem: this.staminaSystem.getStats(),
+        lightingSystem: this.lightingSystem.getStats(),
         eventSystem: this.eventSystem.getStats?.() || {},
         inventorySystem: this.inventorySystem.getStats?.() || {}
       }
@@ -793,6 +1228,8 @@ export class GameEngine {
         timer: this.gameTimer.isRunning(),
         fear: this.fearSystem.isActive(),
         health: this.healthSystem.isActive(),
+        stamina: this.staminaSystem.isActive(),
+        lighting: this.lightingSystem.isActive(),
         inventory: this.inventorySystem.isActive(),
         events: this.eventSystem.isActive(),
         endings: this.endingSystem.isActive()
@@ -807,16 +1244,7 @@ export class GameEngine {
   handlePerformanceChange(performanceData) {
     console.log('Performance change detected:', performanceData);
     
-    // Notify update callbacks about performance issues
-    this.updateCallbacks.forEach(callback => {
-      try {
-        if (callback.onPerformanceChange) {
-          callback.onPerformanceChange(performanceData);
-        }
-      } catch (error) {
-        console.error('Error in performance change callback:', error);
-      }
-    });
+    this.events.emit('performance:changed', performanceData);
 
     // Apply immediate optimizations if critical
     const criticalIssues = performanceData.issues.filter(issue => issue.severity === 'high');
@@ -835,16 +1263,7 @@ export class GameEngine {
     // Update systems based on optimization level
     this.updateSystemsForOptimization(optimizationData.settings);
     
-    // Notify callbacks
-    this.updateCallbacks.forEach(callback => {
-      try {
-        if (callback.onOptimizationApplied) {
-          callback.onOptimizationApplied(optimizationData);
-        }
-      } catch (error) {
-        console.error('Error in optimization applied callback:', error);
-      }
-    });
+    this.events.emit('performance:optimized', optimizationData);
   }
 
   /**
@@ -934,6 +1353,7 @@ export class GameEngine {
   setupBasicCommandHandlers() {
     // Hide command
     this.registerCommandHandler('hide', (command, gameState) => {
+      this.setPlayerHiding(true);
       if (gameState.fearLevel > 80) {
         gameState.updateFear(-15);
         gameState.updateHealth(2);
@@ -944,21 +1364,32 @@ export class GameEngine {
       }
     });
 
-    // Run command
-    this.registerCommandHandler('run', (command, gameState) => {
-      if (gameState.health > 30) {
-        gameState.updateFear(-10);
-        gameState.updateHealth(-5);
-        return true;
-      } else {
-        gameState.updateFear(5);
+    // Run and sprint commands - a sprint gets further but costs more stamina and noise
+    [['run', 10], ['sprint', 15]].forEach(([action, fearRelief]) => {
+      this.registerCommandHandler(action, (command, gameState) => {
+        // Too tired to move fast - the player stays where they are, hidden or not
+        if (!this.staminaSystem.spend(action)) {
+          gameState.updateFear(5);
+          this.narrate(`You try to ${action}, but your legs won't carry you. You need to catch your breath.`);
+          return true;
+        }
+
+        // Running is loud - nearby monsters come to investigate
+        this.setPlayerHiding(false);
+        this.makeNoise(this.actionNoise[action], action, this.commandModifiers);
+        if (gameState.health > 30) {
+          gameState.updateFear(-fearRelief);
+          gameState.updateHealth(-5);
+        } else {
+          gameState.updateFear(5);
+        }
         return true;
-      }
+      });
     });
 
     // Listen command
     this.registerCommandHandler('listen', (command, gameState) => {
-      gameState.updateFear(Math.random() > 0.5 ? -3 : 8);
+      gameState.updateFear(this.rng.chance(0.5) ? 8 : -3);
       return true;
     });
 
@@ -973,24 +1404,16 @@ export class GameEngine {
       return true;
     });
 
-    // Wait command
+    // Wait command - standing still is nerve-wracking, but it's the only way to get your breath back
     this.registerCommandHandler('wait', (command, gameState) => {
       gameState.updateFear(5);
-      return true;
-    });
-
-    // Monster encounter commands
-    this.registerCommandHandler('caught', (command, gameState) => {
-      gameState.updateHealth(-50);
-      gameState.updateFear(30);
-      if (gameState.health <= 0) {
-        gameState.isAlive = false;
-      }
+      this.staminaSystem.recover();
       return true;
     });
 
     // Hiding commands
     this.registerCommandHandler('stop hiding', (command, gameState) => {
+      this.setPlayerHiding(false);
       gameState.updateFear(5);
       return true;
     });
@@ -1001,10 +1424,22 @@ export class GameEngine {
       return true;
     });
 
-    // Monster proximity command
-    this.registerCommandHandler('monster nearby', (command, gameState) => {
-      gameState.updateFear(8);
-      return true;
+    // Movement commands ("go north", "go to kitchen") validated against the house map
+    ['go ', 'walk ', 'head ', 'move '].forEach(pattern => {
+      this.registerCommandHandler(pattern, (command, gameState) => {
+        // Strip modifiers so "go quietly to the kitchen" still finds the kitchen
+        const target = this.houseMap.parseMoveCommand(
+          command.split(/\s+/).filter(word => !this.commandParser.contextModifiers.has(word)).join(' ')
+        );
+        if (!target) return false;
+
+        const result = this.houseMap.move(target);
+        if (result.success) {
+          this.makeNoise(this.actionNoise.move, 'footsteps', this.commandModifiers);
+        }
+        this.narrate(result.narration);
+        return true;
+      });
     });
 
     console.log('Basic command handlers registered');
@@ -1020,6 +1455,7 @@ export class GameEngine {
     
     // Stop all systems
     this.stop();
+    this.plugins.destroy();
     
     console.log('GameEngine destroyed');
   }
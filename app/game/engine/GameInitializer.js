@@ -8,6 +8,7 @@ import { GameEngine } from './GameEngine.js';
 import AudioManager from '../utils/AudioManager.js';
 import { VoiceNarrator } from '../utils/VoiceNarrator.js';
 import { GameStateManager } from '../utils/GameStateManager.js';
+import { gameStorage } from '../utils/GameStorage.js';
 import BrowserCompatibility from '../utils/BrowserCompatibility.js';
 import { VoiceErrorHandler } from '../utils/VoiceErrorHandler.js';
 import AudioErrorHandler from '../utils/AudioErrorHandler.js';
@@ -368,10 +369,19 @@ export class GameInitializer {
    */
   async initializeGameEngine() {
     try {
+      // Systems such as EndingSystem read saved data as they are constructed
+      const storageType = await gameStorage.ready();
+      console.log(`Game storage ready (${storageType})`);
+
       this.gameEngine = new GameEngine(
         this.audioManager,
         null, // VoiceController will be set up later
-        this.voiceNarrator
+        this.voiceNarrator,
+        {
+          difficulty: this.options.difficulty,
+          difficultySettings: this.options.difficultySettings,
+          nightSchedule: this.options.nightSchedule
+        }
       );
 
       console.log('Game engine initialized successfully');
@@ -450,42 +460,12 @@ export class GameInitializer {
 
       // Set up game engine callbacks for voice narration
       if (this.gameEngine && this.voiceNarrator) {
-        // Register command handlers for voice feedback
-        this.gameEngine.registerCommandHandler('hide', (command, gameState) => {
-          this.voiceNarrator.provideCommandFeedback(
-            { action: 'hide' }, 
-            true, 
-            gameState
-          );
-          return false; // Let other handlers process too
-        });
-
-        this.gameEngine.registerCommandHandler('run', (command, gameState) => {
-          this.voiceNarrator.provideCommandFeedback(
-            { action: 'run' }, 
-            true, 
-            gameState
-          );
-          return false;
-        });
-
-        this.gameEngine.registerCommandHandler('open', (command, gameState) => {
-          this.voiceNarrator.provideCommandFeedback(
-            { action: 'open' }, 
-            true, 
-            gameState
-          );
-          return false;
-        });
+        this.registerCommandFeedback();
+      }
 
-        this.gameEngine.registerCommandHandler('flashlight', (command, gameState) => {
-          this.voiceNarrator.provideCommandFeedback(
-            { action: 'flashlight' }, 
-            true, 
-            gameState
-          );
-          return false;
-        });
+      // Set up voice commands for the save slots
+      if (this.gameEngine && this.gameStateManager) {
+        this.registerSaveSlotCommands();
       }
 
       // Set up automatic checkpointing
@@ -496,7 +476,7 @@ export class GameInitializer {
             const lastEvent = gameState.eventsTriggered[gameState.eventsTriggered.length - 1];
             if (lastEvent && !this.gameStateManager.lastSaveTime || 
                 Date.now() - this.gameStateManager.lastSaveTime > 60000) { // 1 minute
-              this.gameStateManager.saveCheckpoint(gameState, 'auto');
+              this.gameStateManager.saveCheckpoint(null, 'auto');
             }
           }
         });
@@ -511,6 +491,68 @@ export class GameInitializer {
     }
   }
 
+  /**
+   * Narrate feedback for common actions
+   * Listens for commands rather than registering handlers, which would replace the engine's own
+   * hide and run handlers and leave stamina and hiding untouched
+   */
+  registerCommandFeedback() {
+    const feedbackActions = ['hide', 'run', 'open', 'flashlight'];
+
+    this.gameEngine.onCommand((command) => {
+      if (typeof command !== 'string' || !this.gameEngine.isRunning) return;
+
+      const action = feedbackActions.find(candidate => command.toLowerCase().includes(candidate));
+      if (!action) return;
+
+      // Too tired to run: the engine narrates that itself
+      if (action === 'run' && !this.gameEngine.getStaminaSystem().canAfford('run')) return;
+
+      this.voiceNarrator.provideCommandFeedback({ action }, true, this.gameEngine.getGameState());
+    });
+  }
+
+  /**
+   * Register the "save game" and "load slot <n>" voice commands
+   */
+  registerSaveSlotCommands() {
+    const parser = this.gameEngine.commandParser;
+    const maxSlots = this.gameStateManager.options.maxSlots;
+    const announce = (text) => {
+      if (this.voiceNarrator) {
+        this.voiceNarrator.narrate(text, { priority: 'normal', context: 'save-slots' });
+      }
+    };
+
+    // "save game" fills the next free slot; "save game in slot three" picks one
+    this.gameEngine.registerCommandHandler('save game', (command) => {
+      const requested = parser.extractNumber(command.split(/\s+/), 'slot');
+      const slot = requested >= 1 && requested <= maxSlots ? requested : this.gameStateManager.getNextSaveSlot();
+
+      this.gameStateManager.saveToSlot(slot).then(metadata => {
+        announce(metadata ? `Game saved to slot ${slot}.` : 'The game could not be saved.');
+      });
+      return true;
+    });
+
+    this.gameEngine.registerCommandHandler('load slot', (command) => {
+      const slot = parser.extractNumber(command.split(/\s+/), 'slot');
+      if (!(slot >= 1 && slot <= maxSlots)) {
+        announce(`Say a slot from one to ${maxSlots}.`);
+        return true;
+      }
+      if (!this.gameStateManager.getSaveSlot(slot)) {
+        announce(`Slot ${slot} is empty.`);
+        return true;
+      }
+
+      this.gameStateManager.restoreSlot(slot).then(restored => {
+        announce(restored ? `Loaded slot ${slot}.` : `Slot ${slot} could not be loaded.`);
+      });
+      return true;
+    });
+  }
+
   /**
    * Load checkpoint if available
    * @returns {Promise<boolean>} Success status
@@ -521,17 +563,16 @@ export class GameInitializer {
     }
 
     try {
-      const checkpoint = await this.gameStateManager.loadCheckpoint();
+      // Restores the game state and every system the checkpoint holds
+      const restored = await this.gameStateManager.restoreCheckpoint();
       
-      if (checkpoint) {
-        // Restore game state from checkpoint
+      if (restored) {
         const gameState = this.gameEngine.getGameState();
-        Object.assign(gameState, checkpoint);
         
         console.log('Checkpoint loaded successfully:', {
-          gameTime: checkpoint.currentTime,
-          fearLevel: checkpoint.fearLevel,
-          health: checkpoint.health
+          gameTime: gameState.currentTime,
+          fearLevel: gameState.fearLevel,
+          health: gameState.health
         });
 
         // Narrate checkpoint recovery
@@ -617,10 +658,7 @@ export class GameInitializer {
 
       // Save initial checkpoint
       if (this.gameStateManager) {
-        await this.gameStateManager.saveCheckpoint(
-          this.gameEngine.getGameState(), 
-          'game-start'
-        );
+        await this.gameStateManager.saveCheckpoint(null, 'game-start');
       }
 
       console.log('Game started successfully');
@@ -683,9 +721,9 @@ export class GameInitializer {
       timestamp: Date.now()
     };
 
-    // Store error log in localStorage for debugging
+    // Store error log for debugging
     try {
-      const errorLogs = JSON.parse(localStorage.getItem('game-error-logs') || '[]');
+      const errorLogs = JSON.parse(gameStorage.getItem('game-error-logs') || '[]');
       errorLogs.push(errorLog);
       
       // Keep only last 10 errors
@@ -693,7 +731,7 @@ export class GameInitializer {
         errorLogs.splice(0, errorLogs.length - 10);
       }
       
-      localStorage.setItem('game-error-logs', JSON.stringify(errorLogs));
+      gameStorage.setItem('game-error-logs', JSON.stringify(errorLogs));
     } catch (storageError) {
       console.warn('Failed to store error log:', storageError);
     }
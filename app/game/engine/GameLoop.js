@@ -50,8 +50,8 @@ export class GameLoop {
     this.eventProcessors = new Map();
     this.maxEventsPerFrame = 10;
 
-    // System update callbacks
-    this.updateCallbacks = new Set();
+    // Frame phase callbacks; these schedule work inside a frame rather than report what happened,
+    // so they stay here - per-frame game logic listens for GameEngine's 'game:update' instead
     this.renderCallbacks = new Set();
     this.preUpdateCallbacks = new Set();
     this.postUpdateCallbacks = new Set();
@@ -231,11 +231,8 @@ export class GameLoop {
       return;
     }
 
-    // Update game engine
+    // Update game engine, which announces the frame as 'game:update'
     this.gameEngine.update(deltaTime);
-
-    // Execute update callbacks
-    this.executeCallbacks(this.updateCallbacks, deltaTime);
   }
 
   /**
@@ -437,16 +434,6 @@ export class GameLoop {
     this.eventProcessors.delete(eventType);
   }
 
-  /**
-   * Register update callback
-   * @param {Function} callback - Callback function
-   * @returns {Function} Unregister function
-   */
-  onUpdate(callback) {
-    this.updateCallbacks.add(callback);
-    return () => this.updateCallbacks.delete(callback);
-  }
-
   /**
    * Register render callback
    * @param {Function} callback - Callback function
@@ -561,7 +548,6 @@ export class GameLoop {
     this.stop();
     
     // Clear all callbacks
-    this.updateCallbacks.clear();
     this.renderCallbacks.clear();
     this.preUpdateCallbacks.clear();
     this.postUpdateCallbacks.clear();
@@ -3,27 +3,48 @@
  * Handles state mutations and provides read-only access to game data
  */
 
+import { NightSchedule, DEFAULT_NIGHT_SCHEDULE } from './NightSchedule.js';
+import { realClock } from './GameClock.js';
+
 export class GameState {
-  constructor() {
+  constructor(clock = realClock) {
+    this.clock = clock; // Stamps commands and events in game time
+
     // Time and progression
+    this.nightSchedule = { ...DEFAULT_NIGHT_SCHEDULE }; // Start/end hours and real length of the night
     this.currentTime = "23:00"; // 11:00 PM start time
     this.gameStartTime = null;
     this.realTimeElapsed = 0; // milliseconds
     this.gameStarted = false;
+    this.seed = null; // RNG seed for replaying this night (set by GameEngine)
+    this.difficulty = 'normal'; // Difficulty profile id (set by GameEngine)
     
     // Player status
     this.fearLevel = 0; // 0-100
     this.health = 100; // 0-100
+    this.sanity = 100; // 0-100, long-term mental state managed by SanitySystem
+    this.stamina = 100; // 0-100, spent by running and long hides, recovered by waiting
+    this.lightLevel = 0; // 0-1, brightest light the player has (set by LightingSystem)
+    this.lightSource = null; // Item id giving that light, null in the dark
+    this.weather = 'clear'; // Tonight's weather (set by WeatherSystem)
     this.isAlive = true;
+    this.noiseLevel = 0; // 0-100, raised by loud actions and decays over time
     this.location = "starting_room";
+    this.unlockedDoors = []; // Door ids opened with keys (see HouseMap)
+    this.validLocations = null; // Room ids from the house map (set by HouseMap)
     
     // Inventory and items
     this.inventory = [];
     
     // Game progression tracking
     this.eventsTriggered = []; // event IDs
+    this.eventChains = {
+      flags: [], // Branch flags set by event outcomes (e.g. 'answered_phone')
+      scheduled: [] // Pending follow-up events {eventId, dueAt, sourceEventId}
+    };
     this.commandsIssued = []; // command history
     this.survivalScore = 0;
+    this.rewindsUsed = 0; // Times this run went back to a checkpoint after dying
     
     // Audio state
     this.currentAmbient = null;
@@ -37,20 +58,22 @@ export class GameState {
     // System-managed properties
     this.currentActionSuccessRate = 95; // Managed by FearSystem
     this.currentFearResistance = 1.0; // Managed by HealthSystem
-    this.movementPenalty = 1.0; // Managed by HealthSystem
+    this.movementPenalty = 1.0; // Managed by HealthSystem, scaled down by StaminaSystem
 
-    // Game constants
-    this.GAME_DURATION_MINUTES = 7; // 7 real minutes = 7 game hours (11 PM to 6 AM)
-    this.SUNRISE_TIME = "06:00";
+    // Game constants (night timing lives in nightSchedule)
     this.MAX_FEAR = 100;
     this.MAX_HEALTH = 100;
+    this.MAX_SANITY = 100;
+    this.MAX_STAMINA = 100;
+    this.MAX_NOISE = 100;
+    this.NOISE_DECAY_RATE = 8; // Noise points per second
   }
 
   /**
    * Start the game - initialize timing and set game as started
    */
   startGame() {
-    this.gameStartTime = Date.now();
+    this.gameStartTime = this.clock.now();
     this.gameStarted = true;
     this.realTimeElapsed = 0;
     console.log('Game started at', this.currentTime);
@@ -76,6 +99,11 @@ export class GameState {
     // This method focuses on other general state updates
     
     // Note: realTimeElapsed is now managed by GameTimer to avoid double counting
+
+    // Noise dies down while the player stays quiet
+    if (this.noiseLevel > 0) {
+      this.noiseLevel = Math.max(0, this.noiseLevel - this.NOISE_DECAY_RATE * (deltaTime / 1000));
+    }
   }
 
   /**
@@ -109,6 +137,39 @@ export class GameState {
     console.log(`Health level: ${this.health.toFixed(1)}`);
   }
 
+  /**
+   * Update sanity with bounds checking
+   * @param {number} delta - Amount to change sanity
+   */
+  updateSanity(delta) {
+    const oldSanity = this.sanity;
+    this.sanity = Math.max(0, Math.min(this.MAX_SANITY, this.sanity + delta));
+
+    // A mind that breaks completely ends the night
+    if (this.sanity <= 0 && oldSanity > 0) {
+      this.triggerDeath('sanity');
+    }
+
+    console.log(`Sanity: ${this.sanity.toFixed(1)}`);
+  }
+
+  /**
+   * Update stamina with bounds checking
+   * Running out doesn't kill - StaminaSystem turns exhaustion into damage
+   * @param {number} delta - Amount to change stamina
+   */
+  updateStamina(delta) {
+    this.stamina = Math.max(0, Math.min(this.MAX_STAMINA, this.stamina + delta));
+  }
+
+  /**
+   * Update noise level with bounds checking
+   * @param {number} delta - Amount to change noise level
+   */
+  updateNoise(delta) {
+    this.noiseLevel = Math.max(0, Math.min(this.MAX_NOISE, this.noiseLevel + delta));
+  }
+
   /**
    * Add an item to inventory
    * @param {Object} item - Item to add {id, name, type, durability?, isActive?}
@@ -190,8 +251,8 @@ export class GameState {
   addCommand(command) {
     this.commandsIssued.push({
       command: command,
-      timestamp: this.currentTime,
-      realTime: Date.now()
+      gameTime: this.currentTime,
+      realTime: this.clock.now()
     });
 
     // Keep only last 50 commands to prevent memory issues
@@ -207,24 +268,91 @@ export class GameState {
   addEvent(eventId) {
     this.eventsTriggered.push({
       eventId: eventId,
-      timestamp: this.currentTime,
-      realTime: Date.now()
+      gameTime: this.currentTime,
+      realTime: this.clock.now()
     });
   }
 
+  /**
+   * Set an event chain branch flag
+   * @param {string} flag - Flag to set
+   */
+  setChainFlag(flag) {
+    if (!this.eventChains.flags.includes(flag)) {
+      this.eventChains.flags.push(flag);
+    }
+  }
+
+  /**
+   * Check whether an event chain branch flag is set
+   * @param {string} flag - Flag to check
+   * @returns {boolean} True if the flag is set
+   */
+  hasChainFlag(flag) {
+    return this.eventChains.flags.includes(flag);
+  }
+
+  /**
+   * Schedule a follow-up event
+   * @param {string} eventId - Event to trigger
+   * @param {number} dueAt - Game minutes since nightfall when the event is due
+   * @param {string} sourceEventId - Event whose outcome scheduled it
+   */
+  scheduleFollowUp(eventId, dueAt, sourceEventId) {
+    this.eventChains.scheduled.push({ eventId, dueAt, sourceEventId });
+  }
+
+  /**
+   * Remove and return all follow-up events that are due
+   * @param {number} gameMinutes - Game minutes since nightfall
+   * @returns {Array} Due follow-ups in scheduling order
+   */
+  takeDueFollowUps(gameMinutes) {
+    const due = this.eventChains.scheduled.filter(followUp => followUp.dueAt <= gameMinutes);
+    this.eventChains.scheduled = this.eventChains.scheduled.filter(followUp => followUp.dueAt > gameMinutes);
+    return due;
+  }
+
   /**
    * Update the current location
    * @param {string} newLocation - New location identifier
+   * @returns {boolean} True if the location is a known room
    */
   setLocation(newLocation) {
+    if (this.validLocations && !this.validLocations.includes(newLocation)) {
+      console.warn(`Unknown location: ${newLocation}`);
+      return false;
+    }
+
     const oldLocation = this.location;
     this.location = newLocation;
     console.log(`Moved from ${oldLocation} to ${newLocation}`);
+    return true;
+  }
+
+  /**
+   * Mark a door as unlocked
+   * @param {string} doorId - Door identifier
+   */
+  unlockDoor(doorId) {
+    if (!this.unlockedDoors.includes(doorId)) {
+      this.unlockedDoors.push(doorId);
+      console.log(`Unlocked ${doorId}`);
+    }
+  }
+
+  /**
+   * Check whether a door has been unlocked
+   * @param {string} doorId - Door identifier
+   * @returns {boolean} True if unlocked
+   */
+  isDoorUnlocked(doorId) {
+    return this.unlockedDoors.includes(doorId);
   }
 
   /**
    * Trigger player death
-   * @param {string} cause - Cause of death ('fear', 'health', 'event')
+   * @param {string} cause - Cause of death ('fear', 'health', 'sanity', 'event')
    */
   triggerDeath(cause) {
     this.isAlive = false;
@@ -253,8 +381,8 @@ export class GameState {
     // Penalty for high fear
     score -= this.fearLevel * 1.5;
     
-    // Bonus for items collected
-    score += this.inventory.length * 50;
+    // Bonus for items collected, not ones imagined at low sanity
+    score += this.inventory.filter(item => !item.fake).length * 50;
     
     // Bonus for commands used (engagement)
     score += Math.min(this.commandsIssued.length * 10, 200);
@@ -268,8 +396,32 @@ export class GameState {
   getGameProgress() {
     if (!this.gameStarted) return 0;
     
-    const totalGameTime = this.GAME_DURATION_MINUTES * 60 * 1000; // in milliseconds
-    return Math.min(100, (this.realTimeElapsed / totalGameTime) * 100);
+    return this.getNightSchedule().getProgress(this.realTimeElapsed);
+  }
+
+  /**
+   * Get the night schedule shared by the timer, events and UI
+   * @returns {NightSchedule} Night schedule
+   */
+  getNightSchedule() {
+    return new NightSchedule(this.nightSchedule);
+  }
+
+  /**
+   * Change the night schedule - only settings that are given change
+   * @param {Object} config - {startHour, endHour, realMinutes}
+   * @returns {NightSchedule} The new schedule
+   * @throws {Error} If the schedule is invalid
+   */
+  setNightSchedule(config) {
+    const schedule = new NightSchedule({ ...this.nightSchedule, ...config });
+    this.nightSchedule = schedule.getConfig();
+
+    // Before the night begins the clock sits at nightfall
+    if (!this.gameStarted) {
+      this.currentTime = schedule.nightfallTime;
+    }
+    return schedule;
   }
 
   /**
@@ -292,18 +444,33 @@ export class GameState {
    */
   serialize() {
     return {
+      nightSchedule: { ...this.nightSchedule },
       currentTime: this.currentTime,
       gameStartTime: this.gameStartTime,
       realTimeElapsed: this.realTimeElapsed,
       gameStarted: this.gameStarted,
+      seed: this.seed,
+      difficulty: this.difficulty,
       fearLevel: this.fearLevel,
       health: this.health,
+      sanity: this.sanity,
+      stamina: this.stamina,
+      lightLevel: this.lightLevel,
+      lightSource: this.lightSource,
+      weather: this.weather,
       isAlive: this.isAlive,
+      noiseLevel: this.noiseLevel,
       location: this.location,
+      unlockedDoors: [...this.unlockedDoors],
       inventory: [...this.inventory],
       eventsTriggered: [...this.eventsTriggered],
+      eventChains: {
+        flags: [...this.eventChains.flags],
+        scheduled: this.eventChains.scheduled.map(followUp => ({ ...followUp }))
+      },
       commandsIssued: [...this.commandsIssued],
       survivalScore: this.survivalScore,
+      rewindsUsed: this.rewindsUsed,
       currentAmbient: this.currentAmbient,
       audioVolume: { ...this.audioVolume }
     };
@@ -314,7 +481,28 @@ export class GameState {
    * @param {Object} data - Serialized game state
    */
   deserialize(data) {
-    Object.assign(this, data);
+    // Only take the fields serialize() writes, so stray keys in old saves can't overwrite methods or constants
+    Object.keys(this.serialize()).forEach(key => {
+      if (key in data) {
+        this[key] = data[key];
+      }
+    });
+
+    if (data.nightSchedule) {
+      this.nightSchedule = { ...data.nightSchedule };
+    }
+
+    if (data.unlockedDoors) {
+      this.unlockedDoors = [...data.unlockedDoors];
+    }
+
+    // Copy chain state so later mutations don't write back into the save data
+    if (data.eventChains) {
+      this.eventChains = {
+        flags: [...(data.eventChains.flags || [])],
+        scheduled: (data.eventChains.scheduled || []).map(followUp => ({ ...followUp }))
+      };
+    }
     console.log('Game state loaded from save data');
   }
 }
\ No newline at end of file
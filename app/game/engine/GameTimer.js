@@ -1,18 +1,17 @@
 /**
  * GameTimer - Handles real-time to game-time conversion and time-based events
  * Implements 1 real minute = 1 game hour conversion (7 real minutes = 7 game hours)
+ * by default; the hours and length of the night come from GameState's night schedule
  */
 
+import { realClock } from './GameClock.js';
+import { EventBus } from './EventBus.js';
+
 export class GameTimer {
-  constructor(gameState) {
+  constructor(gameState, clock = realClock, events = new EventBus()) {
     this.gameState = gameState;
-    
-    // Time configuration
-    this.REAL_TO_GAME_RATIO = 60; // 1 real minute = 60 game minutes (1 game hour)
-    this.GAME_START_HOUR = 23; // 11:00 PM
-    this.GAME_END_HOUR = 6; // 6:00 AM
-    this.TOTAL_GAME_HOURS = 7; // 11 PM to 6 AM
-    this.TOTAL_REAL_MINUTES = 7; // 7 real minutes for full game
+    this.clock = clock; // Usually the engine's game clock, which already stands still while paused
+    this.events = events;
     
     // Timer state
     this.startTime = null;
@@ -20,11 +19,6 @@ export class GameTimer {
     this.isPaused = false;
     this.isRunning = false;
     
-    // Event callbacks
-    this.timeUpdateCallbacks = new Set();
-    this.hourChangeCallbacks = new Set();
-    this.winConditionCallbacks = new Set();
-    
     // Time-based event triggers
     this.timeBasedEvents = new Map();
     this.triggeredEvents = new Set();
@@ -37,20 +31,63 @@ export class GameTimer {
     this.stop = this.stop.bind(this);
   }
 
+  /**
+   * Get the night schedule this timer runs on
+   * @returns {NightSchedule} Night schedule from GameState
+   */
+  getSchedule() {
+    return this.gameState.getNightSchedule();
+  }
+
+  /**
+   * Game minutes per real minute (60 for the default 7 minute night)
+   */
+  get REAL_TO_GAME_RATIO() {
+    return this.getSchedule().realToGameRatio;
+  }
+
+  /**
+   * Hour the night starts
+   */
+  get GAME_START_HOUR() {
+    return this.getSchedule().startHour;
+  }
+
+  /**
+   * Hour the sun rises
+   */
+  get GAME_END_HOUR() {
+    return this.getSchedule().endHour;
+  }
+
+  /**
+   * Game hours from nightfall to sunrise
+   */
+  get TOTAL_GAME_HOURS() {
+    return this.getSchedule().gameHours;
+  }
+
+  /**
+   * Real minutes from nightfall to sunrise
+   */
+  get TOTAL_REAL_MINUTES() {
+    return this.getSchedule().realMinutes;
+  }
+
   /**
    * Start the game timer
    */
   start() {
     if (this.isRunning) return;
     
-    this.startTime = Date.now();
+    this.startTime = this.clock.now();
     this.pausedTime = 0;
     this.isRunning = true;
     this.isPaused = false;
     this.triggeredEvents.clear();
     
     // Initialize game state time
-    this.gameState.currentTime = this.formatTime(this.GAME_START_HOUR, 0);
+    this.gameState.currentTime = this.getSchedule().nightfallTime;
     this.gameState.gameStartTime = this.startTime;
     this.gameState.realTimeElapsed = 0;
     
@@ -64,7 +101,7 @@ export class GameTimer {
     if (!this.isRunning || this.isPaused) return;
     
     this.isPaused = true;
-    this.pausedTime = Date.now();
+    this.pausedTime = this.clock.now();
     console.log('GameTimer paused');
   }
 
@@ -74,7 +111,7 @@ export class GameTimer {
   resume() {
     if (!this.isRunning || !this.isPaused) return;
     
-    const pauseDuration = Date.now() - this.pausedTime;
+    const pauseDuration = this.clock.now() - this.pausedTime;
     this.startTime += pauseDuration; // Adjust start time to account for pause
     this.isPaused = false;
     this.pausedTime = 0;
@@ -99,7 +136,7 @@ export class GameTimer {
   update(deltaTime) {
     if (!this.isRunning || this.isPaused) return;
 
-    const currentRealTime = Date.now();
+    const currentRealTime = this.clock.now();
     const realTimeElapsed = currentRealTime - this.startTime;
     
     // Update game state
@@ -125,8 +162,8 @@ export class GameTimer {
     // Check for time-based events
     this.checkTimeBasedEvents(gameTimeData);
     
-    // Check win condition
-    if (gameTimeData.hour === this.GAME_END_HOUR && gameTimeData.minute === 0) {
+    // Check win condition (game time stops at sunrise, so a long frame can't skip past it)
+    if (gameTimeData.totalGameMinutes >= this.getSchedule().gameMinutes) {
       this.notifyWinCondition();
     }
   }
@@ -137,32 +174,13 @@ export class GameTimer {
    * @returns {Object} Game time data
    */
   calculateGameTime(realTimeElapsed) {
-    // Convert real time to game time
-    const realMinutesElapsed = realTimeElapsed / (1000 * 60);
-    const gameMinutesElapsed = realMinutesElapsed * this.REAL_TO_GAME_RATIO;
-    
-    // Calculate current game hour and minute
-    const totalGameMinutes = gameMinutesElapsed;
-    const gameHoursElapsed = Math.floor(totalGameMinutes / 60);
-    const gameMinutesInCurrentHour = Math.floor(totalGameMinutes % 60);
-    
-    // Calculate actual game time
-    let currentGameHour = this.GAME_START_HOUR + gameHoursElapsed;
-    
-    // Handle day rollover (23:59 -> 00:00)
-    if (currentGameHour >= 24) {
-      currentGameHour = currentGameHour - 24;
-    }
-    
-    const formattedTime = this.formatTime(currentGameHour, gameMinutesInCurrentHour);
+    const schedule = this.getSchedule();
+    const gameTime = schedule.getGameTime(realTimeElapsed);
     
     return {
-      hour: currentGameHour,
-      minute: gameMinutesInCurrentHour,
-      formattedTime: formattedTime,
-      totalGameMinutes: totalGameMinutes,
+      ...gameTime,
       realTimeElapsed: realTimeElapsed,
-      gameProgress: Math.min(100, (realTimeElapsed / (this.TOTAL_REAL_MINUTES * 60 * 1000)) * 100)
+      gameProgress: schedule.getProgress(realTimeElapsed)
     };
   }
 
@@ -198,26 +216,15 @@ export class GameTimer {
       return { hours: 0, minutes: 0, totalMinutes: 0, percentage: 100 };
     }
 
+    const schedule = this.getSchedule();
     const currentTime = this.calculateGameTime(this.gameState.realTimeElapsed);
-    const currentHour = currentTime.hour;
-    const currentMinute = currentTime.minute;
     
-    // Calculate minutes until 6:00 AM
-    let hoursUntilSunrise;
-    if (currentHour >= this.GAME_START_HOUR) {
-      // Still in PM hours (23:xx)
-      hoursUntilSunrise = (24 - currentHour) + this.GAME_END_HOUR;
-    } else {
-      // In AM hours (0:xx - 5:xx)
-      hoursUntilSunrise = this.GAME_END_HOUR - currentHour;
-    }
-    
-    const minutesUntilSunrise = (hoursUntilSunrise * 60) - currentMinute;
+    const minutesUntilSunrise = schedule.getMinutesUntilSunrise(currentTime.formattedTime);
     const hoursDisplay = Math.floor(minutesUntilSunrise / 60);
     const minutesDisplay = minutesUntilSunrise % 60;
     
     // Calculate percentage of night completed
-    const totalNightMinutes = this.TOTAL_GAME_HOURS * 60;
+    const totalNightMinutes = schedule.gameMinutes;
     const minutesElapsed = totalNightMinutes - minutesUntilSunrise;
     const percentage = Math.min(100, (minutesElapsed / totalNightMinutes) * 100);
     
@@ -283,8 +290,7 @@ export class GameTimer {
    * @returns {Function} Unsubscribe function
    */
   onTimeUpdate(callback) {
-    this.timeUpdateCallbacks.add(callback);
-    return () => this.timeUpdateCallbacks.delete(callback);
+    return this.events.on('time:changed', callback);
   }
 
   /**
@@ -293,8 +299,7 @@ export class GameTimer {
    * @returns {Function} Unsubscribe function
    */
   onHourChange(callback) {
-    this.hourChangeCallbacks.add(callback);
-    return () => this.hourChangeCallbacks.delete(callback);
+    return this.events.on('time:hour', ({ hour, previousHour }) => callback(hour, previousHour));
   }
 
   /**
@@ -303,50 +308,31 @@ export class GameTimer {
    * @returns {Function} Unsubscribe function
    */
   onWinCondition(callback) {
-    this.winConditionCallbacks.add(callback);
-    return () => this.winConditionCallbacks.delete(callback);
+    return this.events.on('time:sunrise', () => callback());
   }
 
   /**
-   * Notify time update callbacks
+   * Emit a 'time:changed' event
    * @param {Object} gameTimeData - Current game time data
    */
   notifyTimeUpdate(gameTimeData) {
-    this.timeUpdateCallbacks.forEach(callback => {
-      try {
-        callback(gameTimeData);
-      } catch (error) {
-        console.error('Error in time update callback:', error);
-      }
-    });
+    this.events.emit('time:changed', gameTimeData);
   }
 
   /**
-   * Notify hour change callbacks
+   * Emit a 'time:hour' event
    * @param {number} currentHour - Current hour
    * @param {number} previousHour - Previous hour
    */
   notifyHourChange(currentHour, previousHour) {
-    this.hourChangeCallbacks.forEach(callback => {
-      try {
-        callback(currentHour, previousHour);
-      } catch (error) {
-        console.error('Error in hour change callback:', error);
-      }
-    });
+    this.events.emit('time:hour', { hour: currentHour, previousHour });
   }
 
   /**
-   * Notify win condition callbacks
+   * Emit a 'time:sunrise' event
    */
   notifyWinCondition() {
-    this.winConditionCallbacks.forEach(callback => {
-      try {
-        callback();
-      } catch (error) {
-        console.error('Error in win condition callback:', error);
-      }
-    });
+    this.events.emit('time:sunrise');
   }
 
   /**
@@ -364,6 +350,72 @@ export class GameTimer {
     };
   }
 
+  /**
+   * Capture elapsed time and fired time-based events for a save
+   * Uses the clock as of the last tick so it agrees with the saved game state
+   * @returns {Object} Timer snapshot
+   */
+  snapshot() {
+    return {
+      realTimeElapsed: this.gameState.realTimeElapsed,
+      triggeredEvents: [...this.triggeredEvents]
+    };
+  }
+
+  /**
+   * Restore elapsed time and fired time-based events from a snapshot
+   * A running timer carries on from the restored time
+   * @param {Object} snapshot - Data from snapshot()
+   */
+  restore(snapshot) {
+    this.gameState.realTimeElapsed = snapshot.realTimeElapsed;
+    this.gameState.currentTime = this.calculateGameTime(snapshot.realTimeElapsed).formattedTime;
+    this.triggeredEvents = new Set(snapshot.triggeredEvents);
+
+    if (this.isRunning) {
+      this.startFrom(snapshot.realTimeElapsed);
+    }
+  }
+
+  /**
+   * Run the timer from a point part-way through the night
+   * @param {number} realTimeElapsed - Real time already elapsed in milliseconds
+   */
+  startFrom(realTimeElapsed) {
+    const now = this.clock.now();
+
+    this.startTime = now - realTimeElapsed;
+    this.isRunning = true;
+    // A paused timer stays paused; resume() shifts startTime by the time spent paused
+    this.pausedTime = this.isPaused ? now : 0;
+    this.gameState.realTimeElapsed = realTimeElapsed;
+  }
+
+  /**
+   * Get real time elapsed on the running timer, excluding the current pause
+   * @returns {number} Milliseconds since nightfall
+   */
+  getElapsed() {
+    const now = this.isPaused ? this.pausedTime : this.clock.now();
+    return now - this.startTime;
+  }
+
+  /**
+   * Set how many real minutes the night lasts
+   * @param {number} minutes - Real minutes from nightfall to sunrise
+   */
+  setRealDuration(minutes) {
+    this.gameState.setNightSchedule({ realMinutes: minutes });
+  }
+
+  /**
+   * Apply a difficulty profile's night length
+   * @param {Object} profile - Difficulty profile from DifficultyProfiles
+   */
+  applyDifficulty(profile) {
+    this.setRealDuration(profile.nightLengthMinutes);
+  }
+
   /**
    * Reset timer to initial state
    */
@@ -3,14 +3,18 @@
  * Handles health events, regeneration, and health-based game state modifications
  */
 
+import { realClock } from './GameClock.js';
+import { EventBus } from './EventBus.js';
+
 export class HealthSystem {
-  constructor(gameState) {
+  constructor(gameState, clock = realClock, events = new EventBus()) {
     this.gameState = gameState;
+    this.clock = clock; // Damage ticks and the regeneration delay wait out pauses
+    this.events = events;
     this.healthRegenRate = 0.05; // Health points per second when regenerating
     this.damageEvents = new Map(); // Track active damage over time effects
     this.healthModifiers = new Map(); // Temporary health modifiers
     this.lastHealthLevel = 100;
-    this.healthChangeCallbacks = new Set();
     
     // Damage types and their characteristics
     this.damageTypes = {
@@ -48,6 +52,9 @@ export class HealthSystem {
     
     // Process active damage over time effects
     this.processDamageEvents(deltaTime);
+
+    // Drop modifiers that have run out
+    this.expireHealthModifiers();
     
     // Handle health regeneration
     this.processHealthRegeneration(deltaSeconds);
@@ -87,7 +94,7 @@ export class HealthSystem {
     }
 
     // Record damage time for regeneration delay
-    this.lastDamageTime = Date.now();
+    this.lastDamageTime = this.clock.now();
     this.isRegenerating = false;
 
     console.log(`Applied ${actualDamage.toFixed(1)} ${damageType} damage from ${source}`);
@@ -127,15 +134,15 @@ export class HealthSystem {
     this.applyInstantDamage(immediateDamage, damageType, source);
 
     const damageEvent = {
-      id: `${damageType}_${Date.now()}`,
+      id: `${damageType}_${this.clock.now()}`,
       type: damageType,
       totalDamage: totalDamage - immediateDamage, // Remaining damage over time
       remainingDamage: totalDamage - immediateDamage,
       duration: duration,
-      startTime: Date.now(),
+      startTime: this.clock.now(),
       source: source,
       tickInterval: 500, // Apply damage every 500ms
-      lastTick: Date.now()
+      lastTick: this.clock.now()
     };
 
     this.damageEvents.set(damageEvent.id, damageEvent);
@@ -148,7 +155,7 @@ export class HealthSystem {
    * @param {number} deltaTime - Time elapsed in milliseconds
    */
   processDamageEvents(deltaTime) {
-    const currentTime = Date.now();
+    const currentTime = this.clock.now();
     const eventsToRemove = [];
 
     for (const [eventId, damageEvent] of this.damageEvents) {
@@ -183,7 +190,7 @@ export class HealthSystem {
    * @param {number} deltaSeconds - Time elapsed in seconds
    */
   processHealthRegeneration(deltaSeconds) {
-    const currentTime = Date.now();
+    const currentTime = this.clock.now();
     
     // Check if enough time has passed since last damage
     if (currentTime - this.lastDamageTime >= this.regenDelay) {
@@ -382,19 +389,12 @@ export class HealthSystem {
       id: id,
       type: type,
       multiplier: multiplier,
-      startTime: Date.now(),
+      startTime: this.clock.now(),
       duration: duration
     };
 
     this.healthModifiers.set(id, modifier);
 
-    // Auto-remove after duration
-    if (duration > 0) {
-      setTimeout(() => {
-        this.healthModifiers.delete(id);
-      }, duration);
-    }
-
     console.log(`Added health modifier: ${id} (${type}, ${multiplier}x for ${duration}ms)`);
   }
 
@@ -407,30 +407,48 @@ export class HealthSystem {
   }
 
   /**
-   * Register a callback for health changes
-   * @param {Function} callback - Function to call when health changes
+   * Remove modifiers whose duration has passed on the game clock
+   */
+  expireHealthModifiers() {
+    const now = this.clock.now();
+
+    for (const [id, modifier] of this.healthModifiers) {
+      if (modifier.duration > 0 && now - modifier.startTime >= modifier.duration) {
+        this.healthModifiers.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Register a callback for health changes - shorthand for the 'health:changed' event
+   * @param {Function} callback - Function to call with (changeType, data, health, healthState)
+   * @returns {Function} Unsubscribe function
    */
   onHealthChange(callback) {
-    this.healthChangeCallbacks.add(callback);
-    
-    return () => {
-      this.healthChangeCallbacks.delete(callback);
-    };
+    return this.events.on('health:changed', ({ changeType, data, health, healthState }) => {
+      callback(changeType, data, health, healthState);
+    });
   }
 
   /**
-   * Notify all registered callbacks of health changes
+   * Emit 'health:changed', plus 'health:damaged' or 'health:healed' when health went down or up
    * @param {string} changeType - Type of change ('damage', 'heal', 'regeneration', 'state')
    * @param {Object} data - Additional data about the change
    */
   notifyHealthChange(changeType, data) {
-    this.healthChangeCallbacks.forEach(callback => {
-      try {
-        callback(changeType, data, this.gameState.health, this.currentHealthState);
-      } catch (error) {
-        console.error('Error in health change callback:', error);
-      }
-    });
+    const payload = {
+      changeType,
+      data,
+      health: this.gameState.health,
+      healthState: this.currentHealthState
+    };
+
+    this.events.emit('health:changed', payload);
+    if (changeType === 'damage') {
+      this.events.emit('health:damaged', payload);
+    } else if (changeType === 'heal' || changeType === 'regeneration') {
+      this.events.emit('health:healed', payload);
+    }
   }
 
   /**
@@ -466,7 +484,7 @@ export class HealthSystem {
       return 0;
     }
     
-    const timeSinceLastDamage = Date.now() - this.lastDamageTime;
+    const timeSinceLastDamage = this.clock.now() - this.lastDamageTime;
     return Math.max(0, this.regenDelay - timeSinceLastDamage);
   }
 
@@ -487,6 +505,57 @@ export class HealthSystem {
     return this.gameState && this.gameState.isAlive;
   }
 
+  /**
+   * Apply a difficulty profile's regeneration tuning
+   * @param {Object} profile - Difficulty profile from DifficultyProfiles
+   */
+  applyDifficulty(profile) {
+    this.healthRegenRate = profile.healthRegenRate;
+    this.regenDelay = profile.regenDelay;
+  }
+
+  /**
+   * Capture damage over time effects, modifiers and regeneration state for a save
+   * Times are kept relative to the save so ticking damage picks up where it stopped
+   * @returns {Object} Health system snapshot
+   */
+  snapshot() {
+    const now = this.clock.now();
+    const withAge = ({ startTime, ...entry }) => ({ ...entry, age: now - startTime });
+
+    return {
+      currentHealthState: this.currentHealthState,
+      lastHealthLevel: this.lastHealthLevel,
+      isRegenerating: this.isRegenerating,
+      timeSinceDamage: this.lastDamageTime ? now - this.lastDamageTime : null,
+      damageEvents: [...this.damageEvents.values()].map(({ lastTick, ...event }) => ({
+        ...withAge(event),
+        timeSinceTick: now - lastTick
+      })),
+      healthModifiers: [...this.healthModifiers.values()].map(withAge)
+    };
+  }
+
+  /**
+   * Restore damage over time effects, modifiers and regeneration state from a snapshot
+   * @param {Object} snapshot - Data from snapshot()
+   */
+  restore(snapshot) {
+    const now = this.clock.now();
+
+    this.currentHealthState = snapshot.currentHealthState;
+    this.lastHealthLevel = snapshot.lastHealthLevel;
+    this.isRegenerating = snapshot.isRegenerating;
+    this.lastDamageTime = snapshot.timeSinceDamage === null ? 0 : now - snapshot.timeSinceDamage;
+    this.damageEvents = new Map(snapshot.damageEvents.map(({ age, timeSinceTick, ...event }) =>
+      [event.id, { ...event, startTime: now - age, lastTick: now - timeSinceTick }]
+    ));
+
+    this.healthModifiers = new Map(snapshot.healthModifiers.map(({ age, ...modifier }) =>
+      [modifier.id, { ...modifier, startTime: now - age }]
+    ));
+  }
+
   /**
    * Get health system statistics
    * @returns {Object} System statistics
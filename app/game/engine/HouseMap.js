@@ -0,0 +1,344 @@
+/**
+ * HouseMap - Room graph behind GameState.location
+ * Defines rooms, their exits and locked doors, and validates player movement against them
+ */
+
+export const DIRECTIONS = ['north', 'south', 'east', 'west', 'up', 'down'];
+
+const DIRECTION_ALIASES = {
+  n: 'north',
+  s: 'south',
+  e: 'east',
+  w: 'west',
+  u: 'up',
+  d: 'down',
+  upstairs: 'up',
+  downstairs: 'down'
+};
+
+// Command forms: "go north", "go to kitchen", "walk to the living room", "head upstairs"
+const MOVE_COMMAND_PATTERN = /^(?:go|walk|head|move)\s+(?:back\s+)?(?:(?:into|to|towards?)\s+)?(?:the\s+)?(.+)$/;
+
+export const DEFAULT_HOUSE_LAYOUT = {
+  startRoom: 'starting_room',
+  rooms: {
+    starting_room: {
+      name: 'Spare Room',
+      description: 'A cramped room with old furniture. A door leads north into the hallway.',
+      exits: { north: { to: 'dark_hallway' } }
+    },
+    dark_hallway: {
+      name: 'Dark Hallway',
+      description: 'A long hallway where the light never quite reaches. A ladder leads up to the attic.',
+      exits: {
+        south: { to: 'starting_room' },
+        north: { to: 'living_room' },
+        east: { to: 'kitchen' },
+        west: { to: 'bathroom' },
+        up: { to: 'attic' }
+      }
+    },
+    living_room: {
+      name: 'Living Room',
+      description: 'Dust sheets cover the sofas. The front door is to the north.',
+      exits: {
+        south: { to: 'dark_hallway' },
+        east: { to: 'dining_room' },
+        west: { to: 'study' },
+        north: { to: 'outside', door: 'front_door' }
+      }
+    },
+    dining_room: {
+      name: 'Dining Room',
+      description: 'A long table set for guests who never arrived.',
+      exits: {
+        west: { to: 'living_room' },
+        south: { to: 'kitchen' }
+      }
+    },
+    kitchen: {
+      name: 'Kitchen',
+      description: 'Cupboard doors hang open. A narrow passage leads east to the basement stairs.',
+      exits: {
+        west: { to: 'dark_hallway' },
+        north: { to: 'dining_room' },
+        east: { to: 'basement_door' }
+      }
+    },
+    basement_door: {
+      name: 'Basement Stairs',
+      description: 'A heavy door at the top of the basement stairs.',
+      exits: {
+        west: { to: 'kitchen' },
+        down: { to: 'basement', door: 'basement_door' }
+      }
+    },
+    basement: {
+      name: 'Basement',
+      description: 'Cold, damp and completely silent.',
+      exits: { up: { to: 'basement_door', door: 'basement_door' } }
+    },
+    bathroom: {
+      name: 'Bathroom',
+      description: 'A cracked mirror hangs over the sink.',
+      exits: { east: { to: 'dark_hallway' } }
+    },
+    attic: {
+      name: 'Attic',
+      description: 'Low beams and boxes of forgotten belongings.',
+      exits: { down: { to: 'dark_hallway' } }
+    },
+    study: {
+      name: 'Study',
+      description: 'Bookshelves line every wall. A door leads north to the bedroom.',
+      exits: {
+        east: { to: 'living_room' },
+        north: { to: 'bedroom' }
+      }
+    },
+    bedroom: {
+      name: 'Bedroom',
+      description: 'The bed is neatly made. A reinforced door stands to the east.',
+      exits: {
+        south: { to: 'study' },
+        east: { to: 'safe_room' }
+      }
+    },
+    safe_room: {
+      name: 'Safe Room',
+      description: 'A small room with a bolt on the inside of the door. You feel safer here.',
+      exits: { west: { to: 'bedroom' } }
+    },
+    outside: {
+      name: 'Outside',
+      description: 'The night air is freezing. The woods are very close.',
+      exits: { south: { to: 'living_room', door: 'front_door' } }
+    }
+  },
+  doors: {
+    basement_door: {
+      name: 'basement door',
+      keyItem: 'key_basement',
+      locked: true,
+      lockedNarration: 'The basement door is locked. You need a key.'
+    },
+    front_door: {
+      name: 'front door',
+      keyItem: null, // Cannot be unlocked - the way out opens at sunrise
+      locked: true,
+      lockedNarration: 'The front door is chained shut from the outside.'
+    }
+  }
+};
+
+export class HouseMap {
+  constructor(gameState, layout = DEFAULT_HOUSE_LAYOUT) {
+    this.gameState = gameState;
+    this.layout = layout;
+
+    this.validateLayout();
+
+    // Restrict GameState.setLocation to rooms that exist on this map
+    this.gameState.validLocations = this.getRoomIds();
+  }
+
+  /**
+   * Check that every exit points at a known room and door
+   * @throws {Error} If the layout references unknown rooms or doors
+   */
+  validateLayout() {
+    const rooms = this.layout.rooms || {};
+    const doors = this.layout.doors || {};
+
+    if (!rooms[this.layout.startRoom]) {
+      throw new Error(`House map start room "${this.layout.startRoom}" does not exist`);
+    }
+
+    Object.entries(rooms).forEach(([roomId, room]) => {
+      Object.entries(room.exits || {}).forEach(([direction, exit]) => {
+        if (!DIRECTIONS.includes(direction)) {
+          throw new Error(`Room "${roomId}" has an exit in unknown direction "${direction}"`);
+        }
+        if (!rooms[exit.to]) {
+          throw new Error(`Room "${roomId}" exit "${direction}" leads to unknown room "${exit.to}"`);
+        }
+        if (exit.door && !doors[exit.door]) {
+          throw new Error(`Room "${roomId}" exit "${direction}" uses unknown door "${exit.door}"`);
+        }
+      });
+    });
+  }
+
+  /**
+   * Get all room ids
+   * @returns {Array} Room ids
+   */
+  getRoomIds() {
+    return Object.keys(this.layout.rooms);
+  }
+
+  /**
+   * Check whether a room exists
+   * @param {string} roomId - Room id
+   * @returns {boolean} True if the room exists
+   */
+  hasRoom(roomId) {
+    return Object.prototype.hasOwnProperty.call(this.layout.rooms, roomId);
+  }
+
+  /**
+   * Get a room definition
+   * @param {string} roomId - Room id
+   * @returns {Object|null} Room definition with its id
+   */
+  getRoom(roomId) {
+    if (!this.hasRoom(roomId)) return null;
+    return { id: roomId, ...this.layout.rooms[roomId] };
+  }
+
+  /**
+   * Get the room the player is currently in
+   * @returns {Object|null} Current room
+   */
+  getCurrentRoom() {
+    return this.getRoom(this.gameState.location);
+  }
+
+  /**
+   * Get a door definition
+   * @param {string} doorId - Door id
+   * @returns {Object|null} Door definition with its id
+   */
+  getDoor(doorId) {
+    const door = this.layout.doors?.[doorId];
+    return door ? { id: doorId, ...door } : null;
+  }
+
+  /**
+   * Check whether a door is currently locked
+   * @param {string} doorId - Door id
+   * @returns {boolean} True if locked
+   */
+  isDoorLocked(doorId) {
+    const door = this.getDoor(doorId);
+    if (!door || !door.locked) return false;
+    return !this.gameState.isDoorUnlocked(doorId);
+  }
+
+  /**
+   * List the exits from a room
+   * @param {string} roomId - Room id (defaults to the current room)
+   * @returns {Array} Exits [{direction, to, name, door, locked}]
+   */
+  getExits(roomId = this.gameState.location) {
+    const room = this.layout.rooms[roomId];
+    if (!room) return [];
+
+    return Object.entries(room.exits || {}).map(([direction, exit]) => ({
+      direction,
+      to: exit.to,
+      name: this.layout.rooms[exit.to].name,
+      door: exit.door || null,
+      locked: exit.door ? this.isDoorLocked(exit.door) : false
+    }));
+  }
+
+  /**
+   * Normalize a direction word
+   * @param {string} text - Direction text ("n", "upstairs", "north")
+   * @returns {string|null} Canonical direction or null
+   */
+  normalizeDirection(text) {
+    const word = text.toLowerCase().trim();
+    if (DIRECTIONS.includes(word)) return word;
+    return DIRECTION_ALIASES[word] || null;
+  }
+
+  /**
+   * Find a room by id or display name
+   * @param {string} text - Room text ("kitchen", "living room", "basement_door")
+   * @returns {string|null} Room id or null
+   */
+  findRoomId(text) {
+    const key = text.toLowerCase().trim().replace(/\s+/g, '_');
+    if (this.hasRoom(key)) return key;
+
+    const match = Object.entries(this.layout.rooms)
+      .find(([, room]) => room.name.toLowerCase().replace(/\s+/g, '_') === key);
+    return match ? match[0] : null;
+  }
+
+  /**
+   * Extract the movement target from a command
+   * @param {string} command - Normalized command ("go north", "go to the kitchen")
+   * @returns {string|null} Target text or null if this is not a movement command
+   */
+  parseMoveCommand(command) {
+    const match = command.toLowerCase().trim().match(MOVE_COMMAND_PATTERN);
+    return match ? match[1].trim() : null;
+  }
+
+  /**
+   * Move the player towards a direction or adjacent room
+   * Locked doors open automatically when the player carries their key
+   * @param {string} target - Direction or room name
+   * @returns {Object} Movement result {success, from, to, message, narration, unlockedDoor?}
+   */
+  move(target) {
+    const from = this.gameState.location;
+    const exits = this.getExits(from);
+
+    const direction = this.normalizeDirection(target);
+    const roomId = direction ? null : this.findRoomId(target);
+    const exit = direction
+      ? exits.find(candidate => candidate.direction === direction)
+      : exits.find(candidate => candidate.to === roomId);
+
+    if (!exit) {
+      let narration = `You can't go ${target} from here.`;
+      if (roomId === from) {
+        narration = `You are already in the ${this.layout.rooms[from].name.toLowerCase()}.`;
+      } else if (roomId) {
+        narration = `You can't reach the ${this.layout.rooms[roomId].name.toLowerCase()} from here.`;
+      }
+      return { success: false, from, to: null, message: 'No exit in that direction', narration };
+    }
+
+    let unlockedDoor = null;
+    if (exit.locked) {
+      const door = this.getDoor(exit.door);
+      // A key imagined at low sanity is not in the player's hand
+      const key = door.keyItem ? this.gameState.getInventoryItem(door.keyItem) : null;
+      if (!key || key.fake) {
+        return {
+          success: false,
+          from,
+          to: exit.to,
+          message: `The ${door.name} is locked`,
+          narration: door.lockedNarration || `The ${door.name} is locked.`
+        };
+      }
+
+      this.gameState.unlockDoor(door.id);
+      unlockedDoor = door.id;
+    }
+
+    if (!this.gameState.setLocation(exit.to)) {
+      return { success: false, from, to: exit.to, message: 'Invalid destination', narration: `You can't go ${target} from here.` };
+    }
+
+    const room = this.layout.rooms[exit.to];
+    const unlockNarration = unlockedDoor ? `You unlock the ${this.getDoor(unlockedDoor).name}. ` : '';
+
+    return {
+      success: true,
+      from,
+      to: exit.to,
+      message: `Moved to ${room.name}`,
+      narration: `${unlockNarration}You enter the ${room.name.toLowerCase()}. ${room.description}`,
+      unlockedDoor
+    };
+  }
+}
+
+export default HouseMap;
@@ -3,11 +3,18 @@
  * Handles item storage, usage, durability tracking, and voice command integration
  */
 
+import { SeededRandom } from './SeededRandom.js';
+import { realClock } from './GameClock.js';
+import { EventBus } from './EventBus.js';
+
 export class InventorySystem {
-  constructor(gameState, audioManager, voiceNarrator) {
+  constructor(gameState, audioManager, voiceNarrator, rng = new SeededRandom(), clock = realClock, events = new EventBus()) {
     this.gameState = gameState;
     this.audioManager = audioManager;
     this.voiceNarrator = voiceNarrator;
+    this.rng = rng;
+    this.clock = clock; // Item cooldowns and durations count game time
+    this.events = events;
     
     // Item definitions with properties and behaviors
     this.itemDefinitions = new Map([
@@ -144,6 +151,7 @@ export class InventorySystem {
         effects: {
           storyReveal: true,
           fearIncrease: 5, // Knowledge can be frightening
+          sanityLoss: 6, // ...and some of it can't be unread
           clueProvided: true
         }
       }]
@@ -221,20 +229,16 @@ export class InventorySystem {
   }
 
   /**
-   * Add an item to the inventory with full item data
-   * @param {string} itemId - ID of the item to add
-   * @param {Object} overrides - Property overrides for the item
-   * @returns {boolean} Success status
+   * Build an item instance from its definition
+   * @param {string} itemId - Item definition id
+   * @param {Object} overrides - Property overrides
+   * @returns {Object|null} Item or null if the id is unknown
    */
-  addItem(itemId, overrides = {}) {
+  createItem(itemId, overrides = {}) {
     const itemDef = this.itemDefinitions.get(itemId);
-    if (!itemDef) {
-      console.error(`Unknown item: ${itemId}`);
-      return false;
-    }
+    if (!itemDef) return null;
 
-    // Create item instance with full properties
-    const item = {
+    return {
       id: itemDef.id,
       name: itemDef.name,
       type: itemDef.type,
@@ -252,6 +256,36 @@ export class InventorySystem {
       activeSound: itemDef.activeSound,
       ...overrides
     };
+  }
+
+  /**
+   * Fill in definition properties missing from inventory items, e.g. items from old saves
+   * Properties the items already have are kept
+   */
+  hydrateInventory() {
+    this.gameState.inventory = this.gameState.inventory.map(item => {
+      const fullItem = this.createItem(item.id);
+      return fullItem ? { ...fullItem, ...item } : item;
+    });
+  }
+
+  /**
+   * Add an item to the inventory with full item data
+   * @param {string} itemId - ID of the item to add
+   * @param {Object} overrides - Property overrides for the item
+   * @returns {boolean} Success status
+   */
+  addItem(itemId, overrides = {}) {
+    const item = this.createItem(itemId, overrides);
+    if (!item) {
+      console.error(`Unknown item: ${itemId}`);
+      return false;
+    }
+
+    // Finding the real thing replaces one the player only imagined
+    if (!item.fake && this.gameState.getInventoryItem(itemId)?.fake) {
+      this.gameState.removeFromInventory(itemId);
+    }
 
     // Add to game state inventory
     const success = this.gameState.addToInventory(item);
@@ -298,11 +332,16 @@ export class InventorySystem {
       };
     }
 
+    // Items imagined at low sanity (see SanitySystem) vanish when reached for
+    if (item.fake) {
+      return this.dispelFakeItem(item);
+    }
+
     // Check usage cooldown
-    const cooldownKey = `${itemId}_${Date.now()}`;
+    const cooldownKey = `${itemId}_${this.clock.now()}`;
     if (this.usageCooldowns.has(itemId)) {
       const cooldownEnd = this.usageCooldowns.get(itemId);
-      if (Date.now() < cooldownEnd) {
+      if (this.clock.now() < cooldownEnd) {
         return {
           success: false,
           message: `${item.name} is on cooldown`,
@@ -355,7 +394,7 @@ export class InventorySystem {
 
     // Set cooldown if applicable
     if (item.type === 'consumable' || item.type === 'weapon') {
-      this.usageCooldowns.set(itemId, Date.now() + 3000); // 3 second cooldown
+      this.usageCooldowns.set(itemId, this.clock.now() + 3000); // 3 second cooldown
     }
 
     // Provide voice feedback
@@ -368,6 +407,7 @@ export class InventorySystem {
     }
 
     console.log(`Used ${item.name}:`, result);
+    this.events.emit('item:used', { item, result });
     return result;
   }
 
@@ -418,6 +458,11 @@ export class InventorySystem {
           result.narration = `You feel more protected with the ${item.name} in hand.`;
           break;
 
+        case 'sanityLoss':
+          this.gameState.updateSanity(-effectValue);
+          result.effects.push({ type: 'sanity', value: -effectValue });
+          break;
+
         case 'storyReveal':
           result.effects.push({ type: 'story', value: true });
           result.narration = `The ${item.name} reveals important information about this place.`;
@@ -425,7 +470,8 @@ export class InventorySystem {
 
         case 'unlocks':
           result.effects.push({ type: 'unlock', value: effectValue });
-          result.narration = `The ${item.name} might unlock something important.`;
+          effectValue.forEach(doorId => this.gameState.unlockDoor(doorId));
+          result.narration = `You turn the ${item.name} and hear the lock click open.`;
           break;
       }
     }
@@ -433,6 +479,33 @@ export class InventorySystem {
     return result;
   }
 
+  /**
+   * Remove an item that was never really there
+   * @param {Object} item - Fake inventory item
+   * @returns {Object} Failed usage result
+   */
+  dispelFakeItem(item) {
+    this.gameState.removeFromInventory(item.id);
+
+    const result = {
+      success: false,
+      vanished: true,
+      message: `The ${item.name} was never there`,
+      narration: `You reach for the ${item.name}, but your hand closes on nothing. It was never there.`
+    };
+
+    if (this.voiceNarrator) {
+      try {
+        this.voiceNarrator.speak(result.narration);
+      } catch (error) {
+        console.warn('Voice narration error for imagined item:', error);
+      }
+    }
+
+    this.events.emit('item:vanished', { item });
+    return result;
+  }
+
   /**
    * Toggle an item's active state
    * @param {string} itemId - ID of the item to toggle
@@ -444,6 +517,11 @@ export class InventorySystem {
       return false;
     }
 
+    if (item.fake) {
+      this.dispelFakeItem(item);
+      return false;
+    }
+
     // Deactivate other items of the same type if necessary
     if (!item.isActive && (item.type === 'tool' || item.type === 'weapon')) {
       this.deactivateItemsByType(item.type);
@@ -514,6 +592,11 @@ export class InventorySystem {
   processVoiceCommand(command, context = {}) {
     const normalizedCommand = command.toLowerCase().trim();
     
+    // Dropping is checked before item commands so "drop flashlight" doesn't use it
+    if (normalizedCommand.startsWith('drop ')) {
+      return this.processDropCommand(normalizedCommand);
+    }
+
     // Check for combination commands FIRST (before individual item commands)
     if (normalizedCommand.includes('combine') || 
         (normalizedCommand.includes('use') && normalizedCommand.includes('with')) ||
@@ -620,7 +703,7 @@ export class InventorySystem {
       if (discoveryEvent.locations.includes(currentLocation)) {
         // Check if item is already in inventory
         const hasItem = this.gameState.inventory.some(item => item.id === itemId);
-        if (!hasItem && Math.random() < discoveryEvent.probability) {
+        if (!hasItem && this.rng.chance(discoveryEvent.probability)) {
           this.addItem(itemId);
           discoveredItems.push(itemId);
         }
@@ -643,6 +726,50 @@ export class InventorySystem {
     }
   }
 
+  /**
+   * Drop an item named in a command
+   * @param {string} command - Drop command ("drop the flashlight")
+   * @returns {Object} Drop result with the dropped item
+   */
+  processDropCommand(command) {
+    const inventory = this.gameState.inventory || [];
+    const item = inventory.find(candidate =>
+      command.includes(candidate.name.toLowerCase()) ||
+      command.includes(candidate.id.replace(/_/g, ' ')) ||
+      (candidate.voiceCommands || []).some(voiceCommand => command.includes(voiceCommand.toLowerCase()))
+    );
+
+    if (!item) {
+      return {
+        success: false,
+        message: 'No matching item to drop',
+        narration: "You don't have that."
+      };
+    }
+
+    if (item.isActive) {
+      this.toggleItemActive(item.id);
+    }
+    this.gameState.removeFromInventory(item.id);
+
+    const result = {
+      success: true,
+      message: `Dropped ${item.name}`,
+      narration: `The ${item.name} clatters to the floor.`,
+      droppedItem: item
+    };
+
+    if (this.voiceNarrator) {
+      try {
+        this.voiceNarrator.speak(result.narration);
+      } catch (error) {
+        console.warn('Voice narration error during item drop:', error);
+      }
+    }
+
+    return result;
+  }
+
   /**
    * Process item combination commands
    * @param {string} command - Combination command
@@ -676,45 +803,39 @@ export class InventorySystem {
   }
 
   /**
-   * Update active items (called from game loop)
-   * @param {number} deltaTime - Time elapsed since last update
+   * Put out a light source that has run dry
+   * LightingSystem burns the fuel; this turns the item off and tells the player
+   * @param {Object} item - Inventory item
+   * @param {string} fuel - 'battery' or 'wax'
    */
-  update(deltaTime) {
-    const inventory = this.gameState.inventory || [];
-    
-    // Update active items
-    for (const item of inventory) {
-      if (item.isActive && item.effects && item.effects.duration) {
-        // Handle timed effects (like burning candles)
-        if (item.type === 'consumable') {
-          item.durability = Math.max(0, item.durability - (item.usageRate * deltaTime / 1000));
-          
-          if (item.durability <= 0) {
-            item.isActive = false;
-            this.activeItems.delete(item.id);
-            
-            if (item.activeSound && this.audioManager) {
-              try {
-                this.audioManager.stopAmbient(item.activeSound);
-              } catch (error) {
-                console.warn('Audio error during item burnout:', error);
-              }
-            }
-            
-            if (this.voiceNarrator) {
-              try {
-                this.voiceNarrator.speak(`The ${item.name} has burned out.`);
-              } catch (error) {
-                console.warn('Voice narration error during item burnout:', error);
-              }
-            }
-          }
-        }
+  burnOut(item, fuel) {
+    item.isActive = false;
+    this.activeItems.delete(item.id);
+
+    if (item.activeSound && this.audioManager) {
+      try {
+        this.audioManager.stopAmbient(item.activeSound);
+      } catch (error) {
+        console.warn('Audio error during item burnout:', error);
       }
     }
 
+    if (this.voiceNarrator) {
+      try {
+        this.voiceNarrator.speak(fuel === 'battery' ? `The ${item.name}'s battery is dead.` : `The ${item.name} has burned out.`);
+      } catch (error) {
+        console.warn('Voice narration error during item burnout:', error);
+      }
+    }
+  }
+
+  /**
+   * Update item cooldowns (called from game loop)
+   * Light sources burn down in LightingSystem
+   */
+  update() {
     // Clean up expired cooldowns
-    const now = Date.now();
+    const now = this.clock.now();
     for (const [itemId, cooldownEnd] of this.usageCooldowns) {
       if (now >= cooldownEnd) {
         this.usageCooldowns.delete(itemId);
@@ -769,6 +890,34 @@ export class InventorySystem {
     return this.gameState && this.gameState.isAlive;
   }
 
+  /**
+   * Capture switched-on items and usage cooldowns for a save
+   * Items themselves are saved with GameState.inventory
+   * @returns {Object} Inventory system snapshot
+   */
+  snapshot() {
+    const now = this.clock.now();
+
+    return {
+      activeItems: [...this.activeItems],
+      usageCooldowns: [...this.usageCooldowns].map(([itemId, cooldownEnd]) => ({
+        itemId,
+        remaining: Math.max(0, cooldownEnd - now)
+      }))
+    };
+  }
+
+  /**
+   * Restore switched-on items and usage cooldowns from a snapshot
+   * @param {Object} snapshot - Data from snapshot()
+   */
+  restore(snapshot) {
+    const now = this.clock.now();
+
+    this.activeItems = new Set(snapshot.activeItems);
+    this.usageCooldowns = new Map(snapshot.usageCooldowns.map(({ itemId, remaining }) => [itemId, now + remaining]));
+  }
+
   /**
    * Get inventory system statistics
    * @returns {Object} System statistics
@@ -785,7 +934,7 @@ export class InventorySystem {
     this.addItem('phone');
     
     // 50% chance to start with flashlight
-    if (Math.random() < 0.5) {
+    if (this.rng.chance(0.5)) {
       this.addItem('flashlight', { durability: 80 }); // Slightly used
     }
 
@@ -0,0 +1,274 @@
+/**
+ * LightingSystem - How much the player can see
+ * Works out the light level from active light sources, burns their batteries and wax, and
+ * reports darkness so the rest of the engine can make it hurt. Writes GameState.lightLevel
+ * and lightSource each frame; EventSystem, SanitySystem and the UI read those instead of
+ * checking the inventory themselves.
+ */
+
+import { realClock } from './GameClock.js';
+import { EventBus } from './EventBus.js';
+
+export class LightingSystem {
+  constructor(gameState, clock = realClock, events = new EventBus()) {
+    this.gameState = gameState;
+    this.clock = clock; // Temporary lights and darkness count game time
+    this.events = events;
+
+    // Items that give light while active: level 0-1 and durability burned per second
+    this.lightSources = {
+      flashlight: { level: 1.0, burnRate: 0.2, fuel: 'battery' },
+      candle: { level: 0.6, burnRate: 2, fuel: 'wax' },
+      phone: { level: 0.3, burnRate: 0.3, fuel: 'battery' }
+    };
+    this.defaultSource = { level: 0.5, burnRate: 0, fuel: null }; // Other items with visionBonus
+
+    // Light states, brightest first
+    this.lightStates = {
+      bright: { threshold: 0.8 },
+      dim: { threshold: 0.4 },
+      faint: { threshold: 0.01 },
+      dark: { threshold: 0 }
+    };
+
+    this.darknessInterval = 30000; // ms of darkness between darkness reports
+    this.temporaryLights = new Map(); // id -> {id, level, startTime, duration} - matches and the like
+    this.darkSince = null; // Game time the player was last left in the dark
+    this.lastDarknessReport = null;
+    this.flickerUntil = null; // Game time the player's lights come back after a flicker
+    this.currentLightState = 'dark';
+  }
+
+  /**
+   * Update lighting system - called each frame
+   * @param {number} deltaTime - Time elapsed since last update in milliseconds
+   */
+  update(deltaTime) {
+    const now = this.clock.now();
+
+    this.burnFuel(deltaTime);
+    this.expireTemporaryLights(now);
+    if (this.flickerUntil !== null && now >= this.flickerUntil) {
+      this.flickerUntil = null;
+    }
+    this.updateLightLevel();
+    this.checkDarkness(now);
+  }
+
+  /**
+   * Get the active items that give light
+   * Items imagined at low sanity give none
+   * @returns {Array} [{item, source}]
+   */
+  getActiveSources() {
+    return (this.gameState.inventory || [])
+      .filter(item => item.isActive && !item.fake && item.durability > 0 &&
+        (this.lightSources[item.id] || item.effects?.visionBonus))
+      .map(item => ({ item, source: this.lightSources[item.id] || this.defaultSource }));
+  }
+
+  /**
+   * Burn battery and wax in every active light source
+   * A source that runs dry is reported with 'light:burned_out' for InventorySystem to put out
+   * @param {number} deltaTime - Time elapsed since last update in milliseconds
+   */
+  burnFuel(deltaTime) {
+    this.getActiveSources().forEach(({ item, source }) => {
+      if (source.burnRate <= 0) return;
+
+      item.durability = Math.max(0, item.durability - source.burnRate * (deltaTime / 1000));
+      if (item.durability <= 0) {
+        console.log(`${item.name} ran out of ${source.fuel}`);
+        this.events.emit('light:burned_out', { item, fuel: source.fuel });
+      }
+    });
+  }
+
+  /**
+   * Add a light that goes out by itself, like a struck match
+   * @param {string} id - Light id; adding the same id again relights it
+   * @param {number} level - Light level 0-1
+   * @param {number} duration - How long it burns in ms
+   */
+  addTemporaryLight(id, level, duration) {
+    this.temporaryLights.set(id, { id, level, startTime: this.clock.now(), duration });
+    this.updateLightLevel();
+  }
+
+  /**
+   * Make the player's own lights cut out for a moment, as in a storm or a power cut
+   * Sources keep burning while out; temporary lights such as lightning still shine
+   * @param {number} duration - How long the lights stay out in ms
+   */
+  flicker(duration) {
+    this.flickerUntil = Math.max(this.flickerUntil ?? 0, this.clock.now() + duration);
+    this.updateLightLevel();
+  }
+
+  /**
+   * Check whether the lights are out from a flicker
+   * @returns {boolean} True during a flicker
+   */
+  isFlickering() {
+    return this.flickerUntil !== null && this.clock.now() < this.flickerUntil;
+  }
+
+  /**
+   * Drop temporary lights that have burned down
+   * @param {number} now - Game clock time
+   */
+  expireTemporaryLights(now) {
+    for (const [id, light] of this.temporaryLights) {
+      if (now - light.startTime >= light.duration) {
+        this.temporaryLights.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Work out the light level from the brightest source and write it to GameState
+   */
+  updateLightLevel() {
+    const sources = this.isFlickering() ? [] : this.getActiveSources();
+    const candidates = [
+      ...sources.map(({ item, source }) => ({ id: item.id, level: source.level })),
+      ...this.temporaryLights.values()
+    ];
+    const brightest = candidates.reduce((best, light) => (light.level > (best?.level ?? 0) ? light : best), null);
+
+    const previousLevel = this.gameState.lightLevel;
+    this.gameState.lightLevel = brightest?.level ?? 0;
+    this.gameState.lightSource = brightest?.id ?? null;
+
+    const previousState = this.currentLightState;
+    this.currentLightState = this.getLightStateFor(this.gameState.lightLevel);
+
+    if (previousLevel !== this.gameState.lightLevel || previousState !== this.currentLightState) {
+      this.events.emit('light:changed', {
+        level: this.gameState.lightLevel,
+        previousLevel,
+        source: this.gameState.lightSource,
+        lightState: this.currentLightState
+      });
+    }
+  }
+
+  /**
+   * Get the light state for a light level
+   * @param {number} level - Light level 0-1
+   * @returns {string} State name
+   */
+  getLightStateFor(level) {
+    return Object.keys(this.lightStates).find(state => level >= this.lightStates[state].threshold) || 'dark';
+  }
+
+  /**
+   * Report darkness once the player has been in it for a while, and again for as long as it lasts
+   * GameEngine turns each report into a FearSystem darkness event
+   * @param {number} now - Game clock time
+   */
+  checkDarkness(now) {
+    if (this.currentLightState !== 'dark') {
+      this.darkSince = null;
+      this.lastDarknessReport = null;
+      return;
+    }
+
+    if (this.darkSince === null) {
+      this.darkSince = now;
+    }
+    const since = this.lastDarknessReport ?? this.darkSince;
+    if (now - since >= this.darknessInterval) {
+      this.lastDarknessReport = now;
+      this.events.emit('light:darkness', { duration: now - this.darkSince });
+    }
+  }
+
+  /**
+   * Check whether the player can see at all
+   * @returns {boolean} True with any light
+   */
+  isLit() {
+    return this.gameState.lightLevel > 0;
+  }
+
+  /**
+   * Get how much darkness holds the player back, 0 in full light to 1 in the dark
+   * @returns {number} Darkness penalty
+   */
+  getDarknessPenalty() {
+    return 1 - this.gameState.lightLevel;
+  }
+
+  /**
+   * Check if lighting system is active
+   * @returns {boolean} True if system is active
+   */
+  isActive() {
+    return this.gameState && this.gameState.isAlive;
+  }
+
+  /**
+   * Capture temporary lights and darkness timers for a save
+   * Times are kept relative to the save
+   * @returns {Object} Lighting system snapshot
+   */
+  snapshot() {
+    const now = this.clock.now();
+    const age = time => (time === null ? null : now - time);
+
+    return {
+      currentLightState: this.currentLightState,
+      temporaryLights: [...this.temporaryLights.values()].map(({ startTime, ...light }) => ({ ...light, age: now - startTime })),
+      darkFor: age(this.darkSince),
+      timeSinceDarknessReport: age(this.lastDarknessReport),
+      flickerRemaining: this.isFlickering() ? this.flickerUntil - now : null
+    };
+  }
+
+  /**
+   * Restore temporary lights and darkness timers from a snapshot
+   * @param {Object} snapshot - Data from snapshot()
+   */
+  restore(snapshot) {
+    const now = this.clock.now();
+    const time = age => (age === null ? null : now - age);
+
+    this.currentLightState = snapshot.currentLightState;
+    this.temporaryLights = new Map(snapshot.temporaryLights.map(({ age, ...light }) =>
+      [light.id, { ...light, startTime: now - age }]
+    ));
+    this.darkSince = time(snapshot.darkFor);
+    this.lastDarknessReport = time(snapshot.timeSinceDarknessReport);
+    this.flickerUntil = snapshot.flickerRemaining ? now + snapshot.flickerRemaining : null;
+  }
+
+  /**
+   * Get lighting system statistics
+   * @returns {Object} System statistics
+   */
+  getStats() {
+    return {
+      lightLevel: this.gameState.lightLevel,
+      lightSource: this.gameState.lightSource,
+      currentLightState: this.currentLightState,
+      temporaryLights: this.temporaryLights.size,
+      isFlickering: this.isFlickering(),
+      darkFor: this.darkSince === null ? 0 : this.clock.now() - this.darkSince
+    };
+  }
+
+  /**
+   * Reset lighting system to initial state
+   */
+  reset() {
+    this.temporaryLights.clear();
+    this.darkSince = null;
+    this.lastDarknessReport = null;
+    this.flickerUntil = null;
+    this.currentLightState = 'dark';
+    console.log('LightingSystem reset');
+  }
+}
+
+export default LightingSystem;
@@ -0,0 +1,412 @@
+/**
+ * MonsterSystem - Monster AI on the house grid
+ * Owns monster positions, senses (noise and light) and hunt/search/retreat states,
+ * and notifies listeners so the UI only has to render them
+ */
+
+import { SeededRandom } from './SeededRandom.js';
+import { EventBus } from './EventBus.js';
+
+export const MONSTER_STATES = ['wander', 'hunt', 'search', 'retreat'];
+
+export class MonsterSystem {
+  constructor(gameState, rng = new SeededRandom(), options = {}, events = new EventBus()) {
+    this.gameState = gameState;
+    this.rng = rng; // Shared with GameEngine so monster movement replays from the seed
+    this.events = events;
+    this.options = {
+      worldWidth: 16,
+      worldHeight: 16,
+      tickInterval: 400, // ms between monster steps
+      wanderChance: 0.3, // Chance a wandering monster takes a step each tick
+      lightRadius: 6, // Distance at which an active flashlight gives the player away
+      footstepNoise: 20, // Noise added to GameState.noiseLevel by a step on the grid
+      noiseRadiusScale: 0.2, // Cells of hearing range per point of noise (100 noise = 20 cells)
+      loseTrackDistance: 8, // Hunting monsters give up beyond this distance
+      nearbyDistance: 2,
+      nearbyCooldown: 3000, // ms between 'monster_nearby' events per monster
+      searchDuration: 5000,
+      retreatDuration: 4000,
+      ...options
+    };
+
+    this.player = { x: 5, y: 5, isHiding: false };
+    this.monsters = [
+      this.createMonster(1, 'ghost', 12, 8),
+      this.createMonster(2, 'shadow', 3, 12)
+    ];
+
+    this.tickAccumulator = 0;
+    this.elapsed = 0; // ms of monster simulation, used for state timers
+  }
+
+  /**
+   * Create a monster in its initial wandering state
+   * @param {number} id - Monster id
+   * @param {string} type - Monster type ('ghost', 'shadow')
+   * @param {number} x - Grid column
+   * @param {number} y - Grid row
+   * @returns {Object} Monster
+   */
+  createMonster(id, type, x, y) {
+    return {
+      id,
+      type,
+      x,
+      y,
+      state: 'wander',
+      target: null, // Last known player position {x, y}
+      stateSince: 0,
+      lastNearbyAt: -Infinity
+    };
+  }
+
+  /**
+   * Update monster AI - called each frame by GameLoop
+   * @param {number} deltaTime - Time elapsed since last update in milliseconds
+   */
+  update(deltaTime) {
+    if (!this.gameState.gameStarted || !this.gameState.isAlive) return;
+
+    this.elapsed += deltaTime;
+    this.tickAccumulator += deltaTime;
+
+    while (this.tickAccumulator >= this.options.tickInterval) {
+      this.tickAccumulator -= this.options.tickInterval;
+      this.tick();
+    }
+
+    this.checkContact();
+  }
+
+  /**
+   * Advance every monster by one AI step
+   */
+  tick() {
+    const lightOn = this.isPlayerLit();
+
+    // Lingering noise keeps drawing monsters in until it decays (hiding masks where it came from)
+    if (!this.player.isHiding) {
+      this.listenForNoise('noise');
+    }
+
+    this.monsters.forEach(monster => {
+      // Light gives away the player's position to anything close enough to see it
+      if (lightOn && !this.player.isHiding && monster.state !== 'retreat' &&
+          this.distanceTo(monster, this.player) <= this.options.lightRadius) {
+        this.alertMonster(monster, 'light');
+      }
+
+      switch (monster.state) {
+        case 'hunt':
+          this.updateHunting(monster);
+          break;
+        case 'search':
+          this.updateSearching(monster);
+          break;
+        case 'retreat':
+          this.updateRetreating(monster);
+          break;
+        default:
+          this.updateWandering(monster);
+      }
+    });
+  }
+
+  /**
+   * Wandering: occasional random steps
+   * @param {Object} monster - Monster to update
+   */
+  updateWandering(monster) {
+    if (this.rng.chance(this.options.wanderChance)) {
+      this.stepRandomly(monster);
+    }
+  }
+
+  /**
+   * Hunting: chase the player while they can be sensed
+   * @param {Object} monster - Monster to update
+   */
+  updateHunting(monster) {
+    if (this.player.isHiding || this.distanceTo(monster, this.player) > this.options.loseTrackDistance) {
+      this.setMonsterState(monster, 'search');
+      return;
+    }
+
+    monster.target = { x: this.player.x, y: this.player.y };
+    this.stepTowards(monster, monster.target);
+  }
+
+  /**
+   * Searching: walk to the last known position, then sniff around before giving up
+   * @param {Object} monster - Monster to update
+   */
+  updateSearching(monster) {
+    if (monster.target && (monster.x !== monster.target.x || monster.y !== monster.target.y)) {
+      this.stepTowards(monster, monster.target);
+      return;
+    }
+
+    if (this.elapsed - monster.stateSince >= this.options.searchDuration) {
+      monster.target = null;
+      this.setMonsterState(monster, 'wander');
+    } else {
+      this.stepRandomly(monster);
+    }
+  }
+
+  /**
+   * Retreating: back away from the player after an attack
+   * @param {Object} monster - Monster to update
+   */
+  updateRetreating(monster) {
+    if (this.elapsed - monster.stateSince >= this.options.retreatDuration) {
+      this.setMonsterState(monster, 'wander');
+      return;
+    }
+
+    const away = {
+      x: monster.x + Math.sign(monster.x - this.player.x || 1),
+      y: monster.y + Math.sign(monster.y - this.player.y || 1)
+    };
+    this.stepTowards(monster, away);
+  }
+
+  /**
+   * Detect catches and close encounters
+   */
+  checkContact() {
+    if (this.player.isHiding) return;
+
+    for (const monster of this.monsters) {
+      if (monster.state === 'retreat') continue;
+
+      const distance = this.distanceTo(monster, this.player);
+      if (distance === 0) {
+        this.setMonsterState(monster, 'retreat');
+        this.notifyMonsterEvent('player_caught', { monster: { ...monster } });
+        // A catch is enough for one frame
+        return;
+      }
+
+      if (distance <= this.options.nearbyDistance &&
+          this.elapsed - monster.lastNearbyAt >= this.options.nearbyCooldown) {
+        monster.lastNearbyAt = this.elapsed;
+        this.notifyMonsterEvent('monster_nearby', { monster: { ...monster }, distance });
+      }
+    }
+  }
+
+  /**
+   * Make a noise at the player's position
+   * @param {number} amount - Noise added to GameState.noiseLevel
+   * @param {string} source - What made the noise ('footsteps', 'run', 'drop')
+   */
+  makeNoise(amount, source = 'noise') {
+    this.gameState.updateNoise(amount);
+    this.listenForNoise(source);
+  }
+
+  /**
+   * Alert every monster within earshot of the current noise level
+   * @param {string} source - What made the noise
+   */
+  listenForNoise(source = 'noise') {
+    const radius = this.getNoiseRadius();
+    if (radius <= 0) return;
+
+    this.monsters.forEach(monster => {
+      if (monster.state !== 'retreat' && this.distanceTo(monster, this.player) <= radius) {
+        this.alertMonster(monster, source);
+      }
+    });
+  }
+
+  /**
+   * Get how far the player's current noise carries
+   * @returns {number} Hearing radius in grid cells
+   */
+  getNoiseRadius() {
+    return (this.gameState.noiseLevel || 0) * this.options.noiseRadiusScale;
+  }
+
+  /**
+   * Put a monster on the player's trail
+   * @param {Object} monster - Monster that sensed the player
+   * @param {string} sense - What gave the player away
+   */
+  alertMonster(monster, sense) {
+    monster.target = { x: this.player.x, y: this.player.y };
+    if (monster.state !== 'hunt') {
+      this.setMonsterState(monster, 'hunt', { sense });
+    }
+  }
+
+  /**
+   * Change a monster's AI state
+   * @param {Object} monster - Monster to update
+   * @param {string} state - New state
+   * @param {Object} data - Extra event data
+   */
+  setMonsterState(monster, state, data = {}) {
+    const previousState = monster.state;
+    monster.state = state;
+    monster.stateSince = this.elapsed;
+
+    this.notifyMonsterEvent('state_change', {
+      monster: { ...monster },
+      previousState,
+      state,
+      ...data
+    });
+  }
+
+  /**
+   * Move one cell towards a position
+   * @param {Object} monster - Monster to move
+   * @param {Object} target - Position {x, y}
+   */
+  stepTowards(monster, target) {
+    const dx = target.x - monster.x;
+    const dy = target.y - monster.y;
+    if (dx === 0 && dy === 0) return;
+
+    if (Math.abs(dx) > Math.abs(dy)) {
+      monster.x += Math.sign(dx);
+    } else {
+      monster.y += Math.sign(dy);
+    }
+    this.clampToWorld(monster);
+  }
+
+  /**
+   * Move one cell in a random direction
+   * @param {Object} monster - Monster to move
+   */
+  stepRandomly(monster) {
+    const [dx, dy] = this.rng.pick([[1, 0], [-1, 0], [0, 1], [0, -1]]);
+    monster.x += dx;
+    monster.y += dy;
+    this.clampToWorld(monster);
+  }
+
+  /**
+   * Keep a position inside the world grid
+   * @param {Object} position - Position {x, y} to clamp in place
+   */
+  clampToWorld(position) {
+    position.x = Math.max(0, Math.min(this.options.worldWidth - 1, position.x));
+    position.y = Math.max(0, Math.min(this.options.worldHeight - 1, position.y));
+  }
+
+  /**
+   * Manhattan distance between two positions
+   * @param {Object} a - Position {x, y}
+   * @param {Object} b - Position {x, y}
+   * @returns {number} Distance in cells
+   */
+  distanceTo(a, b) {
+    return Math.abs(a.x - b.x) + Math.abs(a.y - b.y);
+  }
+
+  /**
+   * Check whether any light gives the player away, as worked out by LightingSystem
+   * @returns {boolean} True if the player is lit up
+   */
+  isPlayerLit() {
+    return this.gameState.lightLevel > 0;
+  }
+
+  /**
+   * Move the player on the grid - steps are noisy unless hiding
+   * @param {number} x - Grid column
+   * @param {number} y - Grid row
+   */
+  setPlayerPosition(x, y) {
+    const moved = x !== this.player.x || y !== this.player.y;
+    this.player.x = x;
+    this.player.y = y;
+    this.clampToWorld(this.player);
+
+    if (moved && !this.player.isHiding) {
+      this.makeNoise(this.options.footstepNoise, 'footsteps');
+    }
+  }
+
+  /**
+   * Set whether the player is hiding
+   * @param {boolean} isHiding - Hiding state
+   */
+  setPlayerHiding(isHiding) {
+    this.player.isHiding = isHiding;
+  }
+
+  /**
+   * Get the player's grid state
+   * @returns {Object} Player {x, y, isHiding}
+   */
+  getPlayer() {
+    return { ...this.player };
+  }
+
+  /**
+   * Get a snapshot of all monsters for rendering
+   * @returns {Array} Monsters
+   */
+  getMonsters() {
+    return this.monsters.map(monster => ({ ...monster }));
+  }
+
+  /**
+   * Capture monsters, the player's grid position and AI timers for a save
+   * @returns {Object} Monster system snapshot
+   */
+  snapshot() {
+    return {
+      player: { ...this.player },
+      // -Infinity (never warned) does not survive JSON, so it is saved as null
+      monsters: this.monsters.map(monster => ({
+        ...monster,
+        target: monster.target ? { ...monster.target } : null,
+        lastNearbyAt: Number.isFinite(monster.lastNearbyAt) ? monster.lastNearbyAt : null
+      })),
+      tickAccumulator: this.tickAccumulator,
+      elapsed: this.elapsed
+    };
+  }
+
+  /**
+   * Restore monsters, the player's grid position and AI timers from a snapshot
+   * @param {Object} snapshot - Data from snapshot()
+   */
+  restore(snapshot) {
+    this.player = { ...snapshot.player };
+    this.monsters = snapshot.monsters.map(monster => ({
+      ...monster,
+      target: monster.target ? { ...monster.target } : null,
+      lastNearbyAt: monster.lastNearbyAt === null ? -Infinity : monster.lastNearbyAt
+    }));
+    this.tickAccumulator = snapshot.tickAccumulator;
+    this.elapsed = snapshot.elapsed;
+  }
+
+  /**
+   * Register a callback for monster events - shorthand for the 'monster:*' events
+   * @param {Function} callback - Function called with (eventType, data)
+   * @returns {Function} Unsubscribe function
+   */
+  onMonsterEvent(callback) {
+    return this.events.on('monster:*', (data, type) => callback(type.slice('monster:'.length), data));
+  }
+
+  /**
+   * Emit a monster event as 'monster:<eventType>'
+   * @param {string} eventType - Type of event ('state_change', 'player_caught', 'monster_nearby')
+   * @param {Object} data - Event data
+   */
+  notifyMonsterEvent(eventType, data) {
+    this.events.emit(`monster:${eventType}`, data);
+  }
+}
+
+export default MonsterSystem;
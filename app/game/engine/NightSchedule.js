@@ -0,0 +1,216 @@
+/**
+ * NightSchedule - Single source of truth for when the night starts, ends and how long it lasts
+ * Shared through GameState so GameTimer, progress, events and the UI agree on the same clock
+ */
+
+export const DEFAULT_NIGHT_SCHEDULE = {
+  startHour: 23, // 11:00 PM
+  endHour: 6, // 6:00 AM
+  realMinutes: 7 // Real minutes from nightfall to sunrise
+};
+
+const MINUTES_PER_DAY = 24 * 60;
+
+export class NightSchedule {
+  constructor(config = {}) {
+    const { startHour, endHour, realMinutes } = { ...DEFAULT_NIGHT_SCHEDULE, ...config };
+
+    [['startHour', startHour], ['endHour', endHour]].forEach(([key, hour]) => {
+      if (!Number.isInteger(hour) || hour < 0 || hour > 23) {
+        throw new Error(`Night schedule "${key}" must be an hour from 0 to 23, got ${hour}`);
+      }
+    });
+    if (startHour === endHour) {
+      throw new Error('Night schedule must start and end at different hours');
+    }
+    if (typeof realMinutes !== 'number' || !(realMinutes > 0)) {
+      throw new Error(`Night schedule "realMinutes" must be greater than 0, got ${realMinutes}`);
+    }
+
+    this.startHour = startHour;
+    this.endHour = endHour;
+    this.realMinutes = realMinutes;
+  }
+
+  /**
+   * Game hours from nightfall to sunrise (wraps past midnight)
+   * @returns {number} Hours
+   */
+  get gameHours() {
+    return (this.endHour - this.startHour + 24) % 24;
+  }
+
+  /**
+   * Game minutes from nightfall to sunrise
+   * @returns {number} Minutes
+   */
+  get gameMinutes() {
+    return this.gameHours * 60;
+  }
+
+  /**
+   * Real duration of the night
+   * @returns {number} Milliseconds
+   */
+  get realDurationMs() {
+    return this.realMinutes * 60 * 1000;
+  }
+
+  /**
+   * Game minutes that pass per real minute
+   * @returns {number} Ratio
+   */
+  get realToGameRatio() {
+    return this.gameMinutes / this.realMinutes;
+  }
+
+  /**
+   * Clock time the night starts
+   * @returns {string} HH:MM
+   */
+  get nightfallTime() {
+    return NightSchedule.formatTime(this.startHour, 0);
+  }
+
+  /**
+   * Clock time the night ends
+   * @returns {string} HH:MM
+   */
+  get sunriseTime() {
+    return NightSchedule.formatTime(this.endHour, 0);
+  }
+
+  /**
+   * Get the plain configuration for saving
+   * @returns {Object} {startHour, endHour, realMinutes}
+   */
+  getConfig() {
+    return { startHour: this.startHour, endHour: this.endHour, realMinutes: this.realMinutes };
+  }
+
+  /**
+   * Create a copy of this schedule with some settings changed
+   * @param {Object} overrides - Settings to change
+   * @returns {NightSchedule} New schedule
+   */
+  with(overrides) {
+    return new NightSchedule({ ...this.getConfig(), ...overrides });
+  }
+
+  /**
+   * Get the game clock after some real time has passed, stopping at sunrise
+   * @param {number} realTimeElapsed - Real time elapsed in milliseconds
+   * @returns {Object} {hour, minute, formattedTime, totalGameMinutes}
+   */
+  getGameTime(realTimeElapsed) {
+    const realMinutesElapsed = Math.max(0, realTimeElapsed) / (1000 * 60);
+    const totalGameMinutes = Math.min(this.gameMinutes, realMinutesElapsed * this.realToGameRatio);
+    const clockMinutes = (this.startHour * 60 + Math.floor(totalGameMinutes)) % MINUTES_PER_DAY;
+    const hour = Math.floor(clockMinutes / 60);
+    const minute = clockMinutes % 60;
+
+    return {
+      hour,
+      minute,
+      formattedTime: NightSchedule.formatTime(hour, minute),
+      totalGameMinutes
+    };
+  }
+
+  /**
+   * Get how much of the night has passed
+   * @param {number} realTimeElapsed - Real time elapsed in milliseconds
+   * @returns {number} Progress percentage (0-100)
+   */
+  getProgress(realTimeElapsed) {
+    return Math.min(100, (Math.max(0, realTimeElapsed) / this.realDurationMs) * 100);
+  }
+
+  /**
+   * Game minutes between nightfall and a clock time
+   * @param {string} time - Clock time (HH:MM)
+   * @returns {number} Minutes since nightfall
+   */
+  getMinutesSinceNightfall(time) {
+    return (NightSchedule.timeToMinutes(time) - this.startHour * 60 + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  }
+
+  /**
+   * Game minutes between a clock time and sunrise
+   * @param {string} time - Clock time (HH:MM)
+   * @returns {number} Minutes until sunrise (0 once the sun is up)
+   */
+  getMinutesUntilSunrise(time) {
+    return Math.max(0, this.gameMinutes - this.getMinutesSinceNightfall(time));
+  }
+
+  /**
+   * Check whether a clock time is sunrise
+   * @param {string} time - Clock time (HH:MM)
+   * @returns {boolean} True at sunrise
+   */
+  isSunrise(time) {
+    return time === this.sunriseTime;
+  }
+
+  /**
+   * Map a time on this night to the same point of the default 11 PM - 6 AM night
+   * Event packs and scripted events are written against the default night
+   * @param {string} time - Clock time on this night (HH:MM)
+   * @returns {string} Equivalent clock time on the default night
+   */
+  toReferenceTime(time) {
+    return NightSchedule.mapTime(time, this, REFERENCE_SCHEDULE);
+  }
+
+  /**
+   * Map a time on the default 11 PM - 6 AM night to the same point of this night
+   * @param {string} time - Clock time on the default night (HH:MM)
+   * @returns {string} Equivalent clock time on this night
+   */
+  fromReferenceTime(time) {
+    return NightSchedule.mapTime(time, REFERENCE_SCHEDULE, this);
+  }
+
+  /**
+   * Map a clock time between two schedules by how far through the night it is
+   * @param {string} time - Clock time on the source night (HH:MM)
+   * @param {NightSchedule} from - Source schedule
+   * @param {NightSchedule} to - Target schedule
+   * @returns {string} Clock time on the target night
+   */
+  static mapTime(time, from, to) {
+    if (from.startHour === to.startHour && from.endHour === to.endHour) return time;
+
+    const fraction = from.getMinutesSinceNightfall(time) / from.gameMinutes;
+    // Times outside the source night are left where they are on the clock
+    if (fraction > 1) return time;
+
+    const clockMinutes = (to.startHour * 60 + Math.round(fraction * to.gameMinutes)) % MINUTES_PER_DAY;
+    return NightSchedule.formatTime(Math.floor(clockMinutes / 60), clockMinutes % 60);
+  }
+
+  /**
+   * Format time as HH:MM string
+   * @param {number} hour - Hour (0-23)
+   * @param {number} minute - Minute (0-59)
+   * @returns {string} Formatted time string
+   */
+  static formatTime(hour, minute) {
+    return `${hour.toString().padStart(2, '0')}:${minute.toString().padStart(2, '0')}`;
+  }
+
+  /**
+   * Convert a HH:MM time to minutes after midnight
+   * @param {string} time - Clock time (HH:MM)
+   * @returns {number} Minutes after midnight
+   */
+  static timeToMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+}
+
+const REFERENCE_SCHEDULE = new NightSchedule(DEFAULT_NIGHT_SCHEDULE);
+
+export default NightSchedule;
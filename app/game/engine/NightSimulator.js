@@ -0,0 +1,329 @@
+/**
+ * NightSimulator - Plays whole nights without a browser for balance testing
+ * Drives a GameEngine frame by frame on a manual clock, with a bot choosing commands,
+ * and sums the nights up as survival rate, ending distribution and average fear curve
+ */
+
+import { GameEngine } from './GameEngine.js';
+import { SeededRandom } from './SeededRandom.js';
+import { NightSchedule } from './NightSchedule.js';
+import { ManualClock } from './GameClock.js';
+
+// Fake wall clock time every simulated night starts at
+const SIMULATION_EPOCH = 1700000000000;
+
+export const DEFAULT_BOT_COMMANDS = ['hide', 'stop hiding', 'run', 'listen', 'look', 'search', 'wait', 'use flashlight'];
+
+/**
+ * Bot that acts at random: answers most events with one of their responses and sometimes does something else
+ */
+export class RandomBotPolicy {
+  constructor(options = {}) {
+    this.name = 'random';
+    this.options = {
+      commands: options.commands ?? DEFAULT_BOT_COMMANDS,
+      actionChance: options.actionChance ?? 0.2, // Chance per decision of a command when no event needs an answer
+      responseChance: options.responseChance ?? 0.8, // Chance per decision of answering an event
+      ...options
+    };
+  }
+
+  /**
+   * Choose the next command
+   * @param {Object} context - {gameState, activeEvents, minutesSinceNightfall, rng}
+   * @returns {string|null} Command, or null to do nothing
+   */
+  decide({ activeEvents, rng }) {
+    const [event] = activeEvents;
+    if (event && rng.chance(this.options.responseChance)) {
+      return rng.pick(event.responses).command;
+    }
+    return rng.chance(this.options.actionChance) ? rng.pick(this.options.commands) : null;
+  }
+}
+
+/**
+ * Bot that follows a script: commands at fixed game times, and set answers to events
+ * Script: {name, schedule: [{at: 'HH:MM', command}], responses: {eventId: command}, preferredResponses, respondToEvents}
+ */
+export class ScriptedBotPolicy {
+  constructor(script = {}) {
+    this.name = script.name ?? 'scripted';
+    this.schedule = [...(script.schedule || [])];
+    this.responses = script.responses || {};
+    this.preferredResponses = script.preferredResponses ?? ['hide', 'listen', 'ignore']; // For events the script doesn't name
+    this.respondToEvents = script.respondToEvents ?? true;
+    this.nextEntry = 0;
+  }
+
+  /**
+   * Start the script again for a new night
+   * @param {NightSchedule} schedule - The night's schedule, for placing scripted times
+   */
+  reset(schedule) {
+    this.nextEntry = 0;
+    this.entries = this.schedule
+      .map(entry => ({ ...entry, minutes: schedule.getMinutesSinceNightfall(entry.at) }))
+      .sort((a, b) => a.minutes - b.minutes);
+  }
+
+  /**
+   * Choose the next command
+   * @param {Object} context - {gameState, activeEvents, minutesSinceNightfall, rng}
+   * @returns {string|null} Command, or null to do nothing
+   */
+  decide({ activeEvents, minutesSinceNightfall }) {
+    const [event] = activeEvents;
+    if (event && this.respondToEvents) {
+      return this.chooseResponse(event);
+    }
+
+    const entry = this.entries[this.nextEntry];
+    if (entry && entry.minutes <= minutesSinceNightfall) {
+      this.nextEntry++;
+      return entry.command;
+    }
+    return null;
+  }
+
+  /**
+   * Pick the scripted answer to an event
+   * @param {Object} event - Event awaiting a response
+   * @returns {string} Response command
+   */
+  chooseResponse(event) {
+    const commands = event.responses.map(response => response.command);
+    if (commands.includes(this.responses[event.id])) {
+      return this.responses[event.id];
+    }
+    return this.preferredResponses.find(command => commands.includes(command)) ?? commands[0];
+  }
+}
+
+/**
+ * Create a bot policy by name
+ * @param {string} name - 'random' or 'scripted'
+ * @param {Object} options - Policy options, or the script for 'scripted'
+ * @returns {Object} Policy with decide() and optionally reset()
+ * @throws {Error} If the policy is unknown
+ */
+export function createBotPolicy(name, options = {}) {
+  switch (name) {
+    case 'random':
+      return new RandomBotPolicy(options);
+    case 'scripted':
+      return new ScriptedBotPolicy(options);
+    default:
+      throw new Error(`Unknown bot policy: ${name}`);
+  }
+}
+
+export class NightSimulator {
+  constructor(options = {}) {
+    this.options = {
+      nights: options.nights ?? 100,
+      seed: options.seed ?? null, // Fixed seed makes the whole run repeatable
+      difficulty: options.difficulty ?? 'normal',
+      difficultySettings: options.difficultySettings ?? {},
+      nightSchedule: options.nightSchedule ?? null,
+      policy: options.policy ?? new RandomBotPolicy(),
+      frameMs: options.frameMs ?? 100, // The longest frame GameLoop lets through
+      decisionInterval: options.decisionInterval ?? 1000, // Real ms between bot decisions
+      curveInterval: options.curveInterval ?? 30, // Game minutes between fear curve samples
+      ...options
+    };
+  }
+
+  /**
+   * Get the engine seed for one night of the run
+   * @param {number} night - Night number, from 1
+   * @returns {number} Seed
+   */
+  getNightSeed(night) {
+    return this.options.seed === null
+      ? SeededRandom.generateSeed()
+      : SeededRandom.normalizeSeed(`${this.options.seed}:${night}`);
+  }
+
+  /**
+   * Play one night from nightfall until it ends
+   * @param {number} night - Night number, from 1
+   * @returns {Object} Night result
+   */
+  runNight(night = 1) {
+    const { policy, frameMs, decisionInterval, curveInterval } = this.options;
+    const seed = this.getNightSeed(night);
+    const clock = new ManualClock(SIMULATION_EPOCH);
+
+    const engine = new GameEngine(null, null, null, {
+      seed,
+      difficulty: this.options.difficulty,
+      difficultySettings: this.options.difficultySettings,
+      nightSchedule: this.options.nightSchedule,
+      manualUpdates: true,
+      recordAchievements: false,
+      clock
+    });
+    const gameState = engine.getGameState();
+    const schedule = gameState.getNightSchedule();
+    const botRng = new SeededRandom(`${seed}:bot`); // Separate, so the bot doesn't shift the night's own rolls
+    policy.reset?.(schedule);
+
+    const fearCurve = [];
+    const sampleCurve = (minutes) => {
+      while (fearCurve.length * curveInterval <= minutes) {
+        fearCurve.push({ minutes: fearCurve.length * curveInterval, fearLevel: gameState.fearLevel, health: gameState.health });
+      }
+    };
+
+    // A little past sunrise, in case the night never ends on its own
+    const timeLimit = schedule.realDurationMs + 60000;
+    let elapsed = 0;
+    let sinceDecision = 0;
+    let commands = 0;
+
+    engine.start();
+    sampleCurve(0);
+
+    while (engine.isRunning && elapsed < timeLimit) {
+      clock.advance(frameMs);
+      elapsed += frameMs;
+      engine.tick(frameMs);
+
+      const minutesSinceNightfall = schedule.getMinutesSinceNightfall(gameState.currentTime);
+      if (gameState.isAlive) {
+        sampleCurve(minutesSinceNightfall);
+      }
+
+      sinceDecision += frameMs;
+      if (engine.isRunning && sinceDecision >= decisionInterval) {
+        sinceDecision = 0;
+        const command = policy.decide({
+          gameState,
+          activeEvents: engine.getEventSystem().getActiveEvents(),
+          minutesSinceNightfall,
+          rng: botRng
+        });
+        if (command && engine.handleCommand(command)) {
+          commands++;
+        }
+      }
+    }
+
+    const endingSystem = engine.getEndingSystem();
+    const ending = endingSystem.evaluateEnding();
+    engine.stop();
+
+    return {
+      night,
+      seed,
+      survived: ending.type === 'victory',
+      ending: { id: ending.id, title: ending.title, type: ending.type },
+      causeOfDeath: endingSystem.getDeathCause(),
+      finalTime: gameState.currentTime,
+      fearLevel: gameState.fearLevel,
+      health: gameState.health,
+      commands,
+      events: engine.getEventSystem().getEventHistory().length,
+      nightSchedule: schedule.getConfig(),
+      fearCurve
+    };
+  }
+
+  /**
+   * Play every night of the run
+   * @param {Function} onNight - Optional callback with each night's result, for progress output
+   * @returns {Object} Report, see buildReport()
+   */
+  run(onNight = null) {
+    const results = [];
+    for (let night = 1; night <= this.options.nights; night++) {
+      const result = this.runNight(night);
+      results.push(result);
+      if (onNight) onNight(result);
+    }
+    return this.buildReport(results);
+  }
+
+  /**
+   * Sum up night results
+   * @param {Array} results - Results from runNight()
+   * @returns {Object} {nights, survived, survivalRate, endings, causesOfDeath, fearCurve, results}
+   */
+  buildReport(results) {
+    const nights = results.length;
+    const survived = results.filter(result => result.survived).length;
+
+    const endings = {};
+    const causesOfDeath = {};
+    results.forEach(({ ending, survived: didSurvive, causeOfDeath }) => {
+      endings[ending.id] = endings[ending.id] || { title: ending.title, type: ending.type, count: 0, rate: 0 };
+      endings[ending.id].count++;
+      if (!didSurvive) {
+        const cause = causeOfDeath || 'unknown';
+        causesOfDeath[cause] = (causesOfDeath[cause] || 0) + 1;
+      }
+    });
+    Object.values(endings).forEach(ending => {
+      ending.rate = ending.count / nights;
+    });
+
+    // Average over the nights still alive at each point; deaths end a night's curve
+    const schedule = new NightSchedule(results[0]?.nightSchedule);
+    const longest = Math.max(0, ...results.map(result => result.fearCurve.length));
+    const fearCurve = Array.from({ length: longest }, (_, index) => {
+      const samples = results.map(result => result.fearCurve[index]).filter(Boolean);
+      const { minutes } = samples[0];
+      return {
+        minutes,
+        gameTime: schedule.getGameTime((minutes / schedule.realToGameRatio) * 60000).formattedTime,
+        averageFear: samples.reduce((sum, sample) => sum + sample.fearLevel, 0) / samples.length,
+        averageHealth: samples.reduce((sum, sample) => sum + sample.health, 0) / samples.length,
+        nights: samples.length
+      };
+    });
+
+    return {
+      nights,
+      seed: this.options.seed,
+      difficulty: this.options.difficulty,
+      policy: this.options.policy.name,
+      survived,
+      survivalRate: nights > 0 ? survived / nights : 0,
+      endings,
+      causesOfDeath,
+      fearCurve,
+      results
+    };
+  }
+}
+
+/**
+ * Format a report as CSV: a summary table, the ending distribution and the fear curve, separated by blank lines
+ * @param {Object} report - Report from NightSimulator.run()
+ * @returns {string} CSV text
+ */
+export function formatReportCSV(report) {
+  const round = (value) => Math.round(value * 1000) / 1000;
+  const rows = [
+    ['metric', 'value'],
+    ['nights', report.nights],
+    ['difficulty', report.difficulty],
+    ['policy', report.policy],
+    ['seed', report.seed ?? ''],
+    ['survived', report.survived],
+    ['survival_rate', round(report.survivalRate)],
+    ...Object.entries(report.causesOfDeath).map(([cause, count]) => [`deaths_${cause}`, count]),
+    [],
+    ['ending', 'title', 'type', 'count', 'rate'],
+    ...Object.entries(report.endings).map(([id, ending]) => [id, ending.title, ending.type, ending.count, round(ending.rate)]),
+    [],
+    ['minutes', 'game_time', 'average_fear', 'average_health', 'nights'],
+    ...report.fearCurve.map(point => [point.minutes, point.gameTime, round(point.averageFear), round(point.averageHealth), point.nights])
+  ];
+
+  const cell = (value) => (/[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value));
+  return rows.map(row => row.map(cell).join(',')).join('\n') + '\n';
+}
+
+export default NightSimulator;
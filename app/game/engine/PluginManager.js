@@ -0,0 +1,331 @@
+/**
+ * PluginManager - Runs systems added to GameEngine from outside, like weather or sanity
+ * A plugin is an object with a name and any of these hooks:
+ *   init(engine)            - set up; subscribe to engine events here
+ *   update(deltaTime, engine) - each frame, after the built-in systems
+ *   serialize()             - state for save files, handed back to deserialize(data) on load
+ *   reset(engine)           - a new night is starting
+ *   destroy(engine)         - the plugin is being removed
+ * plus `commands` ({pattern: (command, gameState, engine) => handled}), `events` (namespaced
+ * event types it emits), `dependencies` (plugins it needs, updated first) and `after`
+ * (plugins this one updates after, if they are registered)
+ */
+
+// Errors a plugin may throw from its hooks before it is disabled
+export const MAX_PLUGIN_ERRORS = 3;
+
+export class PluginManager {
+  constructor(engine, options = {}) {
+    this.engine = engine;
+    this.maxErrors = options.maxErrors ?? MAX_PLUGIN_ERRORS;
+    this.plugins = new Map(); // name -> { plugin, enabled, errors }
+    this.order = []; // Plugin names in update order
+  }
+
+  /**
+   * Check a plugin's shape
+   * @param {Object} plugin - Plugin to check
+   * @throws {Error} If the plugin has no name, a taken name or command, or a malformed hook
+   */
+  validatePlugin(plugin) {
+    if (!plugin || typeof plugin.name !== 'string' || plugin.name.trim() === '') {
+      throw new Error('Plugins need a name');
+    }
+    if (this.plugins.has(plugin.name)) {
+      throw new Error(`Plugin already registered: ${plugin.name}`);
+    }
+
+    ['init', 'update', 'serialize', 'deserialize', 'reset', 'destroy'].forEach(hook => {
+      if (plugin[hook] !== undefined && typeof plugin[hook] !== 'function') {
+        throw new Error(`Plugin ${plugin.name}: ${hook} must be a function`);
+      }
+    });
+
+    Object.entries(plugin.commands || {}).forEach(([pattern, handler]) => {
+      if (typeof handler !== 'function') {
+        throw new Error(`Plugin ${plugin.name}: handler for "${pattern}" must be a function`);
+      }
+      if (this.engine.commandHandlers.has(pattern)) {
+        throw new Error(`Plugin ${plugin.name}: command "${pattern}" is already handled`);
+      }
+    });
+  }
+
+  /**
+   * Register a plugin and run its init hook
+   * Dependencies must already be registered; register() several at once to have them sorted
+   * @param {Object} plugin - Plugin to add
+   * @returns {boolean} True if the plugin is running, false if its init hook failed
+   * @throws {Error} If the plugin is malformed, a dependency is missing or `after` makes a cycle
+   */
+  register(plugin) {
+    this.validatePlugin(plugin);
+
+    const missing = (plugin.dependencies || []).filter(name => !this.plugins.has(name));
+    if (missing.length > 0) {
+      throw new Error(`Plugin ${plugin.name} depends on unregistered plugins: ${missing.join(', ')}`);
+    }
+
+    const disabledDependency = (plugin.dependencies || []).find(name => !this.plugins.get(name).enabled);
+
+    this.plugins.set(plugin.name, { plugin, enabled: true, errors: 0 });
+    try {
+      this.order = this.sortPlugins();
+    } catch (error) {
+      this.plugins.delete(plugin.name);
+      throw error;
+    }
+    this.engine.getEventBus().define(...(plugin.events || []));
+
+    Object.entries(plugin.commands || {}).forEach(([pattern, handler]) => {
+      this.engine.registerCommandHandler(pattern, (command, gameState) =>
+        this.runHook(plugin.name, `command "${pattern}"`, () => handler(command, gameState, this.engine)) ?? false
+      );
+    });
+
+    if (disabledDependency) {
+      this.disable(plugin.name, `dependency ${disabledDependency} is disabled`);
+      return false;
+    }
+
+    const initialized = this.runHook(plugin.name, 'init', () => {
+      plugin.init?.(this.engine);
+      return true;
+    });
+    if (!initialized) {
+      this.disable(plugin.name, 'init failed');
+      return false;
+    }
+
+    this.engine.getEventBus().emit('plugin:registered', { name: plugin.name });
+    console.log(`Plugin registered: ${plugin.name}`);
+    return true;
+  }
+
+  /**
+   * Register several plugins, dependencies first whatever order they are given in
+   * @param {Array} plugins - Plugins to add
+   * @returns {Object} name -> true if running
+   * @throws {Error} If a dependency is missing or the dependencies form a cycle
+   */
+  registerAll(plugins = []) {
+    const results = {};
+    this.sortPlugins(plugins).forEach(plugin => {
+      results[plugin.name] = this.register(plugin);
+    });
+    return results;
+  }
+
+  /**
+   * Remove a plugin, running its destroy hook and dropping its commands
+   * @param {string} name - Plugin name
+   * @returns {boolean} True if the plugin was registered
+   * @throws {Error} If other registered plugins depend on it
+   */
+  unregister(name) {
+    const entry = this.plugins.get(name);
+    if (!entry) return false;
+
+    const dependents = this.getDependents(name);
+    if (dependents.length > 0) {
+      throw new Error(`Cannot remove plugin ${name}: needed by ${dependents.join(', ')}`);
+    }
+
+    // Run even for a disabled plugin, so it can drop its listeners
+    try {
+      entry.plugin.destroy?.(this.engine);
+    } catch (error) {
+      console.error(`Error in plugin ${name} destroy:`, error);
+    }
+    Object.keys(entry.plugin.commands || {}).forEach(pattern => this.engine.unregisterCommandHandler(pattern));
+    this.plugins.delete(name);
+    this.order = this.order.filter(pluginName => pluginName !== name);
+
+    console.log(`Plugin removed: ${name}`);
+    return true;
+  }
+
+  /**
+   * Put plugins in update order: dependencies and `after` plugins first, otherwise registration order
+   * @param {Array} plugins - Plugins to sort, defaults to the registered ones
+   * @returns {Array} Sorted plugin names, or plugins when a list was given
+   * @throws {Error} If a dependency is missing or plugins depend on each other in a cycle
+   */
+  sortPlugins(plugins = null) {
+    const byName = new Map(plugins
+      ? plugins.map(plugin => [plugin.name, plugin])
+      : [...this.plugins].map(([name, entry]) => [name, entry.plugin]));
+    const sorted = [];
+    const visiting = new Set();
+
+    const visit = (name, path) => {
+      if (sorted.includes(name)) return;
+      if (visiting.has(name)) {
+        throw new Error(`Plugin dependency cycle: ${[...path, name].join(' -> ')}`);
+      }
+
+      const plugin = byName.get(name);
+      visiting.add(name);
+      (plugin.dependencies || []).forEach(dependency => {
+        if (byName.has(dependency)) {
+          visit(dependency, [...path, name]);
+        } else if (!this.plugins.has(dependency)) {
+          throw new Error(`Plugin ${name} depends on unregistered plugins: ${dependency}`);
+        }
+      });
+      (plugin.after || []).filter(other => byName.has(other)).forEach(other => visit(other, [...path, name]));
+      visiting.delete(name);
+      sorted.push(name);
+    };
+
+    [...byName.keys()].forEach(name => visit(name, []));
+    return plugins ? sorted.map(name => byName.get(name)) : sorted;
+  }
+
+  /**
+   * Run one plugin hook, keeping the engine going if it throws
+   * A plugin that throws too often is disabled
+   * @param {string} name - Plugin name
+   * @param {string} hook - Hook name, for the log
+   * @param {Function} run - Calls the hook
+   * @returns {*} The hook's result, or undefined if it threw or the plugin is disabled
+   */
+  runHook(name, hook, run) {
+    const entry = this.plugins.get(name);
+    if (!entry?.enabled) return undefined;
+
+    try {
+      return run();
+    } catch (error) {
+      entry.errors++;
+      console.error(`Error in plugin ${name} ${hook}:`, error);
+      this.engine.getEventBus().emit('plugin:error', { name, hook, error });
+
+      if (entry.errors >= this.maxErrors) {
+        this.disable(name, `${entry.errors} errors`);
+      }
+      return undefined;
+    }
+  }
+
+  /**
+   * Stop running a plugin and the plugins that depend on it; it stays registered
+   * @param {string} name - Plugin name
+   * @param {string} reason - Why, for the log
+   */
+  disable(name, reason) {
+    const entry = this.plugins.get(name);
+    if (!entry?.enabled) return;
+
+    entry.enabled = false;
+    console.warn(`Plugin ${name} disabled: ${reason}`);
+    this.engine.getEventBus().emit('plugin:disabled', { name, reason });
+
+    this.getDependents(name).forEach(dependent => this.disable(dependent, `dependency ${name} is disabled`));
+  }
+
+  /**
+   * Get the registered plugins that depend on a plugin
+   * @param {string} name - Plugin name
+   * @returns {Array} Names of dependent plugins
+   */
+  getDependents(name) {
+    return [...this.plugins.values()]
+      .filter(({ plugin }) => (plugin.dependencies || []).includes(name))
+      .map(({ plugin }) => plugin.name);
+  }
+
+  /**
+   * Update every running plugin in order
+   * @param {number} deltaTime - Time elapsed since last update in milliseconds
+   */
+  update(deltaTime) {
+    this.order.forEach(name => {
+      const { plugin } = this.plugins.get(name);
+      if (plugin.update) {
+        this.runHook(name, 'update', () => plugin.update(deltaTime, this.engine));
+      }
+    });
+  }
+
+  /**
+   * Tell every running plugin a new night is starting
+   */
+  reset() {
+    this.order.forEach(name => {
+      const { plugin } = this.plugins.get(name);
+      if (plugin.reset) {
+        this.runHook(name, 'reset', () => plugin.reset(this.engine));
+      }
+    });
+  }
+
+  /**
+   * Collect plugin state for a save
+   * @returns {Object} name -> serialized state, for plugins with a serialize hook
+   */
+  serialize() {
+    const data = {};
+    this.order.forEach(name => {
+      const { plugin } = this.plugins.get(name);
+      if (plugin.serialize) {
+        const state = this.runHook(name, 'serialize', () => plugin.serialize());
+        if (state !== undefined) {
+          data[name] = state;
+        }
+      }
+    });
+    return data;
+  }
+
+  /**
+   * Hand saved state back to the plugins; state for plugins that are not registered is ignored
+   * @param {Object} data - From serialize()
+   */
+  deserialize(data = {}) {
+    this.order.forEach(name => {
+      const { plugin } = this.plugins.get(name);
+      if (plugin.deserialize && data[name] !== undefined) {
+        this.runHook(name, 'deserialize', () => plugin.deserialize(data[name]));
+      }
+    });
+  }
+
+  /**
+   * Remove every plugin, dependents first
+   */
+  destroy() {
+    [...this.order].reverse().forEach(name => this.unregister(name));
+  }
+
+  /**
+   * Get a registered plugin
+   * @param {string} name - Plugin name
+   * @returns {Object|null} The plugin
+   */
+  get(name) {
+    return this.plugins.get(name)?.plugin ?? null;
+  }
+
+  /**
+   * Check whether a plugin is registered and running
+   * @param {string} name - Plugin name
+   * @returns {boolean} True if running
+   */
+  isEnabled(name) {
+    return this.plugins.get(name)?.enabled ?? false;
+  }
+
+  /**
+   * Get the state of every plugin, in update order
+   * @returns {Array} [{name, enabled, errors}]
+   */
+  getStatus() {
+    return this.order.map(name => {
+      const { enabled, errors } = this.plugins.get(name);
+      return { name, enabled, errors };
+    });
+  }
+}
+
+export default PluginManager;
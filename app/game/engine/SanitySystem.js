@@ -0,0 +1,411 @@
+/**
+ * SanitySystem - The player's grip on reality over the whole night
+ * Fear spikes and fades within minutes; sanity wears down with supernatural events and the diary
+ * and only comes back slowly with light and rest. As it slips the player sees events that never
+ * happen, the narrator stops telling the truth and items turn up that were never picked up.
+ * Runs as an engine plugin, registered by GameEngine on every night
+ */
+
+// Lowest sanity for each state, highest first
+export const SANITY_STATES = {
+  lucid: 70,
+  shaken: 50,
+  disturbed: 25,
+  unhinged: 0
+};
+
+// Events that only happen in the player's head - ambient, so nothing waits on a response
+export const HALLUCINATIONS = [
+  {
+    id: 'hallucination_knocking',
+    type: 'ambient',
+    content: {
+      narration: 'Three slow knocks on the door behind you. When you turn, the door is not there.',
+      audioFile: 'door_knock',
+      duration: 3000
+    },
+    consequences: { fearDelta: 6 }
+  },
+  {
+    id: 'hallucination_voice',
+    type: 'ambient',
+    content: {
+      narration: 'Someone whispers your name from the next room, in your own voice.',
+      audioFile: 'whispers_faint',
+      duration: 4000
+    },
+    consequences: { fearDelta: 8 }
+  },
+  {
+    id: 'hallucination_figure',
+    type: 'ambient',
+    content: {
+      narration: 'A figure stands at the end of the hallway. You blink, and the hallway is longer than it was.',
+      duration: 3000
+    },
+    consequences: { fearDelta: 10 }
+  },
+  {
+    id: 'hallucination_crying',
+    type: 'ambient',
+    content: {
+      narration: 'A child is crying upstairs. There is no upstairs.',
+      duration: 5000
+    },
+    consequences: { fearDelta: 7 }
+  }
+];
+
+// Items the player may believe they are carrying
+export const IMAGINED_ITEMS = ['key_basement', 'bandage', 'knife', 'flashlight'];
+
+export class SanitySystem {
+  constructor(options = {}) {
+    this.name = 'sanity';
+    this.events = ['sanity:changed', 'sanity:hallucination', 'sanity:imagined_item', 'sanity:rest'];
+    this.commands = {
+      rest: (command, gameState) => this.startRest(gameState)
+    };
+
+    this.options = {
+      // Sanity lost per fear or damage event of these types, scaled by the event's intensity
+      fearErosion: { supernatural: 6, whisper: 3 },
+      damageErosion: { supernatural: 5 },
+      lightRecoveryRate: 0.15, // Per second with a light on
+      restRecoveryRate: 0.8, // Per second while resting
+      restDuration: 20000, // Game-clock ms a rest lasts
+      restFearLimit: 60, // Too frightened to rest above this
+      hallucinationThreshold: SANITY_STATES.shaken,
+      hallucinationRate: 0.1, // Chance per second at zero sanity
+      hallucinationCooldown: 20000,
+      narrationThreshold: 40,
+      maxUnreliability: 0.7,
+      imaginedItemThreshold: SANITY_STATES.disturbed,
+      imaginedItemRate: 0.05, // Chance per second at zero sanity
+      imaginedItemCooldown: 45000,
+      ...options
+    };
+
+    this.engine = null;
+    this.unsubscribers = [];
+    this.resetState();
+  }
+
+  /**
+   * Clear the night's timers and effects
+   */
+  resetState() {
+    this.sanityState = 'lucid';
+    this.restUntil = null;
+    this.lastHallucination = null;
+    this.lastImaginedItem = null;
+    this.unreliability = 0;
+  }
+
+  /**
+   * Plugin hook - listen for what wears the player's mind down
+   * @param {GameEngine} engine - Engine this system runs in
+   */
+  init(engine) {
+    this.engine = engine;
+
+    this.unsubscribers = [
+      engine.on('fear:changed', ({ changeType, data }) => {
+        const erosion = this.options.fearErosion[data?.type];
+        if (changeType === 'event' && erosion) {
+          this.erode(erosion * (data.intensity || 1), `fear:${data.type}`);
+        }
+      }),
+      engine.on('health:damaged', ({ data }) => {
+        const erosion = this.options.damageErosion[data?.type];
+        if (erosion) {
+          this.erode(erosion, `damage:${data.type}`);
+        }
+      }),
+      engine.on('event:started', () => this.stopRest('event')),
+      engine.on('command:received', ({ command }) => {
+        if (typeof command !== 'string' || !command.toLowerCase().includes('rest')) {
+          this.stopRest('command');
+        }
+      }),
+      // The ending is told straight, whatever state the player's mind is in
+      engine.on('game:ending', () => this.setUnreliability(0))
+    ];
+  }
+
+  /**
+   * Plugin hook - recover, then let low sanity play tricks
+   * @param {number} deltaTime - Time elapsed since last update in milliseconds
+   */
+  update(deltaTime) {
+    const gameState = this.engine.getGameState();
+    if (!gameState.isAlive) return;
+
+    const now = this.engine.getClock().now();
+    const seconds = deltaTime / 1000;
+
+    if (this.isResting() && now >= this.restUntil) {
+      this.stopRest('rested');
+    }
+
+    const recoveryRate = this.isResting()
+      ? this.options.restRecoveryRate
+      : this.isInLight(gameState) ? this.options.lightRecoveryRate : 0;
+    if (recoveryRate > 0 && gameState.sanity < gameState.MAX_SANITY) {
+      gameState.updateSanity(recoveryRate * seconds);
+    }
+
+    this.updateSanityState();
+    this.updateNarration(gameState);
+    this.maybeHallucinate(gameState, now, seconds);
+    this.updateImaginedItems(gameState, now, seconds);
+  }
+
+  /**
+   * Plugin hook - a new night starts with a clear head
+   */
+  reset() {
+    this.resetState();
+    this.engine?.voiceNarrator?.setUnreliability?.(0);
+  }
+
+  /**
+   * Plugin hook - timers for save files, stored as ages so they survive a new game clock
+   * @returns {Object} Saved state
+   */
+  serialize() {
+    const now = this.engine.getClock().now();
+    const age = time => (time === null ? null : now - time);
+
+    return {
+      sanityState: this.sanityState,
+      restRemaining: this.isResting() ? this.restUntil - now : null,
+      hallucinationAge: age(this.lastHallucination),
+      imaginedItemAge: age(this.lastImaginedItem)
+    };
+  }
+
+  /**
+   * Plugin hook - restore timers from serialize()
+   * @param {Object} data - Saved state
+   */
+  deserialize(data) {
+    const now = this.engine.getClock().now();
+    const time = age => (age === null || age === undefined ? null : now - age);
+
+    this.sanityState = data.sanityState || this.getSanityState();
+    this.restUntil = data.restRemaining ? now + data.restRemaining : null;
+    this.lastHallucination = time(data.hallucinationAge);
+    this.lastImaginedItem = time(data.imaginedItemAge);
+    this.updateNarration(this.engine.getGameState());
+  }
+
+  /**
+   * Plugin hook - stop listening and give the narrator back its honesty
+   */
+  destroy() {
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+    this.setUnreliability(0);
+  }
+
+  /**
+   * Lose sanity and tell listeners why
+   * @param {number} amount - Sanity to lose
+   * @param {string} source - What caused it, for listeners and the log
+   */
+  erode(amount, source) {
+    const gameState = this.engine.getGameState();
+    if (!gameState.isAlive || amount <= 0) return;
+
+    gameState.updateSanity(-amount);
+    console.log(`Sanity eroded by ${source} (-${amount.toFixed(1)})`);
+
+    this.notifySanityChange('erosion', { amount, source });
+    this.updateSanityState();
+  }
+
+  /**
+   * Get the sanity state for a sanity value
+   * @param {number} sanity - Sanity value, defaults to the current one
+   * @returns {string} State name from SANITY_STATES
+   */
+  getSanityState(sanity = this.engine?.getGameState().sanity ?? 100) {
+    return Object.keys(SANITY_STATES).find(state => sanity >= SANITY_STATES[state]) || 'unhinged';
+  }
+
+  /**
+   * Check for a change of sanity state and announce it
+   */
+  updateSanityState() {
+    const state = this.getSanityState();
+    if (state === this.sanityState) return;
+
+    const previousState = this.sanityState;
+    this.sanityState = state;
+    console.log(`Sanity state changed: ${previousState} -> ${state}`);
+    this.notifySanityChange('state', { previousState, state });
+  }
+
+  /**
+   * Emit a sanity:changed event
+   * @param {string} changeType - 'erosion' or 'state'
+   * @param {Object} data - Details of the change
+   */
+  notifySanityChange(changeType, data) {
+    const sanity = this.engine.getGameState().sanity;
+    this.engine.getEventBus().emit('sanity:changed', {
+      changeType,
+      data,
+      sanity,
+      sanityState: this.getSanityState(sanity)
+    });
+  }
+
+  /**
+   * Check whether the player has any light, as worked out by LightingSystem
+   * Imagined lights give none, so they are no comfort
+   * @param {GameState} gameState - Current game state
+   * @returns {boolean} True in light
+   */
+  isInLight(gameState) {
+    return (gameState.lightLevel ?? 0) > 0;
+  }
+
+  /**
+   * Check whether the player is resting
+   * @returns {boolean} True while a rest is underway
+   */
+  isResting() {
+    return this.restUntil !== null;
+  }
+
+  /**
+   * Handle the rest command - sit still for a while to steady the mind
+   * Refused while an event needs an answer or fear is too high
+   * @param {GameState} gameState - Current game state
+   * @returns {boolean} True, the command is always handled
+   */
+  startRest(gameState) {
+    if (this.engine.getEventSystem().getActiveEvents().length > 0) {
+      this.engine.voiceNarrator?.speak?.("You can't rest now. Something needs your attention.");
+      return true;
+    }
+    if (gameState.fearLevel > this.options.restFearLimit) {
+      this.engine.voiceNarrator?.speak?.('You close your eyes, but your heart is pounding too hard to rest.');
+      return true;
+    }
+
+    this.restUntil = this.engine.getClock().now() + this.options.restDuration;
+    this.engine.voiceNarrator?.speak?.('You sit with your back to the wall and breathe slowly.');
+    this.engine.getEventBus().emit('sanity:rest', { resting: true, reason: 'command' });
+    console.log('Resting');
+    return true;
+  }
+
+  /**
+   * End a rest early or once it has run its course
+   * @param {string} reason - 'rested', 'event' or 'command'
+   */
+  stopRest(reason) {
+    if (!this.isResting()) return;
+
+    this.restUntil = null;
+    this.engine.getEventBus().emit('sanity:rest', { resting: false, reason });
+    console.log(`Rest ended: ${reason}`);
+  }
+
+  /**
+   * Make the narrator less trustworthy the lower sanity falls
+   * @param {GameState} gameState - Current game state
+   */
+  updateNarration(gameState) {
+    const { narrationThreshold, maxUnreliability } = this.options;
+    const level = gameState.sanity < narrationThreshold
+      ? ((narrationThreshold - gameState.sanity) / narrationThreshold) * maxUnreliability
+      : 0;
+
+    if (Math.abs(level - this.unreliability) >= 0.01 || (level === 0 && this.unreliability !== 0)) {
+      this.setUnreliability(level);
+    }
+  }
+
+  /**
+   * Set the narrator's unreliability
+   * @param {number} level - 0 to 1
+   */
+  setUnreliability(level) {
+    this.unreliability = level;
+    this.engine?.voiceNarrator?.setUnreliability?.(level);
+  }
+
+  /**
+   * Roll for an event that isn't really happening
+   * Lower sanity makes them more likely; never more often than the cooldown
+   * @param {GameState} gameState - Current game state
+   * @param {number} now - Game clock time
+   * @param {number} seconds - Seconds since the last update
+   */
+  maybeHallucinate(gameState, now, seconds) {
+    const { hallucinationThreshold, hallucinationRate, hallucinationCooldown } = this.options;
+    if (gameState.sanity >= hallucinationThreshold) return;
+    if (this.lastHallucination !== null && now - this.lastHallucination < hallucinationCooldown) return;
+
+    const severity = (hallucinationThreshold - gameState.sanity) / hallucinationThreshold;
+    const rng = this.engine.getRng();
+    if (!rng.chance(hallucinationRate * severity * seconds)) return;
+
+    const hallucination = { ...rng.pick(HALLUCINATIONS), hallucination: true };
+    this.lastHallucination = now;
+    this.engine.getEventSystem().processEvent(hallucination);
+    this.engine.getEventBus().emit('sanity:hallucination', { event: hallucination });
+    console.log(`Hallucination: ${hallucination.id}`);
+  }
+
+  /**
+   * Slip an imagined item into the inventory at very low sanity, and clear them out once the
+   * player's head clears
+   * @param {GameState} gameState - Current game state
+   * @param {number} now - Game clock time
+   * @param {number} seconds - Seconds since the last update
+   */
+  updateImaginedItems(gameState, now, seconds) {
+    const { imaginedItemThreshold, imaginedItemRate, imaginedItemCooldown } = this.options;
+    const imagined = gameState.inventory.filter(item => item.fake);
+
+    if (gameState.sanity >= SANITY_STATES.shaken) {
+      imagined.forEach(item => gameState.removeFromInventory(item.id));
+      return;
+    }
+    if (gameState.sanity >= imaginedItemThreshold || imagined.length > 0) return;
+    if (this.lastImaginedItem !== null && now - this.lastImaginedItem < imaginedItemCooldown) return;
+
+    const candidates = IMAGINED_ITEMS.filter(id => !gameState.getInventoryItem(id));
+    if (candidates.length === 0) return;
+
+    const rng = this.engine.getRng();
+    const severity = (imaginedItemThreshold - gameState.sanity) / imaginedItemThreshold;
+    if (!rng.chance(imaginedItemRate * severity * seconds)) return;
+
+    const itemId = rng.pick(candidates);
+    this.lastImaginedItem = now;
+    if (this.engine.getInventorySystem().addItem(itemId, { fake: true })) {
+      this.engine.getEventBus().emit('sanity:imagined_item', { item: gameState.getInventoryItem(itemId) });
+    }
+  }
+
+  /**
+   * Get the sanity picture for the UI
+   * @returns {Object} {sanity, state, resting, unreliability}
+   */
+  getStatus() {
+    return {
+      sanity: this.engine.getGameState().sanity,
+      state: this.sanityState,
+      resting: this.isResting(),
+      unreliability: this.unreliability
+    };
+  }
+}
+
+export default SanitySystem;
@@ -0,0 +1,126 @@
+/**
+ * SeededRandom - Deterministic pseudo-random number generator
+ * Owned by GameEngine and shared with every system so a night can be replayed from its seed
+ */
+
+export class SeededRandom {
+  constructor(seed = SeededRandom.generateSeed()) {
+    this.setSeed(seed);
+  }
+
+  /**
+   * Generate a fresh seed for a new night
+   * @returns {number} Unsigned 32-bit seed
+   */
+  static generateSeed() {
+    return Math.floor(Math.random() * 0xFFFFFFFF) >>> 0;
+  }
+
+  /**
+   * Normalize a numeric or string seed to an unsigned 32-bit integer
+   * @param {number|string} seed - Seed value
+   * @returns {number} Normalized seed
+   */
+  static normalizeSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+      return Math.floor(seed) >>> 0;
+    }
+
+    // Hash string seeds so bug reports can use readable values like "night-42"
+    const text = String(seed);
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Reseed the generator and restart its sequence
+   * @param {number|string} seed - New seed
+   */
+  setSeed(seed) {
+    this.seed = SeededRandom.normalizeSeed(seed);
+    this.state = this.seed;
+  }
+
+  /**
+   * Get the seed this sequence started from
+   * @returns {number} Current seed
+   */
+  getSeed() {
+    return this.seed;
+  }
+
+  /**
+   * Capture the generator position for a save
+   * @returns {Object} {seed, state}
+   */
+  snapshot() {
+    return { seed: this.seed, state: this.state };
+  }
+
+  /**
+   * Continue the sequence from a saved position
+   * @param {Object} snapshot - Data from snapshot()
+   */
+  restore(snapshot) {
+    this.seed = snapshot.seed >>> 0;
+    this.state = snapshot.state >>> 0;
+  }
+
+  /**
+   * Get next float in [0, 1) - drop-in replacement for Math.random()
+   * @returns {number} Pseudo-random float
+   */
+  next() {
+    // mulberry32
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Get a float in [min, max)
+   * @param {number} min - Lower bound
+   * @param {number} max - Upper bound
+   * @returns {number} Pseudo-random float
+   */
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+   * Get an integer in [min, max]
+   * @param {number} min - Lower bound (inclusive)
+   * @param {number} max - Upper bound (inclusive)
+   * @returns {number} Pseudo-random integer
+   */
+  int(min, max) {
+    return Math.floor(this.range(min, max + 1));
+  }
+
+  /**
+   * Roll against a probability
+   * @param {number} probability - Chance of success (0-1)
+   * @returns {boolean} True if the roll succeeded
+   */
+  chance(probability) {
+    return this.next() < probability;
+  }
+
+  /**
+   * Pick a random element from an array
+   * @param {Array} items - Items to choose from
+   * @returns {*} Selected item or undefined for an empty array
+   */
+  pick(items) {
+    if (!items || items.length === 0) return undefined;
+    return items[Math.floor(this.next() * items.length)];
+  }
+}
+
+export default SeededRandom;
@@ -0,0 +1,479 @@
+/**
+ * SessionReplay - Records a night's inputs and plays them back through a fresh GameEngine
+ * A session holds the RNG position, every command and every frame's delta time; the events it saw
+ * are kept too, so a replay can report the first point where it stopped matching the original
+ */
+
+import { GameEngine } from './GameEngine.js';
+import { ManualClock } from './GameClock.js';
+
+export const SESSION_FORMAT = 'survive-until-sunrise-session';
+export const SESSION_VERSION = 1;
+
+/**
+ * Parse and check a session exported with SessionRecorder.exportSession()
+ * @param {string} contents - Session JSON
+ * @returns {Object} Session
+ * @throws {Error} If the file is not a session this game can replay
+ */
+export function parseSession(contents) {
+  let session;
+  try {
+    session = JSON.parse(contents);
+  } catch {
+    throw new Error('Replay file is not valid JSON');
+  }
+
+  if (session?.format !== SESSION_FORMAT) {
+    throw new Error('Not a Survive Until Sunrise replay file');
+  }
+  if (session.version > SESSION_VERSION) {
+    throw new Error(`Unsupported replay version: ${session.version} (this game reads up to version ${SESSION_VERSION})`);
+  }
+
+  return session;
+}
+
+/**
+ * Records everything needed to replay a night on a GameEngine
+ */
+export class SessionRecorder {
+  constructor(gameEngine, options = {}) {
+    this.gameEngine = gameEngine;
+    this.options = {
+      maxFrames: options.maxFrames ?? 216000, // An hour at 60fps, so a forgotten recorder can't fill memory
+      ...options
+    };
+
+    this.session = null;
+    this.isRecording = false;
+    this.unsubscribers = [];
+  }
+
+  /**
+   * Start a new recording, replacing any previous one
+   * Call before GameEngine.start() to record a night from nightfall; a running night is recorded
+   * from a snapshot of where it is now
+   */
+  start() {
+    this.stop();
+
+    const engine = this.gameEngine;
+    const isFreshNight = !engine.isRunning && !engine.resumeOnStart;
+
+    this.session = {
+      format: SESSION_FORMAT,
+      version: SESSION_VERSION,
+      recordedAt: Date.now(),
+      seed: engine.getRng().getSeed(),
+      rng: engine.getRng().snapshot(),
+      engineOptions: {
+        difficulty: engine.options.difficulty,
+        difficultySettings: engine.options.difficultySettings,
+        nightSchedule: engine.options.nightSchedule,
+        houseLayout: engine.options.houseLayout
+      },
+      // Copied, since snapshots share arrays with the live game state
+      snapshot: isFreshNight ? null : JSON.parse(JSON.stringify(engine.createSnapshot())),
+      // Session times are measured from the moment the engine started (or recording began, mid-night)
+      startedAt: engine.isRunning ? engine.getClock().now() : null,
+      timerStartTime: engine.isRunning ? engine.gameTimer.startTime : null,
+      frames: [], // [at, deltaTime] per frame
+      commands: [], // {frame, at, command} - run before that frame
+      events: [] // {frame, at, id, type, gameTime, fearLevel, health}
+    };
+
+    this.unsubscribers = [
+      engine.onUpdate((deltaTime) => this.recordFrame(deltaTime)),
+      engine.on('command:received', ({ command }) => this.recordCommand(command)),
+      engine.on('event:started', ({ event }) => this.recordEvent(event))
+    ];
+    this.isRecording = true;
+
+    console.log(`Session recording started (seed ${this.session.seed})`);
+  }
+
+  /**
+   * Stop recording
+   * @returns {Object|null} The recorded session
+   */
+  stop() {
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+
+    if (this.isRecording) {
+      this.isRecording = false;
+      console.log(`Session recording stopped (${this.session.frames.length} frames, ${this.session.commands.length} commands)`);
+    }
+    return this.session;
+  }
+
+  /**
+   * Get the session recorded so far
+   * @returns {Object|null} Session
+   */
+  getSession() {
+    return this.session;
+  }
+
+  /**
+   * Milliseconds since the recorded night started
+   * A night started after recording began is timed from the engine's own start time
+   * @returns {number|null} Session time, or null before the engine has started
+   */
+  getSessionTime() {
+    if (this.session.startedAt === null) {
+      const { gameTimer } = this.gameEngine;
+      if (gameTimer.startTime === null) return null;
+
+      // A resumed night's timer starts earlier than the engine did, by the time already played
+      this.session.startedAt = gameTimer.startTime + (this.session.snapshot?.gameState.realTimeElapsed ?? 0);
+    }
+    return this.gameEngine.getClock().now() - this.session.startedAt;
+  }
+
+  /**
+   * Record a frame's delta time
+   * @param {number} deltaTime - Time elapsed since last frame in milliseconds
+   */
+  recordFrame(deltaTime) {
+    const at = this.getSessionTime();
+    if (at === null) return;
+
+    this.session.frames.push([at, deltaTime]);
+
+    if (this.session.frames.length >= this.options.maxFrames) {
+      console.warn(`Session recording reached ${this.options.maxFrames} frames and stopped`);
+      this.stop();
+    }
+  }
+
+  /**
+   * Record a command passed to the engine
+   * @param {string} command - Command as given to handleCommand
+   */
+  recordCommand(command) {
+    const at = this.getSessionTime();
+    if (at === null) return;
+
+    this.session.commands.push({ frame: this.session.frames.length, at, command });
+  }
+
+  /**
+   * Record an event processed by the event system
+   * @param {Object} event - Processed event
+   */
+  recordEvent(event) {
+    const at = this.getSessionTime();
+    if (at === null) return;
+
+    const { currentTime, fearLevel, health } = this.gameEngine.getGameState();
+    this.session.events.push({
+      frame: this.session.frames.length,
+      at,
+      id: event.id,
+      type: event.type,
+      gameTime: currentTime,
+      fearLevel,
+      health
+    });
+  }
+
+  /**
+   * Export the session as a replay file
+   * @returns {string} Session JSON
+   */
+  exportSession() {
+    return JSON.stringify(this.session);
+  }
+
+  /**
+   * Suggest a file name for the exported session
+   * @returns {string} File name
+   */
+  getFileName() {
+    const date = new Date(this.session.recordedAt).toISOString().slice(0, 10);
+    return `survive-until-sunrise-replay-${date}-${this.session.seed}.json`;
+  }
+}
+
+/**
+ * Replays a recorded session on its own GameEngine, in real time or as fast as possible
+ */
+export class SessionPlayer {
+  constructor(session, options = {}) {
+    this.session = session;
+    this.options = {
+      sampleInterval: options.sampleInterval ?? 1000, // Session ms between fear/health timeline samples
+      ...options
+    };
+
+    this.engine = null;
+    this.clock = null; // ManualClock set to each frame's recorded time
+    this.frameIndex = 0;
+    this.commandIndex = 0;
+    this.currentTime = 0;
+    this.timeline = [];
+    this.events = [];
+    this.divergence = null;
+
+    this.isPlaying = false;
+    this.animationFrameId = null;
+    this.finishPlayback = null;
+    this.progressCallbacks = new Set();
+  }
+
+  /**
+   * Build the engine the session is replayed on and start its night
+   * @returns {GameEngine} Replay engine
+   * @throws {Error} If the engine never started while the session was recorded
+   */
+  load() {
+    const { session } = this;
+    if (session.startedAt === null) {
+      throw new Error('Replay has no recorded night to play');
+    }
+
+    // The replay engine's clock shows the recorded times; restored and started state is stamped at the recorded start
+    this.clock = new ManualClock(session.startedAt);
+    this.engine = new GameEngine(null, null, null, {
+      ...session.engineOptions,
+      seed: session.seed,
+      manualUpdates: true,
+      recordAchievements: false,
+      clock: this.clock
+    });
+    this.engine.getRng().restore(session.rng);
+    if (session.snapshot) {
+      this.engine.restoreSnapshot(session.snapshot);
+    }
+    this.engine.start();
+    if (session.timerStartTime !== null) {
+      this.engine.gameTimer.startTime = session.timerStartTime;
+    }
+    this.engine.on('event:started', ({ event }) => this.checkEvent(event));
+
+    this.sample();
+    return this.engine;
+  }
+
+  /**
+   * Length of the recorded session
+   * @returns {number} Session time of the last frame in milliseconds
+   */
+  getDuration() {
+    const { frames } = this.session;
+    return frames.length > 0 ? frames[frames.length - 1][0] : 0;
+  }
+
+  /**
+   * Check whether every frame has been replayed
+   * @returns {boolean} True at the end of the session
+   */
+  isFinished() {
+    return this.frameIndex >= this.session.frames.length;
+  }
+
+  /**
+   * Replay the next frame, and the commands given before it
+   */
+  step() {
+    if (!this.engine) this.load();
+    if (this.isFinished()) return;
+
+    const [at, deltaTime] = this.session.frames[this.frameIndex];
+    this.replayCommands(this.frameIndex);
+    this.currentTime = at;
+    this.clock.set(this.session.startedAt + at);
+    this.engine.tick(deltaTime);
+    this.frameIndex++;
+
+    if (at - this.timeline[this.timeline.length - 1].at >= this.options.sampleInterval) {
+      this.sample();
+    }
+
+    if (this.isFinished()) {
+      this.finish();
+    }
+  }
+
+  /**
+   * Replay every frame up to a point in the session
+   * @param {number} time - Session time in milliseconds
+   */
+  advanceTo(time) {
+    if (!this.engine) this.load();
+
+    while (!this.isFinished() && this.session.frames[this.frameIndex][0] <= time) {
+      this.step();
+    }
+    this.notifyProgress();
+  }
+
+  /**
+   * Replay the whole session as fast as possible
+   * @returns {Object} Replay result, see getResult()
+   */
+  runToEnd() {
+    this.advanceTo(Infinity);
+    return this.getResult();
+  }
+
+  /**
+   * Replay the session against the real clock
+   * @param {Object} options - {speed} multiplier, e.g. 8 to fast-forward at eight times real time
+   * @returns {Promise<Object>} Replay result when playback ends or is paused
+   */
+  play({ speed = 1 } = {}) {
+    if (!this.engine) this.load();
+    this.pause();
+
+    this.isPlaying = true;
+    const playbackStart = performance.now();
+    const sessionStart = this.currentTime;
+
+    return new Promise(resolve => {
+      this.finishPlayback = () => {
+        this.finishPlayback = null;
+        resolve(this.getResult());
+      };
+
+      const playFrame = (now) => {
+        this.advanceTo(sessionStart + (now - playbackStart) * speed);
+
+        if (this.isFinished()) {
+          this.pause();
+        } else {
+          this.animationFrameId = requestAnimationFrame(playFrame);
+        }
+      };
+      this.animationFrameId = requestAnimationFrame(playFrame);
+    });
+  }
+
+  /**
+   * Pause real-time playback, resolving the promise from play()
+   */
+  pause() {
+    if (this.animationFrameId) {
+      cancelAnimationFrame(this.animationFrameId);
+      this.animationFrameId = null;
+    }
+    this.isPlaying = false;
+    this.finishPlayback?.();
+  }
+
+  /**
+   * Stop playback and the replay engine
+   */
+  stop() {
+    this.pause();
+    this.engine?.stop();
+  }
+
+  /**
+   * Get what the replay has produced so far
+   * @returns {Object} {currentTime, duration, finished, timeline, events, divergence, ending}
+   */
+  getResult() {
+    const ending = this.engine?.getEndingSystem().getCurrentEnding();
+
+    return {
+      currentTime: this.currentTime,
+      duration: this.getDuration(),
+      finished: this.isFinished(),
+      timeline: [...this.timeline],
+      events: [...this.events],
+      divergence: this.divergence,
+      ending: ending ? { id: ending.id, title: ending.title, type: ending.type } : null
+    };
+  }
+
+  /**
+   * Register a callback for replay progress
+   * @param {Function} callback - Function to call with getResult()
+   * @returns {Function} Unsubscribe function
+   */
+  onProgress(callback) {
+    this.progressCallbacks.add(callback);
+    return () => this.progressCallbacks.delete(callback);
+  }
+
+  /**
+   * Notify progress callbacks
+   */
+  notifyProgress() {
+    if (this.progressCallbacks.size === 0) return;
+
+    const result = this.getResult();
+    this.progressCallbacks.forEach(callback => {
+      try {
+        callback(result);
+      } catch (error) {
+        console.error('Error in replay progress callback:', error);
+      }
+    });
+  }
+
+  /**
+   * Replay the recorded commands given before a frame
+   * @param {number} frame - Frame index, or frames.length for commands after the last frame
+   */
+  replayCommands(frame) {
+    const { commands, startedAt } = this.session;
+
+    while (this.commandIndex < commands.length && commands[this.commandIndex].frame <= frame) {
+      const { at, command } = commands[this.commandIndex++];
+      this.clock.set(startedAt + at);
+      this.engine.handleCommand(command);
+    }
+  }
+
+  /**
+   * Finish the session: trailing commands, a last sample and events that never happened
+   */
+  finish() {
+    this.replayCommands(this.session.frames.length);
+    this.sample();
+
+    const missing = this.session.events[this.events.length];
+    if (missing && !this.divergence) {
+      this.divergence = { frame: missing.frame, at: missing.at, expected: missing, actual: null };
+      console.warn(`Replay diverged at ${missing.at}ms: expected event ${missing.id} did not happen`);
+    }
+  }
+
+  /**
+   * Add a fear/health sample to the timeline
+   */
+  sample() {
+    const { currentTime, fearLevel, health } = this.engine.getGameState();
+    this.timeline.push({ at: this.currentTime, gameTime: currentTime, fearLevel, health });
+  }
+
+  /**
+   * Record a replayed event and compare it with the original session
+   * @param {Object} event - Event processed during the replay
+   */
+  checkEvent(event) {
+    const { currentTime, fearLevel, health } = this.engine.getGameState();
+    const entry = {
+      frame: this.frameIndex,
+      at: this.currentTime,
+      id: event.id,
+      type: event.type,
+      gameTime: currentTime,
+      fearLevel,
+      health
+    };
+    const expected = this.session.events[this.events.length] ?? null;
+    this.events.push(entry);
+
+    if (!this.divergence && (expected?.id !== entry.id || expected?.frame !== entry.frame)) {
+      this.divergence = { frame: entry.frame, at: entry.at, expected, actual: entry };
+      console.warn(`Replay diverged at ${entry.at}ms: expected ${expected?.id ?? 'no event'}, got ${entry.id}`);
+    }
+  }
+}
+
+export default SessionRecorder;
@@ -0,0 +1,249 @@
+/**
+ * StaminaSystem - How much running the player has left in them
+ * Running and sprinting spend stamina up front, crouching in a hiding spot wears it down
+ * once the player has been there a while, and only waiting gets it back. A spent player
+ * moves slowly, can't run at all and takes exhaustion damage.
+ */
+
+import { realClock } from './GameClock.js';
+import { EventBus } from './EventBus.js';
+
+export class StaminaSystem {
+  constructor(gameState, clock = realClock, events = new EventBus()) {
+    this.gameState = gameState;
+    this.clock = clock; // Hiding and exhaustion timers count game time
+    this.events = events;
+
+    // Stamina each action costs; the action fails if there isn't enough left
+    this.actionCosts = {
+      run: 25,
+      sprint: 40
+    };
+    this.waitRecovery = 20; // Stamina recovered by each wait
+    this.hideGracePeriod = 30000; // ms of hiding before cramped muscles start to tire
+    this.hideDrainRate = 1.5; // Stamina per second spent hiding past the grace period
+    this.exhaustionInterval = 10000; // ms between exhaustion damage while exhausted
+
+    // Stamina states and the movement penalty each applies on top of HealthSystem's
+    this.staminaStates = {
+      rested: { threshold: 70, movementPenalty: 1.0 },
+      winded: { threshold: 40, movementPenalty: 0.9 },
+      tired: { threshold: 15, movementPenalty: 0.75 },
+      exhausted: { threshold: 0, movementPenalty: 0.5 }
+    };
+
+    this.currentStaminaState = 'rested';
+    this.hidingSince = null; // Game time the player went into hiding
+    this.lastExhaustionTime = null; // Game time of the last exhaustion damage
+  }
+
+  /**
+   * Update stamina system - called each frame, after HealthSystem
+   * @param {number} deltaTime - Time elapsed since last update in milliseconds
+   */
+  update(deltaTime) {
+    const now = this.clock.now();
+
+    // Long stretches in a hiding spot tire the player out
+    if (this.hidingSince !== null && now - this.hidingSince > this.hideGracePeriod) {
+      this.gameState.updateStamina(-this.hideDrainRate * (deltaTime / 1000));
+    }
+
+    this.updateStaminaState();
+    this.checkExhaustion(now);
+    this.applyStaminaModifiers();
+  }
+
+  /**
+   * Check whether the player has the stamina for an action
+   * @param {string} action - Action from actionCosts
+   * @returns {boolean} True if the action can be taken
+   */
+  canAfford(action) {
+    return this.gameState.stamina >= (this.actionCosts[action] ?? 0);
+  }
+
+  /**
+   * Spend the stamina an action costs
+   * @param {string} action - Action from actionCosts
+   * @returns {boolean} True if paid, false if the player is too tired
+   */
+  spend(action) {
+    const cost = this.actionCosts[action];
+    if (cost === undefined) {
+      console.warn(`Unknown stamina action: ${action}`);
+      return true;
+    }
+    if (!this.canAfford(action)) {
+      console.log(`Too tired to ${action} (${this.gameState.stamina.toFixed(1)} stamina)`);
+      return false;
+    }
+
+    this.gameState.updateStamina(-cost);
+    this.notifyStaminaChange('spent', { action, amount: cost });
+    this.updateStaminaState();
+    return true;
+  }
+
+  /**
+   * Recover stamina
+   * @param {number} amount - Stamina to recover, defaults to one wait's worth
+   * @param {string} source - What restored it
+   */
+  recover(amount = this.waitRecovery, source = 'wait') {
+    this.gameState.updateStamina(amount);
+    this.notifyStaminaChange('recovered', { amount, source });
+    this.updateStaminaState();
+  }
+
+  /**
+   * Track whether the player is hiding
+   * @param {boolean} isHiding - Hiding state
+   */
+  setHiding(isHiding) {
+    if (!isHiding) {
+      this.hidingSince = null;
+    } else if (this.hidingSince === null) {
+      this.hidingSince = this.clock.now();
+    }
+  }
+
+  /**
+   * Get the stamina state for a stamina value
+   * @param {number} stamina - Stamina value
+   * @returns {string} State name
+   */
+  getStaminaStateFor(stamina) {
+    return Object.keys(this.staminaStates).find(state => stamina >= this.staminaStates[state].threshold) || 'exhausted';
+  }
+
+  /**
+   * Update the stamina state and notify on change
+   */
+  updateStaminaState() {
+    const previousState = this.currentStaminaState;
+    this.currentStaminaState = this.getStaminaStateFor(this.gameState.stamina);
+
+    if (previousState !== this.currentStaminaState) {
+      console.log(`Stamina state changed: ${previousState} -> ${this.currentStaminaState}`);
+      this.notifyStaminaChange('state', {
+        previous: previousState,
+        current: this.currentStaminaState
+      });
+    }
+  }
+
+  /**
+   * Report exhaustion while exhausted, at most once per exhaustionInterval
+   * GameEngine turns each report into exhaustion damage
+   * @param {number} now - Game clock time
+   */
+  checkExhaustion(now) {
+    if (this.currentStaminaState !== 'exhausted') return;
+    if (this.lastExhaustionTime !== null && now - this.lastExhaustionTime < this.exhaustionInterval) return;
+
+    this.lastExhaustionTime = now;
+    this.events.emit('stamina:exhausted', { stamina: this.gameState.stamina });
+  }
+
+  /**
+   * Slow the player down as they tire
+   * HealthSystem sets movementPenalty for the player's injuries each frame; this scales it
+   */
+  applyStaminaModifiers() {
+    this.gameState.movementPenalty *= this.getCurrentStaminaState().movementPenalty;
+  }
+
+  /**
+   * Get current stamina state data
+   * @returns {Object} Stamina state configuration
+   */
+  getCurrentStaminaState() {
+    return this.staminaStates[this.currentStaminaState];
+  }
+
+  /**
+   * Send a stamina:changed event
+   * @param {string} changeType - 'spent', 'recovered' or 'state'
+   * @param {Object} data - Details of the change
+   */
+  notifyStaminaChange(changeType, data) {
+    this.events.emit('stamina:changed', {
+      changeType,
+      data,
+      stamina: this.gameState.stamina,
+      staminaState: this.currentStaminaState
+    });
+  }
+
+  /**
+   * Register a callback for stamina changes - shorthand for 'stamina:changed'
+   * @param {Function} callback - Function to call with (changeType, data, stamina, staminaState)
+   * @returns {Function} Unsubscribe function
+   */
+  onStaminaChange(callback) {
+    return this.events.on('stamina:changed', ({ changeType, data, stamina, staminaState }) =>
+      callback(changeType, data, stamina, staminaState)
+    );
+  }
+
+  /**
+   * Check if stamina system is active
+   * @returns {boolean} True if system is active
+   */
+  isActive() {
+    return this.gameState && this.gameState.isAlive;
+  }
+
+  /**
+   * Capture hiding and exhaustion timers for a save
+   * Times are kept relative to the save, like HealthSystem's
+   * @returns {Object} Stamina system snapshot
+   */
+  snapshot() {
+    const now = this.clock.now();
+
+    return {
+      currentStaminaState: this.currentStaminaState,
+      hidingFor: this.hidingSince === null ? null : now - this.hidingSince,
+      timeSinceExhaustion: this.lastExhaustionTime === null ? null : now - this.lastExhaustionTime
+    };
+  }
+
+  /**
+   * Restore hiding and exhaustion timers from a snapshot
+   * @param {Object} snapshot - Data from snapshot()
+   */
+  restore(snapshot) {
+    const now = this.clock.now();
+
+    this.currentStaminaState = snapshot.currentStaminaState;
+    this.hidingSince = snapshot.hidingFor === null ? null : now - snapshot.hidingFor;
+    this.lastExhaustionTime = snapshot.timeSinceExhaustion === null ? null : now - snapshot.timeSinceExhaustion;
+  }
+
+  /**
+   * Get stamina system statistics
+   * @returns {Object} System statistics
+   */
+  getStats() {
+    return {
+      currentStamina: this.gameState.stamina,
+      currentStaminaState: this.currentStaminaState,
+      isHiding: this.hidingSince !== null,
+      movementPenalty: this.getCurrentStaminaState().movementPenalty
+    };
+  }
+
+  /**
+   * Reset stamina system to initial state
+   */
+  reset() {
+    this.currentStaminaState = 'rested';
+    this.hidingSince = null;
+    this.lastExhaustionTime = null;
+    console.log('StaminaSystem reset');
+  }
+}
+
+export default StaminaSystem;
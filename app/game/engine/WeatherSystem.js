@@ -0,0 +1,293 @@
+/**
+ * WeatherSystem - What the night is doing outside the house
+ * Each night rolls its own weather. Rain and storms change the ambient sound, fog and storms
+ * make every scare land harder, and storms and power cuts send lightning through the windows
+ * and make the player's lights stutter out.
+ * Runs as an engine plugin, registered by GameEngine on every night
+ */
+
+import { SeededRandom } from './SeededRandom.js';
+
+// Outside events - ambient, so nothing waits on a response. `effect` is applied as the event fires
+export const WEATHER_EVENTS = {
+  lightning: {
+    id: 'weather_lightning',
+    type: 'ambient',
+    effect: 'lightning',
+    content: {
+      narration: 'Lightning floods the room with white light. For a heartbeat you are sure someone is standing by the window.',
+      duration: 3000
+    },
+    consequences: { fearDelta: 4 }
+  },
+  flicker: {
+    id: 'weather_flicker',
+    type: 'ambient',
+    effect: 'flicker',
+    content: {
+      narration: 'Your light stutters and dies. In the dark, something shifts its weight. Then, slowly, the light comes back.',
+      audioFile: 'flashlight_click',
+      duration: 3000
+    },
+    consequences: { fearDelta: 6 }
+  },
+  downpour: {
+    id: 'weather_downpour',
+    type: 'ambient',
+    content: {
+      narration: 'The rain hammers the roof so hard you can no longer hear what is moving inside the house.',
+      duration: 4000
+    },
+    consequences: { fearDelta: 3 }
+  },
+  fog_shape: {
+    id: 'weather_fog_shape',
+    type: 'ambient',
+    content: {
+      narration: 'Fog presses against the windows. Something moves through it, slow and upright, and is gone.',
+      duration: 4000
+    },
+    consequences: { fearDelta: 5 }
+  }
+};
+
+// Weather a night can have. weight is how often it is rolled, fearMultiplier scales every fear
+// event for the night and eventRate is the chance per second of one of its events
+export const WEATHER_TYPES = {
+  clear: {
+    weight: 40,
+    fearMultiplier: 1.0,
+    events: [],
+    eventRate: 0,
+    narration: 'The night is clear and still. Every sound carries.'
+  },
+  rain: {
+    weight: 25,
+    fearMultiplier: 1.1,
+    events: ['downpour'],
+    eventRate: 1 / 120,
+    narration: 'Rain drums steadily on the roof and runs down the windows.'
+  },
+  fog: {
+    weight: 15,
+    fearMultiplier: 1.2,
+    events: ['fog_shape'],
+    eventRate: 1 / 90,
+    narration: 'A thick fog has rolled in. You can barely see past the porch.'
+  },
+  storm: {
+    weight: 12,
+    fearMultiplier: 1.3,
+    events: ['lightning', 'lightning', 'flicker'],
+    eventRate: 1 / 45,
+    narration: 'A storm is building. Wind throws rain against the glass and thunder rolls in the distance.'
+  },
+  power_outage: {
+    weight: 8,
+    fearMultiplier: 1.25,
+    events: ['flicker'],
+    eventRate: 1 / 40,
+    narration: 'The power is out across the whole valley. Whatever light you carry is all the light there is.'
+  }
+};
+
+export class WeatherSystem {
+  constructor(options = {}) {
+    this.name = 'weather';
+    this.events = ['weather:changed', 'weather:event'];
+
+    this.options = {
+      forecast: null, // Weather type for every night; rolled per night when null
+      eventCooldown: 30000, // Game-clock ms between weather events
+      lightningLevel: 0.8,
+      lightningDuration: 1500,
+      flickerDuration: 3000,
+      ...options
+    };
+
+    if (this.options.forecast && !WEATHER_TYPES[this.options.forecast]) {
+      throw new Error(`Unknown weather: ${this.options.forecast}`);
+    }
+
+    this.engine = null;
+    this.unsubscribers = [];
+    this.rng = new SeededRandom(0);
+    this.lastEvent = null;
+  }
+
+  /**
+   * Plugin hook - roll tonight's weather and describe it when the night begins
+   * @param {GameEngine} engine - Engine this system runs in
+   */
+  init(engine) {
+    this.engine = engine;
+    this.startNight();
+
+    this.unsubscribers = [
+      engine.on('game:started', ({ resumed }) => {
+        if (!resumed) {
+          engine.narrate(WEATHER_TYPES[this.getWeather()].narration);
+        }
+      })
+    ];
+  }
+
+  /**
+   * Plugin hook - a new night gets new weather
+   */
+  reset() {
+    this.startNight();
+  }
+
+  /**
+   * Roll the weather for the night from its seed and apply it
+   * Rolls come from a stream of their own so the weather doesn't change which events a seed gives
+   */
+  startNight() {
+    this.rng = new SeededRandom(`weather-${this.engine.getRng().getSeed()}`);
+    this.lastEvent = null;
+    this.setWeather(this.options.forecast ?? this.rollWeather());
+  }
+
+  /**
+   * Pick a weather type by weight
+   * @returns {string} Weather type
+   */
+  rollWeather() {
+    const types = Object.keys(WEATHER_TYPES);
+    const total = types.reduce((sum, type) => sum + WEATHER_TYPES[type].weight, 0);
+    let roll = this.rng.next() * total;
+
+    for (const type of types) {
+      roll -= WEATHER_TYPES[type].weight;
+      if (roll < 0) return type;
+    }
+    return 'clear';
+  }
+
+  /**
+   * Get the current weather, kept in GameState so saves and the UI have it
+   * @returns {string} Weather type
+   */
+  getWeather() {
+    return this.engine.getGameState().weather;
+  }
+
+  /**
+   * Change the weather and the fear it brings
+   * @param {string} weather - Weather type
+   * @throws {Error} If the weather type is unknown
+   */
+  setWeather(weather) {
+    if (!WEATHER_TYPES[weather]) {
+      throw new Error(`Unknown weather: ${weather}`);
+    }
+
+    const previous = this.getWeather();
+    this.engine.getGameState().weather = weather;
+    this.applyFearModifier();
+
+    this.engine.getEventBus().emit('weather:changed', { weather, previous });
+    console.log(`Weather: ${weather}`);
+  }
+
+  /**
+   * Scale fear for as long as the weather lasts
+   * Saved with FearSystem's other modifiers, so a loaded night keeps it
+   */
+  applyFearModifier() {
+    const { fearMultiplier } = WEATHER_TYPES[this.getWeather()];
+    const fearSystem = this.engine.getFearSystem();
+
+    if (fearMultiplier === 1) {
+      fearSystem.removeFearModifier('weather');
+    } else {
+      fearSystem.addFearModifier('weather', fearMultiplier, 0); // No duration - lasts the night
+    }
+  }
+
+  /**
+   * Plugin hook - roll for something happening outside
+   * @param {number} deltaTime - Time elapsed since last update in milliseconds
+   */
+  update(deltaTime) {
+    const gameState = this.engine.getGameState();
+    if (!gameState.isAlive) return;
+
+    const { events, eventRate } = WEATHER_TYPES[this.getWeather()];
+    if (events.length === 0) return;
+
+    const now = this.engine.getClock().now();
+    if (this.lastEvent !== null && now - this.lastEvent < this.options.eventCooldown) return;
+    if (!this.rng.chance(eventRate * (deltaTime / 1000))) return;
+
+    this.lastEvent = now;
+    this.triggerEvent(this.rng.pick(events));
+  }
+
+  /**
+   * Fire a weather event and apply its effect on the lights
+   * A flicker with no light on has nothing to put out, so it passes unnoticed
+   * @param {string} eventKey - Key in WEATHER_EVENTS
+   */
+  triggerEvent(eventKey) {
+    const event = WEATHER_EVENTS[eventKey];
+    const lightingSystem = this.engine.getLightingSystem();
+
+    if (event.effect === 'flicker') {
+      if (!lightingSystem.isLit()) return;
+      lightingSystem.flicker(this.options.flickerDuration);
+    } else if (event.effect === 'lightning') {
+      lightingSystem.addTemporaryLight('lightning', this.options.lightningLevel, this.options.lightningDuration);
+    }
+
+    const weather = this.getWeather();
+    this.engine.getEventSystem().processEvent({ ...event, weather });
+    this.engine.getEventBus().emit('weather:event', { weather, event });
+    console.log(`Weather event: ${event.id}`);
+  }
+
+  /**
+   * Plugin hook - the weather roll position and event timer, timer stored as an age
+   * The weather itself is saved with GameState
+   * @returns {Object} Saved state
+   */
+  serialize() {
+    return {
+      rng: this.rng.snapshot(),
+      eventAge: this.lastEvent === null ? null : this.engine.getClock().now() - this.lastEvent
+    };
+  }
+
+  /**
+   * Plugin hook - restore from serialize()
+   * @param {Object} data - Saved state
+   */
+  deserialize(data) {
+    this.rng.restore(data.rng);
+    this.lastEvent = data.eventAge === null || data.eventAge === undefined ? null : this.engine.getClock().now() - data.eventAge;
+  }
+
+  /**
+   * Plugin hook - stop listening and take the weather's fear with it
+   */
+  destroy() {
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+    this.engine?.getFearSystem().removeFearModifier('weather');
+  }
+
+  /**
+   * Get the weather picture for the UI
+   * @returns {Object} {weather, fearMultiplier}
+   */
+  getStatus() {
+    const weather = this.getWeather();
+    return {
+      weather,
+      fearMultiplier: WEATHER_TYPES[weather].fearMultiplier
+    };
+  }
+}
+
+export default WeatherSystem;
@@ -0,0 +1,180 @@
+/**
+ * DifficultyProfiles Tests
+ * Unit tests for difficulty profiles and how the engine applies them
+ */
+
+import { DIFFICULTY_PROFILES, createDifficultyProfile, getDifficultyName } from '../DifficultyProfiles.js';
+import { GameEngine } from '../GameEngine.js';
+import { GameState } from '../GameState.js';
+import { GameTimer } from '../GameTimer.js';
+import { EndingSystem } from '../EndingSystem.js';
+
+// Mock performance.now for consistent testing
+global.performance = {
+  now: jest.fn(() => Date.now())
+};
+
+// Mock requestAnimationFrame
+global.requestAnimationFrame = jest.fn(cb => setTimeout(cb, 16));
+
+// Mock localStorage
+global.localStorage = {
+  getItem: jest.fn(() => null),
+  setItem: jest.fn(),
+  removeItem: jest.fn(),
+  clear: jest.fn()
+};
+
+describe('DifficultyProfiles', () => {
+  describe('Profiles', () => {
+    test('should keep the normal profile at the original tuning', () => {
+      expect(DIFFICULTY_PROFILES.normal).toMatchObject({
+        fearDecayRate: 0.1,
+        healthRegenRate: 0.05,
+        regenDelay: 10000,
+        eventCooldown: 30000,
+        responseTimeout: 15000,
+        nightLengthMinutes: 7
+      });
+    });
+
+    test('should make nightmare harder than story on every setting', () => {
+      const { story, nightmare } = DIFFICULTY_PROFILES;
+
+      expect(nightmare.fearDecayRate).toBeLessThan(story.fearDecayRate);
+      expect(nightmare.healthRegenRate).toBeLessThan(story.healthRegenRate);
+      expect(nightmare.regenDelay).toBeGreaterThan(story.regenDelay);
+      expect(nightmare.eventCooldown).toBeLessThan(story.eventCooldown);
+      expect(nightmare.responseTimeout).toBeLessThan(story.responseTimeout);
+      expect(nightmare.nightLengthMinutes).toBeGreaterThanOrEqual(story.nightLengthMinutes);
+    });
+
+    test('should return a copy of named profiles', () => {
+      const profile = createDifficultyProfile('story');
+      profile.fearDecayRate = 99;
+
+      expect(DIFFICULTY_PROFILES.story.fearDecayRate).not.toBe(99);
+    });
+
+    test('should build custom profiles on top of normal', () => {
+      const profile = createDifficultyProfile('custom', { responseTimeout: 5000 });
+
+      expect(profile.id).toBe('custom');
+      expect(profile.responseTimeout).toBe(5000);
+      expect(profile.eventCooldown).toBe(DIFFICULTY_PROFILES.normal.eventCooldown);
+    });
+
+    test('should reject unknown difficulties and settings', () => {
+      expect(() => createDifficultyProfile('impossible')).toThrow('Unknown difficulty "impossible"');
+      expect(() => createDifficultyProfile('custom', { monsterSpeed: 2 })).toThrow('Unknown difficulty setting "monsterSpeed"');
+      expect(() => createDifficultyProfile('custom', { regenDelay: -1 })).toThrow('must be a non-negative number');
+      expect(() => createDifficultyProfile('custom', { nightLengthMinutes: 0 })).toThrow('greater than 0');
+    });
+
+    test('should name difficulties for display', () => {
+      expect(getDifficultyName('nightmare')).toBe('Nightmare');
+      expect(getDifficultyName('custom')).toBe('Custom');
+    });
+  });
+
+  describe('GameTimer night length', () => {
+    test('should reach sunrise after the configured real minutes', () => {
+      const gameState = new GameState();
+      const timer = new GameTimer(gameState);
+
+      timer.setRealDuration(14);
+
+      expect(timer.calculateGameTime(7 * 60 * 1000).formattedTime).toBe('02:30');
+      expect(timer.calculateGameTime(14 * 60 * 1000).formattedTime).toBe('06:00');
+      expect(gameState.getNightSchedule().realMinutes).toBe(14);
+    });
+  });
+
+  describe('Engine integration', () => {
+    test('should default to the normal profile', () => {
+      const engine = new GameEngine();
+
+      expect(engine.getDifficulty().id).toBe('normal');
+      expect(engine.getGameState().difficulty).toBe('normal');
+      expect(engine.getEventSystem().responseTimeout).toBe(15000);
+    });
+
+    test('should apply the profile to every system', () => {
+      const engine = new GameEngine(null, null, null, { difficulty: 'nightmare' });
+      const profile = DIFFICULTY_PROFILES.nightmare;
+
+      expect(engine.getFearSystem().fearDecayRate).toBe(profile.fearDecayRate);
+      expect(engine.getHealthSystem().healthRegenRate).toBe(profile.healthRegenRate);
+      expect(engine.getHealthSystem().regenDelay).toBe(profile.regenDelay);
+      expect(engine.getEventSystem().eventCooldown).toBe(profile.eventCooldown);
+      expect(engine.getEventSystem().responseTimeout).toBe(profile.responseTimeout);
+      expect(engine.gameTimer.TOTAL_REAL_MINUTES).toBe(profile.nightLengthMinutes);
+      expect(engine.getGameState().serialize().difficulty).toBe('nightmare');
+    });
+
+    test('should apply custom settings', () => {
+      const engine = new GameEngine(null, null, null, {
+        difficulty: 'custom',
+        difficultySettings: { fearDecayRate: 1 }
+      });
+
+      expect(engine.getFearSystem().fearDecayRate).toBe(1);
+      expect(engine.getGameState().difficulty).toBe('custom');
+    });
+
+    test('should keep the profile after a reset', () => {
+      const engine = new GameEngine(null, null, null, { difficulty: 'story' });
+
+      engine.reset();
+
+      expect(engine.getGameState().difficulty).toBe('story');
+      expect(engine.getHealthSystem().regenDelay).toBe(DIFFICULTY_PROFILES.story.regenDelay);
+    });
+
+    test('should fail construction with an unknown difficulty', () => {
+      expect(() => new GameEngine(null, null, null, { difficulty: 'impossible' })).toThrow('Unknown difficulty');
+    });
+  });
+
+  describe('Achievements per difficulty', () => {
+    const ending = { id: 'basic_survivor', title: 'Survivor', description: 'You survived', rarity: 'common', type: 'victory' };
+
+    test('should count achievements separately per difficulty', () => {
+      const gameState = new GameState();
+      const endingSystem = new EndingSystem(gameState);
+
+      endingSystem.recordAchievement(ending);
+      gameState.difficulty = 'nightmare';
+      endingSystem.recordAchievement(ending);
+      endingSystem.recordAchievement(ending);
+
+      const achievement = endingSystem.endingAchievements.basic_survivor;
+      expect(achievement.timesAchieved).toBe(3);
+      expect(achievement.byDifficulty).toEqual({ normal: 1, nightmare: 2 });
+      expect(endingSystem.hasAchievement('basic_survivor', 'nightmare')).toBe(true);
+      expect(endingSystem.hasAchievement('basic_survivor', 'story')).toBe(false);
+    });
+
+    test('should count achievements saved before difficulties as normal', () => {
+      const endingSystem = new EndingSystem(new GameState());
+      endingSystem.endingAchievements = {
+        basic_survivor: { id: 'basic_survivor', rarity: 'common', timesAchieved: 2 }
+      };
+
+      endingSystem.recordAchievement(ending);
+
+      expect(endingSystem.endingAchievements.basic_survivor.byDifficulty).toEqual({ normal: 3 });
+    });
+
+    test('should show the difficulty in the ending content', () => {
+      const gameState = new GameState();
+      gameState.difficulty = 'story';
+      const endingSystem = new EndingSystem(gameState);
+
+      const content = endingSystem.generateEndingContent(ending);
+
+      expect(content.difficulty).toBe('story');
+      expect(content.difficultyName).toBe('Story');
+    });
+  });
+});
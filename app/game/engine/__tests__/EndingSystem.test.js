@@ -5,6 +5,7 @@
 
 import { EndingSystem } from '../EndingSystem.js';
 import { GameState } from '../GameState.js';
+import { gameStorage } from '../../utils/GameStorage.js';
 
 // Mock localStorage
 const localStorageMock = {
@@ -46,6 +47,10 @@ describe('EndingSystem', () => {
     mockVoiceNarrator.speak.mockClear();
   });
 
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
   describe('Ending Evaluation', () => {
     test('should evaluate perfect survivor ending', () => {
       // Set up perfect survivor conditions
@@ -142,6 +147,20 @@ describe('EndingSystem', () => {
       expect(stats.itemsUsed).toBe(2); // flashlight and bandage were used
     });
 
+    test('should leave imagined items out of item stats', () => {
+      gameState.inventory = [
+        { id: 'hidden_key', type: 'secret', fake: true },
+        { id: 'knife', durability: 60, timesUsed: 1, fake: true },
+        { id: 'flashlight', durability: 80, timesUsed: 3 }
+      ];
+
+      const stats = endingSystem.calculateGameStats();
+
+      expect(stats.inventorySize).toBe(1);
+      expect(stats.secretsFound).toBe(0);
+      expect(stats.itemsUsed).toBe(1);
+    });
+
     test('should determine death cause correctly', () => {
       gameState.isAlive = false;
       gameState.fearLevel = 100;
@@ -207,6 +226,20 @@ describe('EndingSystem', () => {
       expect(newEndingSystem.endingAchievements['test_ending'].timesAchieved).toBe(3);
     });
 
+    test('should not overwrite achievements it could not read', () => {
+      jest.spyOn(gameStorage, 'getItem').mockImplementation(() => {
+        throw new Error('IndexedDB storage used before it finished loading');
+      });
+      const setItem = jest.spyOn(gameStorage, 'setItem');
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const newEndingSystem = new EndingSystem(gameState);
+      newEndingSystem.recordAchievement({ id: 'test_ending', title: 'Test Ending', rarity: 'common' });
+
+      expect(newEndingSystem.endingAchievements['test_ending'].timesAchieved).toBe(1);
+      expect(setItem).not.toHaveBeenCalled();
+    });
+
     test('should get achievement summary correctly', () => {
       endingSystem.endingAchievements = {
         'ending1': { rarity: 'common', lastAchieved: Date.now() },
@@ -222,6 +255,28 @@ describe('EndingSystem', () => {
       expect(summary.recent).toHaveLength(3);
       expect(summary.rarest.rarity).toBe('legendary');
     });
+
+    test('should merge imported achievements without double counting', () => {
+      endingSystem.endingAchievements = {
+        survivor: { id: 'survivor', timesAchieved: 2, byDifficulty: { normal: 2 }, firstAchieved: 500, lastAchieved: 900 }
+      };
+      const imported = {
+        survivor: { id: 'survivor', timesAchieved: 4, byDifficulty: { normal: 1, hard: 3 }, firstAchieved: 100, lastAchieved: 800 },
+        caught: { id: 'caught', timesAchieved: 1, byDifficulty: { easy: 1 }, firstAchieved: 300, lastAchieved: 300 }
+      };
+
+      expect(endingSystem.importAchievements(imported)).toBe(2);
+      expect(endingSystem.importAchievements(imported)).toBe(0);
+
+      expect(endingSystem.endingAchievements.survivor).toEqual(expect.objectContaining({
+        timesAchieved: 5,
+        byDifficulty: { normal: 2, hard: 3 },
+        firstAchieved: 100,
+        lastAchieved: 900
+      }));
+      expect(endingSystem.exportAchievements().caught.byDifficulty).toEqual({ easy: 1 });
+      expect(JSON.parse(localStorage.getItem('survive-achievements')).caught).toBeDefined();
+    });
   });
 
   describe('Ending Triggers', () => {
@@ -259,6 +314,19 @@ describe('EndingSystem', () => {
       expect(callback).toHaveBeenCalled();
     });
 
+    test('should leave achievements alone when recording is off', async () => {
+      const replayEndingSystem = new EndingSystem(gameState, null, null, { recordAchievements: false });
+      replayEndingSystem.endingAchievements = {};
+
+      gameState.isAlive = true;
+      gameState.currentTime = "06:00";
+
+      const result = await replayEndingSystem.triggerEnding();
+
+      expect(result.ending).toBeDefined();
+      expect(replayEndingSystem.endingAchievements).toEqual({});
+    });
+
     test('should check if ending should be triggered', () => {
       // Game running, player alive, not at sunrise
       gameState.isAlive = true;
@@ -316,6 +384,8 @@ describe('EndingSystem', () => {
 
       expect(result.success).toBe(true);
       expect(endingSystem.currentEnding).toBeNull();
+      expect(callback.onRestart).toHaveBeenCalled();
+      expect(callback).not.toHaveBeenCalled();
     });
   });
 
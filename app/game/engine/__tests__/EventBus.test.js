@@ -0,0 +1,204 @@
+/**
+ * EventBus Tests
+ * Checks the bus on its own and the events the engine sends through it
+ */
+
+import { EventBus, ENGINE_EVENTS } from '../EventBus.js';
+import { GameEngine } from '../GameEngine.js';
+import { ManualClock } from '../GameClock.js';
+
+describe('EventBus', () => {
+  describe('Listening', () => {
+    let bus;
+
+    beforeEach(() => {
+      bus = new EventBus();
+    });
+
+    test('should know every engine event type', () => {
+      Object.keys(ENGINE_EVENTS).forEach(type => expect(bus.isKnown(type)).toBe(true));
+      expect(bus.isKnown('fear:*')).toBe(true);
+      expect(bus.isKnown('*')).toBe(true);
+      expect(bus.isKnown('fear:exploded')).toBe(false);
+      expect(bus.isKnown('ghost:*')).toBe(false);
+    });
+
+    test('should call exact, namespace and wildcard listeners in that order', () => {
+      const calls = [];
+      bus.on('*', (payload, type) => calls.push(['*', type, payload.amount]));
+      bus.on('health:*', (payload, type) => calls.push(['health:*', type, payload.amount]));
+      bus.on('health:damaged', (payload, type) => calls.push(['health:damaged', type, payload.amount]));
+
+      bus.emit('health:damaged', { amount: 5 });
+
+      expect(calls).toEqual([
+        ['health:damaged', 'health:damaged', 5],
+        ['health:*', 'health:damaged', 5],
+        ['*', 'health:damaged', 5]
+      ]);
+    });
+
+    test('should stop calling a listener once unsubscribed', () => {
+      const listener = jest.fn();
+      const unsubscribe = bus.on('item:used', listener);
+
+      bus.emit('item:used', {});
+      unsubscribe();
+      bus.emit('item:used', {});
+
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(bus.listenerCount('item:used')).toBe(0);
+    });
+
+    test('should call once listeners a single time', () => {
+      const listener = jest.fn();
+      bus.once('time:hour', listener);
+
+      bus.emit('time:hour', { hour: 0, previousHour: 23 });
+      bus.emit('time:hour', { hour: 1, previousHour: 0 });
+
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(listener).toHaveBeenCalledWith({ hour: 0, previousHour: 23 }, 'time:hour');
+    });
+
+    test('should reject unknown event types', () => {
+      expect(() => bus.on('fear:changd', jest.fn())).toThrow('Unknown event type: fear:changd');
+      expect(() => bus.emit('fear:changd')).toThrow('Unknown event type: fear:changd');
+    });
+
+    test('should accept newly defined types', () => {
+      const listener = jest.fn();
+      bus.define('radio:static');
+      bus.on('radio:*', listener);
+
+      bus.emit('radio:static', { volume: 3 });
+
+      expect(listener).toHaveBeenCalledWith({ volume: 3 }, 'radio:static');
+      expect(() => bus.define('static')).toThrow('Event types look like "namespace:name", got "static"');
+    });
+
+    test('should keep calling listeners after one throws', () => {
+      const listener = jest.fn();
+      bus.on('game:paused', () => { throw new Error('broken listener'); });
+      bus.on('game:paused', listener);
+
+      bus.emit('game:paused');
+
+      expect(listener).toHaveBeenCalled();
+      expect(console.error).toHaveBeenCalledWith('Error in game:paused listener:', expect.any(Error));
+    });
+  });
+
+  describe('Engine events', () => {
+    let clock;
+    let engine;
+
+    beforeEach(() => {
+      clock = new ManualClock(1700000000000);
+      engine = new GameEngine(null, null, null, { seed: 7, manualUpdates: true, clock });
+    });
+
+    afterEach(() => {
+      engine.stop();
+    });
+
+    test('should report fear and health changes', () => {
+      const fear = jest.fn();
+      const damaged = jest.fn();
+      engine.on('fear:changed', fear);
+      engine.on('health:damaged', damaged);
+      engine.start();
+
+      engine.getFearSystem().triggerFearEvent('jump_scare', { source: 'test' });
+      engine.getHealthSystem().applyDamage('physical', { source: 'test' });
+
+      expect(fear).toHaveBeenCalledWith(expect.objectContaining({ changeType: 'event', fearLevel: engine.getGameState().fearLevel }), 'fear:changed');
+      expect(damaged).toHaveBeenCalledWith(expect.objectContaining({
+        changeType: 'damage',
+        data: expect.objectContaining({ type: 'physical', source: 'test' })
+      }), 'health:damaged');
+    });
+
+    test('should report items being used', () => {
+      const used = jest.fn();
+      engine.on('item:used', used);
+      engine.start();
+
+      engine.getInventorySystem().useItem('phone');
+
+      expect(used).toHaveBeenCalledWith(expect.objectContaining({ item: expect.objectContaining({ id: 'phone' }) }), 'item:used');
+    });
+
+    test('should report the hour changing on the game clock', () => {
+      const hours = [];
+      engine.on('time:hour', ({ hour, previousHour }) => hours.push([previousHour, hour]));
+      engine.start();
+
+      clock.advance(60000);
+      engine.tick(16);
+
+      expect(hours).toEqual([[23, 0]]);
+    });
+
+    test('should report the lifecycle and every command', () => {
+      const types = [];
+      engine.on('game:*', (payload, type) => types.push(type));
+      engine.on('command:received', ({ command }) => types.push(command));
+
+      engine.start();
+      engine.pause();
+      engine.resume();
+      engine.handleCommand('hide');
+      engine.stop();
+
+      expect(types).toEqual(['game:started', 'game:paused', 'game:resumed', 'hide', 'game:stopped']);
+    });
+
+    test('should send update callbacks and their hooks through the bus', () => {
+      const callback = jest.fn();
+      callback.onFearChange = jest.fn();
+      const updateListeners = engine.getEventBus().listenerCount('game:update');
+      const fearListeners = engine.getEventBus().listenerCount('fear:changed');
+      const unsubscribe = engine.onUpdate(callback);
+      engine.start();
+
+      engine.tick(16);
+      engine.getFearSystem().triggerFearEvent('whisper', { source: 'test' });
+
+      expect(callback).toHaveBeenCalledWith(16, engine.getGameState());
+      expect(callback.onFearChange).toHaveBeenCalledWith('event', expect.any(Object), engine.getGameState().fearLevel, expect.any(String));
+
+      unsubscribe();
+      expect(engine.getEventBus().listenerCount('game:update')).toBe(updateListeners);
+      expect(engine.getEventBus().listenerCount('fear:changed')).toBe(fearListeners);
+    });
+
+    test('should report endings before the engine adds rewinds', async () => {
+      const types = [];
+      const onEnding = jest.fn();
+      engine.on('ending:triggered', (payload, type) => types.push(type));
+      engine.on('game:ending', (payload, type) => types.push(type));
+      engine.getEndingSystem().onEnding(onEnding);
+      engine.start();
+
+      await engine.triggerGameEnding();
+
+      expect(types).toEqual(['ending:triggered', 'game:ending']);
+      expect(onEnding).toHaveBeenCalledWith(expect.objectContaining({ id: expect.any(String) }), expect.objectContaining({ title: expect.any(String) }));
+    });
+
+    test('should keep listeners and integrations across a reset', () => {
+      const damaged = jest.fn();
+      engine.on('health:damaged', damaged);
+
+      engine.reset();
+      engine.start();
+      engine.getGameState().fearLevel = 95;
+      engine.getFearSystem().triggerFearEvent('jump_scare', { source: 'test' });
+
+      // Extreme fear still hurts through the integration set up at construction, and only once
+      const fearDamage = damaged.mock.calls.filter(([payload]) => payload.data.source === 'extreme_fear');
+      expect(fearDamage).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * EventPackLoader Tests
+ */
+
+import { EventPackLoader, EVENT_PACK_SCHEMA_VERSION } from '../EventPackLoader.js';
+import EventSystem from '../EventSystem.js';
+import coreEventPack from '../../data/events/core.json';
+
+const mockGameState = {
+  currentTime: '23:30',
+  fearLevel: 25,
+  health: 100,
+  inventory: [],
+  updateFear: jest.fn(),
+  updateHealth: jest.fn(),
+  addToInventory: jest.fn()
+};
+
+const createEvent = (overrides = {}) => ({
+  id: 'radio_static',
+  type: 'ambient',
+  trigger: {
+    timeRange: ['00:00', '02:00'],
+    fearThreshold: 10,
+    probability: 0.2
+  },
+  content: {
+    narration: 'An old radio crackles to life with static.',
+    audioFile: 'radio_static',
+    duration: 3000
+  },
+  consequences: {
+    fearDelta: 8,
+    healthDelta: 0
+  },
+  ...overrides
+});
+
+const createPack = (events, overrides = {}) => ({
+  schemaVersion: EVENT_PACK_SCHEMA_VERSION,
+  id: 'night_two',
+  name: 'The Second Night',
+  version: '1.0.0',
+  events,
+  ...overrides
+});
+
+describe('EventPackLoader', () => {
+  let loader;
+
+  beforeEach(() => {
+    loader = new EventPackLoader();
+  });
+
+  describe('Validation', () => {
+    test('should accept the bundled core pack', () => {
+      expect(loader.validatePack(coreEventPack)).toEqual([]);
+    });
+
+    test('should reject unsupported schema versions', () => {
+      const errors = loader.validatePack(createPack([], { schemaVersion: 99 }));
+      expect(errors).toContainEqual(expect.objectContaining({ field: 'schemaVersion' }));
+    });
+
+    test('should name the offending event id and field', () => {
+      const pack = createPack([
+        createEvent({ trigger: { timeRange: ['00:00', '02:00'], fearThreshold: 10, probability: 4 } })
+      ]);
+
+      expect(() => loader.mergePack({}, pack)).toThrow(
+        'event "radio_static" field "trigger.probability" must be a number between 0 and 1'
+      );
+    });
+
+    test('should expose structured validation errors', () => {
+      const pack = createPack([createEvent({ type: 'cutscene', content: {} })]);
+
+      try {
+        loader.mergePack({}, pack);
+        throw new Error('Expected validation to fail');
+      } catch (error) {
+        expect(error.validationErrors).toEqual(expect.arrayContaining([
+          expect.objectContaining({ eventId: 'radio_static', field: 'type' }),
+          expect.objectContaining({ eventId: 'radio_static', field: 'content.narration' })
+        ]));
+      }
+    });
+
+    test('should validate response outcomes and timeouts', () => {
+      const pack = createPack([createEvent({
+        type: 'threat',
+        responses: [{ command: 'hide', outcome: { fearDelta: 'lots' } }],
+        consequences: { timeout: { healthDelta: null } }
+      })]);
+
+      const fields = loader.validatePack(pack).map(error => error.field);
+      expect(fields).toContain('responses[0].outcome.fearDelta');
+      expect(fields).toContain('consequences.timeout.healthDelta');
+    });
+
+    test('should validate noise thresholds', () => {
+      const pack = createPack([
+        createEvent({ trigger: { timeRange: ['00:00', '02:00'], fearThreshold: 10, noiseThreshold: 150, probability: 0.2 } })
+      ]);
+
+      const fields = loader.validatePack(pack).map(error => error.field);
+      expect(fields).toContain('trigger.noiseThreshold');
+    });
+
+    test('should validate light levels', () => {
+      const pack = createPack([
+        createEvent({ trigger: { timeRange: ['00:00', '02:00'], fearThreshold: 10, probability: 0.2, minLightLevel: 30, maxLightLevel: 'dark' } })
+      ]);
+
+      const fields = loader.validatePack(pack).map(error => error.field);
+      expect(fields).toEqual(['trigger.minLightLevel', 'trigger.maxLightLevel']);
+    });
+
+    test('should reject duplicate event ids and bad time ranges', () => {
+      const pack = createPack([
+        createEvent(),
+        createEvent({ trigger: { timeRange: ['25:00', '02:00'], fearThreshold: 10, probability: 0.2 } })
+      ]);
+
+      const fields = loader.validatePack(pack).map(error => error.field);
+      expect(fields).toContain('id');
+      expect(fields).toContain('trigger.timeRange');
+    });
+  });
+
+  describe('Merging', () => {
+    test('should add new events under their type', () => {
+      const merged = loader.mergePack({}, createPack([createEvent()]));
+
+      expect(merged.ambient).toHaveLength(1);
+      expect(merged.ambient[0]).toMatchObject({ id: 'radio_static', pack: 'night_two' });
+      expect(merged.threat).toEqual([]);
+    });
+
+    test('should override events with the same id', () => {
+      const base = loader.mergePack({}, coreEventPack);
+      const merged = loader.mergePack(base, createPack([
+        createEvent({ id: 'distant_howl', type: 'threat', responses: [] })
+      ]));
+
+      const allIds = Object.values(merged).flat().map(event => event.id);
+      expect(allIds.filter(id => id === 'distant_howl')).toHaveLength(1);
+      expect(merged.threat.find(event => event.id === 'distant_howl').pack).toBe('night_two');
+    });
+
+    test('should not mutate the source pack', () => {
+      const pack = createPack([createEvent()]);
+      const merged = loader.mergePack({}, pack);
+
+      merged.ambient[0].trigger.probability = 1;
+      expect(pack.events[0].trigger.probability).toBe(0.2);
+    });
+
+    test('should track loaded pack metadata', () => {
+      loader.mergePack({}, createPack([createEvent()]));
+
+      expect(loader.getLoadedPacks()).toEqual([
+        { id: 'night_two', name: 'The Second Night', version: '1.0.0', eventIds: ['radio_static'] }
+      ]);
+    });
+  });
+
+  describe('EventSystem integration', () => {
+    test('should load the core pack by default', () => {
+      const eventSystem = new EventSystem(mockGameState, null, null);
+
+      expect(eventSystem.eventConfig.threat.map(event => event.id)).toContain('shadow_figure');
+      expect(eventSystem.getLoadedEventPacks().map(pack => pack.id)).toEqual(['core']);
+    });
+
+    test('should merge additional packs at runtime', () => {
+      const eventSystem = new EventSystem(mockGameState, null, null);
+      eventSystem.loadEventPack(createPack([createEvent()]));
+
+      expect(eventSystem.eventConfig.ambient.map(event => event.id)).toContain('radio_static');
+      expect(eventSystem.getLoadedEventPacks()).toHaveLength(2);
+    });
+
+    test('should keep the existing config when a pack is invalid', () => {
+      const eventSystem = new EventSystem(mockGameState, null, null);
+      const before = eventSystem.eventConfig;
+
+      expect(() => eventSystem.loadEventPack(createPack([createEvent({ id: '' })]))).toThrow();
+      expect(eventSystem.eventConfig).toBe(before);
+    });
+  });
+});
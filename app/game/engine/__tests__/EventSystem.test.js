@@ -3,6 +3,7 @@
  */
 
 import EventSystem from '../EventSystem.js';
+import { GameState } from '../GameState.js';
 
 // Mock dependencies
 const mockGameState = {
@@ -301,17 +302,13 @@ describe('EventSystem', () => {
       const handleTimeoutsSpy = jest.spyOn(eventSystem, 'handleEventTimeouts');
       const generateEventSpy = jest.spyOn(eventSystem, 'generateRandomEvent');
       
-      // Mock Math.random to ensure event generation attempt
-      const originalRandom = Math.random;
-      Math.random = jest.fn(() => 0.05); // Less than 0.1 threshold
+      // Mock the seeded RNG to ensure event generation attempt
+      jest.spyOn(eventSystem.rng, 'next').mockReturnValue(0.05); // Less than 0.1 threshold
 
       eventSystem.update();
 
       expect(handleTimeoutsSpy).toHaveBeenCalled();
       expect(generateEventSpy).toHaveBeenCalled();
-
-      // Restore Math.random
-      Math.random = originalRandom;
     });
   });
 
@@ -323,14 +320,171 @@ describe('EventSystem', () => {
         { trigger: { probability: 0.6 } }
       ];
 
-      // Mock Math.random to select middle event
-      const originalRandom = Math.random;
-      Math.random = jest.fn(() => 0.25); // Should select second event
+      // Mock the seeded RNG to select middle event
+      jest.spyOn(eventSystem.rng, 'next').mockReturnValue(0.25); // Should select second event
 
       const selected = eventSystem.selectEventByProbability(events);
       expect(selected).toBe(events[1]);
+    });
+  });
+
+  describe('Noise', () => {
+    let noiseState;
+    let noiseSystem;
+
+    beforeEach(() => {
+      noiseState = new GameState();
+      noiseState.currentTime = '02:00';
+      noiseSystem = new EventSystem(noiseState, mockAudioManager, mockVoiceController);
+    });
+
+    test('should let noise count towards threat fear thresholds', () => {
+      const shadow = noiseSystem.findEventById('shadow_figure'); // fearThreshold 30
+
+      expect(noiseSystem.isEventEligible(shadow, '02:00', 10)).toBe(false);
+
+      noiseState.updateNoise(40);
+      expect(noiseSystem.isEventEligible(shadow, '02:00', 10)).toBe(true);
+    });
+
+    test('should not let noise lower non-threat thresholds', () => {
+      const whispers = noiseSystem.findEventById('whispers_in_walls');
+      const threshold = whispers.trigger.fearThreshold;
+
+      noiseState.updateNoise(100);
+      expect(noiseSystem.isEventEligible(whispers, '02:00', threshold - 1)).toBe(false);
+    });
+
+    test('should require the noise threshold for noise-driven threats', () => {
+      const heardYou = noiseSystem.findEventById('heard_you');
+
+      expect(noiseSystem.isEventEligible(heardYou, '02:00', 50)).toBe(false);
+
+      noiseState.updateNoise(heardYou.trigger.noiseThreshold);
+      expect(noiseSystem.isEventEligible(heardYou, '02:00', 50)).toBe(true);
+    });
+  });
+
+  describe('Light', () => {
+    let lightState;
+    let lightSystem;
+
+    beforeEach(() => {
+      lightState = new GameState();
+      lightState.currentTime = '02:00';
+      lightSystem = new EventSystem(lightState, mockAudioManager, mockVoiceController);
+    });
+
+    test('should only show the shadow figure in the dark', () => {
+      const shadow = lightSystem.findEventById('shadow_figure');
+
+      expect(lightSystem.isEventEligible(shadow, '02:00', 50)).toBe(true);
+
+      lightState.lightLevel = 1;
+      expect(lightSystem.isEventEligible(shadow, '02:00', 50)).toBe(false);
+    });
+
+    test('should need light to read the old diary', () => {
+      const diary = lightSystem.findEventById('old_diary');
+
+      expect(lightSystem.isEventEligible(diary, '02:00', 50)).toBe(false);
+
+      lightState.lightLevel = 0.6;
+      expect(lightSystem.isEventEligible(diary, '02:00', 50)).toBe(true);
+    });
+  });
+
+  describe('Event Chains', () => {
+    let chainState;
+    let chainSystem;
 
-      Math.random = originalRandom;
+    beforeEach(() => {
+      chainState = new GameState();
+      chainState.currentTime = '02:00';
+      chainState.fearLevel = 40;
+      chainSystem = new EventSystem(chainState, mockAudioManager, mockVoiceController);
+    });
+
+    test('should schedule a knock 20 game minutes after answering the phone', () => {
+      const phone = chainSystem.findEventById('mysterious_phone');
+      chainSystem.processEvent(phone);
+
+      chainSystem.evaluatePlayerResponse('answer the phone', phone);
+
+      expect(chainState.hasChainFlag('answered_phone')).toBe(true);
+      expect(chainState.eventChains.scheduled).toEqual([
+        { eventId: 'knock_at_door', dueAt: 200, sourceEventId: 'mysterious_phone' }
+      ]);
+    });
+
+    test('should trigger follow-ups once they are due, bypassing the cooldown', () => {
+      chainState.scheduleFollowUp('knock_at_door', 200, 'mysterious_phone');
+      chainSystem.lastEventTime = Date.now();
+
+      chainState.currentTime = '02:19';
+      expect(chainSystem.processDueFollowUps()).toEqual([]);
+
+      chainState.currentTime = '02:20';
+      const triggered = chainSystem.processDueFollowUps();
+
+      expect(triggered.map(event => event.id)).toEqual(['knock_at_door']);
+      expect(chainSystem.getActiveEvents().map(event => event.id)).toContain('knock_at_door');
+      expect(chainSystem.getEventHistory().pop().chainSource).toBe('mysterious_phone');
+      expect(chainState.eventChains.scheduled).toEqual([]);
+    });
+
+    test('should unlock a different branch when the phone is ignored', () => {
+      const phone = chainSystem.findEventById('mysterious_phone');
+      const ringsAgain = chainSystem.findEventById('phone_rings_again');
+
+      expect(chainSystem.isEventEligible(ringsAgain, '02:30', 40)).toBe(false);
+
+      chainSystem.processEvent(phone);
+      chainSystem.evaluatePlayerResponse('ignore it', phone);
+
+      expect(chainState.hasChainFlag('ignored_phone')).toBe(true);
+      expect(chainState.eventChains.scheduled).toEqual([]);
+      expect(chainSystem.isEventEligible(ringsAgain, '02:30', 40)).toBe(true);
+    });
+
+    test('should never pick follow-up only events at random', () => {
+      const knock = chainSystem.findEventById('knock_at_door');
+      expect(chainSystem.isEventEligible(knock, '02:30', 100)).toBe(false);
+    });
+
+    test('should advance chains from timeout outcomes', () => {
+      chainSystem.eventQueue.push({
+        id: 'test_chain',
+        startTime: Date.now() - 20000,
+        awaitingResponse: true,
+        processed: false,
+        consequences: {
+          timeout: { fearDelta: 0, setFlags: ['hesitated'], followUps: [{ eventId: 'knock_at_door', delayMinutes: 5 }] }
+        }
+      });
+
+      chainSystem.handleEventTimeouts();
+
+      expect(chainState.hasChainFlag('hesitated')).toBe(true);
+      expect(chainState.eventChains.scheduled[0]).toMatchObject({ eventId: 'knock_at_door', dueAt: 185 });
+    });
+
+    test('should reject packs with follow-ups to unknown events', () => {
+      const pack = {
+        schemaVersion: 1,
+        id: 'broken_chain',
+        events: [{
+          id: 'loose_end',
+          type: 'ambient',
+          trigger: { timeRange: ['00:00', '01:00'], fearThreshold: 0, probability: 0.1 },
+          content: { narration: 'Something is missing.' },
+          consequences: { followUps: [{ eventId: 'does_not_exist', delayMinutes: 5 }] }
+        }]
+      };
+
+      expect(() => chainSystem.loadEventPack(pack)).toThrow(
+        'event "loose_end" field "consequences.followUps[0].eventId" references unknown event "does_not_exist"'
+      );
     });
   });
-});
\ No newline at end of file
+});
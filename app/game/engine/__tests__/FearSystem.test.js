@@ -183,6 +183,16 @@ describe('FearSystem', () => {
       expect(modifier.multiplier).toBe(0.5);
       expect(modifier.duration).toBe(100);
     });
+
+    test('should scale fear events by the weather modifier only', () => {
+      const plain = fearSystem.calculateFearIncrease({ baseFear: 10 });
+
+      fearSystem.addFearModifier('weather', 1.5, 0);
+      fearSystem.addFearModifier('dawn_hope', 0.5, 60000);
+
+      expect(fearSystem.getWeatherFearModifier()).toBe(1.5);
+      expect(fearSystem.calculateFearIncrease({ baseFear: 10 })).toBeCloseTo(plain * 1.5);
+    });
   });
 
   describe('System Reset', () => {
@@ -0,0 +1,133 @@
+/**
+ * GameClock Tests
+ * Checks the clocks themselves and that pausing the engine freezes every timed system
+ */
+
+import { GameClock, RealClock, ManualClock, realClock } from '../GameClock.js';
+import { GameEngine } from '../GameEngine.js';
+import { GameState } from '../GameState.js';
+import { HealthSystem } from '../HealthSystem.js';
+import { GameStateManager } from '../../utils/GameStateManager.js';
+
+describe('GameClock', () => {
+  describe('Clocks', () => {
+    test('should read the wall clock', () => {
+      jest.spyOn(Date, 'now').mockReturnValue(1234);
+
+      expect(new RealClock().now()).toBe(1234);
+      jest.restoreAllMocks();
+    });
+
+    test('should move a manual clock only when told to', () => {
+      const clock = new ManualClock(100);
+
+      expect(clock.now()).toBe(100);
+      expect(clock.advance(50)).toBe(150);
+      clock.set(1000);
+      expect(clock.now()).toBe(1000);
+    });
+
+    test('should stand still while paused and carry on from there', () => {
+      const source = new ManualClock(1000);
+      const clock = new GameClock(source);
+
+      source.advance(500);
+      expect(clock.now()).toBe(1500);
+
+      clock.pause();
+      source.advance(10000);
+      expect(clock.isPaused).toBe(true);
+      expect(clock.now()).toBe(1500);
+
+      clock.resume();
+      expect(clock.now()).toBe(1500);
+      source.advance(200);
+      expect(clock.now()).toBe(1700);
+    });
+
+    test('should ignore repeated pauses and resumes', () => {
+      const source = new ManualClock(0);
+      const clock = new GameClock(source);
+
+      clock.pause();
+      source.advance(100);
+      clock.pause();
+      source.advance(100);
+      clock.resume();
+      clock.resume();
+
+      expect(clock.now()).toBe(0);
+    });
+
+    test('should default systems to the real clock', () => {
+      expect(new GameClock().source).toBe(realClock);
+      expect(new HealthSystem(new GameState()).clock).toBe(realClock);
+      expect(new GameStateManager(null, { autoSaveInterval: 0 }).clock).toBe(realClock);
+    });
+  });
+
+  describe('Pausing the engine', () => {
+    let source;
+    let engine;
+
+    beforeEach(() => {
+      source = new ManualClock(5000000);
+      engine = new GameEngine(null, null, null, { seed: 3, manualUpdates: true, clock: source });
+      engine.start();
+    });
+
+    afterEach(() => {
+      engine.stop();
+    });
+
+    // Let real time pass with the game paused in the middle
+    const pauseFor = (ms) => {
+      engine.pause();
+      source.advance(ms);
+      engine.resume();
+    };
+
+    test('should keep the night timer still', () => {
+      source.advance(10000);
+      engine.tick(16);
+      pauseFor(60000);
+      source.advance(5000);
+      engine.tick(16);
+
+      expect(engine.getGameState().realTimeElapsed).toBe(15000);
+    });
+
+    test('should hold event cooldowns and response windows', () => {
+      const eventSystem = engine.getEventSystem();
+      eventSystem.processEvent({ id: 'test_knock', type: 'threat', content: {}, responses: [{ command: 'hide' }] });
+      eventSystem.lastEventTime = engine.getClock().now();
+
+      pauseFor(eventSystem.responseTimeout * 10);
+      eventSystem.handleEventTimeouts();
+      expect(eventSystem.getActiveEvents()).toHaveLength(1);
+      expect(eventSystem.generateRandomEvent()).toBeNull();
+
+      source.advance(eventSystem.responseTimeout + 1);
+      eventSystem.handleEventTimeouts();
+      expect(eventSystem.getActiveEvents()).toHaveLength(0);
+    });
+
+    test('should hold the wait before health regenerates', () => {
+      const healthSystem = engine.getHealthSystem();
+      healthSystem.applyDamage('physical');
+      const wait = healthSystem.getTimeUntilRegen();
+
+      pauseFor(wait * 2);
+
+      expect(healthSystem.getTimeUntilRegen()).toBe(wait);
+    });
+
+    test('should unfreeze the clock when a paused night is stopped', () => {
+      engine.pause();
+      engine.stop();
+      source.advance(1000);
+
+      expect(engine.getClock().isPaused).toBe(false);
+    });
+  });
+});
@@ -5,6 +5,7 @@
 
 import { GameEngine } from '../GameEngine.js';
 import { GameState } from '../GameState.js';
+import { ManualClock } from '../GameClock.js';
 
 // Mock performance.now for consistent testing
 global.performance = {
@@ -97,4 +98,109 @@ describe('GameEngine', () => {
     expect(gameEngine.gameState.fearLevel).toBe(0);
     expect(gameEngine.gameState.commandsIssued).toHaveLength(0);
   });
-});
\ No newline at end of file
+
+  describe('Pausing mid-event', () => {
+    let source;
+    let engine;
+
+    beforeEach(() => {
+      source = new ManualClock(1000000);
+      engine = new GameEngine(null, null, null, { seed: 5, manualUpdates: true, clock: source });
+      engine.start();
+    });
+
+    afterEach(() => {
+      engine.stop();
+    });
+
+    // Play some of the night in 100ms frames
+    const play = (ms) => {
+      for (let played = 0; played < ms; played += 100) {
+        source.advance(100);
+        engine.tick(100);
+      }
+    };
+
+    const pauseFor = (ms) => {
+      engine.pause();
+      source.advance(ms);
+      engine.resume();
+    };
+
+    test('should not time out an event the player paused during', () => {
+      const eventSystem = engine.getEventSystem();
+      eventSystem.processEvent(eventSystem.findEventById('shadow_figure'));
+      play(5000);
+      const { health } = engine.gameState;
+
+      pauseFor(eventSystem.responseTimeout * 4);
+      play(100);
+
+      expect(eventSystem.getActiveEvents().map(event => event.id)).toEqual(['shadow_figure']);
+      expect(engine.gameState.health).toBe(health);
+
+      play(eventSystem.responseTimeout);
+      expect(eventSystem.getActiveEvents()).toHaveLength(0);
+      expect(engine.gameState.health).toBeLessThan(health);
+    });
+
+    test('should deal the rest of damage over time after the pause, not during it', () => {
+      const healthSystem = engine.getHealthSystem();
+      healthSystem.applyDamage('supernatural');
+      play(1000);
+      const { health } = engine.gameState;
+
+      pauseFor(60000);
+      play(100);
+      expect(engine.gameState.health).toBe(health);
+      expect(healthSystem.damageEvents.size).toBe(1);
+
+      play(3000);
+      expect(engine.gameState.health).toBeLessThan(health);
+      expect(healthSystem.damageEvents.size).toBe(0);
+    });
+
+    test('should keep fear and health modifiers through a pause', () => {
+      const fearSystem = engine.getFearSystem();
+      const healthSystem = engine.getHealthSystem();
+      fearSystem.addFearModifier('steady_nerves', 0.5, 5000);
+      healthSystem.addHealthModifier('adrenaline', 'damage_resistance', 0.5, 5000);
+
+      pauseFor(60000);
+      play(1000);
+      expect(fearSystem.fearModifiers.has('steady_nerves')).toBe(true);
+      expect(healthSystem.healthModifiers.has('adrenaline')).toBe(true);
+
+      play(4000);
+      expect(fearSystem.fearModifiers.has('steady_nerves')).toBe(false);
+      expect(healthSystem.healthModifiers.has('adrenaline')).toBe(false);
+    });
+
+    test('should keep item cooldowns through a pause', () => {
+      const inventorySystem = engine.getInventorySystem();
+      inventorySystem.addItem('bandage');
+      inventorySystem.addItem('bandage');
+      expect(inventorySystem.useItem('bandage').success).toBe(true);
+
+      pauseFor(60000);
+
+      expect(inventorySystem.useItem('bandage').success).toBe(false);
+      play(3000);
+      expect(inventorySystem.useItem('bandage').success).toBe(true);
+    });
+
+    test('should skip hand-driven frames while paused', () => {
+      const onUpdate = jest.fn();
+      engine.onUpdate(onUpdate);
+      play(1000);
+      const { realTimeElapsed } = engine.gameState;
+
+      engine.pause();
+      engine.tick(100);
+
+      expect(engine.isPaused()).toBe(true);
+      expect(onUpdate).toHaveBeenCalledTimes(10);
+      expect(engine.gameState.realTimeElapsed).toBe(realTimeElapsed);
+    });
+  });
+});
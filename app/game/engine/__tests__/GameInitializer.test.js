@@ -5,6 +5,7 @@
 
 import { GameInitializer } from '../GameInitializer.js';
 import { GameLoop } from '../GameLoop.js';
+import { GameEngine } from '../GameEngine.js';
 
 // Mock browser APIs
 global.window = {
@@ -214,6 +215,40 @@ describe('GameInitializer', () => {
     });
   });
 
+  describe('Command Feedback', () => {
+    let engine;
+
+    beforeEach(() => {
+      engine = new GameEngine(null, null, null, { seed: 3, manualUpdates: true });
+      gameInitializer.gameEngine = engine;
+      gameInitializer.voiceNarrator = { provideCommandFeedback: jest.fn(), clearQueue: jest.fn() };
+      gameInitializer.integrateSystems();
+      engine.start();
+    });
+
+    afterEach(() => {
+      engine.stop();
+    });
+
+    test('should leave running to the engine, so it spends stamina', () => {
+      expect(engine.handleCommand('run')).toBe(true);
+
+      expect(engine.getGameState().stamina).toBeLessThan(100);
+      expect(gameInitializer.voiceNarrator.provideCommandFeedback)
+        .toHaveBeenCalledWith({ action: 'run' }, true, engine.getGameState());
+    });
+
+    test('should leave hiding to the engine, so the player is hidden', () => {
+      const setHiding = jest.spyOn(engine.getStaminaSystem(), 'setHiding');
+
+      expect(engine.handleCommand('hide')).toBe(true);
+
+      expect(setHiding).toHaveBeenCalledWith(true);
+      expect(gameInitializer.voiceNarrator.provideCommandFeedback)
+        .toHaveBeenCalledWith({ action: 'hide' }, true, engine.getGameState());
+    });
+  });
+
   describe('Performance Monitoring', () => {
     beforeEach(async () => {
       await gameInitializer.initialize();
@@ -354,19 +389,19 @@ describe('GameLoop', () => {
   });
 
   describe('Callback System', () => {
-    test('should register and execute update callbacks', () => {
+    test('should register and execute post-update callbacks', () => {
       const callback = jest.fn();
-      const unsubscribe = gameLoop.onUpdate(callback);
+      const unsubscribe = gameLoop.onPostUpdate(callback);
       
       gameLoop.start();
       
       // Simulate a frame
-      gameLoop.executeCallbacks(gameLoop.updateCallbacks, 16);
+      gameLoop.executeCallbacks(gameLoop.postUpdateCallbacks, 16);
       
       expect(callback).toHaveBeenCalledWith(16, expect.any(Object));
       
       unsubscribe();
-      gameLoop.executeCallbacks(gameLoop.updateCallbacks, 16);
+      gameLoop.executeCallbacks(gameLoop.postUpdateCallbacks, 16);
       
       // Should not be called again after unsubscribe
       expect(callback).toHaveBeenCalledTimes(1);
@@ -377,11 +412,11 @@ describe('GameLoop', () => {
         throw new Error('Callback error');
       });
       
-      gameLoop.onUpdate(errorCallback);
+      gameLoop.onPostUpdate(errorCallback);
       
       // Should not throw when executing callbacks
       expect(() => {
-        gameLoop.executeCallbacks(gameLoop.updateCallbacks, 16);
+        gameLoop.executeCallbacks(gameLoop.postUpdateCallbacks, 16);
       }).not.toThrow();
     });
   });
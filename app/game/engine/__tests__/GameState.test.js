@@ -115,4 +115,42 @@ describe('GameState', () => {
     expect(newGameState.gameStarted).toBe(true);
     expect(newGameState.commandsIssued).toHaveLength(1);
   });
-});
\ No newline at end of file
+
+  test('should round-trip event chain state through serialize/deserialize', () => {
+    gameState.setChainFlag('answered_phone');
+    gameState.scheduleFollowUp('knock_at_door', 170, 'mysterious_phone');
+
+    const serialized = gameState.serialize();
+    const newGameState = new GameState();
+    newGameState.deserialize(serialized);
+
+    expect(newGameState.hasChainFlag('answered_phone')).toBe(true);
+    expect(newGameState.eventChains.scheduled).toEqual([
+      { eventId: 'knock_at_door', dueAt: 170, sourceEventId: 'mysterious_phone' }
+    ]);
+
+    // Restored state must not share references with the save data
+    newGameState.takeDueFollowUps(200);
+    expect(serialized.eventChains.scheduled).toHaveLength(1);
+  });
+
+  test('should only hand out follow-ups that are due', () => {
+    gameState.scheduleFollowUp('early', 10, 'source');
+    gameState.scheduleFollowUp('late', 60, 'source');
+
+    expect(gameState.takeDueFollowUps(30).map(f => f.eventId)).toEqual(['early']);
+    expect(gameState.eventChains.scheduled.map(f => f.eventId)).toEqual(['late']);
+  });
+
+  test('should clamp noise and let it decay over time', () => {
+    gameState.startGame();
+    gameState.updateNoise(150);
+    expect(gameState.noiseLevel).toBe(100);
+
+    gameState.update(1000);
+    expect(gameState.noiseLevel).toBe(100 - gameState.NOISE_DECAY_RATE);
+
+    gameState.update(60000);
+    expect(gameState.noiseLevel).toBe(0);
+  });
+});
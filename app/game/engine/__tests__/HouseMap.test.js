@@ -0,0 +1,222 @@
+/**
+ * HouseMap Tests
+ * Unit tests for the room graph, locked doors and movement commands
+ */
+
+import { HouseMap, DEFAULT_HOUSE_LAYOUT } from '../HouseMap.js';
+import { GameState } from '../GameState.js';
+import { GameEngine } from '../GameEngine.js';
+
+// Mock performance.now for consistent testing
+global.performance = {
+  now: jest.fn(() => Date.now())
+};
+
+// Mock requestAnimationFrame
+global.requestAnimationFrame = jest.fn(cb => setTimeout(cb, 16));
+
+describe('HouseMap', () => {
+  let gameState;
+  let houseMap;
+
+  beforeEach(() => {
+    gameState = new GameState();
+    houseMap = new HouseMap(gameState);
+  });
+
+  describe('Layout', () => {
+    test('should start in a room that exists on the map', () => {
+      expect(houseMap.hasRoom(gameState.location)).toBe(true);
+      expect(DEFAULT_HOUSE_LAYOUT.startRoom).toBe(gameState.location);
+    });
+
+    test('should include every room referenced by other systems', () => {
+      ['kitchen', 'living_room', 'dining_room', 'bedroom', 'bathroom', 'study',
+        'basement', 'basement_door', 'attic', 'safe_room', 'dark_hallway', 'outside'].forEach(roomId => {
+        expect(houseMap.hasRoom(roomId)).toBe(true);
+      });
+    });
+
+    test('should connect every exit back to its source room', () => {
+      houseMap.getRoomIds().forEach(roomId => {
+        houseMap.getExits(roomId).forEach(exit => {
+          const returnExits = houseMap.getExits(exit.to);
+          expect(returnExits.some(back => back.to === roomId)).toBe(true);
+        });
+      });
+    });
+
+    test('should reject layouts with exits to unknown rooms', () => {
+      const layout = {
+        startRoom: 'hall',
+        rooms: { hall: { name: 'Hall', description: '', exits: { north: { to: 'nowhere' } } } },
+        doors: {}
+      };
+
+      expect(() => new HouseMap(new GameState(), layout)).toThrow('unknown room "nowhere"');
+    });
+
+    test('should reject layouts with unknown doors', () => {
+      const layout = {
+        startRoom: 'hall',
+        rooms: {
+          hall: { name: 'Hall', description: '', exits: { north: { to: 'den', door: 'trapdoor' } } },
+          den: { name: 'Den', description: '', exits: {} }
+        },
+        doors: {}
+      };
+
+      expect(() => new HouseMap(new GameState(), layout)).toThrow('unknown door "trapdoor"');
+    });
+  });
+
+  describe('Location validation', () => {
+    test('should reject unknown locations in GameState.setLocation', () => {
+      expect(gameState.setLocation('ballroom')).toBe(false);
+      expect(gameState.location).toBe('starting_room');
+
+      expect(gameState.setLocation('kitchen')).toBe(true);
+      expect(gameState.location).toBe('kitchen');
+    });
+  });
+
+  describe('Movement', () => {
+    test('should parse movement commands', () => {
+      expect(houseMap.parseMoveCommand('go north')).toBe('north');
+      expect(houseMap.parseMoveCommand('go to kitchen')).toBe('kitchen');
+      expect(houseMap.parseMoveCommand('walk to the living room')).toBe('living room');
+      expect(houseMap.parseMoveCommand('head upstairs')).toBe('upstairs');
+      expect(houseMap.parseMoveCommand('let go of it')).toBeNull();
+    });
+
+    test('should move by direction', () => {
+      const result = houseMap.move('north');
+
+      expect(result.success).toBe(true);
+      expect(result.to).toBe('dark_hallway');
+      expect(gameState.location).toBe('dark_hallway');
+    });
+
+    test('should move to an adjacent room by name', () => {
+      gameState.setLocation('dark_hallway');
+
+      const result = houseMap.move('living room');
+
+      expect(result.success).toBe(true);
+      expect(gameState.location).toBe('living_room');
+    });
+
+    test('should not move to rooms that are not adjacent', () => {
+      const result = houseMap.move('kitchen');
+
+      expect(result.success).toBe(false);
+      expect(result.narration).toContain("can't reach the kitchen");
+      expect(gameState.location).toBe('starting_room');
+    });
+
+    test('should not move in a direction without an exit', () => {
+      const result = houseMap.move('west');
+
+      expect(result.success).toBe(false);
+      expect(gameState.location).toBe('starting_room');
+    });
+  });
+
+  describe('Locked doors', () => {
+    beforeEach(() => {
+      gameState.setLocation('basement_door');
+    });
+
+    test('should block locked doors without the key', () => {
+      const result = houseMap.move('down');
+
+      expect(result.success).toBe(false);
+      expect(result.narration).toContain('locked');
+      expect(gameState.location).toBe('basement_door');
+      expect(houseMap.isDoorLocked('basement_door')).toBe(true);
+    });
+
+    test('should unlock the door when the player carries its key', () => {
+      gameState.addToInventory({ id: 'key_basement', name: 'Basement Key', type: 'key' });
+
+      const result = houseMap.move('downstairs');
+
+      expect(result.success).toBe(true);
+      expect(result.unlockedDoor).toBe('basement_door');
+      expect(gameState.location).toBe('basement');
+      expect(houseMap.isDoorLocked('basement_door')).toBe(false);
+    });
+
+    test('should not open doors with an imagined key', () => {
+      gameState.addToInventory({ id: 'key_basement', name: 'Basement Key', type: 'key', fake: true });
+
+      const result = houseMap.move('down');
+
+      expect(result.success).toBe(false);
+      expect(gameState.location).toBe('basement_door');
+      expect(houseMap.isDoorLocked('basement_door')).toBe(true);
+    });
+
+    test('should keep unlocked doors open after the key is gone', () => {
+      gameState.unlockDoor('basement_door');
+
+      expect(houseMap.move('down').success).toBe(true);
+      expect(houseMap.move('up').success).toBe(true);
+    });
+
+    test('should never open doors without a key item', () => {
+      gameState.setLocation('living_room');
+
+      const result = houseMap.move('north');
+
+      expect(result.success).toBe(false);
+      expect(result.narration).toContain('front door');
+    });
+
+    test('should save unlocked doors with the game state', () => {
+      gameState.unlockDoor('basement_door');
+
+      const restored = new GameState();
+      restored.deserialize(gameState.serialize());
+
+      expect(restored.isDoorUnlocked('basement_door')).toBe(true);
+    });
+  });
+
+  describe('Engine commands', () => {
+    let gameEngine;
+
+    beforeEach(() => {
+      gameEngine = new GameEngine();
+      gameEngine.start();
+    });
+
+    afterEach(() => {
+      gameEngine.stop();
+    });
+
+    test('should handle "go" commands through the house map', () => {
+      expect(gameEngine.handleCommand('go north')).toBe(true);
+      expect(gameEngine.getGameState().location).toBe('dark_hallway');
+
+      expect(gameEngine.handleCommand('go to kitchen')).toBe(true);
+      expect(gameEngine.getGameState().location).toBe('kitchen');
+    });
+
+    test('should unlock the basement door when the key is used there', () => {
+      const state = gameEngine.getGameState();
+      state.setLocation('basement_door');
+      gameEngine.inventorySystem.addItem('key_basement');
+
+      gameEngine.handleCommand('use key');
+
+      expect(state.isDoorUnlocked('basement_door')).toBe(true);
+    });
+
+    test('should validate locations after a reset', () => {
+      gameEngine.reset();
+
+      expect(gameEngine.getGameState().setLocation('ballroom')).toBe(false);
+    });
+  });
+});
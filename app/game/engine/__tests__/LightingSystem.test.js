@@ -0,0 +1,209 @@
+/**
+ * LightingSystem Tests
+ * Covers light levels and fuel on their own, then how the engine puts lights out and frightens the player in the dark
+ */
+
+import { LightingSystem } from '../LightingSystem.js';
+import { GameState } from '../GameState.js';
+import { EventBus } from '../EventBus.js';
+import { GameEngine } from '../GameEngine.js';
+import { ManualClock } from '../GameClock.js';
+
+const lightItem = (id, overrides = {}) => ({ id, name: id, durability: 100, isActive: true, ...overrides });
+
+describe('LightingSystem', () => {
+  describe('On its own', () => {
+    let clock;
+    let gameState;
+    let events;
+    let lightingSystem;
+
+    beforeEach(() => {
+      clock = new ManualClock(1700000000000);
+      gameState = new GameState(clock);
+      events = new EventBus();
+      lightingSystem = new LightingSystem(gameState, clock, events);
+    });
+
+    test('should take the light level from the brightest active source', () => {
+      gameState.inventory = [lightItem('phone'), lightItem('candle')];
+
+      lightingSystem.update(16);
+
+      expect(gameState.lightLevel).toBe(0.6);
+      expect(gameState.lightSource).toBe('candle');
+      expect(lightingSystem.getStats().currentLightState).toBe('dim');
+    });
+
+    test('should give no light from switched off, dead or imagined sources', () => {
+      gameState.inventory = [
+        lightItem('flashlight', { isActive: false }),
+        lightItem('phone', { durability: 0 }),
+        lightItem('candle', { fake: true })
+      ];
+
+      lightingSystem.update(16);
+
+      expect(gameState.lightLevel).toBe(0);
+      expect(gameState.lightSource).toBeNull();
+      expect(lightingSystem.isLit()).toBe(false);
+    });
+
+    test('should burn wax and battery while lit', () => {
+      const candle = lightItem('candle');
+      const flashlight = lightItem('flashlight');
+      gameState.inventory = [candle, flashlight];
+
+      lightingSystem.update(5000);
+
+      expect(candle.durability).toBe(90);
+      expect(flashlight.durability).toBe(99);
+    });
+
+    test('should report a source that runs dry', () => {
+      const burnedOut = jest.fn();
+      events.on('light:burned_out', burnedOut);
+      const candle = lightItem('candle', { durability: 1 });
+      gameState.inventory = [candle];
+
+      lightingSystem.update(1000);
+
+      expect(candle.durability).toBe(0);
+      expect(burnedOut).toHaveBeenCalledWith({ item: candle, fuel: 'wax' }, 'light:burned_out');
+      expect(gameState.lightLevel).toBe(0);
+    });
+
+    test('should report changes in light', () => {
+      const changes = [];
+      events.on('light:changed', payload => changes.push(payload));
+      gameState.inventory = [lightItem('flashlight')];
+
+      lightingSystem.update(16);
+      lightingSystem.update(16);
+
+      expect(changes).toEqual([{ level: 1, previousLevel: 0, source: 'flashlight', lightState: 'bright' }]);
+    });
+
+    test('should keep a temporary light only until it burns down', () => {
+      lightingSystem.addTemporaryLight('matches', 0.4, 30000);
+      expect(gameState.lightSource).toBe('matches');
+
+      clock.advance(30000);
+      lightingSystem.update(30000);
+
+      expect(gameState.lightLevel).toBe(0);
+    });
+
+    test('should put the player\'s lights out during a flicker, but not lightning', () => {
+      gameState.inventory = [lightItem('flashlight')];
+      lightingSystem.update(16);
+
+      lightingSystem.flicker(3000);
+      expect(gameState.lightLevel).toBe(0);
+
+      lightingSystem.addTemporaryLight('lightning', 0.8, 1000);
+      expect(gameState.lightLevel).toBe(0.8);
+
+      clock.advance(3000);
+      lightingSystem.update(3000);
+      expect(gameState.lightSource).toBe('flashlight');
+    });
+
+    test('should report darkness once it has lasted a while, and again while it lasts', () => {
+      const darkness = jest.fn();
+      events.on('light:darkness', darkness);
+
+      lightingSystem.update(16);
+      clock.advance(29000);
+      lightingSystem.update(29000);
+      expect(darkness).not.toHaveBeenCalled();
+
+      clock.advance(1000);
+      lightingSystem.update(1000);
+      clock.advance(30000);
+      lightingSystem.update(30000);
+      expect(darkness).toHaveBeenCalledTimes(2);
+      expect(darkness).toHaveBeenLastCalledWith({ duration: 60000 }, 'light:darkness');
+    });
+
+    test('should carry temporary lights and darkness through a snapshot', () => {
+      lightingSystem.update(16);
+      clock.advance(10000);
+      lightingSystem.addTemporaryLight('matches', 0.4, 30000);
+      clock.advance(5000);
+
+      const snapshot = lightingSystem.snapshot();
+      const restored = new LightingSystem(gameState, clock, events);
+      restored.restore(snapshot);
+
+      expect(snapshot.temporaryLights).toEqual([{ id: 'matches', level: 0.4, duration: 30000, age: 5000 }]);
+      expect(restored.temporaryLights.get('matches').startTime).toBe(lightingSystem.temporaryLights.get('matches').startTime);
+      expect(restored.darkSince).toBe(lightingSystem.darkSince);
+    });
+  });
+
+  describe('In the engine', () => {
+    let clock;
+    let engine;
+    let gameState;
+
+    const step = (ms) => {
+      clock.advance(ms);
+      engine.tick(ms);
+    };
+
+    beforeEach(() => {
+      clock = new ManualClock(1700000000000);
+      engine = new GameEngine(null, null, null, { seed: 3, manualUpdates: true, clock, sanity: false });
+      gameState = engine.getGameState();
+      engine.start();
+    });
+
+    afterEach(() => {
+      engine.destroy();
+    });
+
+    test('should put out a candle that burns down', () => {
+      engine.getInventorySystem().addItem('candle', { isActive: true, durability: 1 });
+      engine.getInventorySystem().activeItems.add('candle');
+
+      step(1000);
+
+      const candle = gameState.getInventoryItem('candle');
+      expect(candle.isActive).toBe(false);
+      expect(engine.getInventorySystem().activeItems.has('candle')).toBe(false);
+      expect(gameState.lightLevel).toBe(0);
+    });
+
+    test('should frighten a player left in the dark', () => {
+      const triggerFearEvent = jest.spyOn(engine.getFearSystem(), 'triggerFearEvent');
+
+      step(16);
+      step(30000);
+
+      expect(triggerFearEvent).toHaveBeenCalledWith('darkness', expect.objectContaining({ source: 'no_light' }));
+    });
+
+    test('should light the room while a struck match burns', () => {
+      engine.getInventorySystem().addItem('matches');
+
+      engine.getInventorySystem().useItem('matches');
+      expect(gameState.lightSource).toBe('matches');
+
+      step(30000);
+      expect(gameState.lightLevel).toBe(0);
+    });
+
+    test('should save the light level with the night', () => {
+      engine.getInventorySystem().addItem('flashlight', { isActive: true });
+      step(16);
+
+      const save = engine.createSnapshot();
+      engine.reset();
+      engine.restoreSnapshot(save);
+
+      expect(engine.getGameState().lightLevel).toBe(1);
+      expect(save.systems.lighting.currentLightState).toBe('bright');
+    });
+  });
+});
@@ -0,0 +1,277 @@
+/**
+ * MonsterSystem Tests
+ * Unit tests for monster senses, AI states and engine integration
+ */
+
+import { MonsterSystem } from '../MonsterSystem.js';
+import { SeededRandom } from '../SeededRandom.js';
+import { GameState } from '../GameState.js';
+import { LightingSystem } from '../LightingSystem.js';
+import { GameEngine } from '../GameEngine.js';
+
+// Mock performance.now for consistent testing
+global.performance = {
+  now: jest.fn(() => Date.now())
+};
+
+// Mock requestAnimationFrame
+global.requestAnimationFrame = jest.fn(cb => setTimeout(cb, 16));
+
+describe('MonsterSystem', () => {
+  let gameState;
+  let monsterSystem;
+  let events;
+
+  beforeEach(() => {
+    gameState = new GameState();
+    gameState.startGame();
+    monsterSystem = new MonsterSystem(gameState, new SeededRandom(7), { wanderChance: 0 });
+    events = [];
+    monsterSystem.onMonsterEvent((type, data) => events.push({ type, data }));
+  });
+
+  const ghost = () => monsterSystem.monsters.find(monster => monster.type === 'ghost');
+
+  describe('Initialization', () => {
+    test('should start with wandering monsters', () => {
+      const monsters = monsterSystem.getMonsters();
+
+      expect(monsters).toHaveLength(2);
+      monsters.forEach(monster => expect(monster.state).toBe('wander'));
+    });
+
+    test('should return copies of monsters for rendering', () => {
+      monsterSystem.getMonsters()[0].x = 99;
+      expect(monsterSystem.monsters[0].x).not.toBe(99);
+    });
+  });
+
+  describe('Senses', () => {
+    test('should hunt the player after hearing a run', () => {
+      monsterSystem.makeNoise(50, 'run');
+
+      expect(ghost().state).toBe('hunt');
+      expect(events.some(event => event.type === 'state_change' && event.data.sense === 'run')).toBe(true);
+    });
+
+    test('should hear nearby footsteps but not distant ones', () => {
+      monsterSystem.setPlayerPosition(11, 8); // Next to the ghost, far from the shadow
+
+      expect(ghost().state).toBe('hunt');
+      expect(monsterSystem.monsters.find(monster => monster.type === 'shadow').state).toBe('wander');
+    });
+
+    test('should not hear a hiding player move', () => {
+      monsterSystem.setPlayerHiding(true);
+      monsterSystem.setPlayerPosition(11, 8);
+
+      expect(ghost().state).toBe('wander');
+    });
+
+    test('should raise the noise level when the player steps', () => {
+      monsterSystem.setPlayerPosition(6, 5);
+
+      expect(gameState.noiseLevel).toBe(monsterSystem.options.footstepNoise);
+    });
+
+    test('should keep hearing lingering noise until it decays', () => {
+      monsterSystem.player = { x: 9, y: 8, isHiding: false };
+      gameState.updateNoise(20);
+
+      monsterSystem.update(monsterSystem.options.tickInterval);
+      expect(ghost().state).toBe('hunt');
+    });
+
+    test('should spot an active flashlight', () => {
+      monsterSystem.player = { x: 9, y: 8, isHiding: false };
+      gameState.addToInventory({ id: 'flashlight', name: 'Flashlight', type: 'tool', isActive: true, durability: 100 });
+      new LightingSystem(gameState).update(0);
+
+      monsterSystem.update(monsterSystem.options.tickInterval);
+
+      expect(ghost().state).toBe('hunt');
+    });
+
+    test('should spot a lit candle', () => {
+      monsterSystem.player = { x: 9, y: 8, isHiding: false };
+      gameState.addToInventory({ id: 'candle', name: 'Candle', type: 'consumable', isActive: true, durability: 100 });
+      new LightingSystem(gameState).update(0);
+
+      expect(monsterSystem.isPlayerLit()).toBe(true);
+      monsterSystem.update(monsterSystem.options.tickInterval);
+
+      expect(ghost().state).toBe('hunt');
+    });
+
+    test('should not spot a player in the dark', () => {
+      monsterSystem.player = { x: 9, y: 8, isHiding: false };
+      new LightingSystem(gameState).update(0);
+
+      monsterSystem.update(monsterSystem.options.tickInterval);
+
+      expect(monsterSystem.isPlayerLit()).toBe(false);
+      expect(ghost().state).toBe('wander');
+    });
+  });
+
+  describe('AI states', () => {
+    test('should move towards the player while hunting', () => {
+      monsterSystem.player = { x: 8, y: 6, isHiding: false };
+      monsterSystem.makeNoise(100, 'run');
+      const before = monsterSystem.distanceTo(ghost(), monsterSystem.player);
+
+      monsterSystem.update(monsterSystem.options.tickInterval);
+
+      expect(monsterSystem.distanceTo(ghost(), monsterSystem.player)).toBe(before - 1);
+    });
+
+    test('should search the last known position when the player hides', () => {
+      monsterSystem.makeNoise(100, 'run');
+      monsterSystem.setPlayerHiding(true);
+
+      monsterSystem.update(monsterSystem.options.tickInterval);
+
+      expect(ghost().state).toBe('search');
+      expect(ghost().target).toEqual({ x: 5, y: 5 });
+    });
+
+    test('should give up searching and wander again', () => {
+      const monster = ghost();
+      monster.x = 5;
+      monster.y = 5;
+      monsterSystem.setMonsterState(monster, 'search');
+      monster.target = { x: 5, y: 5 };
+      monsterSystem.setPlayerHiding(true);
+
+      monsterSystem.update(monsterSystem.options.searchDuration + monsterSystem.options.tickInterval);
+
+      expect(ghost().state).toBe('wander');
+    });
+  });
+
+  describe('Contact', () => {
+    test('should catch the player and retreat', () => {
+      const monster = ghost();
+      monster.x = 5;
+      monster.y = 5;
+
+      monsterSystem.update(16);
+
+      expect(events.some(event => event.type === 'player_caught')).toBe(true);
+      expect(ghost().state).toBe('retreat');
+    });
+
+    test('should not catch a hiding player', () => {
+      const monster = ghost();
+      monster.x = 5;
+      monster.y = 5;
+      monsterSystem.setPlayerHiding(true);
+
+      monsterSystem.update(16);
+
+      expect(events.some(event => event.type === 'player_caught')).toBe(false);
+    });
+
+    test('should rate limit nearby warnings', () => {
+      const monster = ghost();
+      monster.x = 6;
+      monster.y = 5;
+
+      monsterSystem.update(16);
+      monsterSystem.update(16);
+
+      expect(events.filter(event => event.type === 'monster_nearby')).toHaveLength(1);
+    });
+
+    test('should stop retreating after a while', () => {
+      const monster = ghost();
+      monsterSystem.setMonsterState(monster, 'retreat');
+
+      monsterSystem.update(monsterSystem.options.retreatDuration + monsterSystem.options.tickInterval);
+
+      expect(ghost().state).toBe('wander');
+    });
+  });
+
+  describe('Determinism', () => {
+    test('should replay the same wandering path from the same seed', () => {
+      const run = () => {
+        const state = new GameState();
+        state.startGame();
+        const system = new MonsterSystem(state, new SeededRandom(99));
+        for (let i = 0; i < 20; i++) {
+          system.update(system.options.tickInterval);
+        }
+        return system.getMonsters().map(({ x, y }) => ({ x, y }));
+      };
+
+      expect(run()).toEqual(run());
+    });
+  });
+
+  describe('Engine integration', () => {
+    let gameEngine;
+
+    beforeEach(() => {
+      gameEngine = new GameEngine(null, null, null, { seed: 3 });
+      gameEngine.start();
+    });
+
+    afterEach(() => {
+      gameEngine.stop();
+    });
+
+    test('should damage the player when caught', () => {
+      const monsters = gameEngine.getMonsterSystem().monsters;
+      monsters[0].x = 5;
+      monsters[0].y = 5;
+
+      gameEngine.getMonsterSystem().update(16);
+
+      expect(gameEngine.getGameState().health).toBeLessThan(100);
+      expect(gameEngine.getGameState().eventsTriggered.some(event => event.eventId === 'monster_caught')).toBe(true);
+    });
+
+    test('should forward monster events to update callbacks', () => {
+      const callback = jest.fn();
+      callback.onMonsterEvent = jest.fn();
+      gameEngine.onUpdate(callback);
+
+      gameEngine.handleCommand('run');
+
+      expect(callback.onMonsterEvent).toHaveBeenCalledWith('state_change', expect.objectContaining({ state: 'hunt' }));
+    });
+
+    test('should make less noise when running quietly', () => {
+      gameEngine.handleCommand('run quietly');
+      const quietNoise = gameEngine.getGameState().noiseLevel;
+
+      gameEngine.getGameState().noiseLevel = 0;
+      gameEngine.handleCommand('run');
+
+      expect(quietNoise).toBeLessThan(gameEngine.getGameState().noiseLevel);
+    });
+
+    test('should make noise when speaking loudly', () => {
+      gameEngine.handleCommand('listen loudly');
+
+      expect(gameEngine.getGameState().noiseLevel).toBeGreaterThan(0);
+    });
+
+    test('should make noise when dropping an item', () => {
+      gameEngine.inventorySystem.addItem('key_basement');
+
+      expect(gameEngine.handleCommand('drop the basement key')).toBe(true);
+      expect(gameEngine.getGameState().getInventoryItem('key_basement')).toBeNull();
+      expect(gameEngine.getGameState().noiseLevel).toBe(gameEngine.actionNoise.drop);
+    });
+
+    test('should track hiding through commands', () => {
+      gameEngine.handleCommand('hide');
+      expect(gameEngine.getMonsterSystem().getPlayer().isHiding).toBe(true);
+
+      gameEngine.handleCommand('stop hiding');
+      expect(gameEngine.getMonsterSystem().getPlayer().isHiding).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * NightSchedule Tests
+ * Unit tests for the night schedule and the systems that share it
+ */
+
+import { NightSchedule, DEFAULT_NIGHT_SCHEDULE } from '../NightSchedule.js';
+import { GameState } from '../GameState.js';
+import { GameTimer } from '../GameTimer.js';
+import { GameEngine } from '../GameEngine.js';
+import EventSystem from '../EventSystem.js';
+
+// Mock performance.now for consistent testing
+global.performance = {
+  now: jest.fn(() => Date.now())
+};
+
+// Mock requestAnimationFrame
+global.requestAnimationFrame = jest.fn(cb => setTimeout(cb, 16));
+
+describe('NightSchedule', () => {
+  describe('Configuration', () => {
+    test('should default to 11 PM - 6 AM over 7 real minutes', () => {
+      const schedule = new NightSchedule();
+
+      expect(schedule.getConfig()).toEqual(DEFAULT_NIGHT_SCHEDULE);
+      expect(schedule.gameHours).toBe(7);
+      expect(schedule.realToGameRatio).toBe(60);
+      expect(schedule.nightfallTime).toBe('23:00');
+      expect(schedule.sunriseTime).toBe('06:00');
+    });
+
+    test('should support nights that start at other hours', () => {
+      const schedule = new NightSchedule({ startHour: 21, endHour: 5, realMinutes: 20 });
+
+      expect(schedule.gameHours).toBe(8);
+      expect(schedule.realToGameRatio).toBe(24);
+    });
+
+    test('should reject invalid schedules', () => {
+      expect(() => new NightSchedule({ startHour: 24 })).toThrow('"startHour" must be an hour from 0 to 23');
+      expect(() => new NightSchedule({ startHour: 6, endHour: 6 })).toThrow('different hours');
+      expect(() => new NightSchedule({ realMinutes: 0 })).toThrow('"realMinutes" must be greater than 0');
+    });
+  });
+
+  describe('Clock', () => {
+    const schedule = new NightSchedule({ startHour: 21, endHour: 5, realMinutes: 20 });
+
+    test('should convert real time to game time', () => {
+      expect(schedule.getGameTime(0).formattedTime).toBe('21:00');
+      expect(schedule.getGameTime(10 * 60 * 1000).formattedTime).toBe('01:00');
+      expect(schedule.getGameTime(20 * 60 * 1000).formattedTime).toBe('05:00');
+    });
+
+    test('should stop the clock at sunrise', () => {
+      expect(schedule.getGameTime(25 * 60 * 1000).formattedTime).toBe('05:00');
+      expect(schedule.getProgress(25 * 60 * 1000)).toBe(100);
+    });
+
+    test('should count minutes around the night', () => {
+      expect(schedule.getMinutesSinceNightfall('23:30')).toBe(150);
+      expect(schedule.getMinutesUntilSunrise('23:30')).toBe(330);
+      expect(schedule.isSunrise('05:00')).toBe(true);
+    });
+
+    test('should map times to and from the default night', () => {
+      expect(schedule.toReferenceTime('21:00')).toBe('23:00');
+      expect(schedule.toReferenceTime('05:00')).toBe('06:00');
+      expect(schedule.toReferenceTime('01:00')).toBe('02:30');
+      expect(schedule.fromReferenceTime('02:30')).toBe('01:00');
+      expect(new NightSchedule().toReferenceTime('02:17')).toBe('02:17');
+    });
+  });
+
+  describe('Shared by the game systems', () => {
+    let gameState;
+
+    beforeEach(() => {
+      gameState = new GameState();
+      gameState.setNightSchedule({ startHour: 21, endHour: 5, realMinutes: 20 });
+    });
+
+    test('should start the clock at nightfall', () => {
+      expect(gameState.currentTime).toBe('21:00');
+    });
+
+    test('should drive GameTimer', () => {
+      const timer = new GameTimer(gameState);
+      gameState.realTimeElapsed = 10 * 60 * 1000;
+      timer.isRunning = true;
+
+      expect(timer.GAME_START_HOUR).toBe(21);
+      expect(timer.calculateGameTime(gameState.realTimeElapsed).formattedTime).toBe('01:00');
+      expect(timer.getTimeUntilSunrise()).toEqual(expect.objectContaining({ hours: 4, minutes: 0, percentage: 50 }));
+    });
+
+    test('should drive GameState progress', () => {
+      gameState.startGame();
+      gameState.realTimeElapsed = 5 * 60 * 1000;
+
+      expect(gameState.getGameProgress()).toBe(25);
+    });
+
+    test('should stretch event time ranges over the night', () => {
+      const eventSystem = new EventSystem(gameState, null, null);
+
+      // The last hour of the default night is the last seventh of this one (from about 03:51)
+      expect(eventSystem.isTimeInRange('03:30', ['05:00', '06:00'])).toBe(false);
+      expect(eventSystem.isTimeInRange('04:30', ['05:00', '06:00'])).toBe(true);
+    });
+
+    test('should save the schedule with the game state', () => {
+      const restored = new GameState();
+      restored.deserialize(gameState.serialize());
+
+      expect(restored.getNightSchedule().startHour).toBe(21);
+    });
+  });
+
+  describe('Engine integration', () => {
+    test('should apply the nightSchedule option over the difficulty night length', () => {
+      const engine = new GameEngine(null, null, null, {
+        difficulty: 'nightmare',
+        nightSchedule: { startHour: 22, endHour: 4 }
+      });
+      const schedule = engine.getGameState().getNightSchedule();
+
+      expect(schedule.getConfig()).toEqual({ startHour: 22, endHour: 4, realMinutes: 10 });
+      expect(engine.gameTimer.timeBasedEvents.get('dawn_approaches').triggerTime).toBe('03:34');
+    });
+
+    test('should keep the schedule after a reset', () => {
+      const engine = new GameEngine(null, null, null, { nightSchedule: { realMinutes: 20 } });
+
+      engine.reset();
+
+      expect(engine.getGameState().getNightSchedule().realMinutes).toBe(20);
+    });
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * NightSimulator Tests
+ * Plays short nights headlessly and checks the bots and the balance report
+ */
+
+import { NightSimulator, RandomBotPolicy, ScriptedBotPolicy, createBotPolicy, formatReportCSV } from '../NightSimulator.js';
+import { NightSchedule } from '../NightSchedule.js';
+import { SeededRandom } from '../SeededRandom.js';
+
+// A night that lasts 30 real seconds keeps each run quick
+const SHORT_NIGHT = { realMinutes: 0.5 };
+
+describe('NightSimulator', () => {
+  const simulate = (options = {}) => new NightSimulator({ nights: 4, seed: 'balance', nightSchedule: SHORT_NIGHT, ...options });
+
+  describe('Running nights', () => {
+    test('should play each night until it ends', () => {
+      const result = simulate().runNight(1);
+
+      expect(result).toEqual(expect.objectContaining({
+        night: 1,
+        seed: SeededRandom.normalizeSeed('balance:1'),
+        ending: expect.objectContaining({ id: expect.any(String), type: expect.stringMatching(/victory|death/) })
+      }));
+      expect(result.survived).toBe(result.ending.type === 'victory');
+      expect(result.causeOfDeath === null).toBe(result.survived);
+      expect(result.fearCurve[0]).toEqual({ minutes: 0, fearLevel: 0, health: 100 });
+    });
+
+    test('should give the same results for the same seed', () => {
+      const first = simulate().run();
+      const second = simulate().run();
+
+      expect(second).toEqual(first);
+    });
+
+    test('should leave the real clock alone', () => {
+      const before = Date.now;
+      simulate({ nights: 1 }).run();
+
+      expect(Date.now).toBe(before);
+    });
+  });
+
+  describe('Report', () => {
+    test('should sum up survival and the ending distribution', () => {
+      const onNight = jest.fn();
+      const report = simulate().run(onNight);
+
+      expect(onNight).toHaveBeenCalledTimes(4);
+      expect(report.results).toHaveLength(4);
+      expect(report.survived).toBe(report.results.filter(result => result.survived).length);
+      expect(report.survivalRate).toBe(report.survived / 4);
+
+      const endings = Object.values(report.endings);
+      expect(endings.reduce((sum, ending) => sum + ending.count, 0)).toBe(4);
+      endings.forEach(ending => expect(ending.rate).toBe(ending.count / 4));
+      expect(Object.values(report.causesOfDeath).reduce((sum, count) => sum + count, 0)).toBe(4 - report.survived);
+    });
+
+    test('should average the fear curve over the nights still going', () => {
+      const report = simulate({ curveInterval: 10 }).run();
+      const [start, ...rest] = report.fearCurve;
+      const schedule = new NightSchedule(SHORT_NIGHT);
+
+      expect(start).toEqual({ minutes: 0, gameTime: '23:00', averageFear: 0, averageHealth: 100, nights: 4 });
+      rest.forEach((point, index) => {
+        expect(point.minutes).toBe((index + 1) * 10);
+        expect(point.gameTime).toBe(schedule.getGameTime(point.minutes / schedule.realToGameRatio * 60000).formattedTime);
+        expect(point.nights).toBe(report.results.filter(result => result.fearCurve.length > index + 1).length);
+      });
+    });
+
+    test('should format the report as CSV', () => {
+      const report = simulate({ nights: 2 }).run();
+      const [summary, endings, curve] = formatReportCSV(report).trim().split('\n\n').map(section => section.split('\n'));
+
+      expect(summary.slice(0, 6)).toEqual([
+        'metric,value', 'nights,2', 'difficulty,normal', 'policy,random', 'seed,balance', `survived,${report.survived}`
+      ]);
+      expect(endings[0]).toBe('ending,title,type,count,rate');
+      expect(endings).toHaveLength(Object.keys(report.endings).length + 1);
+      expect(curve[0]).toBe('minutes,game_time,average_fear,average_health,nights');
+      expect(curve[1]).toBe('0,23:00,0,100,2');
+    });
+  });
+
+  describe('Bot policies', () => {
+    const event = { id: 'footsteps', responses: [{ command: 'run' }, { command: 'hide' }] };
+    const rng = new SeededRandom(3);
+
+    test('should follow a script by game time and answer events as told', () => {
+      const policy = new ScriptedBotPolicy({
+        schedule: [{ at: '00:30', command: 'search' }, { at: '23:15', command: 'hide' }],
+        responses: { footsteps: 'run' }
+      });
+      policy.reset(new NightSchedule());
+
+      expect(policy.decide({ activeEvents: [], minutesSinceNightfall: 10 })).toBeNull();
+      expect(policy.decide({ activeEvents: [], minutesSinceNightfall: 20 })).toBe('hide');
+      expect(policy.decide({ activeEvents: [event], minutesSinceNightfall: 95 })).toBe('run');
+      expect(policy.decide({ activeEvents: [], minutesSinceNightfall: 95 })).toBe('search');
+      expect(policy.decide({ activeEvents: [], minutesSinceNightfall: 120 })).toBeNull();
+    });
+
+    test('should fall back to preferred responses for events the script leaves out', () => {
+      const policy = new ScriptedBotPolicy({ responses: { footsteps: 'scream' } });
+
+      expect(policy.chooseResponse(event)).toBe('hide');
+      expect(policy.chooseResponse({ id: 'other', responses: [{ command: 'pray' }] })).toBe('pray');
+    });
+
+    test('should answer events with one of their responses at random', () => {
+      const policy = new RandomBotPolicy({ responseChance: 1, actionChance: 0 });
+
+      expect(['run', 'hide']).toContain(policy.decide({ activeEvents: [event], rng }));
+      expect(policy.decide({ activeEvents: [], rng })).toBeNull();
+    });
+
+    test('should run scripted nights in the simulator', () => {
+      const policy = createBotPolicy('scripted', { name: 'hider', schedule: [{ at: '23:05', command: 'hide' }] });
+      const report = simulate({ nights: 1, policy }).run();
+
+      expect(report.policy).toBe('hider');
+      expect(report.results[0].commands).toBeGreaterThanOrEqual(1);
+    });
+
+    test('should reject unknown policies', () => {
+      expect(() => createBotPolicy('genius')).toThrow('Unknown bot policy: genius');
+    });
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * PluginManager Tests
+ * Registers small plugins on a real engine and checks ordering, saves and error isolation
+ */
+
+import { GameEngine } from '../GameEngine.js';
+import { ManualClock } from '../GameClock.js';
+
+describe('PluginManager', () => {
+  let engine;
+  let plugins;
+
+  beforeEach(() => {
+    engine = new GameEngine(null, null, null, { seed: 5, manualUpdates: true, sanity: false, weather: false, clock: new ManualClock(1700000000000) });
+    plugins = engine.getPluginManager();
+  });
+
+  afterEach(() => {
+    engine.destroy();
+  });
+
+  // A plugin that writes each hook it runs into a shared log
+  const loggingPlugin = (name, log, extra = {}) => ({
+    name,
+    init: () => log.push(`${name}:init`),
+    update: () => log.push(`${name}:update`),
+    reset: () => log.push(`${name}:reset`),
+    destroy: () => log.push(`${name}:destroy`),
+    ...extra
+  });
+
+  describe('Registering', () => {
+    test('should init plugins and update them with the engine', () => {
+      const log = [];
+      expect(engine.registerPlugin(loggingPlugin('weather', log))).toBe(true);
+
+      engine.start();
+      engine.tick(16);
+      engine.reset();
+
+      expect(log).toEqual(['weather:init', 'weather:update', 'weather:reset']);
+      expect(engine.getPlugin('weather').name).toBe('weather');
+    });
+
+    test('should register plugins passed to the constructor', () => {
+      const log = [];
+      const withPlugins = new GameEngine(null, null, null, { manualUpdates: true, plugins: [loggingPlugin('weather', log)] });
+
+      expect(withPlugins.getPluginManager().isEnabled('weather')).toBe(true);
+      expect(log).toEqual(['weather:init']);
+      withPlugins.destroy();
+    });
+
+    test('should reject malformed plugins, taken names and taken commands', () => {
+      expect(() => engine.registerPlugin({})).toThrow('Plugins need a name');
+      expect(() => engine.registerPlugin({ name: 'bad', update: 'fast' })).toThrow('Plugin bad: update must be a function');
+
+      engine.registerPlugin({ name: 'weather' });
+      expect(() => engine.registerPlugin({ name: 'weather' })).toThrow('Plugin already registered: weather');
+      expect(() => engine.registerPlugin({ name: 'radio', commands: { hide: () => true } }))
+        .toThrow('Plugin radio: command "hide" is already handled');
+    });
+
+    test('should define the event types a plugin emits', () => {
+      const listener = jest.fn();
+      engine.registerPlugin({ name: 'weather', events: ['weather:changed'] });
+
+      engine.on('weather:*', listener);
+      engine.getEventBus().emit('weather:changed', { weather: 'storm' });
+
+      expect(listener).toHaveBeenCalledWith({ weather: 'storm' }, 'weather:changed');
+    });
+
+    test('should handle plugin commands and drop them when removed', () => {
+      const pray = jest.fn(() => true);
+      engine.registerPlugin({ name: 'faith', commands: { pray } });
+      engine.start();
+
+      expect(engine.handleCommand('pray quietly')).toBe(true);
+      expect(pray).toHaveBeenCalledWith('pray quietly', engine.getGameState(), engine);
+
+      engine.unregisterPlugin('faith');
+      expect(engine.handleCommand('pray')).toBe(false);
+    });
+  });
+
+  describe('Ordering', () => {
+    test('should update dependencies and `after` plugins first', () => {
+      const log = [];
+      engine.registerPlugin(loggingPlugin('sanity', log, { after: ['weather'] }));
+      engine.registerPlugin(loggingPlugin('weather', log));
+      engine.registerPlugin(loggingPlugin('lightning', log, { dependencies: ['weather'] }));
+
+      expect(plugins.order).toEqual(['weather', 'sanity', 'lightning']);
+    });
+
+    test('should sort plugins registered together by their dependencies', () => {
+      const log = [];
+      plugins.registerAll([
+        loggingPlugin('lightning', log, { dependencies: ['weather'] }),
+        loggingPlugin('weather', log)
+      ]);
+
+      expect(log).toEqual(['weather:init', 'lightning:init']);
+    });
+
+    test('should refuse missing dependencies and cycles', () => {
+      expect(() => engine.registerPlugin({ name: 'lightning', dependencies: ['weather'] }))
+        .toThrow('Plugin lightning depends on unregistered plugins: weather');
+      expect(() => plugins.registerAll([
+        { name: 'a', dependencies: ['b'] },
+        { name: 'b', dependencies: ['a'] }
+      ])).toThrow('Plugin dependency cycle: a -> b -> a');
+
+      engine.registerPlugin({ name: 'weather', after: ['sanity'] });
+      expect(() => engine.registerPlugin({ name: 'sanity', after: ['weather'] })).toThrow('Plugin dependency cycle');
+      expect(engine.getPlugin('sanity')).toBeNull();
+    });
+
+    test('should not remove a plugin others depend on', () => {
+      engine.registerPlugin({ name: 'weather' });
+      engine.registerPlugin({ name: 'lightning', dependencies: ['weather'] });
+
+      expect(() => engine.unregisterPlugin('weather')).toThrow('Cannot remove plugin weather: needed by lightning');
+    });
+  });
+
+  describe('Saves', () => {
+    test('should save and restore plugin state with the engine snapshot', () => {
+      const weather = { name: 'weather', state: 'clear', serialize() { return { state: this.state }; }, deserialize(data) { this.state = data.state; } };
+      engine.registerPlugin(weather);
+      weather.state = 'storm';
+
+      const save = engine.createSnapshot();
+      weather.state = 'clear';
+      engine.restoreSnapshot(save);
+
+      expect(save.plugins).toEqual({ weather: { state: 'storm' } });
+      expect(weather.state).toBe('storm');
+    });
+  });
+
+  describe('Error isolation', () => {
+    test('should keep the engine running when a plugin update throws, then disable the plugin', () => {
+      const log = [];
+      const disabled = jest.fn();
+      engine.on('plugin:disabled', disabled);
+      engine.registerPlugin({ name: 'broken', update: () => { throw new Error('boom'); } });
+      engine.registerPlugin(loggingPlugin('weather', log, { init: undefined }));
+      engine.start();
+
+      for (let frame = 0; frame < 5; frame++) {
+        engine.tick(16);
+      }
+
+      expect(log).toEqual(Array(5).fill('weather:update'));
+      expect(plugins.getStatus()).toEqual([
+        { name: 'broken', enabled: false, errors: 3 },
+        { name: 'weather', enabled: true, errors: 0 }
+      ]);
+      expect(disabled).toHaveBeenCalledWith({ name: 'broken', reason: '3 errors' }, 'plugin:disabled');
+      expect(engine.isRunning).toBe(true);
+    });
+
+    test('should disable a plugin whose init throws, along with its dependents', () => {
+      engine.registerPlugin({ name: 'weather', init: () => { throw new Error('no sky'); } });
+
+      expect(plugins.isEnabled('weather')).toBe(false);
+      expect(engine.registerPlugin({ name: 'lightning', dependencies: ['weather'] })).toBe(false);
+      expect(plugins.isEnabled('lightning')).toBe(false);
+    });
+
+    test('should treat a throwing command as unhandled', () => {
+      engine.registerPlugin({ name: 'faith', commands: { pray: () => { throw new Error('unheard'); } } });
+      engine.start();
+
+      expect(engine.handleCommand('pray')).toBe(false);
+      expect(console.error).toHaveBeenCalledWith('Error in plugin faith command "pray":', expect.any(Error));
+    });
+
+    test('should destroy plugins with the engine, dependents first', () => {
+      const log = [];
+      engine.registerPlugin(loggingPlugin('weather', log));
+      engine.registerPlugin(loggingPlugin('lightning', log, { dependencies: ['weather'] }));
+
+      engine.destroy();
+
+      expect(log.slice(-2)).toEqual(['lightning:destroy', 'weather:destroy']);
+      expect(plugins.getStatus()).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,218 @@
+/**
+ * SanitySystem Tests
+ * Runs the system on a real engine with a manual clock so erosion, recovery and the tricks
+ * low sanity plays can be stepped through
+ */
+
+import { GameEngine } from '../GameEngine.js';
+import { ManualClock } from '../GameClock.js';
+import { HALLUCINATIONS, IMAGINED_ITEMS } from '../SanitySystem.js';
+
+describe('SanitySystem', () => {
+  let clock;
+  let engine;
+  let narrator;
+  let sanity;
+  let gameState;
+
+  // Advance the clock and run one frame
+  const step = (ms) => {
+    clock.advance(ms);
+    engine.tick(ms);
+  };
+
+  beforeEach(() => {
+    clock = new ManualClock(1700000000000);
+    narrator = { speak: jest.fn(), setUnreliability: jest.fn() };
+    engine = new GameEngine(null, null, narrator, { seed: 11, manualUpdates: true, clock });
+    sanity = engine.getSanitySystem();
+    gameState = engine.getGameState();
+    engine.start();
+  });
+
+  afterEach(() => {
+    engine.destroy();
+  });
+
+  describe('Erosion', () => {
+    test('should lose sanity to supernatural fear but not to ordinary scares', () => {
+      const changes = [];
+      engine.on('sanity:changed', payload => changes.push(payload));
+
+      engine.getFearSystem().triggerFearEvent('footsteps', { source: 'test' });
+      expect(gameState.sanity).toBe(100);
+
+      engine.getFearSystem().triggerFearEvent('supernatural', { intensity: 1.5, source: 'test' });
+      expect(gameState.sanity).toBe(91);
+      expect(changes[0]).toEqual({
+        changeType: 'erosion',
+        data: { amount: 9, source: 'fear:supernatural' },
+        sanity: 91,
+        sanityState: 'lucid'
+      });
+    });
+
+    test('should lose sanity to supernatural harm', () => {
+      engine.getHealthSystem().applyDamage('supernatural', { source: 'test' });
+
+      expect(gameState.sanity).toBe(95);
+    });
+
+    test('should announce a change of state', () => {
+      const states = [];
+      engine.on('sanity:changed', ({ changeType, data }) => {
+        if (changeType === 'state') states.push(data);
+      });
+
+      sanity.erode(35, 'test');
+
+      expect(states).toEqual([{ previousState: 'lucid', state: 'shaken' }]);
+      expect(sanity.getStatus().state).toBe('shaken');
+    });
+
+    test('should end the night when sanity runs out', () => {
+      sanity.erode(100, 'test');
+
+      expect(gameState.isAlive).toBe(false);
+      expect(engine.getEndingSystem().getDeathCause()).toBe('sanity');
+      expect(engine.getEndingSystem().evaluateEnding().id).toBe('madness_death');
+    });
+  });
+
+  describe('Recovery', () => {
+    test('should not recover in the dark', () => {
+      gameState.sanity = 60;
+      step(10000);
+
+      expect(gameState.sanity).toBe(60);
+    });
+
+    test('should recover slowly with a light on, but not an imagined one', () => {
+      gameState.sanity = 60;
+      engine.getInventorySystem().addItem('candle', { fake: true, isActive: true });
+      step(10000);
+      expect(gameState.sanity).toBe(60);
+
+      engine.getInventorySystem().addItem('candle', { isActive: true });
+      step(10000);
+      expect(gameState.sanity).toBeCloseTo(61.5);
+    });
+
+    test('should recover faster while resting, until something happens', () => {
+      const rests = [];
+      engine.on('sanity:rest', payload => rests.push(payload));
+      gameState.sanity = 60;
+
+      expect(engine.handleCommand('rest')).toBe(true);
+      step(5000);
+      expect(gameState.sanity).toBeCloseTo(64);
+
+      engine.handleCommand('listen');
+      step(5000);
+
+      expect(gameState.sanity).toBeCloseTo(64);
+      expect(rests).toEqual([
+        { resting: true, reason: 'command' },
+        { resting: false, reason: 'command' }
+      ]);
+    });
+
+    test('should refuse to rest while terrified', () => {
+      gameState.fearLevel = 80;
+
+      engine.handleCommand('rest');
+
+      expect(sanity.isResting()).toBe(false);
+      expect(narrator.speak).toHaveBeenCalledWith(expect.stringContaining('too hard to rest'));
+    });
+  });
+
+  describe('Low sanity', () => {
+    test('should make the narrator unreliable below the threshold', () => {
+      gameState.sanity = 20;
+      step(16);
+
+      expect(narrator.setUnreliability).toHaveBeenLastCalledWith(0.35);
+
+      gameState.sanity = 90;
+      step(16);
+      expect(narrator.setUnreliability).toHaveBeenLastCalledWith(0);
+    });
+
+    test('should hallucinate events that are not in any event pack', () => {
+      const hallucinations = [];
+      engine.on('sanity:hallucination', ({ event }) => hallucinations.push(event));
+      gameState.sanity = 1;
+
+      for (let second = 0; second < 120 && hallucinations.length === 0; second++) {
+        step(1000);
+      }
+
+      expect(hallucinations).toHaveLength(1);
+      expect(HALLUCINATIONS.map(h => h.id)).toContain(hallucinations[0].id);
+      expect(hallucinations[0].hallucination).toBe(true);
+      expect(engine.getEventSystem().findEventById(hallucinations[0].id)).toBeNull();
+    });
+
+    test('should never hallucinate while lucid', () => {
+      const hallucination = jest.fn();
+      engine.on('sanity:hallucination', hallucination);
+
+      for (let second = 0; second < 120; second++) {
+        step(1000);
+      }
+
+      expect(hallucination).not.toHaveBeenCalled();
+    });
+
+    test('should imagine an item, and forget it once the mind clears', () => {
+      const imagined = [];
+      engine.on('sanity:imagined_item', ({ item }) => imagined.push(item));
+      gameState.sanity = 5;
+
+      for (let second = 0; second < 300 && imagined.length === 0; second++) {
+        step(1000);
+      }
+
+      expect(imagined).toHaveLength(1);
+      expect(IMAGINED_ITEMS).toContain(imagined[0].id);
+      expect(gameState.getInventoryItem(imagined[0].id).fake).toBe(true);
+
+      gameState.sanity = 80;
+      step(16);
+      expect(gameState.getInventoryItem(imagined[0].id)).toBeNull();
+    });
+  });
+
+  describe('Saves and new nights', () => {
+    test('should carry a rest in progress through a save', () => {
+      engine.handleCommand('rest');
+      step(5000);
+
+      const save = engine.createSnapshot();
+      sanity.stopRest('command');
+      engine.restoreSnapshot(save);
+
+      expect(save.plugins.sanity.restRemaining).toBe(15000);
+      expect(sanity.isResting()).toBe(true);
+    });
+
+    test('should start a new night lucid with an honest narrator', () => {
+      sanity.erode(80, 'test');
+      step(16);
+
+      engine.reset();
+
+      expect(engine.getGameState().sanity).toBe(100);
+      expect(sanity.getStatus()).toEqual({ sanity: 100, state: 'lucid', resting: false, unreliability: 0 });
+      expect(narrator.setUnreliability).toHaveBeenLastCalledWith(0);
+    });
+
+    test('should be left out when the engine is built without it', () => {
+      const plain = new GameEngine(null, null, null, { manualUpdates: true, sanity: false });
+
+      expect(plain.getSanitySystem()).toBeNull();
+      plain.destroy();
+    });
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * SeededRandom Tests
+ */
+
+import { SeededRandom } from '../SeededRandom.js';
+import { GameEngine } from '../GameEngine.js';
+import EventSystem from '../EventSystem.js';
+
+describe('SeededRandom', () => {
+  test('should produce the same sequence for the same seed', () => {
+    const a = new SeededRandom(1234);
+    const b = new SeededRandom(1234);
+
+    const sequenceA = Array.from({ length: 20 }, () => a.next());
+    const sequenceB = Array.from({ length: 20 }, () => b.next());
+
+    expect(sequenceA).toEqual(sequenceB);
+  });
+
+  test('should produce different sequences for different seeds', () => {
+    const a = new SeededRandom(1);
+    const b = new SeededRandom(2);
+
+    expect(a.next()).not.toBe(b.next());
+  });
+
+  test('should return floats in [0, 1)', () => {
+    const rng = new SeededRandom(99);
+    for (let i = 0; i < 1000; i++) {
+      const value = rng.next();
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    }
+  });
+
+  test('should restart the sequence when reseeded', () => {
+    const rng = new SeededRandom(42);
+    const first = rng.next();
+    rng.next();
+
+    rng.setSeed(42);
+    expect(rng.next()).toBe(first);
+  });
+
+  test('should accept string seeds', () => {
+    const a = new SeededRandom('night-42');
+    const b = new SeededRandom('night-42');
+
+    expect(a.getSeed()).toBe(b.getSeed());
+    expect(a.next()).toBe(b.next());
+  });
+
+  test('should keep int() within inclusive bounds', () => {
+    const rng = new SeededRandom(7);
+    for (let i = 0; i < 200; i++) {
+      const value = rng.int(1, 3);
+      expect(value).toBeGreaterThanOrEqual(1);
+      expect(value).toBeLessThanOrEqual(3);
+    }
+  });
+
+  test('should pick from arrays and handle empty arrays', () => {
+    const rng = new SeededRandom(7);
+    expect(['a', 'b', 'c']).toContain(rng.pick(['a', 'b', 'c']));
+    expect(rng.pick([])).toBeUndefined();
+  });
+});
+
+describe('Seeded engine runs', () => {
+  test('should store the engine seed in serialized game state', () => {
+    const engine = new GameEngine(null, null, null, { seed: 2024 });
+
+    expect(engine.getGameState().serialize().seed).toBe(2024);
+    expect(engine.getRng().getSeed()).toBe(2024);
+  });
+
+  test('should share one RNG across systems', () => {
+    const engine = new GameEngine(null, null, null, { seed: 5 });
+
+    expect(engine.eventSystem.rng).toBe(engine.rng);
+    expect(engine.inventorySystem.rng).toBe(engine.rng);
+    expect(engine.monsterSystem.rng).toBe(engine.rng);
+  });
+
+  test('should replay the same event selection for the same seed', () => {
+    const gameState = {
+      currentTime: '02:30',
+      fearLevel: 50,
+      health: 100,
+      inventory: [],
+      updateFear: jest.fn(),
+      updateHealth: jest.fn(),
+      addToInventory: jest.fn()
+    };
+
+    const runNight = (seed) => {
+      const eventSystem = new EventSystem(gameState, null, null, new SeededRandom(seed));
+      const selected = [];
+      for (let i = 0; i < 10; i++) {
+        eventSystem.lastEventTime = null;
+        eventSystem.eventHistory = [];
+        const event = eventSystem.generateRandomEvent();
+        selected.push(event ? event.id : null);
+      }
+      return selected;
+    };
+
+    expect(runNight(31337)).toEqual(runNight(31337));
+  });
+
+  test('should give the same starting inventory for the same seed', () => {
+    const inventoryFor = (seed) => {
+      const engine = new GameEngine(null, null, null, { seed });
+      engine.inventorySystem.initializeStartingInventory();
+      return engine.getGameState().inventory.map(item => item.id);
+    };
+
+    expect(inventoryFor(77)).toEqual(inventoryFor(77));
+  });
+
+  test('should reseed with the fixed seed on reset', () => {
+    const engine = new GameEngine(null, null, null, { seed: 11 });
+    const first = engine.getRng().next();
+
+    engine.reset();
+
+    expect(engine.getGameState().seed).toBe(11);
+    expect(engine.getRng().next()).toBe(first);
+  });
+});
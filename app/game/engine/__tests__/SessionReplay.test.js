@@ -0,0 +1,213 @@
+/**
+ * SessionReplay Tests
+ * Records nights on a hand-driven engine and checks the replays reproduce them
+ */
+
+import { GameEngine } from '../GameEngine.js';
+import { SessionRecorder, SessionPlayer, parseSession, SESSION_FORMAT, SESSION_VERSION } from '../SessionReplay.js';
+
+const FRAME = 50;
+const COMMANDS = {
+  40: 'use flashlight',
+  400: 'hide',
+  900: 'run',
+  1500: 'listen',
+  2600: 'run'
+};
+
+describe('SessionReplay', () => {
+  let now;
+
+  beforeEach(() => {
+    now = 5000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // Drive an engine by hand for a number of frames, issuing COMMANDS on their frames
+  const playFrames = (engine, from, to) => {
+    for (let frame = from; frame < to; frame++) {
+      if (COMMANDS[frame]) engine.handleCommand(COMMANDS[frame]);
+      now += FRAME;
+      engine.tick(FRAME);
+    }
+  };
+
+  const recordNight = (frames = 3600) => {
+    const engine = new GameEngine(null, null, null, { seed: 'replay-test', manualUpdates: true, recordAchievements: false });
+    const recorder = new SessionRecorder(engine);
+    recorder.start();
+    engine.start();
+    playFrames(engine, 0, frames);
+    return { engine, session: recorder.stop() };
+  };
+
+  const playerState = (engine) => {
+    const { currentTime, fearLevel, health, inventory, commandsIssued, eventsTriggered, isAlive } = engine.getGameState();
+    return { currentTime, fearLevel, health, inventory, commandsIssued, eventsTriggered, isAlive };
+  };
+
+  describe('Recording', () => {
+    test('should record the seed, every frame and every command', () => {
+      const { engine, session } = recordNight(1000);
+
+      expect(session).toEqual(expect.objectContaining({
+        format: SESSION_FORMAT,
+        version: SESSION_VERSION,
+        seed: engine.getRng().getSeed(),
+        startedAt: 5000000,
+        snapshot: null
+      }));
+      expect(session.frames).toHaveLength(1000);
+      expect(session.frames[0]).toEqual([FRAME, FRAME]);
+      expect(session.commands.map(entry => entry.command)).toEqual(['use flashlight', 'hide', 'run']);
+      expect(session.commands[1]).toEqual({ frame: 400, at: 400 * FRAME, command: 'hide' });
+    });
+
+    test('should record the events the event system processed', () => {
+      const { engine, session } = recordNight();
+
+      expect(session.events.length).toBeGreaterThan(0);
+      expect(session.events.map(event => event.id))
+        .toEqual(engine.getEventSystem().getEventHistory().map(event => event.id));
+      expect(session.events[0]).toEqual(expect.objectContaining({
+        frame: expect.any(Number),
+        gameTime: expect.any(String),
+        fearLevel: expect.any(Number)
+      }));
+    });
+
+    test('should stop recording at the frame limit', () => {
+      const engine = new GameEngine(null, null, null, { manualUpdates: true });
+      const recorder = new SessionRecorder(engine, { maxFrames: 10 });
+      recorder.start();
+      engine.start();
+      playFrames(engine, 0, 20);
+
+      expect(recorder.isRecording).toBe(false);
+      expect(recorder.getSession().frames).toHaveLength(10);
+      engine.stop();
+    });
+  });
+
+  describe('Replaying', () => {
+    test('should reproduce the recorded night exactly', () => {
+      const { engine, session } = recordNight();
+
+      const player = new SessionPlayer(parseSession(JSON.stringify(session)));
+      const result = player.runToEnd();
+
+      expect(result.finished).toBe(true);
+      expect(result.divergence).toBeNull();
+      expect(result.events.map(event => event.id)).toEqual(session.events.map(event => event.id));
+      expect(playerState(player.engine)).toEqual(playerState(engine));
+      expect(player.engine.getRng().snapshot()).toEqual(engine.getRng().snapshot());
+    });
+
+    test('should build a fear and health timeline', () => {
+      const { engine, session } = recordNight();
+
+      const { timeline } = new SessionPlayer(session, { sampleInterval: 10000 }).runToEnd();
+
+      expect(timeline[0]).toEqual(expect.objectContaining({ at: 0, gameTime: '23:00' }));
+      expect(timeline.length).toBeGreaterThan(session.frames.length * FRAME / 10000);
+      timeline.slice(1).forEach((sample, index) => {
+        expect(sample.at - timeline[index].at).toBeGreaterThanOrEqual(index === timeline.length - 2 ? 0 : 10000);
+      });
+      expect(timeline[timeline.length - 1]).toEqual(expect.objectContaining({
+        fearLevel: engine.getGameState().fearLevel,
+        health: engine.getGameState().health
+      }));
+    });
+
+    test('should replay a night recorded part-way through', () => {
+      const engine = new GameEngine(null, null, null, { seed: 11, difficulty: 'nightmare', manualUpdates: true, recordAchievements: false });
+      engine.start();
+      playFrames(engine, 0, 1200);
+
+      const recorder = new SessionRecorder(engine);
+      recorder.start();
+      playFrames(engine, 1200, 3000);
+      const session = recorder.stop();
+
+      const player = new SessionPlayer(session);
+      const result = player.runToEnd();
+
+      expect(session.snapshot).not.toBeNull();
+      expect(result.divergence).toBeNull();
+      expect(player.engine.getDifficulty().id).toBe('nightmare');
+      expect(playerState(player.engine)).toEqual(playerState(engine));
+    });
+
+    test('should report where a replay stops matching the recording', () => {
+      const { session } = recordNight();
+      const [first] = session.events;
+      session.events[0] = { ...first, id: 'something_else' };
+
+      const { divergence } = new SessionPlayer(session).runToEnd();
+
+      expect(divergence).toEqual(expect.objectContaining({
+        frame: first.frame,
+        expected: expect.objectContaining({ id: 'something_else' }),
+        actual: expect.objectContaining({ id: first.id })
+      }));
+    });
+
+    test('should report recorded events that never happened', () => {
+      const { session } = recordNight();
+      session.events.push({ frame: session.frames.length, at: 0, id: 'phantom' });
+
+      const { divergence } = new SessionPlayer(session).runToEnd();
+
+      expect(divergence).toEqual(expect.objectContaining({ expected: expect.objectContaining({ id: 'phantom' }), actual: null }));
+    });
+
+    test('should play back against the real clock at the chosen speed', async () => {
+      const { session } = recordNight(1000);
+      const frames = [];
+      jest.spyOn(performance, 'now').mockReturnValue(0);
+      jest.spyOn(global, 'requestAnimationFrame').mockImplementation(callback => frames.push(callback));
+      const player = new SessionPlayer(session);
+      const onProgress = jest.fn();
+      player.onProgress(onProgress);
+
+      const playback = player.play({ speed: 4 });
+      frames.shift()(2500);
+
+      expect(player.currentTime).toBe(10000);
+      expect(onProgress).toHaveBeenCalledWith(expect.objectContaining({ currentTime: 10000, finished: false }));
+
+      frames.shift()(20000);
+      const result = await playback;
+      expect(result.finished).toBe(true);
+      expect(player.isPlaying).toBe(false);
+    });
+
+    test('should not start without a recorded night', () => {
+      const recorder = new SessionRecorder(new GameEngine());
+      recorder.start();
+
+      expect(() => new SessionPlayer(recorder.stop()).load()).toThrow('Replay has no recorded night to play');
+    });
+  });
+
+  describe('Replay files', () => {
+    test('should reject files that are not replays', () => {
+      expect(() => parseSession('{')).toThrow('Replay file is not valid JSON');
+      expect(() => parseSession('{"format":"something-else"}')).toThrow('Not a Survive Until Sunrise replay file');
+      expect(() => parseSession(JSON.stringify({ format: SESSION_FORMAT, version: SESSION_VERSION + 1 })))
+        .toThrow(`Unsupported replay version: ${SESSION_VERSION + 1}`);
+    });
+
+    test('should name files after the recording date and seed', () => {
+      const engine = new GameEngine(null, null, null, { seed: 77 });
+      const recorder = new SessionRecorder(engine);
+      recorder.start();
+
+      expect(recorder.getFileName()).toBe(`survive-until-sunrise-replay-${new Date(now).toISOString().slice(0, 10)}-77.json`);
+    });
+  });
+});
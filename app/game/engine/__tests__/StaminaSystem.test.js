@@ -0,0 +1,184 @@
+/**
+ * StaminaSystem Tests
+ * Covers the system on its own, then the run, sprint, hide and wait commands that drive it
+ */
+
+import { StaminaSystem } from '../StaminaSystem.js';
+import { GameState } from '../GameState.js';
+import { EventBus } from '../EventBus.js';
+import { GameEngine } from '../GameEngine.js';
+import { ManualClock } from '../GameClock.js';
+
+describe('StaminaSystem', () => {
+  describe('On its own', () => {
+    let clock;
+    let gameState;
+    let events;
+    let staminaSystem;
+
+    beforeEach(() => {
+      clock = new ManualClock(1700000000000);
+      gameState = new GameState(clock);
+      events = new EventBus();
+      staminaSystem = new StaminaSystem(gameState, clock, events);
+    });
+
+    test('should spend stamina on actions and refuse them when too tired', () => {
+      expect(staminaSystem.spend('sprint')).toBe(true);
+      expect(staminaSystem.spend('sprint')).toBe(true);
+      expect(gameState.stamina).toBe(20);
+
+      expect(staminaSystem.canAfford('run')).toBe(false);
+      expect(staminaSystem.spend('run')).toBe(false);
+      expect(gameState.stamina).toBe(20);
+    });
+
+    test('should recover stamina and never go past the maximum', () => {
+      staminaSystem.spend('run');
+      staminaSystem.recover();
+      expect(gameState.stamina).toBe(95);
+
+      staminaSystem.recover();
+      expect(gameState.stamina).toBe(100);
+    });
+
+    test('should report spending and changes of state', () => {
+      const changes = [];
+      staminaSystem.onStaminaChange((changeType, data, stamina, staminaState) => changes.push([changeType, data, stamina, staminaState]));
+
+      staminaSystem.spend('sprint');
+
+      expect(changes).toEqual([
+        ['spent', { action: 'sprint', amount: 40 }, 60, 'rested'],
+        ['state', { previous: 'rested', current: 'winded' }, 60, 'winded']
+      ]);
+    });
+
+    test('should only tire the player after hiding for a while', () => {
+      staminaSystem.setHiding(true);
+
+      clock.advance(30000);
+      staminaSystem.update(30000);
+      expect(gameState.stamina).toBe(100);
+
+      clock.advance(10000);
+      staminaSystem.update(10000);
+      expect(gameState.stamina).toBe(85);
+
+      staminaSystem.setHiding(false);
+      clock.advance(10000);
+      staminaSystem.update(10000);
+      expect(gameState.stamina).toBe(85);
+    });
+
+    test('should report exhaustion at most once per interval', () => {
+      const exhausted = jest.fn();
+      events.on('stamina:exhausted', exhausted);
+      gameState.stamina = 10;
+
+      staminaSystem.update(16);
+      clock.advance(5000);
+      staminaSystem.update(5000);
+      expect(exhausted).toHaveBeenCalledTimes(1);
+
+      clock.advance(5000);
+      staminaSystem.update(5000);
+      expect(exhausted).toHaveBeenCalledTimes(2);
+    });
+
+    test('should scale the movement penalty as the player tires', () => {
+      gameState.movementPenalty = 0.8;
+      gameState.stamina = 30;
+
+      staminaSystem.update(16);
+
+      expect(gameState.movementPenalty).toBeCloseTo(0.6);
+    });
+
+    test('should carry hiding and exhaustion timers through a snapshot', () => {
+      staminaSystem.setHiding(true);
+      clock.advance(20000);
+
+      const snapshot = staminaSystem.snapshot();
+      const restored = new StaminaSystem(gameState, clock, events);
+      restored.restore(snapshot);
+
+      expect(snapshot.hidingFor).toBe(20000);
+      expect(restored.getStats().isHiding).toBe(true);
+      expect(restored.hidingSince).toBe(staminaSystem.hidingSince);
+    });
+  });
+
+  describe('Commands', () => {
+    let clock;
+    let engine;
+    let gameState;
+
+    beforeEach(() => {
+      clock = new ManualClock(1700000000000);
+      engine = new GameEngine(null, null, null, { seed: 3, manualUpdates: true, clock });
+      gameState = engine.getGameState();
+      engine.start();
+    });
+
+    afterEach(() => {
+      engine.destroy();
+    });
+
+    test('should stop running once the player is spent, until they wait', () => {
+      for (let i = 0; i < 4; i++) {
+        engine.handleCommand('run');
+      }
+      expect(gameState.stamina).toBe(0);
+
+      const fearBefore = gameState.fearLevel;
+      engine.handleCommand('run');
+      expect(gameState.stamina).toBe(0);
+      expect(gameState.fearLevel).toBe(fearBefore + 5);
+
+      engine.handleCommand('wait');
+      engine.handleCommand('wait');
+      expect(gameState.stamina).toBe(40);
+      expect(engine.getStaminaSystem().canAfford('run')).toBe(true);
+    });
+
+    test('should keep the player hidden when they are too tired to run', () => {
+      gameState.stamina = 10;
+      engine.handleCommand('hide');
+      engine.handleCommand('run');
+
+      expect(engine.getStaminaSystem().getStats().isHiding).toBe(true);
+    });
+
+    test('should make sprinting cost more than running', () => {
+      engine.handleCommand('sprint');
+
+      expect(gameState.stamina).toBe(60);
+    });
+
+    test('should turn exhaustion into exhaustion damage', () => {
+      const damaged = jest.fn();
+      engine.on('health:damaged', damaged);
+      gameState.stamina = 5;
+
+      clock.advance(16);
+      engine.tick(16);
+
+      expect(damaged).toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({ type: 'exhaustion', source: 'stamina' })
+      }), 'health:damaged');
+    });
+
+    test('should save stamina with the night', () => {
+      engine.handleCommand('hide');
+      engine.handleCommand('sprint');
+
+      const save = engine.createSnapshot();
+      engine.reset();
+      engine.restoreSnapshot(save);
+
+      expect(engine.getGameState().stamina).toBe(60);
+      expect(save.systems.stamina.currentStaminaState).toBe('winded');
+    });
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * WeatherSystem Tests
+ * Runs the system on a real engine with a manual clock so each night's weather and the
+ * lightning and flickers it brings can be stepped through
+ */
+
+import { GameEngine } from '../GameEngine.js';
+import { ManualClock } from '../GameClock.js';
+import { WeatherSystem, WEATHER_TYPES } from '../WeatherSystem.js';
+
+describe('WeatherSystem', () => {
+  let clock;
+  let engine;
+  let narrator;
+  let gameState;
+
+  // Advance the clock and run one frame
+  const step = (ms) => {
+    clock.advance(ms);
+    engine.tick(ms);
+  };
+
+  const createEngine = (options = {}) => {
+    clock = new ManualClock(1700000000000);
+    narrator = { speak: jest.fn() };
+    engine = new GameEngine(null, null, narrator, { seed: 7, manualUpdates: true, clock, sanity: false, ...options });
+    gameState = engine.getGameState();
+    return engine;
+  };
+
+  afterEach(() => {
+    engine.destroy();
+  });
+
+  describe('Forecast', () => {
+    test('should roll the same weather for the same seed without touching the night\'s RNG', () => {
+      const weather = createEngine().getGameState().weather;
+      const rng = engine.getRng().snapshot();
+      engine.destroy();
+
+      createEngine({ weather: false });
+      expect(engine.getRng().snapshot()).toEqual(rng);
+      engine.destroy();
+
+      expect(createEngine().getGameState().weather).toBe(weather);
+    });
+
+    test('should vary the weather from night to night', () => {
+      createEngine({ seed: null });
+      const nights = new Set();
+
+      for (let i = 0; i < 30; i++) {
+        engine.reset();
+        nights.add(engine.getGameState().weather);
+      }
+
+      expect(nights.size).toBeGreaterThan(1);
+      nights.forEach(weather => expect(WEATHER_TYPES).toHaveProperty(weather));
+    });
+
+    test('should keep a fixed forecast and reject unknown weather', () => {
+      createEngine({ weather: 'fog' });
+      engine.reset();
+
+      expect(engine.getGameState().weather).toBe('fog');
+      expect(() => new WeatherSystem({ forecast: 'hail' })).toThrow('Unknown weather: hail');
+    });
+
+    test('should describe the weather as a new night starts, but not a resumed one', () => {
+      createEngine({ weather: 'rain' });
+      engine.start();
+      expect(narrator.speak).toHaveBeenCalledWith(WEATHER_TYPES.rain.narration);
+
+      const save = engine.createSnapshot();
+      engine.stop();
+      narrator.speak.mockClear();
+      engine.restoreSnapshot(save);
+      engine.start();
+      expect(narrator.speak).not.toHaveBeenCalledWith(WEATHER_TYPES.rain.narration);
+    });
+  });
+
+  describe('Fear', () => {
+    test('should make every scare land harder in bad weather', () => {
+      createEngine({ weather: 'storm' });
+      expect(engine.getFearSystem().getWeatherFearModifier()).toBe(1.3);
+
+      engine.getWeatherSystem().setWeather('clear');
+      expect(engine.getFearSystem().getWeatherFearModifier()).toBe(1);
+    });
+
+    test('should keep the weather\'s fear after a new night and a load', () => {
+      createEngine({ weather: 'fog' });
+      engine.reset();
+      expect(engine.getFearSystem().getWeatherFearModifier()).toBe(1.2);
+
+      const save = engine.createSnapshot();
+      engine.reset();
+      engine.getWeatherSystem().setWeather('clear');
+      engine.restoreSnapshot(save);
+
+      expect(engine.getGameState().weather).toBe('fog');
+      expect(engine.getFearSystem().getWeatherFearModifier()).toBe(1.2);
+    });
+  });
+
+  describe('Events', () => {
+    beforeEach(() => {
+      createEngine({ weather: 'storm' });
+      engine.start();
+    });
+
+    test('should light the room with lightning', () => {
+      const weatherEvents = [];
+      engine.on('weather:event', ({ event }) => weatherEvents.push(event.id));
+
+      engine.getWeatherSystem().triggerEvent('lightning');
+
+      expect(gameState.lightSource).toBe('lightning');
+      expect(weatherEvents).toEqual(['weather_lightning']);
+
+      step(1500);
+      expect(gameState.lightLevel).toBe(0);
+    });
+
+    test('should make a lit flashlight flicker out, and pass unnoticed in the dark', () => {
+      const weatherEvents = [];
+      engine.on('weather:event', ({ event }) => weatherEvents.push(event.id));
+
+      engine.getWeatherSystem().triggerEvent('flicker');
+      expect(weatherEvents).toEqual([]);
+
+      engine.getInventorySystem().toggleItemActive('flashlight'); // Starting inventory has one
+      step(16);
+      engine.getWeatherSystem().triggerEvent('flicker');
+      expect(weatherEvents).toEqual(['weather_flicker']);
+      expect(gameState.lightLevel).toBe(0);
+
+      step(3000);
+      expect(gameState.lightSource).toBe('flashlight');
+    });
+
+    test('should space weather events out by the cooldown', () => {
+      const weather = engine.getWeatherSystem();
+      jest.spyOn(weather.rng, 'chance').mockReturnValue(true);
+      const triggerEvent = jest.spyOn(weather, 'triggerEvent');
+
+      step(1000);
+      step(1000);
+      expect(triggerEvent).toHaveBeenCalledTimes(1);
+
+      step(30000);
+      expect(triggerEvent).toHaveBeenCalledTimes(2);
+    });
+
+    test('should never roll events on a clear night', () => {
+      engine.getWeatherSystem().setWeather('clear');
+      const chance = jest.spyOn(engine.getWeatherSystem().rng, 'chance');
+
+      step(60000);
+
+      expect(chance).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -7,8 +7,22 @@ export { GameState } from './GameState.js';
 export { GameTimer } from './GameTimer.js';
 export { FearSystem } from './FearSystem.js';
 export { HealthSystem } from './HealthSystem.js';
+export { LightingSystem } from './LightingSystem.js';
 export { InventorySystem } from './InventorySystem.js';
 export { EndingSystem } from './EndingSystem.js';
 export { default as EventSystem } from './EventSystem.js';
 export { GameInitializer } from './GameInitializer.js';
-export { GameLoop } from './GameLoop.js';
\ No newline at end of file
+export { GameLoop } from './GameLoop.js';
+export { SeededRandom } from './SeededRandom.js';
+export { EventPackLoader, EVENT_PACK_SCHEMA_VERSION } from './EventPackLoader.js';
+export { HouseMap, DEFAULT_HOUSE_LAYOUT } from './HouseMap.js';
+export { MonsterSystem, MONSTER_STATES } from './MonsterSystem.js';
+export { DIFFICULTY_PROFILES, createDifficultyProfile, getDifficultyName } from './DifficultyProfiles.js';
+export { NightSchedule, DEFAULT_NIGHT_SCHEDULE } from './NightSchedule.js';
+export { GameClock, RealClock, ManualClock, realClock } from './GameClock.js';
+export { EventBus, ENGINE_EVENTS } from './EventBus.js';
+export { PluginManager, MAX_PLUGIN_ERRORS } from './PluginManager.js';
+export { SanitySystem, SANITY_STATES, HALLUCINATIONS, IMAGINED_ITEMS } from './SanitySystem.js';
+export { WeatherSystem, WEATHER_TYPES, WEATHER_EVENTS } from './WeatherSystem.js';
+export { SessionRecorder, SessionPlayer, parseSession, SESSION_FORMAT, SESSION_VERSION } from './SessionReplay.js';
+export { NightSimulator, RandomBotPolicy, ScriptedBotPolicy, createBotPolicy, formatReportCSV } from './NightSimulator.js';
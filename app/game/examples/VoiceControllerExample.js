@@ -8,16 +8,33 @@
 import { useState, useCallback, useEffect } from 'react';
 import VoiceController from '../components/VoiceController.js';
 import { GameEngine } from '../engine/GameEngine.js';
+import { gameStorage } from '../utils/GameStorage.js';
 
 export default function VoiceControllerExample() {
-  const [gameEngine] = useState(() => new GameEngine());
+  const [gameEngine, setGameEngine] = useState(null);
   const [gameState, setGameState] = useState(null);
   const [voiceStatus, setVoiceStatus] = useState('initializing');
   const [lastCommand, setLastCommand] = useState(null);
   const [errorMessage, setErrorMessage] = useState(null);
 
+  // The engine reads saved achievements as it is built, so wait for storage first
+  useEffect(() => {
+    let cancelled = false;
+    gameStorage.ready().then(() => {
+      if (!cancelled) {
+        setGameEngine(new GameEngine());
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
   // Update game state when engine updates
   useEffect(() => {
+    if (!gameEngine) return;
+
     const unsubscribe = gameEngine.onUpdate((deltaTime, state) => {
       setGameState(state);
     });
@@ -38,6 +55,7 @@ export default function VoiceControllerExample() {
     setErrorMessage(null);
 
     // Process the command through the game engine
+    if (!gameEngine) return;
     const success = gameEngine.handleCommand(parsedCommand.originalText);
     
     if (success) {
@@ -70,6 +88,8 @@ export default function VoiceControllerExample() {
 
   // Register command handlers with the game engine
   useEffect(() => {
+    if (!gameEngine) return;
+
     // Register basic command handlers
     gameEngine.registerCommandHandler('hide', (command, state) => {
       console.log('Hide command executed');
@@ -207,7 +227,7 @@ export default function VoiceControllerExample() {
         <div className="space-y-1 max-h-40 overflow-y-auto">
           {gameState.commandsIssued.slice(-10).reverse().map((cmd, index) => (
             <div key={index} className="text-gray-300 text-sm">
-              [{cmd.timestamp}] {cmd.command}
+              [{cmd.gameTime}] {cmd.command}
             </div>
           ))}
         </div>
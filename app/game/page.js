@@ -1,14 +1,27 @@
 "use client";
 
-import { useState, useEffect } from "react";
+import { useState, useEffect, useRef } from "react";
 import { GameProvider, useGame } from "./context/GameContext";
 import VoiceController from "./components/VoiceController";
 import GameDemo from "./components/GameDemo";
 import GameWorld from "./components/GameWorld";
 import Timer from "./components/Timer";
 import DemoStats from "./components/DemoStats";
+import LoadGameMenu from "./components/LoadGameMenu";
+import EndingScreen from "./components/EndingScreen";
+import ReplayViewer from "./components/ReplayViewer";
+import { NightSchedule } from "./engine/NightSchedule";
 import { initializeAudio, playAmbient, playWhisper, updateAudioForGameState } from "./utils/soundManager";
 
+// Status line icons for WeatherSystem's weather types
+const WEATHER_ICONS = {
+  clear: '🌙',
+  rain: '🌧️',
+  fog: '🌫️',
+  storm: '⛈️',
+  power_outage: '🔌'
+};
+
 // Game component that uses the game context
 function Game() {
   const { 
@@ -19,7 +32,13 @@ function Game() {
     startGame, 
     handleCommand, 
     isGameRunning,
-    gameProgress 
+    gameProgress,
+    exportSave,
+    importSave,
+    endingResult,
+    restartAfterEnding,
+    getRewindPoints,
+    rewindTo
   } = useGame();
   
   const [messages, setMessages] = useState([
@@ -28,31 +47,52 @@ function Game() {
     "💡 Try using the demo panel on the left to add a flashlight, then use it!"
   ]);
   const [showDemoStats, setShowDemoStats] = useState(process.env.NODE_ENV === 'development');
+  const [showSaveMenu, setShowSaveMenu] = useState(false);
+  const [showReplay, setShowReplay] = useState(false);
+  const importInputRef = useRef(null);
+
+  // Download the current game as a JSON save file
+  const handleExport = async () => {
+    const file = await exportSave();
+    if (!file) {
+      setMessages(prev => [...prev, "⚠ There is no game to export yet"]);
+      return;
+    }
+
+    const url = URL.createObjectURL(new Blob([file.contents], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = file.fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+    setMessages(prev => [...prev, `⬇ Exported ${file.fileName}`]);
+  };
+
+  // Load a save file picked by the player
+  const handleImport = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = ''; // Lets the same file be picked again
+    if (!file) return;
 
-  // Get background color based on active items and game state
+    const result = await importSave(await file.text());
+    setMessages(prev => [...prev, result.success ? `⬆ Imported ${file.name}` : `⚠ Import failed: ${result.error}`]);
+  };
+
+  // Get background color based on the engine's light source and game state
   const getBackgroundColor = () => {
     if (!gameState) return '#000000';
-    
-    // Check for active light sources
-    const hasActiveFlashlight = gameState.inventory?.some(item => 
-      item.id === 'flashlight' && item.isActive && item.durability > 0
-    );
-    const hasActiveCandle = gameState.inventory?.some(item => 
-      item.id === 'candle' && item.isActive && item.durability > 0
-    );
-    const hasActivePhone = gameState.inventory?.some(item => 
-      item.id === 'phone' && item.isActive && item.durability > 0
-    );
 
     // Light sources provide significant illumination
-    if (hasActiveFlashlight) {
-      return '#1a1a2e'; // Much brighter blue tint for flashlight
-    } else if (hasActiveCandle) {
-      return '#2e1a0a'; // Warm orange tint for candle
-    } else if (hasActivePhone) {
-      return '#1a1a1a'; // Gray tint for phone
+    switch (gameState.lightSource) {
+      case 'flashlight':
+        return '#1a1a2e'; // Much brighter blue tint for flashlight
+      case 'candle':
+      case 'matches':
+        return '#2e1a0a'; // Warm orange tint for a flame
+      case 'phone':
+        return '#1a1a1a'; // Gray tint for phone
     }
-    
+
     // Fear level affects visibility
     if (gameState.fearLevel > 80) {
       return '#0a0005'; // Very dark when scared
@@ -61,51 +101,34 @@ function Game() {
     return '#000000'; // Complete darkness
   };
 
-  // Get CSS class for game area based on active items
+  // Get CSS class for game area based on the light source
   const getGameAreaClass = () => {
-    if (!gameState) return '';
-    
-    const hasActiveFlashlight = gameState.inventory?.some(item => 
-      item.id === 'flashlight' && item.isActive && item.durability > 0
-    );
-    const hasActiveCandle = gameState.inventory?.some(item => 
-      item.id === 'candle' && item.isActive && item.durability > 0
-    );
-    
-    if (hasActiveFlashlight) return 'flashlight-active';
-    if (hasActiveCandle) return 'candle-active';
+    if (gameState?.lightSource === 'flashlight') return 'flashlight-active';
+    if (gameState?.lightSource === 'candle') return 'candle-active';
     return '';
   };
 
   // Get environment description based on game state
   const getEnvironmentDescription = () => {
     if (!gameState) return "You are in complete darkness...";
-    
-    const hasActiveFlashlight = gameState.inventory?.some(item => 
-      item.id === 'flashlight' && item.isActive && item.durability > 0
-    );
-    const hasActiveCandle = gameState.inventory?.some(item => 
-      item.id === 'candle' && item.isActive && item.durability > 0
-    );
-    const hasActivePhone = gameState.inventory?.some(item => 
-      item.id === 'phone' && item.isActive && item.durability > 0
-    );
 
-    if (hasActiveFlashlight) {
-      return `🔦 Your flashlight beam cuts through the darkness, revealing a small room with old furniture. Shadows dance at the edges of the light. You can see a door to the north and a window to the east. The floorboards creak under your feet.`;
-    } else if (hasActiveCandle) {
-      return `🕯️ The candle's warm glow illuminates your immediate surroundings. You can make out the outline of furniture and walls, but the corners remain shrouded in darkness. The flame flickers occasionally, casting moving shadows.`;
-    } else if (hasActivePhone) {
-      return `📱 Your phone's dim screen provides minimal light. You can barely make out shapes in the darkness. The battery indicator shows it won't last much longer.`;
-    } else {
-      if (gameState.fearLevel > 70) {
-        return `🌑 Complete darkness surrounds you. Every sound makes you jump. You feel like something is watching you from the shadows. Your heart pounds in your chest.`;
-      } else if (gameState.fearLevel > 40) {
-        return `🌑 You are in total darkness. You can hear your own breathing and the occasional creak of the building. Something doesn't feel right.`;
-      } else {
-        return `🌑 You stand in darkness. It's quiet, but you remain alert. You need to find a light source or navigate carefully.`;
-      }
+    switch (gameState.lightSource) {
+      case 'flashlight':
+        return `🔦 Your flashlight beam cuts through the darkness, revealing a small room with old furniture. Shadows dance at the edges of the light. You can see a door to the north and a window to the east. The floorboards creak under your feet.`;
+      case 'candle':
+        return `🕯️ The candle's warm glow illuminates your immediate surroundings. You can make out the outline of furniture and walls, but the corners remain shrouded in darkness. The flame flickers occasionally, casting moving shadows.`;
+      case 'matches':
+        return `🔥 The match flares and sputters. For a few seconds you can see the room around you - then the flame creeps towards your fingers.`;
+      case 'phone':
+        return `📱 Your phone's dim screen provides minimal light. You can barely make out shapes in the darkness. The battery indicator shows it won't last much longer.`;
     }
+
+    if (gameState.fearLevel > 70) {
+      return `🌑 Complete darkness surrounds you. Every sound makes you jump. You feel like something is watching you from the shadows. Your heart pounds in your chest.`;
+    } else if (gameState.fearLevel > 40) {
+      return `🌑 You are in total darkness. You can hear your own breathing and the occasional creak of the building. Something doesn't feel right.`;
+    }
+    return `🌑 You stand in darkness. It's quiet, but you remain alert. You need to find a light source or navigate carefully.`;
   };
 
   useEffect(() => {
@@ -222,7 +245,31 @@ function Game() {
                     }`}>
                       ❤️ Health: {Math.round(gameState.health)}%
                     </div>
-                    
+                    <div className={`font-mono text-sm ${
+                      gameState.sanity > 70 ? 'text-sky-400' :
+                      gameState.sanity > 50 ? 'text-purple-400' :
+                      gameState.sanity > 25 ? 'text-fuchsia-400' : 'text-fuchsia-700 animate-pulse'
+                    }`}>
+                      🌀 Sanity: {Math.round(gameState.sanity ?? 100)}%
+                    </div>
+                    <div className={`font-mono text-sm ${
+                      gameState.stamina >= 70 ? 'text-green-400' :
+                      gameState.stamina >= 40 ? 'text-yellow-400' :
+                      gameState.stamina >= 15 ? 'text-orange-400' : 'text-red-400 animate-pulse'
+                    }`}>
+                      ⚡ Stamina: {Math.round(gameState.stamina ?? 100)}%
+                    </div>
+                    <div className={`font-mono text-sm ${
+                      gameState.lightLevel >= 0.8 ? 'text-yellow-200' :
+                      gameState.lightLevel >= 0.4 ? 'text-amber-400' :
+                      gameState.lightLevel > 0 ? 'text-amber-700' : 'text-gray-600'
+                    }`}>
+                      💡 Light: {Math.round((gameState.lightLevel ?? 0) * 100)}%
+                    </div>
+                    <div className="font-mono text-sm text-slate-400">
+                      {WEATHER_ICONS[gameState.weather] ?? '🌙'} Weather: {(gameState.weather ?? 'clear').replace('_', ' ')}
+                    </div>
+
                     {/* Active Items */}
                     {gameState.inventory && gameState.inventory.filter(item => item.isActive).length > 0 && (
                       <div className="flex gap-2">
@@ -245,7 +292,40 @@ function Game() {
                   </>
                 )}
               </div>
-              <Timer />
+              <div className="flex items-center gap-4">
+                <button
+                  onClick={() => setShowSaveMenu(true)}
+                  className="px-3 py-1 border border-green-400 text-sm hover:bg-green-400 hover:text-black"
+                >
+                  💾 Saves
+                </button>
+                <button
+                  onClick={handleExport}
+                  className="px-3 py-1 border border-green-400 text-sm hover:bg-green-400 hover:text-black"
+                >
+                  ⬇ Export
+                </button>
+                <button
+                  onClick={() => importInputRef.current?.click()}
+                  className="px-3 py-1 border border-green-400 text-sm hover:bg-green-400 hover:text-black"
+                >
+                  ⬆ Import
+                </button>
+                <button
+                  onClick={() => setShowReplay(true)}
+                  className="px-3 py-1 border border-green-400 text-sm hover:bg-green-400 hover:text-black"
+                >
+                  🎞 Replay
+                </button>
+                <input
+                  ref={importInputRef}
+                  type="file"
+                  accept="application/json,.json"
+                  onChange={handleImport}
+                  className="hidden"
+                />
+                <Timer />
+              </div>
             </div>
           </div>
         </div>
@@ -274,7 +354,7 @@ function Game() {
               </div>
             )}
             
-            {gameState && gameState.currentTime === "06:00" && gameState.isAlive && (
+            {gameState && new NightSchedule(gameState.nightSchedule).isSunrise(gameState.currentTime) && gameState.isAlive && (
               <div className="p-3 bg-yellow-900 bg-opacity-50 border border-yellow-400 rounded text-center">
                 <div className="text-yellow-400 text-lg font-bold">🌅 VICTORY! 🌅</div>
                 <div className="text-yellow-300 text-sm">You survived until sunrise!</div>
@@ -287,6 +367,33 @@ function Game() {
         <VoiceController onCommand={onCommand} />
       </div>
       
+      {/* Ending, with rewinds after a death */}
+      <EndingScreen
+        endingResult={endingResult}
+        onRestart={restartAfterEnding}
+        onRewind={async (id) => {
+          const rewound = await rewindTo(id);
+          setMessages(prev => [...prev, rewound ? "⏪ You wake with a start... it isn't over yet." : "⚠ Could not rewind"]);
+          return rewound;
+        }}
+        rewindPoints={endingResult ? getRewindPoints() : []}
+        isVisible={!!endingResult}
+      />
+
+      {/* Save slots */}
+      <LoadGameMenu
+        isVisible={showSaveMenu}
+        onClose={() => setShowSaveMenu(false)}
+        onMessage={(message) => setMessages(prev => [...prev, message])}
+      />
+
+      {/* Session replays */}
+      <ReplayViewer
+        isVisible={showReplay}
+        onClose={() => setShowReplay(false)}
+        onMessage={(message) => setMessages(prev => [...prev, message])}
+      />
+
       {/* Demo Statistics for Hackathon */}
       <DemoStats visible={showDemoStats} position="bottom-right" />
       
@@ -51,6 +51,13 @@ class AudioManager {
           volume: 0.25,
           fadeIn: 3000,
           fadeOut: 2000
+        },
+        rain_heavy: {
+          src: ['/sounds/rain-heavy.mp3', '/sounds/rain-heavy.ogg'],
+          loop: true,
+          volume: 0.35,
+          fadeIn: 3000,
+          fadeOut: 2000
         }
       },
       effects: {
@@ -402,7 +409,7 @@ class AudioManager {
   updateAudioForGameState(gameState) {
     if (!this.isInitialized || !gameState) return;
 
-    const { fearLevel, health, currentTime, location } = gameState;
+    const { fearLevel, health, currentTime, location, weather } = gameState;
 
     // Enhanced fear-based audio mixing for optimal horror atmosphere
     const fearMultiplier = this.calculateOptimalFearMultiplier(fearLevel);
@@ -415,7 +422,7 @@ class AudioManager {
     this.updateBreathingAudio(health, fearLevel);
 
     // Dynamic ambient switching with crossfading
-    this.updateAmbientForContext(currentTime, location, fearLevel);
+    this.updateAmbientForContext(currentTime, location, fearLevel, weather);
 
     // Additional atmospheric effects based on combined state
     this.updateAtmosphericEffects(fearLevel, health, currentTime);
@@ -550,9 +557,10 @@ class AudioManager {
    * @param {string} currentTime - Current game time
    * @param {string} location - Current location
    * @param {number} fearLevel - Current fear level for dynamic selection
+   * @param {string} weather - Tonight's weather from WeatherSystem
    */
-  updateAmbientForContext(currentTime, location, fearLevel = 0) {
-    let targetAmbient = this.selectOptimalAmbient(currentTime, location, fearLevel);
+  updateAmbientForContext(currentTime, location, fearLevel = 0, weather = 'clear') {
+    let targetAmbient = this.selectOptimalAmbient(currentTime, location, fearLevel, weather);
 
     // Smooth crossfading between ambient sounds
     if (this.currentAmbient !== targetAmbient) {
@@ -569,9 +577,10 @@ class AudioManager {
    * @param {string} currentTime - Current game time
    * @param {string} location - Current location
    * @param {number} fearLevel - Current fear level
+   * @param {string} weather - Tonight's weather
    * @returns {string} - Selected ambient sound key
    */
-  selectOptimalAmbient(currentTime, location, fearLevel) {
+  selectOptimalAmbient(currentTime, location, fearLevel, weather = 'clear') {
     const hour = parseInt(currentTime.split(':')[0]);
     
     // Location-based primary selection
@@ -595,6 +604,12 @@ class AudioManager {
       }
     }
     
+    // Rain and storms drown out the night everywhere but the basement
+    const weatherAmbient = { rain: 'rain_heavy', storm: 'wind_howling' }[weather];
+    if (weatherAmbient && location !== 'basement') {
+      baseAmbient = weatherAmbient;
+    }
+
     // Fear-based overrides
     if (fearLevel > 80 && baseAmbient === 'forest_night') {
       baseAmbient = 'wind_howling'; // More intense for high fear
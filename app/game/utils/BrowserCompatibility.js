@@ -700,14 +700,14 @@ export class BrowserCompatibility {
           size += testData.length;
         }
       } catch (e) {
-        // Clean up test data
-        for (let i = 0; i < 1000; i++) {
-          localStorage.removeItem(`quota-test-${i}`);
-        }
-        
         if (size > 0) {
           estimate = `~${Math.round(size / 1024)}KB available`;
         }
+      } finally {
+        // Clean up test data, also when every write fit - left behind it would fill the quota it measured
+        for (let i = 0; i < 1000; i++) {
+          localStorage.removeItem(`quota-test-${i}`);
+        }
       }
       
       return estimate;
@@ -104,12 +104,27 @@ export class CommandParser {
     ]);
 
     // Context-aware command modifiers
+    // noiseMultiplier scales the noise an action makes; noise is added on top (see GameEngine.makeNoise)
     this.contextModifiers = new Map([
-      ['quickly', { urgency: 'high', fearModifier: 0.1 }],
-      ['slowly', { urgency: 'low', fearModifier: -0.1 }],
-      ['carefully', { urgency: 'low', fearModifier: -0.05 }],
-      ['quietly', { stealth: true, fearModifier: -0.1 }],
-      ['loudly', { stealth: false, fearModifier: 0.1 }]
+      ['quickly', { urgency: 'high', fearModifier: 0.1, noiseMultiplier: 1.5 }],
+      ['slowly', { urgency: 'low', fearModifier: -0.1, noiseMultiplier: 0.6 }],
+      ['carefully', { urgency: 'low', fearModifier: -0.05, noiseMultiplier: 0.6 }],
+      ['quietly', { stealth: true, fearModifier: -0.1, noiseMultiplier: 0.3 }],
+      ['loudly', { stealth: false, fearModifier: 0.1, noiseMultiplier: 2.0, noise: 15 }]
+    ]);
+
+    // Spoken numbers, for commands like "load slot two"
+    this.numberWords = new Map([
+      ['one', 1], ['first', 1], ['won', 1],
+      ['two', 2], ['second', 2], ['to', 2], ['too', 2],
+      ['three', 3], ['third', 3],
+      ['four', 4], ['fourth', 4], ['for', 4],
+      ['five', 5], ['fifth', 5],
+      ['six', 6], ['sixth', 6],
+      ['seven', 7], ['seventh', 7],
+      ['eight', 8], ['eighth', 8],
+      ['nine', 9], ['ninth', 9],
+      ['ten', 10], ['tenth', 10]
     ]);
   }
 
@@ -432,6 +447,23 @@ export class CommandParser {
     return modifiers;
   }
 
+  /**
+   * Extract the number spoken after a keyword, as digits or words
+   * @param {Array} tokens - Command tokens
+   * @param {string} keyword - Word the number follows, e.g. 'slot'
+   * @returns {number|null} Number or null if none follows the keyword
+   */
+  extractNumber(tokens, keyword) {
+    const index = tokens.indexOf(keyword);
+    const token = index === -1 ? undefined : tokens[index + 1];
+    if (!token) return null;
+
+    if (/^\d+$/.test(token)) {
+      return parseInt(token, 10);
+    }
+    return this.numberWords.get(token) ?? null;
+  }
+
   /**
    * Validate if command can be executed in current context
    * @param {Object} result - Parse result
@@ -80,6 +80,7 @@ export class ErrorHandlingDemo {
   async initializeGameStateManager() {
     try {
       console.log('💾 Initializing Game State Manager...');
+      await this.gameStateManager.storageReady;
       
       // Try to load existing checkpoint
       const savedState = await this.gameStateManager.loadCheckpoint();
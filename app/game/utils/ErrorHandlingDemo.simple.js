@@ -55,8 +55,6 @@ export function demonstrateErrorHandling() {
     storageKey: 'demo-game'
   });
   
-  console.log(`   📊 Storage Available: ${gameStateManager.storageAvailable}`);
-  
   // Simulate saving game state
   const demoGameState = {
     currentTime: '01:30',
@@ -66,7 +64,11 @@ export function demonstrateErrorHandling() {
     inventory: ['flashlight', 'key']
   };
   
-  gameStateManager.saveCheckpoint(demoGameState, 'demo').then(result => {
+  // Storage is only known to be available once it has loaded
+  gameStateManager.storageReady.then(() => {
+    console.log(`   📊 Storage Available: ${gameStateManager.storageAvailable}`);
+    return gameStateManager.saveCheckpoint(demoGameState, 'demo');
+  }).then(result => {
     console.log(`   📊 Save Result: ${result ? 'Success' : 'Failed'}`);
   });
 
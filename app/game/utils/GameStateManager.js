@@ -3,26 +3,54 @@
  * Provides robust state management with automatic saving and recovery capabilities
  */
 
+import { SAVE_VERSION, getSaveVersion } from './SaveMigrations.js';
+import { compress, decompress, packBytes, unpackBytes, textToBytes, bytesToText } from './SaveCodec.js';
+import { gameStorage } from './GameStorage.js';
+import { realClock } from '../engine/GameClock.js';
+
+export { SAVE_VERSION };
+
+// Identifies exported save files
+export const SAVE_FILE_FORMAT = 'survive-until-sunrise-save';
+
 export class GameStateManager {
   constructor(gameEngine = null, options = {}) {
     this.gameEngine = gameEngine;
     this.options = {
       autoSaveInterval: options.autoSaveInterval ?? 30000, // 30 seconds
       maxCheckpoints: options.maxCheckpoints ?? 10,
+      maxSlots: options.maxSlots ?? 5, // Named manual save slots, numbered from 1
       storageKey: options.storageKey ?? 'survive-until-sunrise',
       enableCompression: options.enableCompression ?? true,
       enableEncryption: options.enableEncryption ?? false,
+      encryptionKey: options.encryptionKey ?? null, // Passphrase; without one a random key is kept in storage
       ...options
     };
+    this.storage = options.storage ?? gameStorage;
+    this.clock = options.clock ?? realClock; // Checkpoint timestamps are shown as dates, so this stays a wall clock
     
     this.autoSaveTimer = null;
     this.lastSaveTime = 0;
     this.saveInProgress = false;
     this.recoveryAttempts = 0;
     this.maxRecoveryAttempts = 3;
+    this.encryptionKeyPromise = null;
     
     // Initialize storage availability check
     this.storageAvailable = this.checkStorageAvailability();
+    this.destroyed = false;
+
+    // IndexedDB refuses reads until loaded, so a manager built before gameStorage.ready() checks again once it has
+    this.storageReady = Promise.resolve(this.storage.ready?.())
+      .then(() => this.recheckStorageAvailability())
+      .catch(error => console.warn('Storage failed to load:', error));
+
+    // IndexedDB writes finish after saveCheckpoint returns, so a full disk is reported here
+    this.unsubscribeQuota = this.storage.onQuotaExceeded(({ error, background }) => {
+      if (background) {
+        this.handleSaveError(error, 'background');
+      }
+    });
     
     // Start auto-save if enabled
     if (this.options.autoSaveInterval > 0 && this.storageAvailable) {
@@ -32,6 +60,7 @@ export class GameStateManager {
 
   /**
    * Save current game state as a checkpoint
+   * Without a gameState argument the engine's full composite snapshot is saved
    * @param {Object} gameState - Current game state to save
    * @param {string} checkpointType - Type of checkpoint ('auto', 'manual', 'critical')
    * @returns {Promise<boolean>} Success status
@@ -51,50 +80,29 @@ export class GameStateManager {
       this.saveInProgress = true;
       
       // Get game state from engine if not provided
-      const stateToSave = gameState || (this.gameEngine?.getGameState?.() ?? {});
+      const stateToSave = gameState || this.createSave();
       
       if (!stateToSave || Object.keys(stateToSave).length === 0) {
         console.warn('No game state to save');
         return false;
       }
 
-      const checkpoint = {
-        gameState: this.serializeGameState(stateToSave),
-        metadata: {
-          timestamp: Date.now(),
-          type: checkpointType,
-          version: '1.0.0',
-          gameTime: stateToSave.currentTime || '23:00',
-          fearLevel: stateToSave.fearLevel || 0,
-          health: stateToSave.health || 100,
-          isAlive: stateToSave.isAlive ?? true,
-          sessionId: this.getSessionId()
-        },
-        checksum: null // Will be calculated after serialization
-      };
-
-      // Calculate checksum for integrity verification
-      checkpoint.checksum = this.calculateChecksum(checkpoint.gameState);
-
-      // Compress if enabled
-      if (this.options.enableCompression) {
-        checkpoint.gameState = this.compressData(checkpoint.gameState);
-        checkpoint.metadata.compressed = true;
-      }
+      const checkpoint = await this.buildCheckpoint(stateToSave, checkpointType);
 
-      // Save to localStorage
+      // Save to storage
       const checkpointKey = `${this.options.storageKey}-checkpoint`;
-      localStorage.setItem(checkpointKey, JSON.stringify(checkpoint));
+      this.storage.setItem(checkpointKey, JSON.stringify(checkpoint));
 
       // Maintain checkpoint history
       await this.updateCheckpointHistory(checkpoint);
 
-      this.lastSaveTime = Date.now();
+      this.lastSaveTime = this.clock.now();
       
       console.log(`Checkpoint saved (${checkpointType}):`, {
         timestamp: checkpoint.metadata.timestamp,
         gameTime: checkpoint.metadata.gameTime,
-        size: JSON.stringify(checkpoint).length
+        size: JSON.stringify(checkpoint).length,
+        rawSize: checkpoint.metadata.rawSize
       });
 
       return true;
@@ -120,7 +128,7 @@ export class GameStateManager {
 
     try {
       const checkpointKey = `${this.options.storageKey}-checkpoint`;
-      const checkpointData = localStorage.getItem(checkpointKey);
+      const checkpointData = this.storage.getItem(checkpointKey);
       
       if (!checkpointData) {
         console.log('No checkpoint found');
@@ -135,20 +143,13 @@ export class GameStateManager {
         return await this.recoverFromHistory();
       }
 
-      // Decompress if needed
-      let gameState = checkpoint.gameState;
-      if (checkpoint.metadata.compressed) {
-        gameState = this.decompressData(gameState);
-      }
-
-      // Deserialize game state
-      const restoredState = this.deserializeGameState(gameState);
+      const restoredState = await this.readCheckpoint(checkpoint);
       
       console.log('Checkpoint loaded:', {
         timestamp: checkpoint.metadata.timestamp,
         type: checkpoint.metadata.type,
         gameTime: checkpoint.metadata.gameTime,
-        age: Date.now() - checkpoint.metadata.timestamp
+        age: this.clock.now() - checkpoint.metadata.timestamp
       });
 
       return restoredState;
@@ -166,6 +167,532 @@ export class GameStateManager {
     }
   }
 
+  /**
+   * Load the most recent checkpoint into the game engine
+   * @returns {Promise<boolean>} True if a checkpoint was restored
+   */
+  async restoreCheckpoint() {
+    if (!this.gameEngine) {
+      console.warn('No game engine to restore checkpoint into');
+      return false;
+    }
+
+    const save = await this.loadCheckpoint();
+    if (!save) return false;
+
+    return this.applySave(save);
+  }
+
+  /**
+   * Apply loaded save data to the game engine
+   * @param {Object} save - Composite snapshot or legacy game state
+   * @returns {boolean} True if the save was applied
+   */
+  applySave(save) {
+    try {
+      // restoreSnapshot upgrades older saves, including bare GameState checkpoints
+      this.gameEngine.restoreSnapshot(save);
+      return true;
+    } catch (error) {
+      console.error('Failed to restore checkpoint:', error);
+      return false;
+    }
+  }
+
+  /**
+   * List checkpoints from the current run that the player can rewind to after dying
+   * @param {number} limit - Most checkpoints to list
+   * @returns {Array} Rewind points, newest first: {id, timestamp, type, gameTime, fearLevel, health}
+   */
+  getRewindPoints(limit = 5) {
+    const runStartedAt = this.gameEngine?.getGameState?.()?.gameStartTime ?? null;
+
+    return this.readHistory()
+      .filter(checkpoint => checkpoint.metadata.isAlive !== false)
+      .filter(checkpoint => runStartedAt === null || checkpoint.metadata.runStartedAt === runStartedAt)
+      .reverse()
+      .slice(0, limit)
+      .map(({ metadata }) => ({
+        id: metadata.timestamp,
+        timestamp: metadata.timestamp,
+        type: metadata.type,
+        gameTime: metadata.gameTime,
+        fearLevel: metadata.fearLevel,
+        health: metadata.health
+      }));
+  }
+
+  /**
+   * Rewind the game engine to a checkpoint from getRewindPoints()
+   * @param {number} id - Rewind point id
+   * @returns {Promise<boolean>} True if the game was rewound
+   */
+  async rewindTo(id) {
+    if (!this.gameEngine) {
+      console.warn('No game engine to rewind');
+      return false;
+    }
+
+    try {
+      const checkpoint = this.readHistory().find(entry => entry.metadata.timestamp === id);
+      if (!checkpoint || !this.verifyCheckpoint(checkpoint)) {
+        console.error(`Rewind point ${id} is missing or failed verification`);
+        return false;
+      }
+
+      this.gameEngine.rewind(await this.readCheckpoint(checkpoint));
+      return true;
+
+    } catch (error) {
+      console.error('Failed to rewind:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Read the checkpoint history
+   * @returns {Array} Checkpoints, oldest first
+   */
+  readHistory() {
+    try {
+      const historyData = this.storage.getItem(`${this.options.storageKey}-history`);
+      return historyData ? JSON.parse(historyData).checkpoints : [];
+    } catch (error) {
+      console.warn('Failed to read checkpoint history:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Wrap save data in a checksummed, optionally compressed and encrypted checkpoint
+   * @param {Object} stateToSave - Composite snapshot or game state
+   * @param {string} checkpointType - Type of checkpoint
+   * @param {Object} options - {compression?, encryption?} override the manager options
+   * @returns {Promise<Object>} Checkpoint ready for storage
+   */
+  async buildCheckpoint(stateToSave, checkpointType, {
+    compression = this.options.enableCompression,
+    encryption = this.options.enableEncryption
+  } = {}) {
+    const summary = this.getSaveSummary(stateToSave);
+    const serialized = this.serializeGameState(stateToSave);
+
+    const checkpoint = {
+      gameState: serialized,
+      metadata: {
+        timestamp: this.clock.now(),
+        type: checkpointType,
+        saveVersion: getSaveVersion(stateToSave),
+        gameTime: summary.currentTime || '23:00',
+        fearLevel: summary.fearLevel || 0,
+        health: summary.health || 100,
+        isAlive: summary.isAlive ?? true,
+        runStartedAt: summary.gameStartTime ?? null, // Tells this run's checkpoints from earlier runs
+        sessionId: this.getSessionId()
+      },
+      checksum: null // Will be calculated over the stored payload
+    };
+
+    // Compress if enabled
+    if (compression) {
+      checkpoint.gameState = this.compressData(checkpoint.gameState);
+      checkpoint.metadata.compressed = true;
+      checkpoint.metadata.codec = 'lzw';
+    }
+
+    // Encrypt after compressing; ciphertext does not compress
+    if (encryption) {
+      checkpoint.gameState = await this.encryptData(checkpoint.gameState);
+      checkpoint.metadata.encrypted = true;
+    }
+
+    checkpoint.metadata.rawSize = serialized.length;
+    checkpoint.metadata.storedSize = checkpoint.gameState.length;
+
+    // Checksum what is actually stored so corruption is caught before decrypting or decompressing
+    checkpoint.checksum = this.calculateChecksum(checkpoint.gameState);
+
+    return checkpoint;
+  }
+
+  /**
+   * Decrypt, decompress and deserialize the save held by a verified checkpoint
+   * Checkpoints marked compressed without a codec predate real compression and hold plain JSON
+   * @param {Object} checkpoint - Stored checkpoint
+   * @returns {Promise<Object>} Save data
+   */
+  async readCheckpoint(checkpoint) {
+    let gameState = checkpoint.gameState;
+    if (checkpoint.metadata.encrypted) {
+      gameState = await this.decryptData(gameState);
+    }
+    if (checkpoint.metadata.codec === 'lzw') {
+      gameState = this.decompressData(gameState);
+    }
+
+    return this.deserializeGameState(gameState);
+  }
+
+  /**
+   * Export the current game and the player's achievements as a signed save file
+   * The checkpoint is left uncompressed and unencrypted so any browser can import it
+   * and the file can be read when attached to a bug report
+   * @returns {Promise<Object|null>} Save file or null if there is nothing to export
+   */
+  async exportSave() {
+    const save = this.createSave();
+    if (!save || Object.keys(save).length === 0) {
+      console.warn('No game state to export');
+      return null;
+    }
+
+    const checkpoint = await this.buildCheckpoint(save, 'export', { compression: false, encryption: false });
+    const file = {
+      format: SAVE_FILE_FORMAT,
+      exportedAt: checkpoint.metadata.timestamp,
+      checkpoint,
+      achievements: this.gameEngine?.getEndingSystem?.()?.exportAchievements() ?? {}
+    };
+    file.signature = this.signSaveFile(file);
+
+    console.log('Save exported:', { gameTime: checkpoint.metadata.gameTime, size: checkpoint.metadata.rawSize });
+    return file;
+  }
+
+  /**
+   * Suggest a file name for an exported save
+   * @param {Object} file - Save file from exportSave()
+   * @returns {string} File name
+   */
+  getSaveFileName(file) {
+    const date = new Date(file.exportedAt).toISOString().slice(0, 10);
+    const gameTime = (file.checkpoint.metadata.gameTime || '').replace(':', '');
+    return `${this.options.storageKey}-${date}-${gameTime}.json`;
+  }
+
+  /**
+   * Sign a save file by checksumming everything but the signature
+   * @param {Object} file - Save file
+   * @returns {string} Signature
+   */
+  signSaveFile(file) {
+    const contents = { ...file };
+    delete contents.signature;
+    return this.calculateChecksum(JSON.stringify(contents));
+  }
+
+  /**
+   * Import a save file into the game engine, merge its achievements and keep it as the current checkpoint
+   * @param {string|Object} fileContents - Save file JSON or parsed save file
+   * @returns {Promise<boolean>} True once the save is restored
+   * @throws {Error} If the file is not a valid, untampered save
+   */
+  async importSave(fileContents) {
+    if (!this.gameEngine) {
+      throw new Error('No game engine to import the save into');
+    }
+
+    let file = fileContents;
+    if (typeof fileContents === 'string') {
+      try {
+        file = JSON.parse(fileContents);
+      } catch {
+        throw new Error('Save file is not valid JSON');
+      }
+    }
+
+    if (file?.format !== SAVE_FILE_FORMAT || !file.checkpoint) {
+      throw new Error('Not a Survive Until Sunrise save file');
+    }
+    if (file.signature !== this.signSaveFile(file)) {
+      throw new Error('Save file signature does not match its contents');
+    }
+    // Exported saves are kept indefinitely, so only the checksum matters here
+    if (!this.verifyCheckpoint(file.checkpoint, { checkAge: false })) {
+      throw new Error('Save file checkpoint failed verification');
+    }
+
+    const save = await this.readCheckpoint(file.checkpoint);
+    if (!this.applySave(save)) {
+      throw new Error('Save file could not be restored');
+    }
+
+    if (file.achievements) {
+      this.gameEngine.getEndingSystem?.()?.importAchievements(file.achievements);
+    }
+
+    await this.saveCheckpoint(null, 'import');
+    console.log('Save imported:', { gameTime: file.checkpoint.metadata.gameTime });
+    return true;
+  }
+
+  /**
+   * Get the GameState fields of a save
+   * @param {Object} save - Composite snapshot or game state
+   * @returns {Object} Game state fields
+   */
+  getSaveSummary(save) {
+    return this.isCompositeSave(save) ? save.gameState : save;
+  }
+
+  /**
+   * List the manual save slots
+   * @returns {Array} Slot metadata ordered by slot number
+   */
+  getSaveSlots() {
+    return Object.values(this.readSlotIndex()).sort((a, b) => a.slot - b.slot);
+  }
+
+  /**
+   * Get one save slot's metadata
+   * @param {number} slot - Slot number
+   * @returns {Object|null} Slot metadata or null if empty
+   */
+  getSaveSlot(slot) {
+    return this.readSlotIndex()[slot] || null;
+  }
+
+  /**
+   * Pick the slot a quick save goes to: the first empty slot, else the one saved longest ago
+   * @returns {number} Slot number
+   */
+  getNextSaveSlot() {
+    const index = this.readSlotIndex();
+    for (let slot = 1; slot <= this.options.maxSlots; slot++) {
+      if (!index[slot]) return slot;
+    }
+    return Object.values(index).sort((a, b) => a.updatedAt - b.updatedAt)[0].slot;
+  }
+
+  /**
+   * Save the current game into a named slot, overwriting what it held
+   * @param {number} slot - Slot number (1 to maxSlots)
+   * @param {string} name - Slot name; an overwrite keeps the old name when omitted
+   * @returns {Promise<Object|null>} Slot metadata or null if the save failed
+   */
+  async saveToSlot(slot, name = null) {
+    this.validateSlot(slot);
+
+    if (!this.storageAvailable) {
+      console.warn('Storage not available, cannot save to slot');
+      return null;
+    }
+
+    try {
+      const save = this.createSave();
+      if (!save || Object.keys(save).length === 0) {
+        console.warn('No game state to save');
+        return null;
+      }
+
+      const checkpoint = await this.buildCheckpoint(save, 'manual');
+      const index = this.readSlotIndex();
+      const existing = index[slot];
+      const summary = this.getSaveSummary(save);
+      const location = this.getLocationName(summary.location);
+
+      const metadata = {
+        slot,
+        name: name || existing?.name || `Slot ${slot}`,
+        createdAt: existing?.createdAt ?? checkpoint.metadata.timestamp,
+        updatedAt: checkpoint.metadata.timestamp,
+        saveVersion: checkpoint.metadata.saveVersion,
+        gameTime: checkpoint.metadata.gameTime,
+        fearLevel: checkpoint.metadata.fearLevel,
+        health: checkpoint.metadata.health,
+        location,
+        thumbnail: `${checkpoint.metadata.gameTime}, ${location}, fear ${Math.round(checkpoint.metadata.fearLevel)}%, health ${Math.round(checkpoint.metadata.health)}%`
+      };
+
+      this.storage.setItem(this.getSlotKey(slot), JSON.stringify(checkpoint));
+      index[slot] = metadata;
+      this.writeSlotIndex(index);
+
+      console.log(`Saved to slot ${slot}:`, metadata.thumbnail);
+      return metadata;
+
+    } catch (error) {
+      console.error(`Failed to save to slot ${slot}:`, error);
+      this.handleSaveError(error, 'manual');
+      return null;
+    }
+  }
+
+  /**
+   * Load the save held by a slot
+   * @param {number} slot - Slot number
+   * @returns {Promise<Object|null>} Save data or null if empty or unreadable
+   */
+  async loadFromSlot(slot) {
+    this.validateSlot(slot);
+
+    if (!this.storageAvailable) {
+      console.warn('Storage not available, cannot load slot');
+      return null;
+    }
+
+    try {
+      const checkpointData = this.storage.getItem(this.getSlotKey(slot));
+      if (!checkpointData) {
+        console.log(`Slot ${slot} is empty`);
+        return null;
+      }
+
+      const checkpoint = JSON.parse(checkpointData);
+      // Manual saves are kept until the player deletes them, however old
+      if (!this.verifyCheckpoint(checkpoint, { checkAge: false })) {
+        console.error(`Slot ${slot} failed verification`);
+        return null;
+      }
+
+      return await this.readCheckpoint(checkpoint);
+
+    } catch (error) {
+      console.error(`Failed to load slot ${slot}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Load a slot into the game engine
+   * @param {number} slot - Slot number
+   * @returns {Promise<boolean>} True if the slot was restored
+   */
+  async restoreSlot(slot) {
+    if (!this.gameEngine) {
+      console.warn('No game engine to restore slot into');
+      return false;
+    }
+
+    const save = await this.loadFromSlot(slot);
+    if (!save) return false;
+
+    return this.applySave(save);
+  }
+
+  /**
+   * Rename a save slot
+   * @param {number} slot - Slot number
+   * @param {string} name - New name
+   * @returns {boolean} True if the slot was renamed
+   */
+  renameSlot(slot, name) {
+    this.validateSlot(slot);
+
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed) {
+      throw new Error('Save slot name cannot be empty');
+    }
+
+    const index = this.readSlotIndex();
+    if (!index[slot]) return false;
+
+    index[slot] = { ...index[slot], name: trimmed };
+    return this.writeSlotIndex(index);
+  }
+
+  /**
+   * Delete a save slot
+   * @param {number} slot - Slot number
+   * @returns {boolean} True if the slot held a save
+   */
+  deleteSlot(slot) {
+    this.validateSlot(slot);
+
+    const index = this.readSlotIndex();
+    if (!index[slot]) return false;
+
+    try {
+      this.storage.removeItem(this.getSlotKey(slot));
+    } catch (error) {
+      console.error(`Failed to delete slot ${slot}:`, error);
+      return false;
+    }
+
+    delete index[slot];
+    return this.writeSlotIndex(index);
+  }
+
+  /**
+   * Check a slot number is in range
+   * @param {number} slot - Slot number
+   * @throws {Error} If the slot is not between 1 and maxSlots
+   */
+  validateSlot(slot) {
+    if (!Number.isInteger(slot) || slot < 1 || slot > this.options.maxSlots) {
+      throw new Error(`Save slot must be a number from 1 to ${this.options.maxSlots}, got ${slot}`);
+    }
+  }
+
+  /**
+   * Storage key for a slot's checkpoint
+   * @param {number} slot - Slot number
+   * @returns {string} Storage key
+   */
+  getSlotKey(slot) {
+    return `${this.options.storageKey}-slot-${slot}`;
+  }
+
+  /**
+   * Read the slot metadata index
+   * @returns {Object} Metadata keyed by slot number
+   */
+  readSlotIndex() {
+    if (!this.storageAvailable) return {};
+
+    try {
+      const indexData = this.storage.getItem(`${this.options.storageKey}-slots`);
+      return indexData ? JSON.parse(indexData) : {};
+    } catch (error) {
+      console.error('Failed to read save slots:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Write the slot metadata index
+   * @param {Object} index - Metadata keyed by slot number
+   * @returns {boolean} Success status
+   */
+  writeSlotIndex(index) {
+    try {
+      this.storage.setItem(`${this.options.storageKey}-slots`, JSON.stringify(index));
+      return true;
+    } catch (error) {
+      console.error('Failed to write save slots:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the display name of a room for slot metadata
+   * @param {string} location - Room id
+   * @returns {string} Room name, or the id if the engine has no house map
+   */
+  getLocationName(location) {
+    return this.gameEngine?.houseMap?.getRoom?.(location)?.name || location || 'Unknown';
+  }
+
+  /**
+   * Build the save for the current game from the engine
+   * @returns {Object} Composite snapshot, or bare game state for engines without snapshots
+   */
+  createSave() {
+    if (this.gameEngine?.createSnapshot) {
+      return this.gameEngine.createSnapshot();
+    }
+    return this.gameEngine?.getGameState?.() ?? {};
+  }
+
+  /**
+   * Check whether saved data is a composite snapshot of every system
+   * @param {Object} data - Saved data
+   * @returns {boolean} True for composite saves
+   */
+  isCompositeSave(data) {
+    return typeof data?.saveVersion === 'number' && !!data.gameState && !!data.systems;
+  }
+
   /**
    * Recover game state from checkpoint history
    * @returns {Promise<Object|null>} Recovered game state or null
@@ -173,7 +700,7 @@ export class GameStateManager {
   async recoverFromHistory() {
     try {
       const historyKey = `${this.options.storageKey}-history`;
-      const historyData = localStorage.getItem(historyKey);
+      const historyData = this.storage.getItem(historyKey);
       
       if (!historyData) {
         console.log('No checkpoint history available');
@@ -186,13 +713,7 @@ export class GameStateManager {
       for (const checkpoint of history.checkpoints.reverse()) {
         try {
           if (this.verifyCheckpoint(checkpoint)) {
-            let gameState = checkpoint.gameState;
-            
-            if (checkpoint.metadata.compressed) {
-              gameState = this.decompressData(gameState);
-            }
-            
-            const restoredState = this.deserializeGameState(gameState);
+            const restoredState = await this.readCheckpoint(checkpoint);
             
             console.log('Recovered from history checkpoint:', {
               timestamp: checkpoint.metadata.timestamp,
@@ -232,7 +753,7 @@ export class GameStateManager {
       // Retry save after cleanup
       setTimeout(() => {
         if (this.gameEngine?.getGameState) {
-          this.saveCheckpoint(this.gameEngine.getGameState(), 'retry');
+          this.saveCheckpoint(null, 'retry');
         }
       }, 1000);
     }
@@ -341,6 +862,17 @@ export class GameStateManager {
    * @throws {Error} If validation fails
    */
   validateGameState(gameState) {
+    if (typeof gameState?.saveVersion === 'number') {
+      if (getSaveVersion(gameState) > SAVE_VERSION) {
+        throw new Error(`Unsupported save version: ${gameState.saveVersion}`);
+      }
+      if (!gameState.systems) {
+        throw new Error('Missing required property: systems');
+      }
+      this.validateGameState(gameState.gameState || {});
+      return;
+    }
+
     const requiredProperties = [
       'currentTime',
       'fearLevel',
@@ -389,9 +921,10 @@ export class GameStateManager {
   /**
    * Verify checkpoint integrity
    * @param {Object} checkpoint - Checkpoint to verify
+   * @param {Object} options - {checkAge?} set checkAge false to accept checkpoints of any age
    * @returns {boolean} True if checkpoint is valid
    */
-  verifyCheckpoint(checkpoint) {
+  verifyCheckpoint(checkpoint, { checkAge = true } = {}) {
     try {
       // Check required properties
       if (!checkpoint.gameState || !checkpoint.metadata || !checkpoint.checksum) {
@@ -407,8 +940,8 @@ export class GameStateManager {
       }
       
       // Check age (reject checkpoints older than 24 hours)
-      const age = Date.now() - checkpoint.metadata.timestamp;
-      if (age > 24 * 60 * 60 * 1000) {
+      const age = this.clock.now() - checkpoint.metadata.timestamp;
+      if (checkAge && age > 24 * 60 * 60 * 1000) {
         console.warn('Checkpoint too old');
         return false;
       }
@@ -430,7 +963,7 @@ export class GameStateManager {
       let history = { checkpoints: [] };
       
       // Load existing history
-      const existingHistory = localStorage.getItem(historyKey);
+      const existingHistory = this.storage.getItem(historyKey);
       if (existingHistory) {
         history = JSON.parse(existingHistory);
       }
@@ -447,7 +980,7 @@ export class GameStateManager {
       }
       
       // Save updated history
-      localStorage.setItem(historyKey, JSON.stringify(history));
+      this.storage.setItem(historyKey, JSON.stringify(history));
       
     } catch (error) {
       console.error('Failed to update checkpoint history:', error);
@@ -460,7 +993,7 @@ export class GameStateManager {
   cleanupOldCheckpoints() {
     try {
       const historyKey = `${this.options.storageKey}-history`;
-      const history = localStorage.getItem(historyKey);
+      const history = this.storage.getItem(historyKey);
       
       if (history) {
         const parsedHistory = JSON.parse(history);
@@ -468,7 +1001,7 @@ export class GameStateManager {
         // Keep only the 3 most recent checkpoints
         parsedHistory.checkpoints = parsedHistory.checkpoints.slice(-3);
         
-        localStorage.setItem(historyKey, JSON.stringify(parsedHistory));
+        this.storage.setItem(historyKey, JSON.stringify(parsedHistory));
         console.log('Cleaned up old checkpoints');
       }
       
@@ -492,8 +1025,8 @@ export class GameStateManager {
       ];
       
       keysToCheck.forEach(key => {
-        if (localStorage.getItem(key)) {
-          localStorage.removeItem(key);
+        if (this.storage.getItem(key)) {
+          this.storage.removeItem(key);
           console.log(`Removed old data: ${key}`);
         }
       });
@@ -504,7 +1037,7 @@ export class GameStateManager {
   }
 
   /**
-   * Check if localStorage is available and functional
+   * Check if the storage backend is available and functional
    * @returns {boolean} True if storage is available
    */
   checkStorageAvailability() {
@@ -512,19 +1045,37 @@ export class GameStateManager {
       const testKey = `${this.options.storageKey}-test`;
       const testValue = 'test';
       
-      localStorage.setItem(testKey, testValue);
-      const retrieved = localStorage.getItem(testKey);
-      localStorage.removeItem(testKey);
+      this.storage.setItem(testKey, testValue);
+      const retrieved = this.storage.getItem(testKey);
+      this.storage.removeItem(testKey);
       
       return retrieved === testValue;
     } catch (error) {
-      console.warn('localStorage not available:', error);
+      console.warn('Storage not available:', error);
       return false;
     }
   }
 
+  /**
+   * Check storage again after it has loaded, starting auto-save if it only became available now
+   * @returns {boolean} True if storage is available
+   */
+  recheckStorageAvailability() {
+    if (this.destroyed || this.storageAvailable) {
+      return this.storageAvailable;
+    }
+
+    this.storageAvailable = this.checkStorageAvailability();
+    if (this.options.autoSaveInterval > 0 && this.storageAvailable) {
+      this.startAutoSave();
+    }
+    return this.storageAvailable;
+  }
+
   /**
    * Get or create session ID
+   * Deliberately kept in sessionStorage rather than this.storage: the ID belongs to the browser tab
+   * and must not outlive it, while everything behind the storage adapter persists
    * @returns {string} Session ID
    */
   getSessionId() {
@@ -540,29 +1091,132 @@ export class GameStateManager {
   }
 
   /**
-   * Compress data using simple string compression
+   * Compress data with the LZW save codec
    * @param {string} data - Data to compress
    * @returns {string} Compressed data
    */
   compressData(data) {
-    // Simple compression using repeated character replacement
-    // In a real implementation, you might use a proper compression library
-    return data
-      .replace(/\s+/g, ' ')  // Replace multiple spaces with single space
-      .replace(/,\s*}/g, '}') // Remove trailing commas
-      .replace(/,\s*]/g, ']') // Remove trailing commas in arrays
-      .trim();
+    return compress(data);
   }
 
   /**
    * Decompress data
    * @param {string} compressedData - Compressed data
    * @returns {string} Decompressed data
+   * @throws {Error} If the data is corrupt
    */
   decompressData(compressedData) {
-    // For simple compression, just return as-is
-    // In a real implementation, this would reverse the compression
-    return compressedData;
+    return decompress(compressedData);
+  }
+
+  /**
+   * Encrypt data with AES-GCM
+   * @param {string} data - Data to encrypt
+   * @returns {Promise<string>} Packed IV and ciphertext
+   */
+  async encryptData(data) {
+    const subtle = this.getSubtleCrypto();
+    const key = await this.getEncryptionKey();
+    const iv = globalThis.crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = new Uint8Array(await subtle.encrypt({ name: 'AES-GCM', iv }, key, textToBytes(data)));
+
+    const payload = new Uint8Array(iv.length + ciphertext.length);
+    payload.set(iv);
+    payload.set(ciphertext, iv.length);
+    return packBytes(payload);
+  }
+
+  /**
+   * Decrypt data written by encryptData()
+   * @param {string} encryptedData - Packed IV and ciphertext
+   * @returns {Promise<string>} Decrypted data
+   * @throws {Error} If the key is wrong or the data was altered
+   */
+  async decryptData(encryptedData) {
+    const subtle = this.getSubtleCrypto();
+    const key = await this.getEncryptionKey();
+    const payload = unpackBytes(encryptedData);
+
+    try {
+      const plaintext = await subtle.decrypt(
+        { name: 'AES-GCM', iv: payload.slice(0, 12) },
+        key,
+        payload.slice(12)
+      );
+      return bytesToText(new Uint8Array(plaintext));
+    } catch {
+      throw new Error('Could not decrypt save data (wrong key or tampered data)');
+    }
+  }
+
+  /**
+   * Get the WebCrypto interface used for encryption
+   * @returns {SubtleCrypto} Subtle crypto
+   * @throws {Error} If WebCrypto is unavailable
+   */
+  getSubtleCrypto() {
+    const subtle = globalThis.crypto?.subtle;
+    if (!subtle) {
+      throw new Error('Save encryption requires WebCrypto (crypto.subtle)');
+    }
+    return subtle;
+  }
+
+  /**
+   * Get the AES-GCM key, deriving it once per manager
+   * A passphrase is stretched with PBKDF2; otherwise a random key is kept in storage, which
+   * stops casual save editing but not someone who reads the key alongside the save
+   * @returns {Promise<CryptoKey>} Encryption key
+   */
+  getEncryptionKey() {
+    if (!this.encryptionKeyPromise) {
+      this.encryptionKeyPromise = this.createEncryptionKey().catch(error => {
+        this.encryptionKeyPromise = null;
+        throw error;
+      });
+    }
+    return this.encryptionKeyPromise;
+  }
+
+  /**
+   * Derive or load the AES-GCM key
+   * @returns {Promise<CryptoKey>} Encryption key
+   */
+  async createEncryptionKey() {
+    const subtle = this.getSubtleCrypto();
+    const algorithm = { name: 'AES-GCM', length: 256 };
+
+    if (this.options.encryptionKey) {
+      const salt = this.getStoredBytes(`${this.options.storageKey}-salt`, 16);
+      const passphrase = await subtle.importKey('raw', textToBytes(this.options.encryptionKey), 'PBKDF2', false, ['deriveKey']);
+      return subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations: 100000, hash: 'SHA-256' },
+        passphrase,
+        algorithm,
+        false,
+        ['encrypt', 'decrypt']
+      );
+    }
+
+    const rawKey = this.getStoredBytes(`${this.options.storageKey}-key`, 32);
+    return subtle.importKey('raw', rawKey, algorithm, false, ['encrypt', 'decrypt']);
+  }
+
+  /**
+   * Read random bytes kept in storage, creating them on first use
+   * @param {string} key - Storage key
+   * @param {number} length - Number of bytes
+   * @returns {Uint8Array} Stored bytes
+   */
+  getStoredBytes(key, length) {
+    const stored = this.storage.getItem(key);
+    if (stored) {
+      return unpackBytes(stored);
+    }
+
+    const bytes = globalThis.crypto.getRandomValues(new Uint8Array(length));
+    this.storage.setItem(key, packBytes(bytes));
+    return bytes;
   }
 
   /**
@@ -575,7 +1229,7 @@ export class GameStateManager {
     
     this.autoSaveTimer = setInterval(() => {
       if (this.gameEngine?.getGameState && this.gameEngine.isGameActive?.()) {
-        this.saveCheckpoint(this.gameEngine.getGameState(), 'auto');
+        this.saveCheckpoint(null, 'auto');
       }
     }, this.options.autoSaveInterval);
     
@@ -609,14 +1263,16 @@ export class GameStateManager {
   getCheckpointStats() {
     try {
       const historyKey = `${this.options.storageKey}-history`;
-      const history = localStorage.getItem(historyKey);
+      const history = this.storage.getItem(historyKey);
+      const storage = this.measureStorage();
       
       if (!history) {
         return {
           totalCheckpoints: 0,
           lastSaveTime: this.lastSaveTime,
           storageAvailable: this.storageAvailable,
-          autoSaveActive: !!this.autoSaveTimer
+          autoSaveActive: !!this.autoSaveTimer,
+          storage
         };
       }
       
@@ -629,7 +1285,9 @@ export class GameStateManager {
         newestCheckpoint: parsedHistory.checkpoints[parsedHistory.checkpoints.length - 1]?.metadata.timestamp || 0,
         storageAvailable: this.storageAvailable,
         autoSaveActive: !!this.autoSaveTimer,
-        recoveryAttempts: this.recoveryAttempts
+        recoveryAttempts: this.recoveryAttempts,
+        storage,
+        compression: this.measureCompression(parsedHistory.checkpoints)
       };
       
     } catch (error) {
@@ -644,6 +1302,50 @@ export class GameStateManager {
     }
   }
 
+  /**
+   * Measure how much storage the saves take
+   * Sizes are in bytes, counting two per character as browsers keep strings in UTF-16
+   * @returns {Object} {checkpointBytes, historyBytes, slotBytes, totalBytes}
+   */
+  measureStorage() {
+    const sizeOf = (key) => (this.storage.getItem(key)?.length ?? 0) * 2;
+
+    const checkpointBytes = sizeOf(`${this.options.storageKey}-checkpoint`);
+    const historyBytes = sizeOf(`${this.options.storageKey}-history`);
+    let slotBytes = sizeOf(`${this.options.storageKey}-slots`);
+    for (let slot = 1; slot <= this.options.maxSlots; slot++) {
+      slotBytes += sizeOf(this.getSlotKey(slot));
+    }
+
+    return {
+      checkpointBytes,
+      historyBytes,
+      slotBytes,
+      totalBytes: checkpointBytes + historyBytes + slotBytes
+    };
+  }
+
+  /**
+   * Compare serialized and stored sizes across checkpoints
+   * Checkpoints written before sizes were recorded are skipped
+   * @param {Array} checkpoints - Stored checkpoints
+   * @returns {Object} {measuredCheckpoints, rawBytes, storedBytes, ratio} where ratio is stored / raw
+   */
+  measureCompression(checkpoints) {
+    const measured = checkpoints.filter(checkpoint =>
+      checkpoint.metadata?.rawSize && checkpoint.metadata?.storedSize
+    );
+    const rawBytes = measured.reduce((total, checkpoint) => total + checkpoint.metadata.rawSize * 2, 0);
+    const storedBytes = measured.reduce((total, checkpoint) => total + checkpoint.metadata.storedSize * 2, 0);
+
+    return {
+      measuredCheckpoints: measured.length,
+      rawBytes,
+      storedBytes,
+      ratio: rawBytes > 0 ? storedBytes / rawBytes : null
+    };
+  }
+
   /**
    * Clear all checkpoints and history
    */
@@ -652,8 +1354,8 @@ export class GameStateManager {
       const checkpointKey = `${this.options.storageKey}-checkpoint`;
       const historyKey = `${this.options.storageKey}-history`;
       
-      localStorage.removeItem(checkpointKey);
-      localStorage.removeItem(historyKey);
+      this.storage.removeItem(checkpointKey);
+      this.storage.removeItem(historyKey);
       
       this.lastSaveTime = 0;
       this.recoveryAttempts = 0;
@@ -670,7 +1372,9 @@ export class GameStateManager {
    * Cleanup and destroy the manager
    */
   destroy() {
+    this.destroyed = true;
     this.stopAutoSave();
+    this.unsubscribeQuota();
     this.gameEngine = null;
     console.log('GameStateManager destroyed');
   }
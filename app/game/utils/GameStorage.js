@@ -0,0 +1,545 @@
+/**
+ * GameStorage - Pluggable persistence for saves, achievements and logs
+ * Adapters share a synchronous key/value interface; IndexedDB serves reads from a cache it fills on load()
+ * and throws if used before then, so await gameStorage.ready() before reading or writing saved data
+ */
+
+import { browserCompatibility } from './BrowserCompatibility.js';
+
+// Marks an IndexedDB database that has already copied over the older localStorage data
+const MIGRATED_KEY = 'game-storage-migrated';
+
+/**
+ * Keeps data in memory only; used in tests and when no browser storage works
+ */
+export class MemoryStorageAdapter {
+  constructor() {
+    this.name = 'memory';
+    this.items = new Map();
+  }
+
+  /**
+   * Check whether this adapter can be used
+   * @returns {boolean} Always true
+   */
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * Prepare the adapter for use
+   * @returns {Promise<void>}
+   */
+  async load() {}
+
+  /**
+   * Read a value
+   * @param {string} key - Storage key
+   * @returns {string|null} Stored value or null
+   */
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  /**
+   * Write a value
+   * @param {string} key - Storage key
+   * @param {string} value - Value to store
+   */
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+
+  /**
+   * Remove a value
+   * @param {string} key - Storage key
+   */
+  removeItem(key) {
+    this.items.delete(key);
+  }
+
+  /**
+   * List stored keys
+   * @returns {Array<string>} Keys
+   */
+  keys() {
+    return [...this.items.keys()];
+  }
+
+  /**
+   * Wait for pending writes
+   * @returns {Promise<void>}
+   */
+  async flush() {}
+}
+
+/**
+ * Stores data in window.localStorage, looked up on every call so it can be replaced in tests
+ */
+export class LocalStorageAdapter {
+  constructor() {
+    this.name = 'localStorage';
+  }
+
+  /**
+   * Check whether localStorage exists in this environment
+   * @returns {boolean} True if localStorage exists
+   */
+  isAvailable() {
+    return typeof localStorage !== 'undefined';
+  }
+
+  /**
+   * Prepare the adapter for use
+   * @returns {Promise<void>}
+   */
+  async load() {}
+
+  /**
+   * Read a value
+   * @param {string} key - Storage key
+   * @returns {string|null} Stored value or null
+   */
+  getItem(key) {
+    return localStorage.getItem(key);
+  }
+
+  /**
+   * Write a value
+   * @param {string} key - Storage key
+   * @param {string} value - Value to store
+   * @throws {Error} If localStorage is full or unavailable
+   */
+  setItem(key, value) {
+    localStorage.setItem(key, value);
+  }
+
+  /**
+   * Remove a value
+   * @param {string} key - Storage key
+   */
+  removeItem(key) {
+    localStorage.removeItem(key);
+  }
+
+  /**
+   * List stored keys
+   * @returns {Array<string>} Keys
+   */
+  keys() {
+    const keys = [];
+    for (let i = 0; i < (localStorage.length ?? 0); i++) {
+      keys.push(localStorage.key(i));
+    }
+    return keys;
+  }
+
+  /**
+   * Wait for pending writes
+   * @returns {Promise<void>}
+   */
+  async flush() {}
+}
+
+/**
+ * Stores data in IndexedDB
+ * Reads come from an in-memory copy filled by load(); writes update the copy at once and reach the
+ * database in order in the background, so failures are reported through onWriteError()
+ * Every read and write throws until load() finishes: an empty cache would read as "nothing saved"
+ * and a write made then would overwrite what the database holds
+ */
+export class IndexedDBStorageAdapter {
+  constructor(options = {}) {
+    this.name = 'indexedDB';
+    this.options = {
+      databaseName: options.databaseName ?? 'survive-until-sunrise',
+      storeName: options.storeName ?? 'keyval',
+      legacyStorage: options.legacyStorage ?? null, // Copied in on first load so existing saves carry over
+      ...options
+    };
+
+    this.cache = new Map();
+    this.loaded = false;
+    this.dbPromise = null;
+    this.pendingWrites = Promise.resolve();
+    this.writeErrorCallbacks = new Set();
+  }
+
+  /**
+   * Check whether IndexedDB exists in this environment
+   * @returns {boolean} True if indexedDB exists
+   */
+  isAvailable() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * Open the database once
+   * @returns {Promise<IDBDatabase>} Database
+   */
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.options.databaseName, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(this.options.storeName);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Open the database and read everything into the cache
+   * @returns {Promise<void>}
+   * @throws {Error} If the database cannot be opened
+   */
+  async load() {
+    const db = await this.open();
+
+    await new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.options.storeName, 'readonly');
+      const store = transaction.objectStore(this.options.storeName);
+      const keysRequest = store.getAllKeys();
+      const valuesRequest = store.getAll();
+
+      transaction.oncomplete = () => {
+        keysRequest.result.forEach((key, index) => this.cache.set(key, valuesRequest.result[index]));
+        resolve();
+      };
+      transaction.onerror = () => reject(transaction.error);
+    });
+
+    this.loaded = true;
+    this.migrateLegacyStorage();
+  }
+
+  /**
+   * Make sure the cache holds the database contents before it is used
+   * @throws {Error} If load() has not finished
+   */
+  assertLoaded() {
+    if (!this.loaded) {
+      throw new Error('IndexedDB storage used before it finished loading; await gameStorage.ready() first');
+    }
+  }
+
+  /**
+   * Copy data from the legacy storage the first time this database is used
+   */
+  migrateLegacyStorage() {
+    const legacy = this.options.legacyStorage;
+    if (!legacy || this.cache.has(MIGRATED_KEY)) return;
+
+    try {
+      let copied = 0;
+      legacy.keys().forEach(key => {
+        if (!this.cache.has(key)) {
+          this.setItem(key, legacy.getItem(key));
+          copied++;
+        }
+      });
+      this.setItem(MIGRATED_KEY, String(Date.now()));
+      console.log(`Copied ${copied} saved items from ${legacy.name} to IndexedDB`);
+    } catch (error) {
+      console.warn('Failed to copy saved data from legacy storage:', error);
+    }
+  }
+
+  /**
+   * Read a value
+   * @param {string} key - Storage key
+   * @returns {string|null} Stored value or null
+   */
+  getItem(key) {
+    this.assertLoaded();
+    return this.cache.has(key) ? this.cache.get(key) : null;
+  }
+
+  /**
+   * Write a value
+   * @param {string} key - Storage key
+   * @param {string} value - Value to store
+   */
+  setItem(key, value) {
+    this.assertLoaded();
+    const stored = String(value);
+    this.cache.set(key, stored);
+    this.queueWrite(key, store => store.put(stored, key));
+  }
+
+  /**
+   * Remove a value
+   * @param {string} key - Storage key
+   */
+  removeItem(key) {
+    this.assertLoaded();
+    this.cache.delete(key);
+    this.queueWrite(key, store => store.delete(key));
+  }
+
+  /**
+   * List stored keys
+   * @returns {Array<string>} Keys
+   */
+  keys() {
+    this.assertLoaded();
+    return [...this.cache.keys()];
+  }
+
+  /**
+   * Queue a write transaction behind earlier ones
+   * @param {string} key - Key being written
+   * @param {Function} operation - Receives the object store and issues the request
+   */
+  queueWrite(key, operation) {
+    this.pendingWrites = this.pendingWrites
+      .then(() => this.open())
+      .then(db => new Promise((resolve, reject) => {
+        const transaction = db.transaction(this.options.storeName, 'readwrite');
+        operation(transaction.objectStore(this.options.storeName));
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+      }))
+      .catch(error => {
+        console.error(`IndexedDB write failed for "${key}":`, error);
+        this.writeErrorCallbacks.forEach(callback => {
+          try {
+            callback(error, key);
+          } catch (callbackError) {
+            console.error('Error in storage write error callback:', callbackError);
+          }
+        });
+      });
+  }
+
+  /**
+   * Wait for queued writes to reach the database
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this.pendingWrites;
+  }
+
+  /**
+   * Register callback for writes that fail in the background
+   * @param {Function} callback - Called with (error, key)
+   * @returns {Function} Unsubscribe function
+   */
+  onWriteError(callback) {
+    this.writeErrorCallbacks.add(callback);
+    return () => this.writeErrorCallbacks.delete(callback);
+  }
+}
+
+/**
+ * Create a storage adapter
+ * 'auto' prefers IndexedDB, then localStorage, then memory
+ * @param {string} type - 'auto', 'indexedDB', 'localStorage' or 'memory'
+ * @returns {Object} Storage adapter
+ * @throws {Error} If the type is unknown
+ */
+export function createStorageAdapter(type = 'auto') {
+  const factories = {
+    indexedDB: () => new IndexedDBStorageAdapter({ legacyStorage: new LocalStorageAdapter() }),
+    localStorage: () => new LocalStorageAdapter(),
+    memory: () => new MemoryStorageAdapter()
+  };
+
+  if (type !== 'auto') {
+    if (!factories[type]) {
+      throw new Error(`Unknown storage type: ${type}`);
+    }
+    return factories[type]();
+  }
+
+  for (const candidate of ['indexedDB', 'localStorage']) {
+    const adapter = factories[candidate]();
+    if (adapter.isAvailable()) {
+      return adapter;
+    }
+  }
+
+  return factories.memory();
+}
+
+/**
+ * Front for the active storage adapter that all game persistence goes through
+ */
+export class GameStorage {
+  constructor(adapter = null) {
+    this.adapter = adapter;
+    this.readyPromise = null;
+    this.quotaCallbacks = new Set();
+    this.unsubscribeWriteErrors = null;
+
+    if (adapter) {
+      this.use(adapter);
+    }
+  }
+
+  /**
+   * Switch to another adapter
+   * @param {Object} adapter - Storage adapter
+   * @returns {Object} The adapter
+   */
+  use(adapter) {
+    if (this.unsubscribeWriteErrors) {
+      this.unsubscribeWriteErrors();
+      this.unsubscribeWriteErrors = null;
+    }
+
+    this.adapter = adapter;
+    this.readyPromise = null;
+
+    if (adapter.onWriteError) {
+      this.unsubscribeWriteErrors = adapter.onWriteError((error, key) => {
+        if (this.isQuotaError(error)) {
+          this.reportQuotaExceeded(error, key, true);
+        }
+      });
+    }
+
+    return adapter;
+  }
+
+  /**
+   * Get the active adapter, choosing one on first use
+   * @returns {Object} Storage adapter
+   */
+  getAdapter() {
+    if (!this.adapter) {
+      this.use(createStorageAdapter());
+    }
+    return this.adapter;
+  }
+
+  /**
+   * Get the active adapter type
+   * @returns {string} Adapter name
+   */
+  getType() {
+    return this.getAdapter().name;
+  }
+
+  /**
+   * Load the active adapter, falling back to localStorage or memory if it cannot open
+   * @returns {Promise<string>} Name of the adapter in use
+   */
+  ready() {
+    if (!this.readyPromise) {
+      const adapter = this.getAdapter();
+      this.readyPromise = adapter.load()
+        .catch(error => {
+          if (adapter.name === 'memory') throw error;
+
+          const localStorageAdapter = new LocalStorageAdapter();
+          const fallback = adapter.name !== 'localStorage' && localStorageAdapter.isAvailable()
+            ? localStorageAdapter
+            : new MemoryStorageAdapter();
+
+          console.warn(`${adapter.name} storage unavailable, falling back to ${fallback.name}:`, error);
+          this.use(fallback);
+          return this.ready();
+        })
+        .then(() => this.adapter.name);
+    }
+    return this.readyPromise;
+  }
+
+  /**
+   * Read a value
+   * @param {string} key - Storage key
+   * @returns {string|null} Stored value or null
+   */
+  getItem(key) {
+    return this.getAdapter().getItem(key);
+  }
+
+  /**
+   * Write a value
+   * @param {string} key - Storage key
+   * @param {string} value - Value to store
+   * @throws {Error} If the adapter rejects the write
+   */
+  setItem(key, value) {
+    try {
+      this.getAdapter().setItem(key, value);
+    } catch (error) {
+      if (this.isQuotaError(error)) {
+        this.reportQuotaExceeded(error, key, false);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a value
+   * @param {string} key - Storage key
+   */
+  removeItem(key) {
+    this.getAdapter().removeItem(key);
+  }
+
+  /**
+   * List stored keys
+   * @returns {Array<string>} Keys
+   */
+  keys() {
+    return this.getAdapter().keys();
+  }
+
+  /**
+   * Wait for pending writes
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this.getAdapter().flush();
+  }
+
+  /**
+   * Check whether an error means storage is full
+   * @param {Error} error - Storage error
+   * @returns {boolean} True for quota errors
+   */
+  isQuotaError(error) {
+    return error?.name === 'QuotaExceededError' ||
+      error?.code === 22 ||
+      /quota/i.test(error?.message || '');
+  }
+
+  /**
+   * Tell listeners that storage is full, with an estimate of what is left
+   * @param {Error} error - Quota error
+   * @param {string} key - Key that failed to save
+   * @param {boolean} background - True if the write failed after setItem returned
+   */
+  reportQuotaExceeded(error, key, background) {
+    const estimate = browserCompatibility.estimateStorageQuota();
+    console.warn(`Storage quota exceeded writing "${key}" (${this.adapter.name}, ${estimate})`);
+
+    this.quotaCallbacks.forEach(callback => {
+      try {
+        callback({ key, error, estimate, background, adapter: this.adapter.name });
+      } catch (callbackError) {
+        console.error('Error in quota exceeded callback:', callbackError);
+      }
+    });
+  }
+
+  /**
+   * Register callback for when storage is full
+   * @param {Function} callback - Called with {key, error, estimate, background, adapter}
+   * @returns {Function} Unsubscribe function
+   */
+  onQuotaExceeded(callback) {
+    this.quotaCallbacks.add(callback);
+    return () => this.quotaCallbacks.delete(callback);
+  }
+}
+
+// Shared by every module that persists data; GameInitializer waits for ready() before systems read it
+export const gameStorage = new GameStorage();
+
+export default GameStorage;
@@ -72,6 +72,7 @@ export class PerformanceIntegration {
       this.voiceDebouncer = new VoiceCommandDebouncer({
         enableAdaptiveDebouncing: true,
         enablePerformanceMode: true,
+        clock: this.gameEngine?.getClock?.(),
         ...options.voiceDebouncer
       });
 
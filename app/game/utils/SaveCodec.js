@@ -0,0 +1,255 @@
+/**
+ * SaveCodec - Pure JS LZW compression for checkpoints, packed into localStorage-friendly strings
+ * Output uses 15 bits per UTF-16 character, offset past ASCII so JSON.stringify never has to escape it
+ */
+
+const BITS_PER_CHAR = 15;
+const CHAR_OFFSET = 0xA0; // Keeps packed characters clear of quotes, backslashes and control characters
+const LITERAL_CODE = 0; // Next 16 bits are a character not yet in the dictionary
+const END_CODE = 1;
+const FIRST_CODE = 2;
+
+/**
+ * Writes variable-width codes into 15-bit characters
+ */
+class BitWriter {
+  constructor() {
+    this.chars = [];
+    this.buffer = 0;
+    this.bufferBits = 0;
+  }
+
+  /**
+   * Append a value using a fixed number of bits
+   * @param {number} value - Value to write
+   * @param {number} bits - Bits to use (at most 16)
+   */
+  write(value, bits) {
+    for (let bit = bits - 1; bit >= 0; bit--) {
+      this.buffer = (this.buffer << 1) | ((value >> bit) & 1);
+      this.bufferBits++;
+      if (this.bufferBits === BITS_PER_CHAR) {
+        this.chars.push(String.fromCharCode(this.buffer + CHAR_OFFSET));
+        this.buffer = 0;
+        this.bufferBits = 0;
+      }
+    }
+  }
+
+  /**
+   * Flush remaining bits and return the packed string
+   * @returns {string} Packed characters
+   */
+  finish() {
+    if (this.bufferBits > 0) {
+      this.write(0, BITS_PER_CHAR - this.bufferBits);
+    }
+    return this.chars.join('');
+  }
+}
+
+/**
+ * Reads variable-width codes back out of 15-bit characters
+ */
+class BitReader {
+  constructor(packed) {
+    this.packed = packed;
+    this.charIndex = 0;
+    this.bitIndex = 0;
+  }
+
+  /**
+   * Read a value of a fixed number of bits
+   * @param {number} bits - Bits to read
+   * @returns {number} Value
+   * @throws {Error} If the data ends early
+   */
+  read(bits) {
+    let value = 0;
+    for (let i = 0; i < bits; i++) {
+      if (this.charIndex >= this.packed.length) {
+        throw new Error('Compressed data ended unexpectedly');
+      }
+      const char = this.packed.charCodeAt(this.charIndex) - CHAR_OFFSET;
+      const bit = (char >> (BITS_PER_CHAR - 1 - this.bitIndex)) & 1;
+      value = (value << 1) | bit;
+      this.bitIndex++;
+      if (this.bitIndex === BITS_PER_CHAR) {
+        this.bitIndex = 0;
+        this.charIndex++;
+      }
+    }
+    return value;
+  }
+}
+
+/**
+ * Bits needed to write any code below nextCode
+ * @param {number} nextCode - Next unassigned dictionary code
+ * @returns {number} Code width in bits
+ */
+function codeWidth(nextCode) {
+  return Math.max(1, Math.ceil(Math.log2(nextCode)));
+}
+
+/**
+ * Compress a string
+ * @param {string} input - Text to compress
+ * @returns {string} Packed compressed text
+ */
+export function compress(input) {
+  const dictionary = new Map();
+  const writer = new BitWriter();
+  let nextCode = FIRST_CODE;
+  let phrase = '';
+
+  const writeLiteral = (char) => {
+    writer.write(LITERAL_CODE, codeWidth(nextCode));
+    writer.write(char.charCodeAt(0), 16);
+    dictionary.set(char, nextCode++);
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (phrase === '') {
+      if (dictionary.has(char)) {
+        phrase = char;
+      } else {
+        writeLiteral(char);
+      }
+      continue;
+    }
+
+    const extended = phrase + char;
+    if (dictionary.has(extended)) {
+      phrase = extended;
+      continue;
+    }
+
+    writer.write(dictionary.get(phrase), codeWidth(nextCode));
+    dictionary.set(extended, nextCode++);
+
+    if (dictionary.has(char)) {
+      phrase = char;
+    } else {
+      writeLiteral(char);
+      phrase = '';
+    }
+  }
+
+  if (phrase !== '') {
+    writer.write(dictionary.get(phrase), codeWidth(nextCode));
+    // The decompressor expects an entry to follow every code, so it reads the end marker one code wider
+    writer.write(END_CODE, codeWidth(nextCode + 1));
+  } else {
+    writer.write(END_CODE, codeWidth(nextCode));
+  }
+
+  return writer.finish();
+}
+
+/**
+ * Decompress a string produced by compress()
+ * @param {string} packed - Packed compressed text
+ * @returns {string} Original text
+ * @throws {Error} If the data is corrupt
+ */
+export function decompress(packed) {
+  const entries = [];
+  const reader = new BitReader(packed);
+  const output = [];
+  let nextCode = FIRST_CODE;
+  let previous = null;
+
+  const addEntry = (entry) => {
+    entries[nextCode++] = entry;
+  };
+
+  for (;;) {
+    // The compressor adds previous + next character one step earlier than we can, so widths run one code ahead
+    const code = reader.read(codeWidth(nextCode + (previous !== null ? 1 : 0)));
+
+    if (code === END_CODE) break;
+
+    if (code === LITERAL_CODE) {
+      const char = String.fromCharCode(reader.read(16));
+      if (previous !== null) addEntry(previous + char);
+      addEntry(char);
+      output.push(char);
+      previous = null;
+      continue;
+    }
+
+    let entry = entries[code];
+    if (entry === undefined) {
+      // The code being defined by this very step (phrase + its own first character)
+      if (previous === null || code !== nextCode) {
+        throw new Error(`Corrupt compressed data (unknown code ${code})`);
+      }
+      entry = previous + previous[0];
+    }
+
+    if (previous !== null) addEntry(previous + entry[0]);
+    output.push(entry);
+    previous = entry;
+  }
+
+  return output.join('');
+}
+
+/**
+ * Pack bytes into the same 15-bit character form as compressed text
+ * @param {Uint8Array} bytes - Bytes to pack
+ * @returns {string} Packed bytes, prefixed with their length
+ */
+export function packBytes(bytes) {
+  const writer = new BitWriter();
+  writer.write(bytes.length >>> 15, 15);
+  writer.write(bytes.length & 0x7FFF, 15);
+  bytes.forEach(byte => writer.write(byte, 8));
+  return writer.finish();
+}
+
+/**
+ * Unpack bytes packed with packBytes()
+ * @param {string} packed - Packed bytes
+ * @returns {Uint8Array} Bytes
+ */
+export function unpackBytes(packed) {
+  const reader = new BitReader(packed);
+  const length = reader.read(15) * 0x8000 + reader.read(15);
+  const bytes = new Uint8Array(length);
+  for (let i = 0; i < length; i++) {
+    bytes[i] = reader.read(8);
+  }
+  return bytes;
+}
+
+/**
+ * Encode a string as two bytes per UTF-16 code unit, so any string survives the trip through bytes
+ * @param {string} text - Text to encode
+ * @returns {Uint8Array} Bytes
+ */
+export function textToBytes(text) {
+  const bytes = new Uint8Array(text.length * 2);
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    bytes[i * 2] = code >> 8;
+    bytes[i * 2 + 1] = code & 0xFF;
+  }
+  return bytes;
+}
+
+/**
+ * Decode bytes written by textToBytes()
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string} Text
+ */
+export function bytesToText(bytes) {
+  const chars = [];
+  for (let i = 0; i < bytes.length; i += 2) {
+    chars.push(String.fromCharCode((bytes[i] << 8) | bytes[i + 1]));
+  }
+  return chars.join('');
+}
@@ -0,0 +1,174 @@
+/**
+ * SaveMigrations - Upgrades saves written by older versions of the game one version at a time
+ * Each migration takes a save at its `from` version and returns a new save at `to`; saves are never mutated
+ */
+
+import { createDifficultyProfile, DIFFICULTY_PROFILES, DEFAULT_DIFFICULTY } from '../engine/DifficultyProfiles.js';
+import { DEFAULT_NIGHT_SCHEDULE } from '../engine/NightSchedule.js';
+
+// Version written by GameEngine.createSnapshot
+export const SAVE_VERSION = 8;
+
+export const SAVE_MIGRATIONS = [
+  {
+    from: 1,
+    to: 2,
+    description: 'Wrap a bare GameState checkpoint in a composite save',
+    migrate(save) {
+      const gameState = {
+        // Fields GameState gained after version 1, at their new-game values
+        nightSchedule: { ...DEFAULT_NIGHT_SCHEDULE },
+        seed: null,
+        difficulty: 'normal',
+        noiseLevel: 0,
+        unlockedDoors: [],
+        eventChains: { flags: [], scheduled: [] },
+        ...save,
+        // Version 1 inventories could hold bare item ids
+        inventory: (save.inventory || []).map(item =>
+          typeof item === 'string' ? { id: item, quantity: 1, isActive: false } : item
+        )
+      };
+
+      return {
+        saveVersion: 2,
+        savedAt: null,
+        difficulty: createDifficultyProfile(gameState.difficulty),
+        rng: null, // Version 1 did not record the random sequence
+        gameState,
+        systems: {}
+      };
+    }
+  },
+  {
+    from: 2,
+    to: 3,
+    description: 'Rename "timestamp" to "gameTime" in command and event history',
+    migrate(save) {
+      const renameTimestamp = (entry) => {
+        // Some saves hold bare strings in their history (EndingDemo); those have nothing to rename
+        if (typeof entry !== 'object' || entry === null || !('timestamp' in entry)) {
+          return entry;
+        }
+        const { timestamp, ...rest } = entry;
+        return { ...rest, gameTime: timestamp };
+      };
+
+      return {
+        ...save,
+        saveVersion: 3,
+        gameState: {
+          ...save.gameState,
+          commandsIssued: (save.gameState.commandsIssued || []).map(renameTimestamp),
+          eventsTriggered: (save.gameState.eventsTriggered || []).map(renameTimestamp)
+        }
+      };
+    }
+  },
+  {
+    from: 3,
+    to: 4,
+    description: 'Add checkpoint rewinds to the game state and difficulty',
+    migrate(save) {
+      const profile = DIFFICULTY_PROFILES[save.difficulty.id] || DIFFICULTY_PROFILES[DEFAULT_DIFFICULTY];
+
+      return {
+        ...save,
+        saveVersion: 4,
+        difficulty: { ...save.difficulty, maxRewinds: save.difficulty.maxRewinds ?? profile.maxRewinds },
+        gameState: { ...save.gameState, rewindsUsed: save.gameState.rewindsUsed ?? 0 }
+      };
+    }
+  },
+  {
+    from: 4,
+    to: 5,
+    description: 'Add sanity to the game state',
+    migrate(save) {
+      return {
+        ...save,
+        saveVersion: 5,
+        gameState: { ...save.gameState, sanity: save.gameState.sanity ?? 100 }
+      };
+    }
+  },
+  {
+    from: 5,
+    to: 6,
+    description: 'Add stamina to the game state',
+    migrate(save) {
+      return {
+        ...save,
+        saveVersion: 6,
+        gameState: { ...save.gameState, stamina: save.gameState.stamina ?? 100 }
+      };
+    }
+  },
+  {
+    from: 6,
+    to: 7,
+    description: 'Add light level to the game state',
+    migrate(save) {
+      // Saved in the dark; LightingSystem relights any active source on the first frame
+      return {
+        ...save,
+        saveVersion: 7,
+        gameState: { ...save.gameState, lightLevel: save.gameState.lightLevel ?? 0, lightSource: save.gameState.lightSource ?? null }
+      };
+    }
+  },
+  {
+    from: 7,
+    to: 8,
+    description: 'Add weather to the game state',
+    migrate(save) {
+      // Older nights had no weather, so they carry on clear
+      return {
+        ...save,
+        saveVersion: 8,
+        gameState: { ...save.gameState, weather: save.gameState.weather ?? 'clear' }
+      };
+    }
+  }
+];
+
+/**
+ * Get the version of save data
+ * Bare GameState objects predate versioned saves and count as version 1
+ * @param {Object} save - Save data
+ * @returns {number} Save version
+ */
+export function getSaveVersion(save) {
+  return typeof save?.saveVersion === 'number' ? save.saveVersion : 1;
+}
+
+/**
+ * Upgrade save data to the current version by running each migration in turn
+ * @param {Object} save - Save data at any supported version
+ * @param {Array} migrations - Migration registry
+ * @param {number} targetVersion - Version to upgrade to
+ * @returns {Object} Save data at targetVersion
+ * @throws {Error} If the save is newer than targetVersion or a migration step is missing
+ */
+export function migrateSave(save, migrations = SAVE_MIGRATIONS, targetVersion = SAVE_VERSION) {
+  let version = getSaveVersion(save);
+  if (version > targetVersion) {
+    throw new Error(`Unsupported save version: ${version} (this game reads up to version ${targetVersion})`);
+  }
+
+  let migrated = save;
+  while (version < targetVersion) {
+    const migration = migrations.find(step => step.from === version);
+    if (!migration) {
+      throw new Error(`No save migration from version ${version}`);
+    }
+
+    migrated = migration.migrate(migrated);
+    version = migration.to;
+    console.log(`Save migrated to version ${version}: ${migration.description}`);
+  }
+
+  return migrated;
+}
+
+export default SAVE_MIGRATIONS;
@@ -5,6 +5,7 @@
  */
 
 import { performanceMonitor } from './PerformanceMonitor.js';
+import { realClock } from '../engine/GameClock.js';
 
 export class VoiceCommandDebouncer {
   constructor(options = {}) {
@@ -34,6 +35,7 @@ export class VoiceCommandDebouncer {
       
       ...options
     };
+    this.clock = options.clock ?? realClock; // Given the engine's game clock, command windows count game time
 
     // Debouncing state
     this.lastCommandTime = 0;
@@ -94,7 +96,7 @@ export class VoiceCommandDebouncer {
    */
   async processCommand(command, context = {}) {
     const startTime = performance.now();
-    const now = Date.now();
+    const now = this.clock.now();
 
     try {
       // Record command for performance monitoring
@@ -195,7 +197,7 @@ export class VoiceCommandDebouncer {
    * @returns {boolean} Whether command is duplicate
    */
   isDuplicateCommand(command) {
-    const now = Date.now();
+    const now = this.clock.now();
     const commandText = command.text?.toLowerCase().trim();
 
     if (!commandText) {
@@ -399,7 +401,7 @@ export class VoiceCommandDebouncer {
    * @returns {Promise<boolean>} Execution result
    */
   async executeCommand(command, context) {
-    const now = Date.now();
+    const now = this.clock.now();
     
     try {
       // Update last command info
@@ -41,6 +41,10 @@ export class VoiceNarrator {
     
     // Contextual response templates
     this.responseTemplates = this.initializeResponseTemplates();
+
+    // Chance (0-1) that a narration is distorted - raised by SanitySystem as the player's mind slips
+    this.unreliability = 0;
+    this.random = options.random || Math.random;
     
     // Event listeners
     this.onNarrationStart = options.onNarrationStart || null;
@@ -270,7 +274,7 @@ export class VoiceNarrator {
     }
 
     const narrationItem = {
-      text: text,
+      text: options.context === 'error' ? text : this.distortNarration(text),
       priority: options.priority || 'normal', // 'high', 'normal', 'low'
       interrupt: options.interrupt || false,
       context: options.context || 'general',
@@ -298,6 +302,57 @@ export class VoiceNarrator {
     return true;
   }
 
+  /**
+   * Narrate text for the engine systems, which speak through this name
+   * @param {string} text - Text to narrate
+   * @param {Object} options - Narration options, as for narrate()
+   * @returns {boolean} True if queued
+   */
+  speak(text, options = {}) {
+    return this.narrate(text, options);
+  }
+
+  /**
+   * Set how unreliable narration is
+   * @param {number} level - 0 for a trustworthy narrator, up to 1 for one that always lies
+   */
+  setUnreliability(level) {
+    this.unreliability = Math.max(0, Math.min(1, level));
+  }
+
+  /**
+   * Distort narration at the current unreliability: flip what it says, or cast doubt on it
+   * @param {string} text - Narration text
+   * @returns {string} The text, possibly distorted
+   */
+  distortNarration(text) {
+    if (typeof text !== 'string' || this.unreliability <= 0 || this.random() >= this.unreliability) {
+      return text;
+    }
+
+    const lies = [
+      [/\bnothing\b/i, 'something'],
+      [/\bno one\b/i, 'someone'],
+      [/\bsafe\b/i, 'watched'],
+      [/\balone\b/i, 'not alone'],
+      [/\bquiet\b/i, 'breathing'],
+      [/\bempty\b/i, 'occupied'],
+      [/\bpasses by\b/i, 'stops beside you']
+    ];
+    const lie = lies.find(([pattern]) => pattern.test(text));
+    if (lie) {
+      return text.replace(lie[0], lie[1]);
+    }
+
+    const doubts = [
+      ' ...or did you imagine that?',
+      " Didn't that already happen?",
+      " No. That isn't right.",
+      ' You hear yourself say it twice.'
+    ];
+    return text + doubts[Math.floor(this.random() * doubts.length)];
+  }
+
   /**
    * Process the narration queue
    */
@@ -195,6 +195,15 @@ describe('AudioManager', () => {
     });
   });
 
+  describe('Ambient Selection', () => {
+    test('should let the weather set the ambient, except in the basement', () => {
+      expect(audioManager.selectOptimalAmbient('00:30', 'house', 10, 'rain')).toBe('rain_heavy');
+      expect(audioManager.selectOptimalAmbient('00:30', 'house', 10, 'storm')).toBe('wind_howling');
+      expect(audioManager.selectOptimalAmbient('00:30', 'house', 10, 'fog')).toBe('house_creaks');
+      expect(audioManager.selectOptimalAmbient('00:30', 'basement', 10, 'rain')).toBe('basement_drip');
+    });
+  });
+
   describe('Mixed Effects', () => {
     beforeEach(async () => {
       await audioManager.initialize(mockErrorHandler);
@@ -237,6 +237,20 @@ describe('CommandParser', () => {
     });
   });
 
+  describe('Number Extraction', () => {
+    test('should read spoken and written numbers after a keyword', () => {
+      expect(parser.extractNumber(['load', 'slot', 'two'], 'slot')).toBe(2);
+      expect(parser.extractNumber(['load', 'slot', '4'], 'slot')).toBe(4);
+      expect(parser.extractNumber(['load', 'the', 'third', 'slot'], 'slot')).toBeNull();
+    });
+
+    test('should return null without a number', () => {
+      expect(parser.extractNumber(['save', 'game'], 'slot')).toBeNull();
+      expect(parser.extractNumber(['load', 'slot'], 'slot')).toBeNull();
+      expect(parser.extractNumber(['load', 'slot', 'banana'], 'slot')).toBeNull();
+    });
+  });
+
   describe('Error Handling', () => {
     test('should handle null input', () => {
       const result = parser.parseCommand(null);
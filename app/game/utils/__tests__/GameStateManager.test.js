@@ -2,7 +2,10 @@
  * @jest-environment jsdom
  */
 
-import { GameStateManager } from '../GameStateManager.js';
+import { GameStateManager, SAVE_VERSION, SAVE_FILE_FORMAT } from '../GameStateManager.js';
+import { GameEngine } from '../../engine/GameEngine.js';
+import { GameInitializer } from '../../engine/GameInitializer.js';
+import { decompress } from '../SaveCodec.js';
 
 // Mock localStorage
 const localStorageMock = {
@@ -459,4 +462,525 @@ describe('GameStateManager', () => {
       expect(sessionStorageMock.setItem).not.toHaveBeenCalled();
     });
   });
-});
\ No newline at end of file
+
+  describe('Composite Saves', () => {
+    let store;
+    let now;
+
+    beforeEach(() => {
+      // Back the storage mock with a real map so saves can be loaded again
+      store = new Map();
+      localStorageMock.setItem.mockImplementation((key, value) => store.set(key, value));
+      localStorageMock.getItem.mockImplementation(key => store.get(key) ?? null);
+      gameStateManager.storageAvailable = true;
+
+      now = 1000000;
+      jest.spyOn(Date, 'now').mockImplementation(() => now);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    const playNight = () => {
+      const engine = new GameEngine(null, null, null, { seed: 42, difficulty: 'nightmare' });
+      engine.start();
+      now += 90000;
+      engine.gameTimer.update(16);
+      engine.handleCommand('run');
+      engine.getFearSystem().triggerFearEvent('whisper', { source: 'test' });
+      engine.getHealthSystem().applyInstantDamage(15, 'test', 'test');
+      engine.getRng().next();
+      return engine;
+    };
+
+    test('should save every system from the engine', async () => {
+      const engine = playNight();
+      const manager = new GameStateManager(engine, { autoSaveInterval: 0 });
+      manager.storageAvailable = true;
+
+      expect(await manager.saveCheckpoint(null, 'manual')).toBe(true);
+      const checkpoint = JSON.parse([...store.values()].find(value => value.includes('"metadata"')));
+      const save = JSON.parse(decompress(checkpoint.gameState));
+
+      expect(save.saveVersion).toBe(SAVE_VERSION);
+      expect(Object.keys(save.systems)).toEqual(['timer', 'fear', 'health', 'stamina', 'lighting', 'inventory', 'events', 'monsters']);
+      expect(checkpoint.metadata).toEqual(expect.objectContaining({
+        saveVersion: SAVE_VERSION,
+        gameTime: engine.getGameState().currentTime,
+        health: engine.getGameState().health
+      }));
+
+      engine.stop();
+      manager.destroy();
+    });
+
+    test('should round-trip a save exactly into a new engine', async () => {
+      const engine = playNight();
+      const manager = new GameStateManager(engine, { autoSaveInterval: 0 });
+      manager.storageAvailable = true;
+      await manager.saveCheckpoint(null, 'manual');
+      const original = engine.createSnapshot();
+      engine.stop();
+
+      const restoredEngine = new GameEngine(null, null, null, { seed: 7 });
+      const restoredManager = new GameStateManager(restoredEngine, { autoSaveInterval: 0 });
+      restoredManager.storageAvailable = true;
+
+      expect(await restoredManager.restoreCheckpoint()).toBe(true);
+      expect(restoredEngine.createSnapshot()).toEqual(original);
+      expect(restoredEngine.getDifficulty().id).toBe('nightmare');
+      expect(restoredEngine.getRng().next()).toBe(engine.getRng().next());
+
+      manager.destroy();
+      restoredManager.destroy();
+    });
+
+    test('should carry on the restored night when the engine starts', () => {
+      const engine = playNight();
+      const save = engine.createSnapshot();
+      engine.stop();
+
+      const restoredEngine = new GameEngine();
+      restoredEngine.restoreSnapshot(save);
+      restoredEngine.start();
+      now += 1000;
+
+      expect(restoredEngine.gameTimer.getElapsed()).toBe(91000);
+      expect(restoredEngine.getGameState().health).toBe(engine.getGameState().health);
+      restoredEngine.stop();
+    });
+
+    test('should restore legacy checkpoints into the game state', async () => {
+      const gameState = { currentTime: '02:00', fearLevel: 40, health: 70, isAlive: true };
+      const engine = new GameEngine();
+      const manager = new GameStateManager(engine, { autoSaveInterval: 0 });
+      manager.storageAvailable = true;
+      await manager.saveCheckpoint(gameState, 'manual');
+
+      expect(await manager.restoreCheckpoint()).toBe(true);
+      expect(engine.getGameState().fearLevel).toBe(40);
+
+      manager.destroy();
+    });
+
+    test('should reject saves from a newer version', () => {
+      const save = { saveVersion: SAVE_VERSION + 1, gameState: {}, systems: {} };
+
+      expect(() => gameStateManager.validateGameState(save)).toThrow('Unsupported save version');
+      expect(() => new GameEngine().restoreSnapshot(save)).toThrow('Unsupported save version');
+    });
+  });
+
+  describe('Save Slots', () => {
+    let engine;
+    let manager;
+
+    beforeEach(() => {
+      const store = new Map();
+      localStorageMock.setItem.mockImplementation((key, value) => store.set(key, value));
+      localStorageMock.getItem.mockImplementation(key => store.get(key) ?? null);
+      localStorageMock.removeItem.mockImplementation(key => store.delete(key));
+
+      engine = new GameEngine(null, null, null, { seed: 5 });
+      engine.start();
+      manager = new GameStateManager(engine, { autoSaveInterval: 0, maxSlots: 3 });
+    });
+
+    afterEach(() => {
+      engine.stop();
+      manager.destroy();
+      jest.restoreAllMocks();
+    });
+
+    test('should save slots with metadata', async () => {
+      engine.getGameState().setLocation('kitchen');
+
+      const metadata = await manager.saveToSlot(2, 'Before the basement');
+
+      expect(metadata).toEqual(expect.objectContaining({
+        slot: 2,
+        name: 'Before the basement',
+        location: 'Kitchen',
+        health: 100,
+        thumbnail: expect.stringContaining('Kitchen')
+      }));
+      expect(manager.getSaveSlots()).toEqual([metadata]);
+    });
+
+    test('should keep the name and creation time when overwriting', async () => {
+      const first = await manager.saveToSlot(1, 'Mine');
+      engine.getGameState().updateHealth(-30);
+
+      const second = await manager.saveToSlot(1);
+
+      expect(second.name).toBe('Mine');
+      expect(second.createdAt).toBe(first.createdAt);
+      expect(second.health).toBe(70);
+    });
+
+    test('should restore a slot into the engine', async () => {
+      await manager.saveToSlot(1);
+      engine.getGameState().updateHealth(-50);
+
+      expect(await manager.restoreSlot(1)).toBe(true);
+      expect(engine.getGameState().health).toBe(100);
+      expect(await manager.restoreSlot(2)).toBe(false);
+    });
+
+    test('should rename and delete slots', async () => {
+      await manager.saveToSlot(1);
+
+      expect(manager.renameSlot(1, '  Hallway  ')).toBe(true);
+      expect(manager.getSaveSlot(1).name).toBe('Hallway');
+      expect(() => manager.renameSlot(1, ' ')).toThrow('cannot be empty');
+
+      expect(manager.deleteSlot(1)).toBe(true);
+      expect(manager.getSaveSlots()).toEqual([]);
+      expect(await manager.loadFromSlot(1)).toBeNull();
+      expect(manager.deleteSlot(1)).toBe(false);
+    });
+
+    test('should keep slots older than a day', async () => {
+      await manager.saveToSlot(1);
+      jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 2 * 24 * 60 * 60 * 1000);
+
+      expect(await manager.loadFromSlot(1)).not.toBeNull();
+    });
+
+    test('should reject slots out of range', async () => {
+      await expect(manager.saveToSlot(4)).rejects.toThrow('Save slot must be a number from 1 to 3');
+      expect(() => manager.deleteSlot(0)).toThrow('Save slot must be a number');
+    });
+
+    test('should pick the first empty slot, then the oldest', async () => {
+      const now = jest.spyOn(Date, 'now');
+      for (let slot = 1; slot <= 3; slot++) {
+        now.mockReturnValue(1000 * slot);
+        expect(manager.getNextSaveSlot()).toBe(slot);
+        await manager.saveToSlot(slot);
+      }
+
+      // Overwriting slot 1 makes slot 2 the oldest
+      now.mockReturnValue(5000);
+      await manager.saveToSlot(1);
+      expect(manager.getNextSaveSlot()).toBe(2);
+    });
+
+    test('should save and load slots by voice', async () => {
+      const initializer = new GameInitializer();
+      initializer.gameEngine = engine;
+      initializer.gameStateManager = manager;
+      initializer.registerSaveSlotCommands();
+
+      expect(engine.handleCommand('save game')).toBe(true);
+      await Promise.resolve();
+      expect(manager.getSaveSlot(1)).not.toBeNull();
+
+      expect(engine.handleCommand('save game in slot three')).toBe(true);
+      await Promise.resolve();
+      expect(manager.getSaveSlot(3)).not.toBeNull();
+
+      const restoreSlot = jest.spyOn(manager, 'restoreSlot');
+      expect(engine.handleCommand('load slot three')).toBe(true);
+      expect(restoreSlot).toHaveBeenCalledWith(3);
+      expect(engine.handleCommand('load slot two')).toBe(true);
+      expect(restoreSlot).toHaveBeenCalledTimes(1); // Slot two is empty
+    });
+  });
+
+  describe('Compression and Encryption', () => {
+    const { webcrypto } = require('crypto');
+    let store;
+    let engine;
+    let originalCrypto;
+
+    beforeEach(() => {
+      store = new Map();
+      localStorageMock.setItem.mockImplementation((key, value) => store.set(key, value));
+      localStorageMock.getItem.mockImplementation(key => store.get(key) ?? null);
+      localStorageMock.removeItem.mockImplementation(key => store.delete(key));
+
+      // jsdom has no crypto.subtle, so borrow Node's WebCrypto
+      originalCrypto = globalThis.crypto;
+      Object.defineProperty(globalThis, 'crypto', { value: webcrypto, configurable: true });
+
+      engine = new GameEngine(null, null, null, { seed: 7 });
+      engine.start();
+    });
+
+    afterEach(() => {
+      engine.stop();
+      Object.defineProperty(globalThis, 'crypto', { value: originalCrypto, configurable: true });
+    });
+
+    const createManager = (options = {}) => {
+      const manager = new GameStateManager(engine, { autoSaveInterval: 0, storageKey: 'codec-test', ...options });
+      manager.storageAvailable = true;
+      return manager;
+    };
+
+    const readStored = () => JSON.parse(store.get('codec-test-checkpoint'));
+
+    // What a save of the engine looks like after a trip through JSON
+    const expectedSave = () => ({
+      ...JSON.parse(JSON.stringify(engine.createSnapshot())),
+      savedAt: expect.any(Number)
+    });
+
+    test('should store checkpoints compressed and report their sizes', async () => {
+      const manager = createManager();
+
+      await manager.saveCheckpoint(null, 'manual');
+      const checkpoint = readStored();
+
+      expect(checkpoint.metadata).toEqual(expect.objectContaining({ compressed: true, codec: 'lzw' }));
+      expect(checkpoint.metadata.storedSize).toBe(checkpoint.gameState.length);
+      expect(checkpoint.metadata.storedSize).toBeLessThan(checkpoint.metadata.rawSize / 2);
+      expect(await manager.loadCheckpoint()).toEqual(expectedSave());
+    });
+
+    test('should measure storage and compression in the stats', async () => {
+      const manager = createManager();
+      await manager.saveCheckpoint(null, 'auto');
+      await manager.saveToSlot(1, 'Kitchen');
+
+      const stats = manager.getCheckpointStats();
+
+      expect(stats.storage.checkpointBytes).toBe(store.get('codec-test-checkpoint').length * 2);
+      expect(stats.storage.historyBytes).toBe(store.get('codec-test-history').length * 2);
+      expect(stats.storage.slotBytes).toBeGreaterThan(0);
+      expect(stats.storage.totalBytes).toBe(
+        stats.storage.checkpointBytes + stats.storage.historyBytes + stats.storage.slotBytes
+      );
+      expect(stats.compression.measuredCheckpoints).toBe(1);
+      expect(stats.compression.ratio).toBeLessThan(0.5);
+    });
+
+    test('should read checkpoints saved before real compression', async () => {
+      const manager = createManager();
+      const gameState = JSON.stringify({ currentTime: '02:00', fearLevel: 10, health: 90, isAlive: true });
+      store.set('codec-test-checkpoint', JSON.stringify({
+        gameState,
+        metadata: { timestamp: Date.now(), type: 'auto', compressed: true },
+        checksum: manager.calculateChecksum(gameState)
+      }));
+
+      expect(await manager.loadCheckpoint()).toEqual(expect.objectContaining({ currentTime: '02:00' }));
+    });
+
+    test('should encrypt checkpoints with AES-GCM', async () => {
+      const manager = createManager({ enableEncryption: true });
+
+      await manager.saveCheckpoint(null, 'manual');
+      const checkpoint = readStored();
+
+      expect(checkpoint.metadata.encrypted).toBe(true);
+      expect(store.has('codec-test-key')).toBe(true);
+      expect(checkpoint.metadata.codec).toBe('lzw');
+      expect(JSON.parse(decompress(await manager.decryptData(checkpoint.gameState))).saveVersion).toBe(SAVE_VERSION);
+      expect(await manager.loadCheckpoint()).toEqual(expectedSave());
+    });
+
+    test('should derive the key from a passphrase', async () => {
+      await createManager({ enableEncryption: true, encryptionKey: 'sunrise' }).saveToSlot(2);
+
+      expect(store.has('codec-test-salt')).toBe(true);
+      expect(store.has('codec-test-key')).toBe(false);
+      expect(await createManager({ enableEncryption: true, encryptionKey: 'sunrise' }).loadFromSlot(2))
+        .toEqual(expectedSave());
+      expect(await createManager({ enableEncryption: true, encryptionKey: 'midnight' }).loadFromSlot(2))
+        .toBeNull();
+    });
+
+    test('should reject stored data that was altered', async () => {
+      const manager = createManager({ enableEncryption: true });
+      await manager.saveCheckpoint(null, 'manual');
+
+      const checkpoint = readStored();
+      const middle = Math.floor(checkpoint.gameState.length / 2);
+      checkpoint.gameState = checkpoint.gameState.slice(0, middle) +
+        String.fromCharCode(checkpoint.gameState.charCodeAt(middle) ^ 1) +
+        checkpoint.gameState.slice(middle + 1);
+      checkpoint.checksum = manager.calculateChecksum(checkpoint.gameState);
+
+      await expect(manager.readCheckpoint(checkpoint)).rejects.toThrow('Could not decrypt save data');
+    });
+  });
+
+  describe('Save Files', () => {
+    let engine;
+    let manager;
+
+    beforeEach(() => {
+      const store = new Map();
+      localStorageMock.setItem.mockImplementation((key, value) => store.set(key, value));
+      localStorageMock.getItem.mockImplementation(key => store.get(key) ?? null);
+      localStorageMock.removeItem.mockImplementation(key => store.delete(key));
+
+      engine = new GameEngine(null, null, null, { seed: 9 });
+      engine.start();
+      engine.getEndingSystem().endingAchievements = {
+        survivor: { id: 'survivor', timesAchieved: 1, byDifficulty: { normal: 1 }, firstAchieved: 1, lastAchieved: 1 }
+      };
+      manager = new GameStateManager(engine, { autoSaveInterval: 0, enableEncryption: true });
+    });
+
+    afterEach(() => {
+      engine.stop();
+      manager.destroy();
+    });
+
+    // A second browser: fresh engine, no achievements
+    const createOtherBrowser = () => {
+      const otherEngine = new GameEngine();
+      otherEngine.getEndingSystem().endingAchievements = {};
+      return { otherEngine, otherManager: new GameStateManager(otherEngine, { autoSaveInterval: 0 }) };
+    };
+
+    test('should export a signed, readable save file', async () => {
+      engine.getGameState().setLocation('kitchen');
+
+      const file = await manager.exportSave();
+
+      expect(file.format).toBe(SAVE_FILE_FORMAT);
+      expect(file.signature).toBe(manager.signSaveFile(file));
+      expect(file.checkpoint.metadata.type).toBe('export');
+      expect(file.checkpoint.metadata).not.toHaveProperty('encrypted');
+      expect(JSON.parse(file.checkpoint.gameState).gameState.location).toBe('kitchen');
+      expect(file.achievements.survivor.timesAchieved).toBe(1);
+      expect(manager.getSaveFileName(file)).toMatch(/^survive-until-sunrise-\d{4}-\d{2}-\d{2}-\d{4}\.json$/);
+    });
+
+    test('should import a save file into another game', async () => {
+      engine.getGameState().setLocation('basement');
+      const contents = JSON.stringify(await manager.exportSave());
+      const { otherEngine, otherManager } = createOtherBrowser();
+
+      expect(await otherManager.importSave(contents)).toBe(true);
+
+      expect(otherEngine.getGameState().location).toBe('basement');
+      expect(otherEngine.getEndingSystem().hasAchievement('survivor', 'normal')).toBe(true);
+      expect(localStorageMock.setItem).toHaveBeenCalledWith(
+        'survive-until-sunrise-checkpoint',
+        expect.stringContaining('"type":"import"')
+      );
+      otherManager.destroy();
+    });
+
+    test('should reject files that are not save files', async () => {
+      const { otherManager } = createOtherBrowser();
+
+      await expect(otherManager.importSave('not json')).rejects.toThrow('Save file is not valid JSON');
+      await expect(otherManager.importSave('{"format":"something-else"}')).rejects.toThrow('Not a Survive Until Sunrise save file');
+      otherManager.destroy();
+    });
+
+    test('should reject edited save files', async () => {
+      const file = await manager.exportSave();
+      const { otherEngine, otherManager } = createOtherBrowser();
+
+      const edited = { ...file, achievements: {} };
+      await expect(otherManager.importSave(edited)).rejects.toThrow('signature does not match');
+
+      // Editing the checkpoint and re-signing the file is still caught by the checkpoint checksum
+      const moved = JSON.parse(file.checkpoint.gameState);
+      moved.gameState.location = 'front_door';
+      const resigned = { ...file, checkpoint: { ...file.checkpoint, gameState: JSON.stringify(moved) } };
+      resigned.signature = otherManager.signSaveFile(resigned);
+      await expect(otherManager.importSave(resigned)).rejects.toThrow('checkpoint failed verification');
+
+      expect(otherEngine.getGameState().location).not.toBe('front_door');
+      otherManager.destroy();
+    });
+  });
+
+  describe('Rewinds', () => {
+    let now;
+
+    beforeEach(() => {
+      const store = new Map();
+      localStorageMock.setItem.mockImplementation((key, value) => store.set(key, value));
+      localStorageMock.getItem.mockImplementation(key => store.get(key) ?? null);
+      localStorageMock.removeItem.mockImplementation(key => store.delete(key));
+
+      now = 2000000;
+      jest.spyOn(Date, 'now').mockImplementation(() => now);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    // Start a run and save twice along the way, ending at the given fear level
+    const playUntilDeath = async (difficulty) => {
+      const engine = new GameEngine(null, null, null, { seed: 3, difficulty });
+      const manager = new GameStateManager(engine, { autoSaveInterval: 0 });
+      engine.start();
+
+      engine.getGameState().location = 'kitchen';
+      now += 1000;
+      await manager.saveCheckpoint(null, 'auto');
+      engine.getGameState().location = 'basement';
+      now += 1000;
+      await manager.saveCheckpoint(null, 'manual');
+
+      engine.getGameState().triggerDeath('health');
+      const endingResult = await engine.triggerGameEnding();
+      return { engine, manager, endingResult };
+    };
+
+    test('should list checkpoints from the current run, newest first', async () => {
+      const { engine, manager } = await playUntilDeath('normal');
+      const [newest, older] = manager.getRewindPoints();
+
+      expect(manager.getRewindPoints()).toHaveLength(2);
+      expect(newest).toEqual(expect.objectContaining({ type: 'manual', id: now }));
+      expect(older.type).toBe('auto');
+
+      engine.getGameState().gameStartTime = 1;
+      expect(manager.getRewindPoints()).toEqual([]);
+      manager.destroy();
+    });
+
+    test('should continue the run from the chosen checkpoint', async () => {
+      const { engine, manager, endingResult } = await playUntilDeath('normal');
+      expect(endingResult.rewindsRemaining).toBe(3);
+
+      const [, older] = manager.getRewindPoints();
+      expect(await manager.rewindTo(older.id)).toBe(true);
+
+      expect(engine.isRunning).toBe(true);
+      expect(engine.getGameState().isAlive).toBe(true);
+      expect(engine.getGameState().location).toBe('kitchen');
+      expect(engine.getGameState().rewindsUsed).toBe(1);
+      expect(engine.getRewindsRemaining()).toBe(2);
+
+      engine.stop();
+      manager.destroy();
+    });
+
+    test('should stop rewinding once the difficulty limit is used up', async () => {
+      const { engine, manager } = await playUntilDeath('nightmare');
+      const [newest] = manager.getRewindPoints();
+
+      expect(await manager.rewindTo(newest.id)).toBe(true);
+      engine.getGameState().triggerDeath('fear');
+      const endingResult = await engine.triggerGameEnding();
+
+      expect(endingResult.rewindsRemaining).toBe(0);
+      expect(endingResult.content.statistics['Rewinds Used']).toBe(1);
+      expect(await manager.rewindTo(newest.id)).toBe(false);
+      expect(engine.isRunning).toBe(false);
+
+      manager.destroy();
+    });
+
+    test('should not rewind to an unknown checkpoint', async () => {
+      const { manager } = await playUntilDeath('normal');
+
+      expect(await manager.rewindTo(12345)).toBe(false);
+      manager.destroy();
+    });
+  });
+});
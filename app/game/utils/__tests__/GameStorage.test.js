@@ -0,0 +1,270 @@
+/**
+ * GameStorage Tests
+ * Unit tests for the storage adapters and the shared storage front
+ */
+
+import {
+  GameStorage,
+  MemoryStorageAdapter,
+  LocalStorageAdapter,
+  IndexedDBStorageAdapter,
+  createStorageAdapter
+} from '../GameStorage.js';
+import { browserCompatibility } from '../BrowserCompatibility.js';
+import { GameStateManager } from '../GameStateManager.js';
+
+/**
+ * Just enough of IndexedDB for the adapter: one database of key/value object stores,
+ * with every request completing asynchronously like the real thing
+ * (jest.setup.js stubs out setTimeout, so this uses microtasks)
+ */
+const createFakeIndexedDB = ({ failWritesWith = null, failOpenWith = null } = {}) => {
+  const stores = new Map();
+  const later = (fn) => Promise.resolve().then(fn);
+
+  const createTransaction = (storeName, mode) => {
+    const data = stores.get(storeName);
+    const transaction = {
+      error: null,
+      objectStore: () => ({
+        getAllKeys: () => { const request = {}; later(() => { request.result = [...data.keys()]; }); return request; },
+        getAll: () => { const request = {}; later(() => { request.result = [...data.values()]; }); return request; },
+        put: (value, key) => { if (!failWritesWith) data.set(key, value); },
+        delete: (key) => data.delete(key)
+      })
+    };
+
+    later(() => later(() => {
+      if (mode === 'readwrite' && failWritesWith) {
+        transaction.error = failWritesWith;
+        transaction.onabort?.();
+      } else {
+        transaction.oncomplete?.();
+      }
+    }));
+    return transaction;
+  };
+
+  return {
+    stores,
+    open: () => {
+      const request = {};
+      later(() => {
+        if (failOpenWith) {
+          request.error = failOpenWith;
+          request.onerror();
+          return;
+        }
+        request.result = {
+          createObjectStore: (name) => stores.set(name, new Map()),
+          transaction: createTransaction
+        };
+        if (!stores.size) request.onupgradeneeded();
+        request.onsuccess();
+      });
+      return request;
+    }
+  };
+};
+
+const quotaError = () => Object.assign(new Error('The quota has been exceeded.'), { name: 'QuotaExceededError' });
+
+describe('GameStorage', () => {
+  afterEach(() => {
+    delete global.indexedDB;
+    localStorage.clear();
+    jest.restoreAllMocks();
+  });
+
+  describe('MemoryStorageAdapter', () => {
+    test('should store, list and remove values', () => {
+      const adapter = new MemoryStorageAdapter();
+
+      adapter.setItem('a', 1);
+      adapter.setItem('b', 'two');
+      adapter.removeItem('b');
+
+      expect(adapter.getItem('a')).toBe('1');
+      expect(adapter.getItem('b')).toBeNull();
+      expect(adapter.keys()).toEqual(['a']);
+    });
+  });
+
+  describe('LocalStorageAdapter', () => {
+    test('should read and write window.localStorage', () => {
+      const adapter = new LocalStorageAdapter();
+
+      adapter.setItem('survive-achievements', '{}');
+
+      expect(localStorage.getItem('survive-achievements')).toBe('{}');
+      expect(adapter.keys()).toEqual(['survive-achievements']);
+    });
+  });
+
+  describe('IndexedDBStorageAdapter', () => {
+    test('should persist writes and load them into a new adapter', async () => {
+      global.indexedDB = createFakeIndexedDB();
+      const adapter = new IndexedDBStorageAdapter();
+      await adapter.load();
+
+      adapter.setItem('save', 'one');
+      adapter.setItem('gone', 'soon');
+      adapter.removeItem('gone');
+      expect(adapter.getItem('save')).toBe('one');
+      await adapter.flush();
+
+      const reloaded = new IndexedDBStorageAdapter();
+      await reloaded.load();
+      expect(reloaded.getItem('save')).toBe('one');
+      expect(reloaded.getItem('gone')).toBeNull();
+    });
+
+    test('should copy existing localStorage data on first load only', async () => {
+      global.indexedDB = createFakeIndexedDB();
+      localStorage.setItem('survive-until-sunrise-checkpoint', 'old save');
+
+      const adapter = new IndexedDBStorageAdapter({ legacyStorage: new LocalStorageAdapter() });
+      await adapter.load();
+      expect(adapter.getItem('survive-until-sunrise-checkpoint')).toBe('old save');
+
+      adapter.removeItem('survive-until-sunrise-checkpoint');
+      await adapter.flush();
+
+      const reloaded = new IndexedDBStorageAdapter({ legacyStorage: new LocalStorageAdapter() });
+      await reloaded.load();
+      expect(reloaded.getItem('survive-until-sunrise-checkpoint')).toBeNull();
+    });
+
+    test('should report writes that fail in the background', async () => {
+      global.indexedDB = createFakeIndexedDB({ failWritesWith: quotaError() });
+      const adapter = new IndexedDBStorageAdapter();
+      await adapter.load();
+      const onWriteError = jest.fn();
+      adapter.onWriteError(onWriteError);
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      adapter.setItem('save', 'big');
+      await adapter.flush();
+
+      expect(onWriteError).toHaveBeenCalledWith(expect.objectContaining({ name: 'QuotaExceededError' }), 'save');
+    });
+
+    test('should refuse reads and writes until loaded', async () => {
+      global.indexedDB = createFakeIndexedDB();
+      const earlier = new IndexedDBStorageAdapter();
+      await earlier.load();
+      earlier.setItem('survive-achievements', '{"perfect_survivor":{}}');
+      await earlier.flush();
+
+      const adapter = new IndexedDBStorageAdapter();
+      expect(() => adapter.getItem('survive-achievements')).toThrow('await gameStorage.ready() first');
+      expect(() => adapter.setItem('survive-achievements', '{}')).toThrow('await gameStorage.ready() first');
+
+      await adapter.load();
+      expect(adapter.getItem('survive-achievements')).toBe('{"perfect_survivor":{}}');
+    });
+  });
+
+  describe('Adapter selection', () => {
+    test('should prefer IndexedDB, then localStorage', () => {
+      expect(createStorageAdapter().name).toBe('localStorage');
+
+      global.indexedDB = createFakeIndexedDB();
+      expect(createStorageAdapter().name).toBe('indexedDB');
+      expect(createStorageAdapter('memory').name).toBe('memory');
+    });
+
+    test('should reject unknown storage types', () => {
+      expect(() => createStorageAdapter('cookies')).toThrow('Unknown storage type: cookies');
+    });
+
+    test('should fall back when IndexedDB cannot open', async () => {
+      global.indexedDB = createFakeIndexedDB({ failOpenWith: new Error('Blocked in private mode') });
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const storage = new GameStorage();
+
+      expect(await storage.ready()).toBe('localStorage');
+      storage.setItem('key', 'value');
+      expect(localStorage.getItem('key')).toBe('value');
+    });
+  });
+
+  describe('GameStateManager', () => {
+    test('should find storage available once IndexedDB has loaded', async () => {
+      global.indexedDB = createFakeIndexedDB();
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const storage = new GameStorage(new IndexedDBStorageAdapter());
+      const manager = new GameStateManager(null, { autoSaveInterval: 0, storage });
+      expect(manager.storageAvailable).toBe(false);
+
+      await manager.storageReady;
+
+      expect(manager.storageAvailable).toBe(true);
+      expect(await manager.saveCheckpoint({ currentTime: '23:00' }, 'manual')).toBe(true);
+      manager.destroy();
+    });
+  });
+
+  describe('Quota handling', () => {
+    beforeEach(() => {
+      jest.spyOn(browserCompatibility, 'estimateStorageQuota').mockReturnValue('~0KB available');
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    test('should report and rethrow quota errors from synchronous writes', () => {
+      const adapter = new MemoryStorageAdapter();
+      adapter.setItem = () => { throw quotaError(); };
+      const storage = new GameStorage(adapter);
+      const onQuotaExceeded = jest.fn();
+      storage.onQuotaExceeded(onQuotaExceeded);
+
+      expect(() => storage.setItem('save', 'data')).toThrow('quota');
+      expect(onQuotaExceeded).toHaveBeenCalledWith(expect.objectContaining({
+        key: 'save',
+        estimate: '~0KB available',
+        background: false,
+        adapter: 'memory'
+      }));
+    });
+
+    test('should not leave quota probe data in localStorage', async () => {
+      browserCompatibility.estimateStorageQuota.mockRestore();
+      global.indexedDB = createFakeIndexedDB({ failWritesWith: quotaError() });
+      const storage = new GameStorage(new IndexedDBStorageAdapter());
+      await storage.ready();
+      const onQuotaExceeded = jest.fn();
+      storage.onQuotaExceeded(onQuotaExceeded);
+
+      storage.setItem('save', 'big');
+      await storage.flush();
+
+      expect(onQuotaExceeded).toHaveBeenCalled();
+      const keys = Array.from({ length: localStorage.length }, (_, i) => localStorage.key(i));
+      expect(keys.filter(key => key.startsWith('quota-test-'))).toEqual([]);
+    });
+
+    test('should not treat other errors as quota errors', () => {
+      const storage = new GameStorage(new MemoryStorageAdapter());
+
+      expect(storage.isQuotaError(new Error('Storage not available'))).toBe(false);
+      expect(storage.isQuotaError({ code: 22 })).toBe(true);
+    });
+
+    test('should let GameStateManager clean up after a background quota error', async () => {
+      global.indexedDB = createFakeIndexedDB({ failWritesWith: quotaError() });
+      const storage = new GameStorage(new IndexedDBStorageAdapter());
+      await storage.ready();
+      const notifyError = jest.fn();
+      const manager = new GameStateManager({ notifyError }, { autoSaveInterval: 0, storage });
+      const cleanup = jest.spyOn(manager, 'cleanupOldCheckpoints').mockImplementation(() => {});
+
+      storage.setItem('survive-until-sunrise-checkpoint', 'data');
+      await storage.flush();
+
+      expect(cleanup).toHaveBeenCalled();
+      expect(notifyError).toHaveBeenCalledWith('save_failed', expect.objectContaining({ type: 'background' }));
+      manager.destroy();
+    });
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * SaveCodec Tests
+ * Round trips for the LZW checkpoint codec and its byte packing
+ */
+
+import { compress, decompress, packBytes, unpackBytes, textToBytes, bytesToText } from '../SaveCodec.js';
+
+describe('SaveCodec', () => {
+  describe('Compression', () => {
+    test.each([
+      ['empty text', ''],
+      ['a single character', 'a'],
+      ['a repeated phrase', 'abababababababab'],
+      ['a phrase that refers to itself', 'aaaaaaaaaaaaaaaaaaaaaaaa'],
+      ['unicode text', 'Dawn 🌅 arrives — Übung, 夜明け'],
+      ['control characters and quotes', '"\\\u0000\n\t"'],
+      ['a lone surrogate', 'x\uD800y']
+    ])('should round-trip %s', (_, text) => {
+      expect(decompress(compress(text))).toBe(text);
+    });
+
+    test('should shrink repetitive JSON', () => {
+      const json = JSON.stringify(Array.from({ length: 200 }, (_, i) => ({
+        id: `item_${i % 12}`, quantity: 1, isActive: false, durability: 100
+      })));
+
+      const packed = compress(json);
+
+      expect(decompress(packed)).toBe(json);
+      expect(packed.length).toBeLessThan(json.length / 5);
+    });
+
+    test('should produce text that JSON stores without escaping', () => {
+      const packed = compress(JSON.stringify({ currentTime: '23:00', fearLevel: 0 }));
+
+      expect(JSON.stringify(packed)).toBe(`"${packed}"`);
+    });
+
+    test('should reject corrupt data', () => {
+      const packed = compress('the monster is in the kitchen');
+
+      expect(() => decompress(packed.slice(0, 3))).toThrow('Compressed data ended unexpectedly');
+      // A literal "a" followed by code 3, which nothing has defined yet
+      expect(() => decompress(String.fromCharCode(0b000000000011000 + 0xA0, 0b011100000000000 + 0xA0)))
+        .toThrow('Corrupt compressed data (unknown code 3)');
+    });
+  });
+
+  describe('Byte packing', () => {
+    test('should round-trip bytes', () => {
+      const bytes = Uint8Array.from({ length: 300 }, (_, i) => (i * 37) & 0xFF);
+
+      expect(Array.from(unpackBytes(packBytes(bytes)))).toEqual(Array.from(bytes));
+    });
+
+    test('should convert text to bytes and back', () => {
+      const text = 'Hide! 🌅';
+
+      expect(textToBytes(text)).toHaveLength(text.length * 2);
+      expect(bytesToText(textToBytes(text))).toBe(text);
+    });
+  });
+});
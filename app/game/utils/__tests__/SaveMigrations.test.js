@@ -0,0 +1,184 @@
+/**
+ * SaveMigrations Tests
+ * Fixture-based tests for migrations that reshape saves, inline checks for ones that only add defaults, and the pipeline
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { SAVE_MIGRATIONS, SAVE_VERSION, getSaveVersion, migrateSave } from '../SaveMigrations.js';
+import { GameEngine } from '../../engine/GameEngine.js';
+
+// Mock requestAnimationFrame
+global.requestAnimationFrame = jest.fn(cb => setTimeout(cb, 16));
+
+// Each migration has an input save at its `from` version and the expected save at its `to` version
+const loadFixture = (name) =>
+  JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'saves', name), 'utf8'));
+
+// Migrations that only add a field with a default, by `from` version, with the fields each adds
+// These are checked against the version 4 fixture brought up to their version, not fixtures of their own
+const DEFAULT_STEPS = new Map([
+  [4, { sanity: 100 }],
+  [5, { stamina: 100 }],
+  [6, { lightLevel: 0, lightSource: null }],
+  [7, { weather: 'clear' }]
+]);
+const BASE_FIXTURE = 'v3-to-v4.expected.json';
+const loadSaveAt = (version) => migrateSave(loadFixture(BASE_FIXTURE), SAVE_MIGRATIONS, version);
+
+describe('SaveMigrations', () => {
+  describe('Registry', () => {
+    test('should chain from version 1 to the current version', () => {
+      SAVE_MIGRATIONS.forEach((migration, index) => {
+        expect(migration.from).toBe(index + 1);
+        expect(migration.to).toBe(migration.from + 1);
+      });
+      expect(SAVE_MIGRATIONS[SAVE_MIGRATIONS.length - 1].to).toBe(SAVE_VERSION);
+    });
+
+    test('should count bare game states as version 1', () => {
+      expect(getSaveVersion({ currentTime: '23:00' })).toBe(1);
+      expect(getSaveVersion({ saveVersion: 2, gameState: {}, systems: {} })).toBe(2);
+    });
+  });
+
+  describe.each(SAVE_MIGRATIONS.filter(({ from }) => !DEFAULT_STEPS.has(from)))('Migration $from -> $to', (migration) => {
+    const fixture = `v${migration.from}-to-v${migration.to}`;
+
+    test('should produce the expected save', () => {
+      const input = loadFixture(`${fixture}.input.json`);
+
+      expect(getSaveVersion(input)).toBe(migration.from);
+      expect(migration.migrate(input)).toEqual(loadFixture(`${fixture}.expected.json`));
+    });
+
+    test('should not modify the input save', () => {
+      const input = loadFixture(`${fixture}.input.json`);
+
+      migration.migrate(input);
+
+      expect(input).toEqual(loadFixture(`${fixture}.input.json`));
+    });
+  });
+
+  describe('Fixture details', () => {
+    test('should expand bare item ids and fill new fields for version 1 saves', () => {
+      const { gameState } = loadFixture('v1-to-v2.expected.json');
+
+      expect(gameState.inventory[0]).toEqual({ id: 'flashlight', quantity: 1, isActive: false });
+      expect(gameState.unlockedDoors).toEqual([]);
+      expect(gameState.difficulty).toBe('normal');
+    });
+
+    test('should rename history timestamps to gameTime', () => {
+      const { gameState } = loadFixture('v2-to-v3.expected.json');
+
+      expect(gameState.commandsIssued[0]).toEqual(expect.objectContaining({ gameTime: '00:00' }));
+      expect(gameState.commandsIssued[0]).not.toHaveProperty('timestamp');
+      expect(gameState.eventsTriggered[0]).not.toHaveProperty('timestamp');
+    });
+
+    test('should keep bare string history entries when renaming timestamps', () => {
+      const input = loadFixture('v2-to-v3.input.json');
+      input.gameState.commandsIssued = ['hide', 'run'];
+
+      const { gameState } = SAVE_MIGRATIONS[1].migrate(input);
+
+      expect(gameState.commandsIssued).toEqual(['hide', 'run']);
+    });
+
+    test('should start saves without rewinds at the difficulty limit', () => {
+      const { difficulty, gameState } = loadFixture('v3-to-v4.expected.json');
+
+      expect(difficulty.maxRewinds).toBe(5);
+      expect(gameState.rewindsUsed).toBe(0);
+    });
+  });
+
+  describe('Default-adding migrations', () => {
+    test.each([...DEFAULT_STEPS])('should only add defaults when migrating from version %i', (from, defaults) => {
+      const migration = SAVE_MIGRATIONS.find(step => step.from === from);
+      const input = loadSaveAt(from);
+      const original = JSON.parse(JSON.stringify(input));
+
+      expect(migration.migrate(input)).toEqual({
+        ...original,
+        saveVersion: migration.to,
+        gameState: { ...original.gameState, ...defaults }
+      });
+      expect(input).toEqual(original);
+    });
+
+    test('should keep values a save already has', () => {
+      DEFAULT_STEPS.forEach((defaults, from) => {
+        const input = loadSaveAt(from);
+        const existing = Object.fromEntries(Object.keys(defaults).map(key => [key, `saved ${key}`]));
+        input.gameState = { ...input.gameState, ...existing };
+
+        const { gameState } = SAVE_MIGRATIONS.find(step => step.from === from).migrate(input);
+
+        expect(gameState).toEqual(expect.objectContaining(existing));
+      });
+    });
+  });
+
+  describe('Pipeline', () => {
+    test('should upgrade a version 1 save step by step', () => {
+      const migrated = migrateSave(loadFixture('v1-to-v2.input.json'));
+
+      expect(migrated.saveVersion).toBe(SAVE_VERSION);
+      expect(migrated.gameState.commandsIssued[0]).toEqual({ command: 'hide', gameTime: '00:12', realTime: 1699999910000 });
+    });
+
+    test('should leave current saves untouched', () => {
+      const save = loadSaveAt(SAVE_VERSION);
+
+      expect(migrateSave(save)).toBe(save);
+    });
+
+    test('should reject saves from a future version', () => {
+      expect(() => migrateSave({ saveVersion: SAVE_VERSION + 1, gameState: {}, systems: {} }))
+        .toThrow(`Unsupported save version: ${SAVE_VERSION + 1} (this game reads up to version ${SAVE_VERSION})`);
+    });
+
+    test('should fail when a migration step is missing', () => {
+      expect(() => migrateSave({ currentTime: '23:00' }, [], 2)).toThrow('No save migration from version 1');
+    });
+  });
+
+  describe('Restoring migrated saves', () => {
+    test.each([
+      ['v1-to-v2.input.json'],
+      ['v2-to-v3.input.json'],
+      ['v3-to-v4.input.json']
+    ])('should restore %s into a game engine', (name) => {
+      const save = loadFixture(name);
+      const engine = new GameEngine();
+
+      engine.restoreSnapshot(save);
+
+      const gameState = engine.getGameState();
+      expect(gameState.currentTime).toBe(migrateSave(save).gameState.currentTime);
+      expect(gameState.commandsIssued[0]).toHaveProperty('gameTime');
+    });
+
+    test('should rebuild items saved as bare ids', () => {
+      const engine = new GameEngine();
+
+      engine.restoreSnapshot(loadFixture('v1-to-v2.input.json'));
+
+      const [flashlight, phone] = engine.getGameState().inventory;
+      expect(flashlight).toEqual(expect.objectContaining({ id: 'flashlight', name: 'Flashlight', durability: 100 }));
+      expect(phone).toEqual(expect.objectContaining({ id: 'phone', durability: 40, isActive: true }));
+    });
+
+    test('should not keep the previous night when restoring a version 1 save', () => {
+      const engine = new GameEngine();
+      engine.getGameState().unlockedDoors.push('basement_door');
+
+      engine.restoreSnapshot(loadFixture('v1-to-v2.input.json'));
+
+      expect(engine.getGameState().unlockedDoors).toEqual([]);
+    });
+  });
+});
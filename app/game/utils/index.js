@@ -7,6 +7,7 @@
 export { VoiceErrorHandler } from './VoiceErrorHandler.js';
 export { default as AudioErrorHandler } from './AudioErrorHandler.js';
 export { GameStateManager } from './GameStateManager.js';
+export { GameStorage, gameStorage, createStorageAdapter, IndexedDBStorageAdapter, LocalStorageAdapter, MemoryStorageAdapter } from './GameStorage.js';
 export { BrowserCompatibility, browserCompatibility } from './BrowserCompatibility.js';
 
 // Audio Management
@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+
+/**
+ * Night Simulation Script
+ *
+ * Plays many nights headlessly with a bot and reports survival rate, endings and fear curves
+ * Usage: node simulate-nights.js [--nights 100] [--seed balance] [--difficulty normal]
+ *        [--policy random|scripted] [--script bot.json] [--format json|csv] [--out report.csv] [--frame-ms 100]
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { register } from 'node:module';
+
+// The engine imports its event data as plain .json modules, which Node only loads as JSON when told to
+register(`data:text/javascript,${encodeURIComponent(`
+  export async function load(url, context, nextLoad) {
+    if (url.endsWith('.json')) {
+      return nextLoad(url, { ...context, format: 'json', importAttributes: { type: 'json' } });
+    }
+    return nextLoad(url, context);
+  }
+`)}`);
+
+const { NightSimulator, createBotPolicy, formatReportCSV } = await import('./app/game/engine/NightSimulator.js');
+
+const OPTIONS = {
+  '--nights': 'nights',
+  '--seed': 'seed',
+  '--difficulty': 'difficulty',
+  '--policy': 'policy',
+  '--script': 'script',
+  '--format': 'format',
+  '--out': 'out',
+  '--frame-ms': 'frameMs'
+};
+
+function parseArgs(argv) {
+  const args = { nights: '100', seed: null, difficulty: 'normal', policy: 'random', script: null, format: 'json', out: null, frameMs: '100' };
+
+  for (let i = 0; i < argv.length; i++) {
+    const key = OPTIONS[argv[i]];
+    if (!key || argv[i + 1] === undefined) {
+      throw new Error(`Unknown or incomplete option: ${argv[i]}`);
+    }
+    args[key] = argv[++i];
+  }
+
+  args.nights = Number(args.nights);
+  args.frameMs = Number(args.frameMs);
+  if (!Number.isInteger(args.nights) || args.nights < 1) {
+    throw new Error(`--nights must be a whole number above 0, got ${args.nights}`);
+  }
+  if (!(args.frameMs > 0)) {
+    throw new Error(`--frame-ms must be greater than 0, got ${args.frameMs}`);
+  }
+  if (!['json', 'csv'].includes(args.format)) {
+    throw new Error(`--format must be json or csv, got ${args.format}`);
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const script = args.script ? JSON.parse(readFileSync(args.script, 'utf8')) : {};
+  const policy = createBotPolicy(args.script ? 'scripted' : args.policy, script);
+
+  const simulator = new NightSimulator({
+    nights: args.nights,
+    seed: args.seed,
+    difficulty: args.difficulty,
+    policy,
+    frameMs: args.frameMs
+  });
+
+  // The engine narrates everything it does; keep only the simulator's own output
+  const { log, warn } = console;
+  console.log = () => {};
+  console.warn = () => {};
+  let report;
+  try {
+    report = simulator.run(result => {
+      process.stderr.write(`Night ${result.night}/${args.nights}: ${result.ending.title}\n`);
+    });
+    // Endings finish announcing themselves asynchronously
+    await new Promise(resolve => setImmediate(resolve));
+  } finally {
+    console.log = log;
+    console.warn = warn;
+  }
+
+  const output = args.format === 'csv' ? formatReportCSV(report) : `${JSON.stringify(report, null, 2)}\n`;
+  if (args.out) {
+    writeFileSync(args.out, output);
+    console.log(`📊 Survived ${report.survived}/${report.nights} nights - report written to ${args.out}`);
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});